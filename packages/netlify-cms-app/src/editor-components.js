@@ -1,4 +1,6 @@
 import { NetlifyCmsCore as CMS } from 'netlify-cms-core';
 import image from 'netlify-cms-editor-component-image';
+import { NetlifyCmsWidgetCode } from 'netlify-cms-widget-code';
 
 CMS.registerEditorComponent(image);
+CMS.registerEditorComponent(NetlifyCmsWidgetCode.codeBlock);
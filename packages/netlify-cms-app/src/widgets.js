@@ -13,6 +13,9 @@ import NetlifyCmsWidgetBoolean from 'netlify-cms-widget-boolean';
 import NetlifyCmsWidgetMap from 'netlify-cms-widget-map';
 import NetlifyCmsWidgetDate from 'netlify-cms-widget-date';
 import NetlifyCmsWidgetDatetime from 'netlify-cms-widget-datetime';
+import NetlifyCmsWidgetCode from 'netlify-cms-widget-code';
+import NetlifyCmsWidgetColor from 'netlify-cms-widget-color';
+import NetlifyCmsWidgetHidden from 'netlify-cms-widget-hidden';
 
 CMS.registerWidget([
   NetlifyCmsWidgetString.Widget(),
@@ -29,4 +32,7 @@ CMS.registerWidget([
   NetlifyCmsWidgetMap.Widget(),
   NetlifyCmsWidgetDate.Widget(),
   NetlifyCmsWidgetDatetime.Widget(),
+  NetlifyCmsWidgetCode.Widget(),
+  NetlifyCmsWidgetColor.Widget(),
+  NetlifyCmsWidgetHidden.Widget(),
 ]);
@@ -1,4 +1,5 @@
-import { flow, get } from 'lodash';
+import { flow, get, trim } from 'lodash';
+import { oneLine } from 'common-tags';
 import {
   localForage,
   unsentRequest,
@@ -7,8 +8,21 @@ import {
   basename,
   Cursor,
   APIError,
+  EditorialWorkflowError,
+  CMS_BRANCH_PREFIX,
+  DEFAULT_PR_BODY,
+  MERGE_COMMIT_MESSAGE,
+  isCMSLabel,
+  labelToStatus,
+  statusToLabel,
+  generateContentKey,
+  parseContentKey,
+  branchFromContentKey,
 } from 'netlify-cms-lib-util';
 
+// the diffstat of a pull request doesn't tell binary files apart
+const MEDIA_EXTENSION = /\.(svg|png|jpe?g|gif|webp|bmp|ico|tiff?|pdf|mp3|mp4|mov|webm|ogg|wav|zip)$/i;
+
 export default class API {
   constructor(config) {
     this.api_root = config.api_root || 'https://api.bitbucket.org/2.0';
@@ -18,6 +32,9 @@ export default class API {
     // Allow overriding this.hasWriteAccess
     this.hasWriteAccess = config.hasWriteAccess || this.hasWriteAccess;
     this.repoURL = this.repo ? `/repositories/${this.repo}` : '';
+    this.merge_strategy = config.squash_merges ? 'squash' : 'merge_commit';
+    this.initialWorkflowStatus = config.initialWorkflowStatus;
+    this.mediaFolder = trim(config.mediaFolder || '', '/');
   }
 
   buildRequest = req =>
@@ -45,6 +62,20 @@ export default class API {
       p => p.catch(err => Promise.reject(new APIError(err.message, null, 'BitBucket'))),
     ])(req);
 
+  /**
+   * Requests every page of a paginated list, following the `next` link of
+   * each page.
+   */
+  requestAllPages = async req => {
+    let page = await this.requestJSON(req);
+    const values = [...page.values];
+    while (page.next) {
+      page = await this.requestJSON(page.next);
+      values.push(...page.values);
+    }
+    return values;
+  };
+
   user = () => this.requestJSON('/user');
 
   hasWriteAccess = async () => {
@@ -86,6 +117,24 @@ export default class API {
     return result;
   };
 
+  /**
+   * Lists the commits of the published branch which changed a file, newest
+   * first.
+   */
+  listFileCommits = async path => {
+    const { values } = await this.requestJSON({
+      url: `${this.repoURL}/commits/${this.branch}`,
+      params: { path },
+      cache: 'no-store',
+    });
+    return values.map(({ hash, message, date, author }) => ({
+      sha: hash,
+      message,
+      author: author.user ? author.user.display_name : author.raw,
+      date,
+    }));
+  };
+
   getEntriesAndCursor = jsonResponse => {
     const {
       size: count,
@@ -106,10 +155,10 @@ export default class API {
     };
   };
 
-  listFiles = async path => {
+  listFiles = async (path, depth = 1) => {
     const { entries, cursor } = await flow([
       // sort files by filename ascending
-      unsentRequest.withParams({ sort: '-path' }),
+      unsentRequest.withParams({ sort: '-path', ...(depth > 1 && { max_depth: depth }) }),
       this.requestJSON,
       then(this.getEntriesAndCursor),
     ])(`${this.repoURL}/src/${this.branch}/${path}`);
@@ -126,8 +175,8 @@ export default class API {
       })),
     ])(cursor.data.getIn(['links', action]));
 
-  listAllFiles = async path => {
-    const { cursor: initialCursor, entries: initialEntries } = await this.listFiles(path);
+  listAllFiles = async (path, depth = 1) => {
+    const { cursor: initialCursor, entries: initialEntries } = await this.listFiles(path, depth);
     const entries = [...initialEntries];
     let currentCursor = initialCursor;
     while (currentCursor && currentCursor.actions.has('next')) {
@@ -141,12 +190,23 @@ export default class API {
     return this.processFiles(entries);
   };
 
-  uploadBlob = async (item, { commitMessage, branch = this.branch } = {}) => {
-    const contentBlob = get(item, 'fileObj', new Blob([item.raw]));
+  uploadFiles = async (
+    files,
+    { commitMessage, branch = this.branch, parentSha, renamedFrom } = {},
+  ) => {
     const formData = new FormData();
-    // Third param is filename header, in case path is `message`, `branch`, etc.
-    formData.append(item.path, contentBlob, basename(item.path));
+    files.forEach(item => {
+      const contentBlob = get(item, 'fileObj', new Blob([item.raw]));
+      // Third param is filename header, in case path is `message`, `branch`, etc.
+      formData.append(item.path, contentBlob, basename(item.path));
+    });
+    // the previous files of a renamed entry are deleted in the same commit
+    get(renamedFrom, 'paths', []).forEach(path => formData.append('files', path));
     formData.append('branch', branch);
+    if (parentSha) {
+      // a branch that doesn't exist yet is created from its parent commit
+      formData.append('parents', parentSha);
+    }
     if (commitMessage) {
       formData.append('message', commitMessage);
     }
@@ -159,10 +219,13 @@ export default class API {
       unsentRequest.withMethod('POST'),
       unsentRequest.withBody(formData),
       this.request,
-      then(() => ({ ...item, uploaded: true })),
+      then(() => files.map(item => ({ ...item, uploaded: true }))),
     ])(`${this.repoURL}/src`);
   };
 
+  uploadBlob = (item, options) =>
+    this.uploadFiles([item], options).then(([uploadedItem]) => uploadedItem);
+
   persistFiles = (files, { commitMessage }) =>
     Promise.all(
       files
@@ -170,9 +233,11 @@ export default class API {
         .map(file => this.uploadBlob(file, { commitMessage })),
     );
 
-  deleteFile = (path, message, { branch = this.branch } = {}) => {
+  deleteFile = (path, message, options) => this.deleteFiles([path], message, options);
+
+  deleteFiles = (paths, message, { branch = this.branch } = {}) => {
     const body = new FormData();
-    body.append('files', path);
+    paths.forEach(path => body.append('files', path));
     body.append('branch', branch);
     if (message) {
       body.append('message', message);
@@ -185,4 +250,254 @@ export default class API {
       `${this.repoURL}/src`,
     );
   };
+
+  branchCommitSha = async branch => {
+    const {
+      target: { hash },
+    } = await this.requestJSON(`${this.repoURL}/refs/branches/${branch}`);
+    return hash;
+  };
+
+  deleteBranch = async branch => {
+    const response = await this.request({
+      method: 'DELETE',
+      url: `${this.repoURL}/refs/branches/${branch}`,
+    });
+    if (!response.ok) {
+      throw new APIError(`Failed to delete branch ${branch}`, response.status, 'BitBucket');
+    }
+  };
+
+  isFileExists = async (path, ref) => {
+    const response = await this.request({
+      url: `${this.repoURL}/src/${ref}/${path}`,
+      params: { format: 'meta' },
+      cache: 'no-store',
+    });
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw new APIError(`Failed to check if ${path} exists`, response.status, 'BitBucket');
+    }
+    return true;
+  };
+
+  getPullRequestComments = pullRequestId =>
+    this.requestAllPages({
+      url: `${this.repoURL}/pullrequests/${pullRequestId}/comments`,
+      params: { pagelen: 100 },
+    });
+
+  /**
+   * Bitbucket pull requests have no labels, so the workflow status of an
+   * entry is stored as a pull request comment. The latest status comment wins.
+   */
+  getPullRequestLabel = async pullRequestId => {
+    const comments = await this.getPullRequestComments(pullRequestId);
+    const labels = comments
+      .map(comment => comment.content && comment.content.raw)
+      .filter(isCMSLabel);
+    return labels[labels.length - 1];
+  };
+
+  addPullRequestComment = (pullRequest, comment) =>
+    this.requestJSON({
+      method: 'POST',
+      url: `${this.repoURL}/pullrequests/${pullRequest.id}/comments`,
+      body: JSON.stringify({ content: { raw: comment } }),
+    });
+
+  /**
+   * Lists the open pull requests created by the CMS, optionally only the one
+   * for a given source branch.
+   */
+  getPullRequests = async sourceBranch => {
+    const sourceQuery = sourceBranch
+      ? `source.branch.name = "${sourceBranch}"`
+      : `source.branch.name ~ "${CMS_BRANCH_PREFIX}/"`;
+    const pullRequests = await this.requestAllPages({
+      url: `${this.repoURL}/pullrequests`,
+      params: {
+        pagelen: 50,
+        q: oneLine`
+          source.repository.full_name = "${this.repo}"
+          AND state = "OPEN"
+          AND destination.branch.name = "${this.branch}"
+          AND comment_count > 0
+          AND ${sourceQuery}
+        `,
+      },
+    });
+    const labels = await Promise.all(
+      pullRequests.map(pullRequest => this.getPullRequestLabel(pullRequest.id)),
+    );
+    return pullRequests
+      .map((pullRequest, index) => ({ ...pullRequest, label: labels[index] }))
+      .filter(pullRequest => isCMSLabel(pullRequest.label));
+  };
+
+  getBranchPullRequest = async branch => {
+    const pullRequests = await this.getPullRequests(branch);
+    if (pullRequests.length <= 0) {
+      throw new EditorialWorkflowError('content is not under editorial workflow', true);
+    }
+    return pullRequests[0];
+  };
+
+  listUnpublishedBranches = async () => {
+    console.log(
+      '%c Checking for Unpublished entries',
+      'line-height: 30px;text-align: center;font-weight: bold',
+    );
+    const pullRequests = await this.getPullRequests();
+    return pullRequests.map(pullRequest => pullRequest.source.branch.name);
+  };
+
+  isMediaFile = path =>
+    (!!this.mediaFolder && path.startsWith(`${this.mediaFolder}/`)) || MEDIA_EXTENSION.test(path);
+
+  getDifferences = async source => {
+    const values = await this.requestAllPages({
+      url: `${this.repoURL}/diffstat/${source}..${this.branch}`,
+      params: { pagelen: 100 },
+    });
+    return values
+      .filter(diff => diff.status !== 'removed')
+      .map(diff => ({
+        newPath: diff.new.path,
+        newFile: diff.status === 'added',
+        binary: this.isMediaFile(diff.new.path),
+      }));
+  };
+
+  /**
+   * Unpublished entry metadata isn't stored anywhere: it is derived from the
+   * pull request of the entry branch (status comment, author, dates) and from
+   * the changes it introduces (the entry file and its media files).
+   */
+  retrieveMetadata = async contentKey => {
+    const { collection } = parseContentKey(contentKey);
+    const branch = branchFromContentKey(contentKey);
+    const pullRequest = await this.getBranchPullRequest(branch);
+    const head = pullRequest.source.commit.hash;
+    const diffs = await this.getDifferences(head);
+    const entryDiff = diffs.find(diff => !diff.binary);
+    if (!entryDiff) {
+      throw new EditorialWorkflowError('content is not under editorial workflow', true);
+    }
+    const files = diffs.filter(diff => diff !== entryDiff).map(diff => ({ path: diff.newPath }));
+    return {
+      type: 'PR',
+      pr: { id: pullRequest.id, head },
+      user: pullRequest.author.display_name || pullRequest.author.nickname,
+      status: labelToStatus(pullRequest.label),
+      branch,
+      collection,
+      title: pullRequest.title,
+      objects: {
+        entry: { path: entryDiff.newPath },
+        files,
+      },
+      timeStamp: pullRequest.updated_on,
+    };
+  };
+
+  readUnpublishedBranchFile = async contentKey => {
+    const metaData = await this.retrieveMetadata(contentKey);
+    const { path } = metaData.objects.entry;
+    const [fileData, isModification] = await Promise.all([
+      this.readFile(path, null, { ref: metaData.pr.head }),
+      this.isFileExists(path, this.branch),
+    ]);
+    return { metaData, fileData, isModification };
+  };
+
+  createPullRequest = async (branch, commitMessage, status) => {
+    const pullRequest = await this.requestJSON({
+      method: 'POST',
+      url: `${this.repoURL}/pullrequests/`,
+      body: JSON.stringify({
+        title: commitMessage,
+        source: { branch: { name: branch } },
+        destination: { branch: { name: this.branch } },
+        description: DEFAULT_PR_BODY,
+        close_source_branch: true,
+      }),
+    });
+    return this.addPullRequestComment(pullRequest, statusToLabel(status));
+  };
+
+  editorialWorkflowGit = async (entry, mediaFiles, options) => {
+    const contentKey = generateContentKey(options.collectionName, entry.slug);
+    const branch = branchFromContentKey(contentKey);
+    const files = [...mediaFiles.filter(file => !file.uploaded), entry];
+    const unpublished = options.unpublished || false;
+    if (!unpublished) {
+      // Open new editorial review workflow for this entry - commit to a new branch and open a
+      // pull request for it
+      const parentSha = await this.branchCommitSha(this.branch);
+      await this.uploadFiles(files, {
+        commitMessage: options.commitMessage,
+        branch,
+        parentSha,
+        renamedFrom: options.renamedFrom,
+      });
+      return this.createPullRequest(branch, options.commitMessage, this.initialWorkflowStatus);
+    } else if (options.renamedFrom) {
+      // Renamed entry on editorial review workflow - move its changes to a branch for the new
+      // slug, keeping the status of the previous pull request, then decline that pull request
+      const oldBranch = branchFromContentKey(
+        generateContentKey(options.collectionName, options.renamedFrom.slug),
+      );
+      const pullRequest = await this.getBranchPullRequest(oldBranch);
+      const parentSha = await this.branchCommitSha(oldBranch);
+      await this.uploadFiles(files, {
+        commitMessage: options.commitMessage,
+        branch,
+        parentSha,
+        renamedFrom: options.renamedFrom,
+      });
+      await this.createPullRequest(branch, options.commitMessage, labelToStatus(pullRequest.label));
+      return this.deleteUnpublishedEntry(options.collectionName, options.renamedFrom.slug);
+    } else {
+      // Entry is already on editorial review workflow - just commit to the existing branch
+      return this.uploadFiles(files, { commitMessage: options.commitMessage, branch });
+    }
+  };
+
+  updateUnpublishedEntryStatus = async (collectionName, slug, status) => {
+    const contentKey = generateContentKey(collectionName, slug);
+    const branch = branchFromContentKey(contentKey);
+    const pullRequest = await this.getBranchPullRequest(branch);
+    return this.addPullRequestComment(pullRequest, statusToLabel(status));
+  };
+
+  publishUnpublishedEntry = async (collectionName, slug) => {
+    const contentKey = generateContentKey(collectionName, slug);
+    const branch = branchFromContentKey(contentKey);
+    const pullRequest = await this.getBranchPullRequest(branch);
+    console.log('%c Merging PR', 'line-height: 30px;text-align: center;font-weight: bold');
+    return this.requestJSON({
+      method: 'POST',
+      url: `${this.repoURL}/pullrequests/${pullRequest.id}/merge`,
+      body: JSON.stringify({
+        message: MERGE_COMMIT_MESSAGE,
+        close_source_branch: true,
+        merge_strategy: this.merge_strategy,
+      }),
+    });
+  };
+
+  deleteUnpublishedEntry = async (collectionName, slug) => {
+    const contentKey = generateContentKey(collectionName, slug);
+    const branch = branchFromContentKey(contentKey);
+    const pullRequest = await this.getBranchPullRequest(branch);
+    console.log('%c Declining PR', 'line-height: 30px;text-align: center;font-weight: bold');
+    await this.requestJSON({
+      method: 'POST',
+      url: `${this.repoURL}/pullrequests/${pullRequest.id}/decline`,
+    });
+    return this.deleteBranch(branch);
+  };
 }
@@ -0,0 +1,112 @@
+import API from '../API';
+
+describe('bitbucket API', () => {
+  const mockAPI = (api, responses) => {
+    api.requestJSON = jest.fn(req => {
+      const url = typeof req === 'string' ? req : req.url;
+      const response = responses[url];
+      return typeof response === 'function'
+        ? Promise.resolve(response(req))
+        : Promise.reject(new Error(`No response for url '${url}'`));
+    });
+  };
+
+  const pullRequest = {
+    id: 1,
+    title: 'Create post "hello"',
+    source: { branch: { name: 'cms/posts/hello' }, commit: { hash: 'head' } },
+    author: { display_name: 'Ada' },
+    updated_on: '2020-03-01T12:00:00.000Z',
+  };
+
+  it('should follow the next links of paginated lists', async () => {
+    const api = new API({ repo: 'owner/repo' });
+    mockAPI(api, {
+      '/repositories/owner/repo/pullrequests/1/comments': () => ({
+        values: [{ content: { raw: 'netlify-cms/draft' } }],
+        next: 'https://api.bitbucket.org/2.0/comments?page=2',
+      }),
+      'https://api.bitbucket.org/2.0/comments?page=2': () => ({
+        values: [{ content: { raw: 'netlify-cms/pending_review' } }],
+      }),
+    });
+
+    await expect(api.getPullRequestLabel(1)).resolves.toBe('netlify-cms/pending_review');
+    expect(api.requestJSON).toHaveBeenCalledTimes(2);
+  });
+
+  it('should list the pull requests of every page', async () => {
+    const api = new API({ repo: 'owner/repo' });
+    const otherPullRequest = {
+      ...pullRequest,
+      id: 2,
+      source: { branch: { name: 'cms/posts/other' } },
+    };
+    mockAPI(api, {
+      '/repositories/owner/repo/pullrequests': () => ({
+        values: [pullRequest],
+        next: 'https://api.bitbucket.org/2.0/pullrequests?page=2',
+      }),
+      'https://api.bitbucket.org/2.0/pullrequests?page=2': () => ({ values: [otherPullRequest] }),
+      '/repositories/owner/repo/pullrequests/1/comments': () => ({
+        values: [{ content: { raw: 'netlify-cms/draft' } }],
+      }),
+      '/repositories/owner/repo/pullrequests/2/comments': () => ({
+        values: [{ content: { raw: 'not a status' } }],
+      }),
+    });
+
+    await expect(api.listUnpublishedBranches()).resolves.toEqual(['cms/posts/hello']);
+  });
+
+  it('should tell the entry file from its media files', async () => {
+    const api = new API({ repo: 'owner/repo', mediaFolder: '/static/media' });
+    mockAPI(api, {
+      '/repositories/owner/repo/pullrequests': () => ({ values: [pullRequest] }),
+      '/repositories/owner/repo/pullrequests/1/comments': () => ({
+        values: [{ content: { raw: 'netlify-cms/pending_publish' } }],
+      }),
+      '/repositories/owner/repo/diffstat/head..master': () => ({
+        values: [
+          { status: 'added', new: { path: 'static/media/notes.txt' } },
+          { status: 'added', new: { path: 'posts/photo.JPG' } },
+          { status: 'added', new: { path: 'posts/hello.md' } },
+          { status: 'removed', old: { path: 'posts/old.md' }, new: null },
+        ],
+      }),
+    });
+
+    await expect(api.retrieveMetadata('posts/hello')).resolves.toEqual({
+      type: 'PR',
+      pr: { id: 1, head: 'head' },
+      user: 'Ada',
+      status: 'pending_publish',
+      branch: 'cms/posts/hello',
+      collection: 'posts',
+      title: 'Create post "hello"',
+      objects: {
+        entry: { path: 'posts/hello.md' },
+        files: [{ path: 'static/media/notes.txt' }, { path: 'posts/photo.JPG' }],
+      },
+      timeStamp: '2020-03-01T12:00:00.000Z',
+    });
+  });
+
+  it('should store the workflow status as a pull request comment', async () => {
+    const api = new API({ repo: 'owner/repo' });
+    let comment;
+    mockAPI(api, {
+      '/repositories/owner/repo/pullrequests': () => ({ values: [pullRequest] }),
+      '/repositories/owner/repo/pullrequests/1/comments': req => {
+        if (req.method === 'POST') {
+          comment = JSON.parse(req.body).content.raw;
+          return {};
+        }
+        return { values: [{ content: { raw: 'netlify-cms/draft' } }] };
+      },
+    });
+
+    await api.updateUnpublishedEntryStatus('posts', 'hello', 'pending_review');
+    expect(comment).toBe('netlify-cms/pending_review');
+  });
+});
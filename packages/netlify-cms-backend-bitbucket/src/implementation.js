@@ -7,6 +7,11 @@ import {
   resolvePromiseProperties,
   then,
   unsentRequest,
+  asyncLock,
+  generateContentKey,
+  parseContentKey,
+  contentKeyFromBranch,
+  branchFromContentKey,
 } from 'netlify-cms-lib-util';
 import { NetlifyAuthenticator } from 'netlify-cms-lib-auth';
 import AuthenticationPage from './AuthenticationPage';
@@ -25,10 +30,6 @@ export default class BitbucketBackend {
       ...options,
     };
 
-    if (this.options.useWorkflow) {
-      throw new Error('The BitBucket backend does not support the Editorial Workflow.');
-    }
-
     if (!this.options.proxied && !config.getIn(['backend', 'repo'], false)) {
       throw new Error('The BitBucket backend needs a "repo" in the backend configuration.');
     }
@@ -43,6 +44,22 @@ export default class BitbucketBackend {
     this.base_url = config.get('base_url');
     this.site_id = config.get('site_id');
     this.token = '';
+    this.squash_merges = config.getIn(['backend', 'squash_merges']);
+    this.lock = asyncLock();
+  }
+
+  async runWithLock(func, message) {
+    try {
+      const acquired = await this.lock.acquire();
+      if (!acquired) {
+        console.warn(message);
+      }
+
+      const result = await func();
+      return result;
+    } finally {
+      this.lock.release();
+    }
   }
 
   authComponent() {
@@ -55,6 +72,9 @@ export default class BitbucketBackend {
       requestFunction: this.apiRequestFunction,
       branch: this.branch,
       repo: this.repo,
+      squash_merges: this.squash_merges,
+      initialWorkflowStatus: this.options.initialWorkflowStatus,
+      mediaFolder: this.config.get('media_folder'),
     });
   }
 
@@ -70,6 +90,9 @@ export default class BitbucketBackend {
       branch: this.branch,
       repo: this.repo,
       api_root: this.api_root,
+      squash_merges: this.squash_merges,
+      initialWorkflowStatus: this.options.initialWorkflowStatus,
+      mediaFolder: this.config.get('media_folder'),
     });
 
     const isCollab = await this.api.hasWriteAccess().catch(error => {
@@ -162,8 +185,8 @@ export default class BitbucketBackend {
     ])(req);
   };
 
-  entriesByFolder(collection, extension) {
-    const listPromise = this.api.listFiles(collection.get('folder'));
+  entriesByFolder(collection, extension, depth) {
+    const listPromise = this.api.listFiles(collection.get('folder'), depth);
     return resolvePromiseProperties({
       files: listPromise
         .then(({ entries }) => entries)
@@ -176,9 +199,9 @@ export default class BitbucketBackend {
     });
   }
 
-  allEntriesByFolder(collection, extension) {
+  allEntriesByFolder(collection, extension, depth) {
     return this.api
-      .listAllFiles(collection.get('folder'))
+      .listAllFiles(collection.get('folder'), depth)
       .then(filterByPropExtension(extension, 'path'))
       .then(this.fetchFiles);
   }
@@ -225,6 +248,14 @@ export default class BitbucketBackend {
     }));
   }
 
+  getEntryHistory(collection, slug, path) {
+    return this.api.listFileCommits(path);
+  }
+
+  getEntryAtRevision(collection, slug, path, sha) {
+    return this.api.readFile(path, null, { ref: sha });
+  }
+
   getMedia() {
     return this.api
       .listAllFiles(this.config.get('media_folder'))
@@ -247,8 +278,15 @@ export default class BitbucketBackend {
     );
   }
 
-  persistEntry(entry, mediaFiles, options = {}) {
-    return this.api.persistFiles([entry], options);
+  persistEntry(entry, mediaFiles = [], options = {}) {
+    // persistEntry is a transactional operation
+    return this.runWithLock(
+      () =>
+        options.useWorkflow
+          ? this.api.editorialWorkflowGit(entry, mediaFiles, options)
+          : this.api.uploadFiles([...mediaFiles.filter(file => !file.uploaded), entry], options),
+      'Failed to acquire persist entry lock',
+    );
   }
 
   async persistMedia(mediaFile, options = {}) {
@@ -261,6 +299,10 @@ export default class BitbucketBackend {
     return this.api.deleteFile(path, commitMessage, options);
   }
 
+  deleteFiles(paths, commitMessage, options) {
+    return this.api.deleteFiles(paths, commitMessage, options);
+  }
+
   traverseCursor(cursor, action) {
     return this.api.traverseCursor(cursor, action).then(async ({ entries, cursor: newCursor }) => ({
       entries: await Promise.all(
@@ -269,4 +311,78 @@ export default class BitbucketBackend {
       cursor: newCursor,
     }));
   }
+
+  unpublishedEntries() {
+    return this.api.listUnpublishedBranches().then(branches => {
+      const sem = semaphore(MAX_CONCURRENT_DOWNLOADS);
+      const promises = branches.map(
+        branch =>
+          new Promise(resolve => {
+            const contentKey = contentKeyFromBranch(branch);
+            const { slug } = parseContentKey(contentKey);
+            return sem.take(() =>
+              this.api
+                .readUnpublishedBranchFile(contentKey)
+                .then(data => {
+                  resolve({
+                    slug,
+                    file: { path: data.metaData.objects.entry.path },
+                    data: data.fileData,
+                    metaData: data.metaData,
+                    isModification: data.isModification,
+                  });
+                  sem.leave();
+                })
+                .catch(() => {
+                  sem.leave();
+                  resolve(null);
+                }),
+            );
+          }),
+      );
+      return Promise.all(promises);
+    });
+  }
+
+  unpublishedEntry(collection, slug) {
+    const contentKey = generateContentKey(collection.get('name'), slug);
+    return this.api.readUnpublishedBranchFile(contentKey).then(data => ({
+      slug,
+      file: { path: data.metaData.objects.entry.path },
+      data: data.fileData,
+      metaData: data.metaData,
+      isModification: data.isModification,
+    }));
+  }
+
+  async unpublishedEntryFile(collection, slug, path) {
+    const branch = branchFromContentKey(generateContentKey(collection.get('name'), slug));
+    // branch names contain slashes, so files are read at the branch head commit
+    const ref = await this.api.branchCommitSha(branch);
+    return this.api.readFile(path, null, { ref });
+  }
+
+  updateUnpublishedEntryStatus(collection, slug, newStatus) {
+    // updateUnpublishedEntryStatus is a transactional operation
+    return this.runWithLock(
+      () => this.api.updateUnpublishedEntryStatus(collection, slug, newStatus),
+      'Failed to acquire update entry status lock',
+    );
+  }
+
+  deleteUnpublishedEntry(collection, slug) {
+    // deleteUnpublishedEntry is a transactional operation
+    return this.runWithLock(
+      () => this.api.deleteUnpublishedEntry(collection, slug),
+      'Failed to acquire delete entry lock',
+    );
+  }
+
+  publishUnpublishedEntry(collection, slug) {
+    // publishUnpublishedEntry is a transactional operation
+    return this.runWithLock(
+      () => this.api.publishUnpublishedEntry(collection, slug),
+      'Failed to acquire publish entry lock',
+    );
+  }
 }
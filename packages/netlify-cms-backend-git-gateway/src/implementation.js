@@ -133,8 +133,8 @@ export default class GitGateway {
         }
       }
 
+      const userRoles = get(jwtDecode(token), 'app_metadata.roles', []);
       if (this.acceptRoles && this.acceptRoles.length > 0) {
-        const userRoles = get(jwtDecode(token), 'app_metadata.roles', []);
         const validRole = intersection(userRoles, this.acceptRoles).length > 0;
         if (!validRole) {
           throw new Error("You don't have sufficient permissions to access Netlify CMS");
@@ -174,7 +174,7 @@ export default class GitGateway {
       if (!(await this.api.hasWriteAccess())) {
         throw new Error("You don't have sufficient permissions to access Netlify CMS");
       }
-      return { name: userData.name, login: userData.email };
+      return { name: userData.name, login: userData.email, roles: userRoles };
     });
   }
   restoreUser() {
@@ -196,8 +196,8 @@ export default class GitGateway {
     return this.tokenPromise();
   }
 
-  entriesByFolder(collection, extension) {
-    return this.backend.entriesByFolder(collection, extension);
+  entriesByFolder(collection, extension, depth) {
+    return this.backend.entriesByFolder(collection, extension, depth);
   }
   entriesByFiles(collection) {
     return this.backend.entriesByFiles(collection);
@@ -209,6 +209,13 @@ export default class GitGateway {
     return this.backend.getEntry(collection, slug, path);
   }
 
+  getEntryHistory(collection, slug, path) {
+    return this.backend.getEntryHistory(collection, slug, path);
+  }
+  getEntryAtRevision(collection, slug, path, sha) {
+    return this.backend.getEntryAtRevision(collection, slug, path, sha);
+  }
+
   getMedia() {
     return Promise.all([this.backend.getMedia(), this.getLargeMediaClient()]).then(
       async ([mediaFiles, largeMediaClient]) => {
@@ -366,7 +373,8 @@ export default class GitGateway {
       mediaFiles.map(async mediaFile => {
         const { fileObj, path } = mediaFile;
         const fixedPath = path.startsWith('/') ? path.slice(1) : path;
-        if (!client.matchPath(fixedPath)) {
+        // files without a file object, such as entry translations, are stored as is
+        if (!fileObj || !client.matchPath(fixedPath)) {
           return mediaFile;
         }
 
@@ -410,6 +418,9 @@ export default class GitGateway {
   deleteFile(path, commitMessage, options) {
     return this.backend.deleteFile(path, commitMessage, options);
   }
+  deleteFiles(paths, commitMessage, options) {
+    return this.backend.deleteFiles(paths, commitMessage, options);
+  }
   getDeployPreview(collection, slug) {
     if (this.backend.getDeployPreview) {
       return this.backend.getDeployPreview(collection, slug);
@@ -424,9 +435,46 @@ export default class GitGateway {
       Promise.resolve(false)
     );
   }
+  unpublishedEntryFile(collection, slug, path) {
+    return (
+      (this.backend.unpublishedEntryFile &&
+        this.backend.unpublishedEntryFile(collection, slug, path)) ||
+      Promise.resolve()
+    );
+  }
   updateUnpublishedEntryStatus(collection, slug, newStatus) {
     return this.backend.updateUnpublishedEntryStatus(collection, slug, newStatus);
   }
+  supportsScheduledPublishing() {
+    return !!(this.backend && this.backend.updateUnpublishedEntryPublishAt);
+  }
+  updateUnpublishedEntryPublishAt(collection, slug, publishAt) {
+    if (!this.backend.updateUnpublishedEntryPublishAt) {
+      return Promise.reject(new Error('Scheduled publishing is not supported by this backend'));
+    }
+    return this.backend.updateUnpublishedEntryPublishAt(collection, slug, publishAt);
+  }
+  supportsComments() {
+    return !!(this.backend && this.backend.listEntryComments);
+  }
+  listEntryComments(collection, slug) {
+    if (!this.backend.listEntryComments) {
+      return Promise.reject(new Error('Comments are not supported by this backend'));
+    }
+    return this.backend.listEntryComments(collection, slug);
+  }
+  addEntryComment(collection, slug, body, field) {
+    if (!this.backend.addEntryComment) {
+      return Promise.reject(new Error('Comments are not supported by this backend'));
+    }
+    return this.backend.addEntryComment(collection, slug, body, field);
+  }
+  resolveEntryComment(collection, slug, commentId) {
+    if (!this.backend.resolveEntryComment) {
+      return Promise.reject(new Error('Comments are not supported by this backend'));
+    }
+    return this.backend.resolveEntryComment(collection, slug, commentId);
+  }
   deleteUnpublishedEntry(collection, slug) {
     return this.backend.deleteUnpublishedEntry(collection, slug);
   }
@@ -1,6 +1,6 @@
 import { Base64 } from 'js-base64';
 import semaphore from 'semaphore';
-import { find, flow, get, hasIn, initial, last, partial, result, uniq } from 'lodash';
+import { find, flow, get, hasIn, initial, last, omit, partial, result, uniq } from 'lodash';
 import { map } from 'lodash/fp';
 import {
   getAllResponses,
@@ -13,6 +13,7 @@ import {
 } from 'netlify-cms-lib-util';
 
 const CMS_BRANCH_PREFIX = 'cms';
+const METADATA_UPDATE_ATTEMPTS = 3;
 
 const replace404WithEmptyArray = err => {
   if (err && err.status === 404) {
@@ -48,6 +49,15 @@ export default class API {
     return this._userPromise;
   }
 
+  /**
+   * Teams of the authenticated user as `org/team`, readable with the
+   * `read:org` scope.
+   */
+  async userTeams() {
+    const teams = await this.requestAllPages('/user/teams');
+    return teams.map(team => `${team.organization.login}/${team.slug}`);
+  }
+
   hasWriteAccess() {
     return this.request(this.repoURL)
       .then(repo => repo.permissions.push)
@@ -184,41 +194,93 @@ export default class API {
       });
   }
 
-  async storeMetadata(key, data) {
-    // semaphore ensures metadata updates are always ordered, even if
-    // calls to storeMetadata are not. concurrent metadata updates
-    // will result in the metadata branch being unable to update.
+  /**
+   * Runs metadata updates one at a time. Concurrent metadata updates would
+   * result in the metadata branch being unable to update.
+   */
+  runWithMetadataSemaphore(func) {
     if (!this._metadataSemaphore) {
       this._metadataSemaphore = semaphore(1);
     }
     return new Promise((resolve, reject) =>
       this._metadataSemaphore.take(async () => {
         try {
-          const branchData = await this.checkMetadataRef();
-          const fileTree = {
-            [`${key}.json`]: {
-              path: `${key}.json`,
-              raw: JSON.stringify(data),
-              file: true,
-            },
-          };
-          await this.uploadBlob(fileTree[`${key}.json`]);
-          const changeTree = await this.updateTree(branchData.sha, '/', fileTree);
-          const { sha } = await this.commit(`Updating “${key}” metadata`, changeTree);
-          await this.patchRef('meta', '_netlify_cms', sha);
-          localForage.setItem(`gh.meta.${key}`, {
-            expires: Date.now() + 300000, // In 5 minutes
-            data,
-          });
-          this._metadataSemaphore.leave();
-          resolve();
+          resolve(await func());
         } catch (err) {
           reject(err);
+        } finally {
+          this._metadataSemaphore.leave();
         }
       }),
     );
   }
 
+  /**
+   * Commits the metadata of an entry on top of a commit of the metadata ref.
+   * The ref isn't forced, so this fails when it moved since that commit.
+   */
+  async commitMetadata(key, data, parentSha) {
+    const fileTree = {
+      [`${key}.json`]: {
+        path: `${key}.json`,
+        raw: JSON.stringify(data),
+        file: true,
+      },
+    };
+    await this.uploadBlob(fileTree[`${key}.json`]);
+    const changeTree = await this.updateTree(parentSha, '/', fileTree);
+    const { sha } = await this.commit(`Updating “${key}” metadata`, changeTree);
+    await this.patchRef('meta', '_netlify_cms', sha);
+    localForage.setItem(`gh.meta.${key}`, {
+      expires: Date.now() + 300000, // In 5 minutes
+      data,
+    });
+  }
+
+  /**
+   * Stores the metadata of a new entry. Metadata that already exists is
+   * changed with `updateMetadata` instead, so that the comments it holds
+   * aren't overwritten with a stale copy.
+   */
+  storeMetadata(key, data) {
+    return this.runWithMetadataSemaphore(async () => {
+      const branchData = await this.checkMetadataRef();
+      await this.commitMetadata(key, data, branchData.sha);
+    });
+  }
+
+  retrieveMetadataAt(key, sha) {
+    return this.request(`${this.repoURL}/contents/${key}.json`, {
+      params: { ref: sha },
+      headers: { Accept: 'application/vnd.github.VERSION.raw' },
+      cache: 'no-store',
+    }).then(response => JSON.parse(response));
+  }
+
+  /**
+   * Applies `update` to the latest metadata of an entry rather than to a
+   * cached copy, and applies it again to the new metadata when another
+   * session updated the metadata ref in the meantime, so that comments added
+   * concurrently by other users aren't lost. Resolves to the updated metadata.
+   */
+  updateMetadata(key, update) {
+    return this.runWithMetadataSemaphore(async () => {
+      for (let attempt = 1; ; attempt++) {
+        const branchData = await this.checkMetadataRef();
+        const metadata = await this.retrieveMetadataAt(key, branchData.sha);
+        const data = update(metadata);
+        try {
+          await this.commitMetadata(key, data, branchData.sha);
+          return data;
+        } catch (error) {
+          if (attempt >= METADATA_UPDATE_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    });
+  }
+
   retrieveMetadata(key) {
     const cache = localForage.getItem(`gh.meta.${key}`);
     return cache.then(cached => {
@@ -287,6 +349,23 @@ export default class API {
     }
   }
 
+  /**
+   * Lists the commits of the published branch which changed a file, newest
+   * first.
+   */
+  async listFileCommits(path, { branch = this.branch, repoURL = this.repoURL } = {}) {
+    const commits = await this.request(`${repoURL}/commits`, {
+      params: { path, sha: branch },
+      cache: 'no-store',
+    });
+    return commits.map(({ sha, commit }) => ({
+      sha,
+      message: commit.message,
+      author: commit.author.name,
+      date: commit.author.date,
+    }));
+  }
+
   fetchBlob(sha, repoURL) {
     return this.request(
       `${repoURL}/git/blobs/${sha}`,
@@ -330,11 +409,14 @@ export default class API {
     });
   }
 
-  listFiles(path, { repoURL = this.repoURL, branch = this.branch } = {}) {
+  listFiles(path, { repoURL = this.repoURL, branch = this.branch, depth = 1 } = {}) {
     const folderPath = path.replace(/\/$/, '');
-    return this.request(`${repoURL}/git/trees/${branch}:${folderPath}`).then(res =>
+    return this.request(`${repoURL}/git/trees/${branch}:${folderPath}`, {
+      params: depth > 1 ? { recursive: 1 } : {},
+    }).then(res =>
       res.tree
-        .filter(file => file.type === 'blob')
+        // filter only files and up to the required depth
+        .filter(file => file.type === 'blob' && file.path.split('/').length <= depth)
         .map(file => ({
           ...file,
           name: file.path,
@@ -343,16 +425,20 @@ export default class API {
     );
   }
 
-  readUnpublishedBranchFile(contentKey) {
-    const metaDataPromise = this.retrieveMetadata(contentKey).then(data =>
-      data.objects.entry.path ? data : Promise.reject(null),
-    );
-    const repoURL = this.useOpenAuthoring
+  unpublishedRepoURL(contentKey) {
+    return this.useOpenAuthoring
       ? `/repos/${contentKey
           .split('/')
           .slice(0, 2)
           .join('/')}`
       : this.repoURL;
+  }
+
+  readUnpublishedBranchFile(contentKey) {
+    const metaDataPromise = this.retrieveMetadata(contentKey).then(data =>
+      data.objects.entry.path ? data : Promise.reject(null),
+    );
+    const repoURL = this.unpublishedRepoURL(contentKey);
     return resolvePromiseProperties({
       metaData: metaDataPromise,
       fileData: metaDataPromise.then(data =>
@@ -369,6 +455,11 @@ export default class API {
     });
   }
 
+  async readUnpublishedFile(contentKey, path) {
+    const { branch } = await this.retrieveMetadata(contentKey);
+    return this.readFile(path, null, { branch, repoURL: this.unpublishedRepoURL(contentKey) });
+  }
+
   isUnpublishedEntryModification(path, branch) {
     return this.readFile(path, null, {
       branch,
@@ -414,7 +505,7 @@ export default class API {
     // Set the status to draft if no corresponding PR is recorded
     if (!prMetadata && status !== 'draft') {
       const newMetadata = { ...metadata, status: 'draft' };
-      this.storeMetadata(contentKey, newMetadata);
+      this.updateMetadata(contentKey, metadata => ({ ...metadata, status: 'draft' }));
       return newMetadata;
     }
 
@@ -431,16 +522,15 @@ export default class API {
         return;
       } else if (currentState === 'closed' && !mergedAt) {
         if (status !== 'draft') {
-          const newMetadata = { ...metadata, status: 'draft' };
-          await this.storeMetadata(contentKey, newMetadata);
-          return newMetadata;
+          return this.updateMetadata(contentKey, metadata => ({ ...metadata, status: 'draft' }));
         }
       } else {
         if (status !== 'pending_review') {
           // PR is open and has not been merged
-          const newMetadata = { ...metadata, status: 'pending_review' };
-          await this.storeMetadata(contentKey, newMetadata);
-          return newMetadata;
+          return this.updateMetadata(contentKey, metadata => ({
+            ...metadata,
+            status: 'pending_review',
+          }));
         }
       }
     }
@@ -538,7 +628,12 @@ export default class API {
       uploadPromises.push(this.uploadBlob(file));
     });
 
-    const fileTree = this.composeFileTree(files);
+    // the files at the previous path of a renamed entry are removed from the tree
+    const deletedFiles = get(options, ['renamedFrom', 'paths'], []).map(path => ({
+      path,
+      sha: null,
+    }));
+    const fileTree = this.composeFileTree([...files, ...deletedFiles]);
 
     return Promise.all(uploadPromises).then(() => {
       if (!options.useWorkflow) {
@@ -592,6 +687,20 @@ export default class API {
     });
   }
 
+  /**
+   * Deletes several files of the published branch in a single commit.
+   */
+  deleteFiles(paths, message) {
+    if (this.useOpenAuthoring) {
+      return Promise.reject('Cannot delete published entries as an Open Authoring user!');
+    }
+    const fileTree = this.composeFileTree(paths.map(path => ({ path, sha: null })));
+    return this.getBranch()
+      .then(branchData => this.updateTree(branchData.commit.sha, '/', fileTree))
+      .then(changeTree => this.commit(message, changeTree))
+      .then(response => this.patchBranch(this.branch, response.sha));
+  }
+
   async createBranchAndPullRequest(branchName, sha, commitMessage) {
     await this.createBranch(branchName, sha);
     return this.createPR(commitMessage, branchName);
@@ -601,7 +710,9 @@ export default class API {
     const contentKey = this.generateContentKey(options.collectionName, entry.slug);
     const branchName = this.generateBranchName(contentKey);
     const unpublished = options.unpublished || false;
-    if (!unpublished) {
+    if (unpublished && options.renamedFrom) {
+      return this.renameUnpublishedEntry(fileTree, entry, filesList, options);
+    } else if (!unpublished) {
       // Open new editorial review workflow for this entry - Create new metadata and commit to new branch
       const userPromise = this.user();
       const branchData = await this.getBranch();
@@ -652,31 +763,80 @@ export default class API {
       const metadataPromise = this.retrieveMetadata(contentKey);
       const [commit, metadata] = await Promise.all([commitPromise, metadataPromise]);
       const { title, description } = options.parsedData || {};
-      const metadataFiles = get(metadata.objects, 'files', []);
-      const files = [...metadataFiles, ...filesList];
-      const pr = metadata.pr ? { ...metadata.pr, head: commit.sha } : undefined;
-      const objects = {
-        entry: { path: entry.path, sha: entry.sha },
-        files: uniq(files),
-      };
-      const updatedMetadata = { ...metadata, pr, title, description, objects };
+      const updateEntryMetadata = metadata => ({
+        ...metadata,
+        pr: metadata.pr ? { ...metadata.pr, head: commit.sha } : undefined,
+        title,
+        description,
+        objects: {
+          entry: { path: entry.path, sha: entry.sha },
+          files: uniq([...get(metadata.objects, 'files', []), ...filesList]),
+        },
+      });
 
       if (options.hasAssetStore) {
-        await this.storeMetadata(contentKey, updatedMetadata);
+        await this.updateMetadata(contentKey, updateEntryMetadata);
         return this.patchBranch(branchName, commit.sha);
       }
 
-      if (pr) {
-        return this.rebasePullRequest(pr.number, branchName, contentKey, metadata, commit);
+      if (metadata.pr) {
+        return this.rebasePullRequest(metadata.pr.number, branchName, contentKey, metadata, commit);
       } else if (this.useOpenAuthoring) {
         // if a PR hasn't been created yet for the forked repo, just patch the branch
         await this.patchBranch(branchName, commit.sha, { force: true });
       }
 
-      return this.storeMetadata(contentKey, updatedMetadata);
+      return this.updateMetadata(contentKey, updateEntryMetadata);
     }
   }
 
+  /**
+   * Commits the rename of an unpublished entry to a branch for its new slug,
+   * created from the branch of the old slug, and moves the metadata and pull
+   * request of the entry over to it. The old branch and pull request are then
+   * removed.
+   */
+  async renameUnpublishedEntry(fileTree, entry, filesList, options) {
+    const contentKey = this.generateContentKey(options.collectionName, entry.slug);
+    const branchName = this.generateBranchName(contentKey);
+    const oldContentKey = this.generateContentKey(options.collectionName, options.renamedFrom.slug);
+    const oldBranchName = this.generateBranchName(oldContentKey);
+
+    const branchData = await this.getBranch(oldBranchName);
+    const changeTree = await this.updateTree(branchData.commit.sha, '/', fileTree);
+    const commitResponse = await this.commit(options.commitMessage, changeTree);
+    const metadata = await this.retrieveMetadata(oldContentKey);
+
+    let pr;
+    if (this.useOpenAuthoring) {
+      await this.createBranch(branchName, commitResponse.sha);
+    } else {
+      pr = await this.createBranchAndPullRequest(
+        branchName,
+        commitResponse.sha,
+        options.commitMessage,
+      );
+    }
+
+    const { title, description } = options.parsedData || {};
+    const metadataFiles = get(metadata.objects, 'files', []);
+    await this.storeMetadata(contentKey, {
+      ...metadata,
+      pr: pr ? { number: pr.number, head: pr.head && pr.head.sha } : undefined,
+      branch: branchName,
+      commitMessage: options.commitMessage,
+      title,
+      description,
+      objects: {
+        entry: { path: entry.path, sha: entry.sha },
+        files: uniq([...metadataFiles, ...filesList]),
+      },
+      timeStamp: new Date().toISOString(),
+    });
+
+    return this.deleteUnpublishedEntry(options.collectionName, options.renamedFrom.slug);
+  }
+
   /**
    * Rebase a pull request onto the latest HEAD of it's target base branch
    * (should generally be the configured backend branch). Only rebases changes
@@ -708,10 +868,12 @@ export default class API {
       /**
        * Update metadata, then force update the pull request branch head.
        */
-      const pr = { ...metadata.pr, head: rebasedHead.sha };
       const timeStamp = new Date().toISOString();
-      const updatedMetadata = { ...metadata, pr, timeStamp };
-      await this.storeMetadata(contentKey, updatedMetadata);
+      await this.updateMetadata(contentKey, metadata => ({
+        ...metadata,
+        pr: { ...metadata.pr, head: rebasedHead.sha },
+        timeStamp,
+      }));
       return this.patchBranch(branchName, rebasedHead.sha, { force: true });
     } catch (error) {
       console.error(error);
@@ -826,11 +988,10 @@ export default class API {
     const contentKey = this.generateContentKey(collectionName, slug);
     const metadata = await this.retrieveMetadata(contentKey);
 
+    const updateStatus = metadata => ({ ...metadata, status });
+
     if (!this.useOpenAuthoring) {
-      return this.storeMetadata(contentKey, {
-        ...metadata,
-        status,
-      });
+      return this.updateMetadata(contentKey, updateStatus);
     }
 
     if (status === 'pending_publish') {
@@ -844,18 +1005,12 @@ export default class API {
       const { state } = originPRInfo;
       if (state === 'open' && status === 'draft') {
         await this.closePR(prMetadata);
-        return this.storeMetadata(contentKey, {
-          ...metadata,
-          status,
-        });
+        return this.updateMetadata(contentKey, updateStatus);
       }
 
       if (state === 'closed' && status === 'pending_review') {
         await this.openPR(prMetadata);
-        return this.storeMetadata(contentKey, {
-          ...metadata,
-          status,
-        });
+        return this.updateMetadata(contentKey, updateStatus);
       }
     }
 
@@ -863,12 +1018,102 @@ export default class API {
       const branchName = this.generateBranchName(contentKey);
       const commitMessage = metadata.commitMessage || API.DEFAULT_COMMIT_MESSAGE;
       const { number, head } = await this.createPR(commitMessage, branchName);
-      return this.storeMetadata(contentKey, {
+      return this.updateMetadata(contentKey, metadata => ({
         ...metadata,
         pr: { number, head },
         status,
-      });
+      }));
+    }
+  }
+
+  updateUnpublishedEntryPublishAt(collectionName, slug, publishAt) {
+    const contentKey = this.generateContentKey(collectionName, slug);
+    return this.updateMetadata(contentKey, metadata => ({ ...metadata, publish_at: publishAt }));
+  }
+
+  /**
+   * Comments on unpublished entries are the comments of their pull request.
+   * Pull request comments can't be resolved on GitHub, so the ids of resolved
+   * comments are kept in the entry metadata, along with the comments on single
+   * fields of the entry.
+   */
+  normalizeComment(comment, resolvedComments = []) {
+    const id = String(comment.id);
+    return {
+      id,
+      author: comment.user && comment.user.login,
+      body: comment.body,
+      createdAt: comment.created_at,
+      resolved: resolvedComments.includes(id),
+    };
+  }
+
+  async listEntryComments(collectionName, slug) {
+    const contentKey = this.generateContentKey(collectionName, slug);
+    const metadata = await this.retrieveMetadata(contentKey);
+    const fieldComments = metadata.field_comments || [];
+    if (!metadata.pr) {
+      return fieldComments;
     }
+    const comments = await this.requestAllPages(
+      `${this.originRepoURL}/issues/${metadata.pr.number}/comments`,
+    );
+    return [
+      ...comments.map(comment => this.normalizeComment(comment, metadata.resolved_comments)),
+      ...fieldComments,
+    ];
+  }
+
+  async addEntryComment(collectionName, slug, body, field) {
+    const contentKey = this.generateContentKey(collectionName, slug);
+    if (field) {
+      const user = await this.user();
+      const createdAt = new Date().toISOString();
+      const comment = {
+        id: `field-${Date.now()}`,
+        author: user.login || user.name,
+        body,
+        field,
+        createdAt,
+        resolved: false,
+      };
+      await this.updateMetadata(contentKey, metadata => ({
+        ...metadata,
+        field_comments: [...(metadata.field_comments || []), comment],
+      }));
+      return comment;
+    }
+    const metadata = await this.retrieveMetadata(contentKey);
+    if (!metadata.pr) {
+      throw new Error('Comments can only be added to entries with a pull request');
+    }
+    const comment = await this.request(
+      `${this.originRepoURL}/issues/${metadata.pr.number}/comments`,
+      {
+        method: 'POST',
+        body: JSON.stringify({ body }),
+      },
+    );
+    return this.normalizeComment(comment);
+  }
+
+  async resolveEntryComment(collectionName, slug, commentId) {
+    const contentKey = this.generateContentKey(collectionName, slug);
+    await this.updateMetadata(contentKey, metadata => {
+      const fieldComments = metadata.field_comments || [];
+      if (fieldComments.some(comment => comment.id === commentId)) {
+        return {
+          ...metadata,
+          field_comments: fieldComments.map(comment =>
+            comment.id === commentId ? { ...comment, resolved: true } : comment,
+          ),
+        };
+      }
+      return {
+        ...metadata,
+        resolved_comments: uniq([...(metadata.resolved_comments || []), commentId]),
+      };
+    });
   }
 
   async deleteUnpublishedEntry(collectionName, slug) {
@@ -894,9 +1139,14 @@ export default class API {
   publishUnpublishedEntry(collectionName, slug) {
     const contentKey = this.generateContentKey(collectionName, slug);
     const branchName = this.generateBranchName(contentKey);
-    return this.retrieveMetadata(contentKey)
-      .then(metadata => this.mergePR(metadata.pr, metadata.objects))
-      .then(() => this.deleteBranch(branchName));
+    return this.retrieveMetadata(contentKey).then(async metadata => {
+      await this.mergePR(metadata.pr, metadata.objects);
+      await this.deleteBranch(branchName);
+      // field comments only apply to the unpublished changes
+      if (metadata.field_comments) {
+        await this.updateMetadata(contentKey, metadata => omit(metadata, ['field_comments']));
+      }
+    });
   }
 
   createRef(type, name, sha) {
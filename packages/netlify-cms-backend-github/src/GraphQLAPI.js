@@ -186,7 +186,11 @@ export default class GraphQLAPI extends API {
     }
   }
 
-  async listFiles(path, { repoURL = this.repoURL, branch = this.branch } = {}) {
+  async listFiles(path, { repoURL = this.repoURL, branch = this.branch, depth = 1 } = {}) {
+    if (depth > 1) {
+      // the files query only returns the direct entries of a tree
+      return super.listFiles(path, { repoURL, branch, depth });
+    }
     const { owner, name } = this.getOwnerAndNameFromRepoUrl(repoURL);
     const { data } = await this.query({
       query: queries.files,
@@ -37,6 +37,358 @@ describe('github API', () => {
     ).resolves.toEqual('gh-pages');
   });
 
+  it('should delete the previous files of a renamed entry in the same commit', async () => {
+    const trees = [];
+    const api = new API({ branch: 'master', repo: 'my-repo' });
+    const responses = {
+      '/repos/my-repo/branches/master': () => ({ commit: { sha: 'root' } }),
+      '/repos/my-repo/git/trees/root': () => ({
+        tree: [{ path: 'posts', mode: '040000', type: 'tree', sha: 'posts' }],
+      }),
+      '/repos/my-repo/git/trees/posts': () => ({
+        tree: [{ path: 'old.md', mode: '100644', type: 'blob', sha: 'old' }],
+      }),
+      '/repos/my-repo/git/trees': ({ body }) => {
+        trees.push(JSON.parse(body));
+        return { sha: `tree-${trees.length}` };
+      },
+      '/repos/my-repo/git/blobs': () => ({ sha: 'new' }),
+      '/repos/my-repo/git/commits': () => ({ sha: 'commit' }),
+      '/repos/my-repo/git/refs/heads/master': () => ({}),
+    };
+    mockAPI(api, responses);
+
+    await api.persistFiles({ path: 'posts/new.md', raw: 'content', slug: 'new' }, [], {
+      commitMessage: 'Rename',
+      renamedFrom: { slug: 'old', paths: ['posts/old.md'] },
+    });
+
+    expect(trees[0]).toEqual({
+      base_tree: 'posts',
+      tree: [
+        { path: 'old.md', mode: '100644', type: 'blob', sha: null },
+        { path: 'new.md', mode: '100644', type: 'blob', sha: 'new' },
+      ],
+    });
+  });
+
+  it('should delete several files in a single commit', async () => {
+    const trees = [];
+    const api = new API({ branch: 'master', repo: 'my-repo' });
+    const responses = {
+      '/repos/my-repo/branches/master': () => ({ commit: { sha: 'root' } }),
+      '/repos/my-repo/git/trees/root': () => ({
+        tree: [{ path: 'posts', mode: '040000', type: 'tree', sha: 'posts' }],
+      }),
+      '/repos/my-repo/git/trees/posts': () => ({
+        tree: [
+          { path: 'hello.en.md', mode: '100644', type: 'blob', sha: 'en' },
+          { path: 'hello.de.md', mode: '100644', type: 'blob', sha: 'de' },
+        ],
+      }),
+      '/repos/my-repo/git/trees': ({ body }) => {
+        trees.push(JSON.parse(body));
+        return { sha: `tree-${trees.length}` };
+      },
+      '/repos/my-repo/git/commits': () => ({ sha: 'commit' }),
+      '/repos/my-repo/git/refs/heads/master': () => ({}),
+    };
+    mockAPI(api, responses);
+
+    await api.deleteFiles(['posts/hello.en.md', 'posts/hello.de.md'], 'Delete');
+
+    expect(trees[0]).toEqual({
+      base_tree: 'posts',
+      tree: [
+        { path: 'hello.en.md', mode: '100644', type: 'blob', sha: null },
+        { path: 'hello.de.md', mode: '100644', type: 'blob', sha: null },
+      ],
+    });
+  });
+
+  const mockMetadataRef = (api, metadata) => {
+    api.checkMetadataRef = jest.fn().mockResolvedValue({ sha: 'meta' });
+    api.retrieveMetadataAt = jest.fn().mockResolvedValue(metadata);
+    api.commitMetadata = jest.fn().mockResolvedValue();
+  };
+
+  describe('unpublished entry metadata', () => {
+    const fieldComment = { id: 'field-1', body: 'Crop it', field: 'hero.image', resolved: false };
+
+    it('should keep the comments of the latest metadata when updating the status', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      api.retrieveMetadata = jest.fn().mockResolvedValue({ status: 'draft' });
+      mockMetadataRef(api, { status: 'draft', field_comments: [fieldComment] });
+
+      await api.updateUnpublishedEntryStatus('posts', 'entry', 'pending_review');
+
+      expect(api.commitMetadata).toHaveBeenCalledWith(
+        'entry',
+        { status: 'pending_review', field_comments: [fieldComment] },
+        'meta',
+      );
+    });
+
+    it('should keep the comments of the latest metadata when updating an entry', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      api.getBranch = jest.fn().mockResolvedValue({ commit: { sha: 'branch' } });
+      api.updateTree = jest.fn().mockResolvedValue({ sha: 'tree' });
+      api.commit = jest.fn().mockResolvedValue({ sha: 'commit' });
+      api.patchBranch = jest.fn().mockResolvedValue();
+      api.retrieveMetadata = jest.fn().mockResolvedValue({ status: 'draft' });
+      mockMetadataRef(api, {
+        status: 'draft',
+        objects: { files: ['a.png'] },
+        resolved_comments: ['1'],
+      });
+
+      await api.editorialWorkflowGit(
+        {},
+        { path: 'posts/entry.md', sha: 'entry', slug: 'entry' },
+        ['b.png'],
+        {
+          collectionName: 'posts',
+          unpublished: true,
+          hasAssetStore: true,
+          parsedData: { title: 'Entry', description: 'An entry' },
+        },
+      );
+
+      expect(api.commitMetadata).toHaveBeenCalledWith(
+        'entry',
+        {
+          status: 'draft',
+          pr: undefined,
+          title: 'Entry',
+          description: 'An entry',
+          objects: {
+            entry: { path: 'posts/entry.md', sha: 'entry' },
+            files: ['a.png', 'b.png'],
+          },
+          resolved_comments: ['1'],
+        },
+        'meta',
+      );
+      expect(api.patchBranch).toHaveBeenCalledWith('cms/entry', 'commit');
+    });
+  });
+
+  it('should store the publish date of an unpublished entry in its metadata', async () => {
+    const api = new API({ branch: 'master', repo: 'my-repo' });
+    mockMetadataRef(api, { status: 'pending_publish', resolved_comments: ['1'] });
+
+    await api.updateUnpublishedEntryPublishAt('posts', 'entry', '2020-03-01T12:00:00.000Z');
+
+    expect(api.retrieveMetadataAt).toHaveBeenCalledWith('entry', 'meta');
+    expect(api.commitMetadata).toHaveBeenCalledWith(
+      'entry',
+      {
+        status: 'pending_publish',
+        resolved_comments: ['1'],
+        publish_at: '2020-03-01T12:00:00.000Z',
+      },
+      'meta',
+    );
+  });
+
+  describe('entry comments', () => {
+    const comment = {
+      id: 1,
+      user: { login: 'ada' },
+      body: 'Typo in the title',
+      created_at: '2020-01-01T00:00:00Z',
+    };
+
+    it('should list pull request comments with their resolved state', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      api.retrieveMetadata = jest
+        .fn()
+        .mockResolvedValue({ pr: { number: 7 }, resolved_comments: ['1'] });
+      api.requestAllPages = jest.fn().mockResolvedValue([comment, { ...comment, id: 2 }]);
+
+      await expect(api.listEntryComments('posts', 'entry')).resolves.toEqual([
+        {
+          id: '1',
+          author: 'ada',
+          body: 'Typo in the title',
+          createdAt: '2020-01-01T00:00:00Z',
+          resolved: true,
+        },
+        {
+          id: '2',
+          author: 'ada',
+          body: 'Typo in the title',
+          createdAt: '2020-01-01T00:00:00Z',
+          resolved: false,
+        },
+      ]);
+      expect(api.requestAllPages).toHaveBeenCalledWith('/repos/my-repo/issues/7/comments');
+    });
+
+    it('should list no comments for entries without pull request', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      api.retrieveMetadata = jest.fn().mockResolvedValue({ status: 'draft' });
+      api.requestAllPages = jest.fn();
+
+      await expect(api.listEntryComments('posts', 'entry')).resolves.toEqual([]);
+      expect(api.requestAllPages).not.toHaveBeenCalled();
+    });
+
+    it('should add comments to the pull request', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      api.retrieveMetadata = jest.fn().mockResolvedValue({ pr: { number: 7 } });
+      api.request = jest.fn().mockResolvedValue(comment);
+
+      await expect(api.addEntryComment('posts', 'entry', 'Typo in the title')).resolves.toEqual(
+        expect.objectContaining({ id: '1', resolved: false }),
+      );
+      expect(api.request).toHaveBeenCalledWith('/repos/my-repo/issues/7/comments', {
+        method: 'POST',
+        body: JSON.stringify({ body: 'Typo in the title' }),
+      });
+    });
+
+    it('should store resolved comments in the metadata', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      mockMetadataRef(api, { pr: { number: 7 }, resolved_comments: ['1'] });
+
+      await api.resolveEntryComment('posts', 'entry', '2');
+      await api.resolveEntryComment('posts', 'entry', '1');
+
+      expect(api.retrieveMetadataAt).toHaveBeenCalledWith('entry', 'meta');
+      expect(api.commitMetadata).toHaveBeenCalledWith(
+        'entry',
+        { pr: { number: 7 }, resolved_comments: ['1', '2'] },
+        'meta',
+      );
+      expect(api.commitMetadata).toHaveBeenLastCalledWith(
+        'entry',
+        { pr: { number: 7 }, resolved_comments: ['1'] },
+        'meta',
+      );
+    });
+
+    it('should store field comments in the metadata', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      mockMetadataRef(api, { status: 'draft' });
+      api.user = jest.fn().mockResolvedValue({ login: 'ada' });
+      api.request = jest.fn();
+
+      const fieldComment = await api.addEntryComment('posts', 'entry', 'Crop it', 'hero.image');
+
+      expect(fieldComment).toEqual(
+        expect.objectContaining({
+          author: 'ada',
+          body: 'Crop it',
+          field: 'hero.image',
+          resolved: false,
+        }),
+      );
+      expect(api.request).not.toHaveBeenCalled();
+      expect(api.commitMetadata).toHaveBeenCalledWith(
+        'entry',
+        { status: 'draft', field_comments: [fieldComment] },
+        'meta',
+      );
+    });
+
+    it('should keep field comments added concurrently by other users', async () => {
+      const otherComment = { id: 'field-1', body: 'Shorter', field: 'title', resolved: false };
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      mockMetadataRef(api, { status: 'draft' });
+      api.checkMetadataRef
+        .mockResolvedValueOnce({ sha: 'meta' })
+        .mockResolvedValueOnce({ sha: 'other-meta' });
+      api.retrieveMetadataAt
+        .mockResolvedValueOnce({ status: 'draft' })
+        .mockResolvedValueOnce({ status: 'draft', field_comments: [otherComment] });
+      // the metadata ref moved since it was read
+      api.commitMetadata.mockRejectedValueOnce(new Error('Update is not a fast forward'));
+      api.user = jest.fn().mockResolvedValue({ login: 'ada' });
+
+      const fieldComment = await api.addEntryComment('posts', 'entry', 'Crop it', 'hero.image');
+
+      expect(api.commitMetadata).toHaveBeenCalledTimes(2);
+      expect(api.commitMetadata).toHaveBeenLastCalledWith(
+        'entry',
+        { status: 'draft', field_comments: [otherComment, fieldComment] },
+        'other-meta',
+      );
+    });
+
+    it('should give up updating the metadata after several attempts', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      mockMetadataRef(api, { pr: { number: 7 } });
+      api.commitMetadata.mockRejectedValue(new Error('Update is not a fast forward'));
+
+      await expect(api.resolveEntryComment('posts', 'entry', '1')).rejects.toThrow(
+        'Update is not a fast forward',
+      );
+      expect(api.commitMetadata).toHaveBeenCalledTimes(3);
+    });
+
+    it('should list and resolve field comments', async () => {
+      const fieldComment = { id: 'field-1', body: 'Crop it', field: 'hero.image', resolved: false };
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      const metadata = { pr: { number: 7 }, field_comments: [fieldComment] };
+      api.retrieveMetadata = jest.fn().mockResolvedValue(metadata);
+      api.requestAllPages = jest.fn().mockResolvedValue([comment]);
+      mockMetadataRef(api, metadata);
+
+      const comments = await api.listEntryComments('posts', 'entry');
+      expect(comments.map(({ id, field }) => [id, field])).toEqual([
+        ['1', undefined],
+        ['field-1', 'hero.image'],
+      ]);
+
+      await api.resolveEntryComment('posts', 'entry', 'field-1');
+      expect(api.commitMetadata).toHaveBeenCalledWith(
+        'entry',
+        { pr: { number: 7 }, field_comments: [{ ...fieldComment, resolved: true }] },
+        'meta',
+      );
+    });
+
+    it('should clear field comments when publishing', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      api.retrieveMetadata = jest.fn().mockResolvedValue({
+        pr: { number: 7 },
+        objects: {},
+        field_comments: [{ id: 'field-1' }],
+      });
+      api.mergePR = jest.fn().mockResolvedValue();
+      api.deleteBranch = jest.fn().mockResolvedValue();
+      mockMetadataRef(api, {
+        pr: { number: 7 },
+        objects: {},
+        field_comments: [{ id: 'field-1' }],
+        resolved_comments: ['1'],
+      });
+
+      await api.publishUnpublishedEntry('posts', 'entry');
+
+      expect(api.mergePR).toHaveBeenCalledWith({ number: 7 }, {});
+      expect(api.deleteBranch).toHaveBeenCalledWith('cms/entry');
+      expect(api.commitMetadata).toHaveBeenCalledWith(
+        'entry',
+        { pr: { number: 7 }, objects: {}, resolved_comments: ['1'] },
+        'meta',
+      );
+    });
+  });
+
+  describe('userTeams', () => {
+    it('should return the teams of the user as org/team', async () => {
+      const api = new API({ branch: 'master', repo: 'my-repo' });
+      api.requestAllPages = jest
+        .fn()
+        .mockResolvedValue([{ slug: 'editors', organization: { login: 'my-org' } }]);
+
+      await expect(api.userTeams()).resolves.toEqual(['my-org/editors']);
+      expect(api.requestAllPages).toHaveBeenCalledWith('/user/teams');
+    });
+  });
+
   describe('request', () => {
     beforeEach(() => {
       const fetch = jest.fn();
@@ -1,4 +1,5 @@
 import GitHubImplementation from '../implementation';
+import API from '../API';
 
 jest.spyOn(console, 'error').mockImplementation(() => {});
 
@@ -72,4 +73,35 @@ describe('github backend implementation', () => {
       await expect(gitHubImplementation.forkExists({ token: 'token' })).resolves.toBe(false);
     });
   });
+
+  describe('authenticate', () => {
+    beforeEach(() => {
+      jest.spyOn(API.prototype, 'user').mockResolvedValue({ login: 'ada' });
+      jest.spyOn(API.prototype, 'hasWriteAccess').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should add the teams of the user', async () => {
+      jest.spyOn(API.prototype, 'userTeams').mockResolvedValue(['my-org/editors']);
+      const gitHubImplementation = new GitHubImplementation(config);
+
+      await expect(gitHubImplementation.authenticate({ token: 'token' })).resolves.toEqual(
+        expect.objectContaining({ login: 'ada', teams: ['my-org/editors'], token: 'token' }),
+      );
+    });
+
+    it('should authenticate without teams when they can not be read', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(API.prototype, 'userTeams').mockRejectedValue(new Error('Forbidden'));
+      const gitHubImplementation = new GitHubImplementation(config);
+
+      await expect(gitHubImplementation.authenticate({ token: 'token' })).resolves.toEqual(
+        expect.objectContaining({ login: 'ada', teams: [] }),
+      );
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -237,8 +237,18 @@ export default class GitHub {
       throw new Error('Your GitHub user account does not have access to this repo.');
     }
 
+    // Teams are only used to match the roles of the config, so users are not
+    // denied access when the token lacks the `read:org` scope.
+    const teams = await this.api.userTeams().catch(error => {
+      console.warn(
+        'Failed to load the GitHub teams of the user, roles by team will not apply. Set `auth_scope: repo,read:org` in the backend config to allow reading them.',
+        error,
+      );
+      return [];
+    });
+
     // Authorized user
-    return { ...user, token: state.token, useOpenAuthoring: this.useOpenAuthoring };
+    return { ...user, teams, token: state.token, useOpenAuthoring: this.useOpenAuthoring };
   }
 
   logout() {
@@ -253,9 +263,9 @@ export default class GitHub {
     return Promise.resolve(this.token);
   }
 
-  async entriesByFolder(collection, extension) {
+  async entriesByFolder(collection, extension, depth) {
     const repoURL = this.useOpenAuthoring ? this.api.originRepoURL : this.api.repoURL;
-    const files = await this.api.listFiles(collection.get('folder'), { repoURL });
+    const files = await this.api.listFiles(collection.get('folder'), { repoURL, depth });
     const filteredFiles = files.filter(file => file.name.endsWith('.' + extension));
     return this.fetchFiles(filteredFiles, { repoURL });
   }
@@ -305,6 +315,14 @@ export default class GitHub {
     }));
   }
 
+  getEntryHistory(collection, slug, path) {
+    return this.api.listFileCommits(path, { repoURL: this.api.originRepoURL });
+  }
+
+  getEntryAtRevision(collection, slug, path, sha) {
+    return this.api.readFile(path, null, { branch: sha, repoURL: this.api.originRepoURL });
+  }
+
   getMedia() {
     return this.api.listFiles(this.config.get('media_folder')).then(files =>
       files.map(({ sha, name, size, path }) => {
@@ -352,6 +370,10 @@ export default class GitHub {
     return this.api.deleteFile(path, commitMessage, options);
   }
 
+  deleteFiles(paths, commitMessage, options) {
+    return this.api.deleteFiles(paths, commitMessage, options);
+  }
+
   unpublishedEntries() {
     return this.api
       .listUnpublishedBranches()
@@ -414,6 +436,11 @@ export default class GitHub {
     });
   }
 
+  unpublishedEntryFile(collection, slug, path) {
+    const contentKey = this.api.generateContentKey(collection.get('name'), slug);
+    return this.api.readUnpublishedFile(contentKey, path);
+  }
+
   /**
    * Uses GitHub's Statuses API to retrieve statuses, infers which is for a
    * deploy preview via `getPreviewStatus`. Returns the url provided by the
@@ -446,6 +473,37 @@ export default class GitHub {
     );
   }
 
+  updateUnpublishedEntryPublishAt(collection, slug, publishAt) {
+    // updateUnpublishedEntryPublishAt is a transactional operation
+    return this.runWithLock(
+      () => this.api.updateUnpublishedEntryPublishAt(collection, slug, publishAt),
+      'Failed to acquire update entry schedule lock',
+    );
+  }
+
+  listEntryComments(collection, slug) {
+    return this.api.listEntryComments(collection, slug);
+  }
+
+  addEntryComment(collection, slug, body, field) {
+    if (field) {
+      // field comments are stored in the entry metadata
+      return this.runWithLock(
+        () => this.api.addEntryComment(collection, slug, body, field),
+        'Failed to acquire add comment lock',
+      );
+    }
+    return this.api.addEntryComment(collection, slug, body);
+  }
+
+  resolveEntryComment(collection, slug, commentId) {
+    // resolveEntryComment is a transactional operation
+    return this.runWithLock(
+      () => this.api.resolveEntryComment(collection, slug, commentId),
+      'Failed to acquire resolve comment lock',
+    );
+  }
+
   deleteUnpublishedEntry(collection, slug) {
     // deleteUnpublishedEntry is a transactional operation
     return this.runWithLock(
@@ -5,10 +5,20 @@ import {
   then,
   APIError,
   Cursor,
+  EditorialWorkflowError,
+  CMS_BRANCH_PREFIX,
+  DEFAULT_PR_BODY,
+  MERGE_COMMIT_MESSAGE,
+  isCMSLabel,
+  labelToStatus,
+  statusToLabel,
+  generateContentKey,
+  parseContentKey,
+  branchFromContentKey,
 } from 'netlify-cms-lib-util';
 import { Base64 } from 'js-base64';
 import { fromJS, Map } from 'immutable';
-import { flow, partial, result } from 'lodash';
+import { flow, partial, result, trimStart } from 'lodash';
 
 export default class API {
   constructor(config) {
@@ -17,6 +27,8 @@ export default class API {
     this.branch = config.branch || 'master';
     this.repo = config.repo || '';
     this.repoURL = `/projects/${encodeURIComponent(this.repo)}`;
+    this.squash_merges = config.squash_merges || false;
+    this.initialWorkflowStatus = config.initialWorkflowStatus;
   }
 
   withAuthorizationHeaders = req =>
@@ -114,6 +126,24 @@ export default class API {
     return result;
   };
 
+  /**
+   * Lists the commits of the published branch which changed a file, newest
+   * first.
+   */
+  listFileCommits = async path => {
+    const commits = await this.requestJSON({
+      url: `${this.repoURL}/repository/commits`,
+      params: { path, ref_name: this.branch },
+      cache: 'no-store',
+    });
+    return commits.map(({ id, message, author_name, authored_date }) => ({
+      sha: id,
+      message,
+      author: author_name,
+      date: authored_date,
+    }));
+  };
+
   getCursorFromHeaders = headers => {
     // indices and page counts are assumed to be zero-based, but the
     // indices and page counts returned from GitLab are one-based
@@ -187,35 +217,50 @@ export default class API {
   // while the CMS defaults to sorting by filename _ascending_, at
   // least in the current GitHub backend). This should eventually be
   // refactored.
-  listFiles = async path => {
+  // Files of nested folders are listed recursively, keeping only the
+  // ones up to the given depth below `path`.
+  filterFiles = (entries, path, depth = 1) => {
+    const pathDepth = trimStart(path, '/').split('/').length;
+    return entries.filter(
+      entry => entry.type === 'blob' && entry.path.split('/').length - pathDepth <= depth,
+    );
+  };
+
+  treeParams = (path, depth = 1) =>
+    depth > 1 ? { path, ref: this.branch, recursive: true } : { path, ref: this.branch };
+
+  listFiles = async (path, depth = 1) => {
     const firstPageCursor = await this.fetchCursor({
       url: `${this.repoURL}/repository/tree`,
-      params: { path, ref: this.branch },
+      params: this.treeParams(path, depth),
     });
     const lastPageLink = firstPageCursor.data.getIn(['links', 'last']);
     const { entries, cursor } = await this.fetchCursorAndEntries(lastPageLink);
     return {
-      files: entries.filter(({ type }) => type === 'blob').reverse(),
-      cursor: this.reverseCursor(cursor),
+      files: this.filterFiles(entries, path, depth).reverse(),
+      cursor: this.reverseCursor(cursor).mergeData({ path, depth }),
     };
   };
 
   traverseCursor = async (cursor, action) => {
     const link = cursor.data.getIn(['links', action]);
+    const path = cursor.data.get('path');
+    const depth = cursor.data.get('depth', 1);
     const { entries, cursor: newCursor } = await this.fetchCursorAndEntries(link);
     return {
-      entries: entries.filter(({ type }) => type === 'blob').reverse(),
-      cursor: this.reverseCursor(newCursor),
+      entries: (path
+        ? this.filterFiles(entries, path, depth)
+        : entries.filter(({ type }) => type === 'blob')
+      ).reverse(),
+      cursor: this.reverseCursor(newCursor).mergeData({ path, depth }),
     };
   };
 
-  listAllFiles = async path => {
+  // Requests every page of a paginated list, following the `next` link of
+  // the cursor of each page.
+  requestAllPages = async req => {
     const entries = [];
-    let { cursor, entries: initialEntries } = await this.fetchCursorAndEntries({
-      url: `${this.repoURL}/repository/tree`,
-      // Get the maximum number of entries per page
-      params: { path, ref: this.branch, per_page: 100 },
-    });
+    let { cursor, entries: initialEntries } = await this.fetchCursorAndEntries(req);
     entries.push(...initialEntries);
     while (cursor && cursor.actions.has('next')) {
       const link = cursor.data.getIn(['links', 'next']);
@@ -223,25 +268,53 @@ export default class API {
       entries.push(...newEntries);
       cursor = newCursor;
     }
-    return entries.filter(({ type }) => type === 'blob');
+    return entries;
+  };
+
+  listAllFiles = async (path, depth = 1) => {
+    const entries = await this.requestAllPages({
+      url: `${this.repoURL}/repository/tree`,
+      // Get the maximum number of entries per page
+      params: { ...this.treeParams(path, depth), per_page: 100 },
+    });
+    return this.filterFiles(entries, path, depth);
   };
 
   toBase64 = str => Promise.resolve(Base64.encode(str));
   fromBase64 = str => Base64.decode(str);
   uploadAndCommit = async (
-    item,
-    { commitMessage, updateFile = false, branch = this.branch, author = this.commitAuthor },
+    items,
+    {
+      commitMessage,
+      updateFile = false,
+      branch = this.branch,
+      newBranch = false,
+      startBranch = this.branch,
+      author = this.commitAuthor,
+    },
   ) => {
-    const content = await result(item, 'toBase64', partial(this.toBase64, item.raw));
-    const file_path = item.path.replace(/^\//, '');
-    const action = updateFile ? 'update' : 'create';
-    const encoding = 'base64';
+    const actions = await Promise.all(
+      items.map(async item =>
+        item.action === 'delete'
+          ? { action: 'delete', file_path: trimStart(item.path, '/') }
+          : {
+              action: item.action || (updateFile ? 'update' : 'create'),
+              file_path: trimStart(item.path, '/'),
+              content: await result(item, 'toBase64', partial(this.toBase64, item.raw)),
+              encoding: 'base64',
+            },
+      ),
+    );
 
     const commitParams = {
       branch,
       commit_message: commitMessage,
-      actions: [{ action, file_path, content, encoding }],
+      actions,
     };
+    if (newBranch) {
+      // create the branch from the start branch as part of the commit
+      commitParams.start_branch = startBranch;
+    }
     if (author) {
       const { name, email } = author;
       commitParams.author_name = name;
@@ -255,13 +328,26 @@ export default class API {
       body: JSON.stringify(commitParams),
     });
 
-    return { ...item, uploaded: true };
+    return items.map(item => ({ ...item, uploaded: true }));
+  };
+
+  /**
+   * Returns commit items deleting the previous files of a renamed entry.
+   */
+  getDeleteItems = renamedFrom =>
+    ((renamedFrom && renamedFrom.paths) || []).map(path => ({ path, action: 'delete' }));
+
+  commitFiles = async (files, { commitMessage, renamedFrom }) => {
+    const items = await this.getCommitItems(files, this.branch);
+    return this.uploadAndCommit([...items, ...this.getDeleteItems(renamedFrom)], {
+      commitMessage,
+    });
   };
 
   persistFiles = (files, { commitMessage, newEntry }) =>
     Promise.all(
       files.map(file =>
-        this.uploadAndCommit(file, { commitMessage, updateFile: newEntry === false }),
+        this.uploadAndCommit([file], { commitMessage, updateFile: newEntry === false }),
       ),
     );
 
@@ -280,4 +366,263 @@ export default class API {
       this.request,
     ])(`${this.repoURL}/repository/files/${encodeURIComponent(path)}`);
   };
+
+  deleteFiles = (paths, commitMessage, options = {}) =>
+    this.uploadAndCommit(paths.map(path => ({ path, action: 'delete' })), {
+      commitMessage,
+      branch: options.branch || this.branch,
+    });
+
+  deleteBranch = branch =>
+    this.requestText({
+      method: 'DELETE',
+      url: `${this.repoURL}/repository/branches/${encodeURIComponent(branch)}`,
+    });
+
+  isFileExists = async (path, branch) => {
+    const response = await this.request({
+      method: 'HEAD',
+      url: `${this.repoURL}/repository/files/${encodeURIComponent(trimStart(path, '/'))}`,
+      params: { ref: branch },
+      cache: 'no-store',
+    });
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw new APIError(response.statusText, response.status, 'GitLab');
+    }
+    return true;
+  };
+
+  /**
+   * Lists the open merge requests created by the CMS, optionally only the one
+   * for a given source branch. CMS merge requests are recognized by their
+   * branch prefix and their workflow status label.
+   */
+  getMergeRequests = async sourceBranch => {
+    const mergeRequests = await this.requestAllPages({
+      url: `${this.repoURL}/merge_requests`,
+      params: {
+        state: 'opened',
+        labels: 'Any',
+        target_branch: this.branch,
+        per_page: 100,
+        ...(sourceBranch ? { source_branch: sourceBranch } : {}),
+      },
+    });
+    return mergeRequests.filter(
+      mergeRequest =>
+        mergeRequest.source_branch.startsWith(`${CMS_BRANCH_PREFIX}/`) &&
+        mergeRequest.labels.some(isCMSLabel),
+    );
+  };
+
+  getBranchMergeRequest = async branch => {
+    const mergeRequests = await this.getMergeRequests(branch);
+    if (mergeRequests.length <= 0) {
+      throw new EditorialWorkflowError('content is not under editorial workflow', true);
+    }
+    return mergeRequests[0];
+  };
+
+  listUnpublishedBranches = async () => {
+    console.log(
+      '%c Checking for Unpublished entries',
+      'line-height: 30px;text-align: center;font-weight: bold',
+    );
+    const mergeRequests = await this.getMergeRequests();
+    return mergeRequests.map(mergeRequest => mergeRequest.source_branch);
+  };
+
+  getDifferences = async to => {
+    const { diffs } = await this.requestJSON({
+      url: `${this.repoURL}/repository/compare`,
+      params: { from: this.branch, to },
+    });
+    return diffs.map(diff => ({
+      oldPath: diff.old_path,
+      newPath: diff.new_path,
+      newFile: diff.new_file,
+      deletedFile: diff.deleted_file,
+      binary: diff.diff.startsWith('Binary') || /\.svg$/.test(diff.new_path),
+    }));
+  };
+
+  /**
+   * Unpublished entry metadata isn't stored anywhere: it is derived from the
+   * merge request of the entry branch (status label, author, dates) and from
+   * the changes it introduces (the entry file and its media files).
+   */
+  retrieveMetadata = async contentKey => {
+    const { collection } = parseContentKey(contentKey);
+    const branch = branchFromContentKey(contentKey);
+    const mergeRequest = await this.getBranchMergeRequest(branch);
+    const diffs = await this.getDifferences(mergeRequest.sha);
+    // the files deleted by a renamed entry aren't part of the entry
+    const changes = diffs.filter(diff => !diff.deletedFile);
+    const entryDiff = changes.find(diff => !diff.binary);
+    if (!entryDiff) {
+      throw new EditorialWorkflowError('content is not under editorial workflow', true);
+    }
+    const files = changes.filter(diff => diff !== entryDiff).map(diff => ({ path: diff.newPath }));
+    return {
+      type: 'MR',
+      mr: { iid: mergeRequest.iid, sha: mergeRequest.sha },
+      user: mergeRequest.author.name || mergeRequest.author.username,
+      status: labelToStatus(mergeRequest.labels.find(isCMSLabel)),
+      branch,
+      collection,
+      title: mergeRequest.title,
+      objects: {
+        entry: { path: entryDiff.newPath },
+        files,
+      },
+      timeStamp: mergeRequest.updated_at,
+    };
+  };
+
+  readUnpublishedBranchFile = async contentKey => {
+    const metaData = await this.retrieveMetadata(contentKey);
+    const { path } = metaData.objects.entry;
+    const [fileData, isModification] = await Promise.all([
+      this.readFile(path, null, { ref: metaData.branch }),
+      this.isFileExists(path, this.branch),
+    ]);
+    return { metaData, fileData, isModification };
+  };
+
+  getCommitItems = (files, branch) =>
+    Promise.all(
+      files.map(async file => {
+        const fileExists = await this.isFileExists(file.path, branch);
+        return { ...file, action: fileExists ? 'update' : 'create' };
+      }),
+    );
+
+  createMergeRequest = (branch, commitMessage, status) =>
+    this.requestJSON({
+      method: 'POST',
+      url: `${this.repoURL}/merge_requests`,
+      params: {
+        source_branch: branch,
+        target_branch: this.branch,
+        title: commitMessage,
+        description: DEFAULT_PR_BODY,
+        labels: statusToLabel(status),
+        remove_source_branch: true,
+        squash: this.squash_merges,
+      },
+    });
+
+  /**
+   * Rebases a merge request onto the configured branch. GitLab performs the
+   * rebase asynchronously, so we poll until it's done.
+   */
+  rebaseMergeRequest = async mergeRequest => {
+    const url = `${this.repoURL}/merge_requests/${mergeRequest.iid}`;
+    await this.requestJSON({ method: 'PUT', url: `${url}/rebase` });
+
+    let rebase = { rebase_in_progress: true };
+    for (let attempt = 0; rebase.rebase_in_progress && attempt < 10; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      rebase = await this.requestJSON({ url, params: { include_rebase_in_progress: true } });
+    }
+
+    if (rebase.rebase_in_progress) {
+      throw new APIError('Timed out rebasing merge request', null, 'GitLab');
+    }
+    if (rebase.merge_error) {
+      throw new APIError(`Rebase error: ${rebase.merge_error}`, null, 'GitLab');
+    }
+  };
+
+  editorialWorkflowGit = async (entry, mediaFiles, options) => {
+    const contentKey = generateContentKey(options.collectionName, entry.slug);
+    const branch = branchFromContentKey(contentKey);
+    const files = [...mediaFiles.filter(file => !file.uploaded), entry];
+    const unpublished = options.unpublished || false;
+    const deleteItems = this.getDeleteItems(options.renamedFrom);
+    if (!unpublished) {
+      // Open new editorial review workflow for this entry - commit to a new branch and open a
+      // merge request for it
+      const items = await this.getCommitItems(files, this.branch);
+      await this.uploadAndCommit([...items, ...deleteItems], {
+        commitMessage: options.commitMessage,
+        branch,
+        newBranch: true,
+      });
+      return this.createMergeRequest(branch, options.commitMessage, this.initialWorkflowStatus);
+    } else if (options.renamedFrom) {
+      // Renamed entry on editorial review workflow - move its changes to a branch for the new
+      // slug, keeping the status of the previous merge request, then close that merge request
+      const oldBranch = branchFromContentKey(
+        generateContentKey(options.collectionName, options.renamedFrom.slug),
+      );
+      const mergeRequest = await this.getBranchMergeRequest(oldBranch);
+      await this.rebaseMergeRequest(mergeRequest);
+      const items = await this.getCommitItems(files, oldBranch);
+      await this.uploadAndCommit([...items, ...deleteItems], {
+        commitMessage: options.commitMessage,
+        branch,
+        newBranch: true,
+        startBranch: oldBranch,
+      });
+      const status = labelToStatus(mergeRequest.labels.find(isCMSLabel));
+      const newMergeRequest = await this.createMergeRequest(branch, options.commitMessage, status);
+      await this.deleteUnpublishedEntry(options.collectionName, options.renamedFrom.slug);
+      return newMergeRequest;
+    } else {
+      // Entry is already on editorial review workflow - rebase and commit to the existing branch
+      const mergeRequest = await this.getBranchMergeRequest(branch);
+      await this.rebaseMergeRequest(mergeRequest);
+      const items = await this.getCommitItems(files, branch);
+      return this.uploadAndCommit(items, { commitMessage: options.commitMessage, branch });
+    }
+  };
+
+  updateUnpublishedEntryStatus = async (collectionName, slug, status) => {
+    const contentKey = generateContentKey(collectionName, slug);
+    const branch = branchFromContentKey(contentKey);
+    const mergeRequest = await this.getBranchMergeRequest(branch);
+    const labels = [
+      ...mergeRequest.labels.filter(label => !isCMSLabel(label)),
+      statusToLabel(status),
+    ];
+    return this.requestJSON({
+      method: 'PUT',
+      url: `${this.repoURL}/merge_requests/${mergeRequest.iid}`,
+      params: { labels: labels.join(',') },
+    });
+  };
+
+  publishUnpublishedEntry = async (collectionName, slug) => {
+    const contentKey = generateContentKey(collectionName, slug);
+    const branch = branchFromContentKey(contentKey);
+    const mergeRequest = await this.getBranchMergeRequest(branch);
+    console.log('%c Merging MR', 'line-height: 30px;text-align: center;font-weight: bold');
+    return this.requestJSON({
+      method: 'PUT',
+      url: `${this.repoURL}/merge_requests/${mergeRequest.iid}/merge`,
+      params: {
+        merge_commit_message: MERGE_COMMIT_MESSAGE,
+        squash_commit_message: MERGE_COMMIT_MESSAGE,
+        squash: this.squash_merges,
+        should_remove_source_branch: true,
+      },
+    });
+  };
+
+  deleteUnpublishedEntry = async (collectionName, slug) => {
+    const contentKey = generateContentKey(collectionName, slug);
+    const branch = branchFromContentKey(contentKey);
+    const mergeRequest = await this.getBranchMergeRequest(branch);
+    console.log('%c Closing MR', 'line-height: 30px;text-align: center;font-weight: bold');
+    await this.requestJSON({
+      method: 'PUT',
+      url: `${this.repoURL}/merge_requests/${mergeRequest.iid}`,
+      params: { state_event: 'close' },
+    });
+    return this.deleteBranch(branch);
+  };
 }
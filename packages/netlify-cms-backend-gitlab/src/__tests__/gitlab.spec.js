@@ -286,14 +286,12 @@ describe('gitlab backend', () => {
     });
   }
 
-  it('throws if configuration requires editorial workflow', () => {
+  it('does not throw if configuration requires editorial workflow', () => {
     const resolveBackendWithWorkflow = partial(resolveBackend, {
       ...defaultConfig,
       publish_mode: 'editorial_workflow',
     });
-    expect(resolveBackendWithWorkflow).toThrowErrorMatchingInlineSnapshot(
-      `"The GitLab backend does not support the Editorial Workflow."`,
-    );
+    expect(resolveBackendWithWorkflow).not.toThrow();
   });
 
   it('throws if configuration does not include repo', () => {
@@ -479,6 +477,255 @@ describe('gitlab backend', () => {
     });
   });
 
+  describe('editorial workflow', () => {
+    const branch = 'cms/foo/test3';
+    const entryPath = 'content/test3.md';
+    const entryContent = stripIndent`
+      ---
+      title: test3
+      ---
+      # test 3
+    `;
+    const mergeRequest = {
+      iid: 7,
+      sha: 'b3c1d2e6d34f2f1c8d8b7a3c5e6f7a8b9c0d1e2f',
+      source_branch: branch,
+      title: 'Create Foo “test3”',
+      labels: ['netlify-cms/pending_review', 'docs'],
+      author: { name: 'Jane Doe', username: 'jane' },
+      updated_at: '2019-11-12T10:00:00.000Z',
+    };
+
+    beforeEach(async () => {
+      backend = resolveBackend({ ...defaultConfig, publish_mode: 'editorial_workflow' });
+      interceptAuth(backend);
+      await backend.authenticate(mockCredentials);
+    });
+
+    // replies with one page of merge requests per list
+    function interceptMergeRequests(mergeRequests = [mergeRequest], { sourceBranch, pages } = {}) {
+      const url = `${expectedRepoUrl}/merge_requests`;
+      const pageLists = pages || [mergeRequests];
+      const link = page =>
+        `<${backend.implementation.api_root}${url}?page=${page}&per_page=100&state=opened>`;
+      pageLists.forEach((pageList, index) => {
+        const page = index + 1;
+        mockApi(backend)
+          .get(url)
+          .query(
+            query =>
+              query.state === 'opened' &&
+              query.source_branch === sourceBranch &&
+              parseInt(query.page || 1, 10) === page,
+          )
+          .reply(200, pageList, {
+            'X-Page': `${page}`,
+            'X-Total-Pages': `${pageLists.length}`,
+            'X-Per-Page': '100',
+            'X-Total': `${pageLists.reduce((acc, list) => acc + list.length, 0)}`,
+            Link: [
+              `${link(1)}; rel="first"`,
+              `${link(pageLists.length)}; rel="last"`,
+              ...(page < pageLists.length ? [`${link(page + 1)}; rel="next"`] : []),
+            ].join(', '),
+          });
+      });
+    }
+
+    function interceptUnpublishedEntry() {
+      const api = mockApi(backend);
+      api
+        .get(`${expectedRepoUrl}/repository/compare`)
+        .query({ from: 'master', to: mergeRequest.sha, ts: /\d+/ })
+        .reply(200, {
+          diffs: [{ old_path: entryPath, new_path: entryPath, new_file: true, diff: '@@ -0,0 +1' }],
+        });
+      api
+        .get(`${expectedRepoUrl}/repository/files/${encodeURIComponent(entryPath)}/raw`)
+        .query(query => query.ref === branch)
+        .reply(200, entryContent);
+      api
+        .head(`${expectedRepoUrl}/repository/files/${encodeURIComponent(entryPath)}`)
+        .query(query => query.ref === 'master')
+        .reply(404);
+    }
+
+    it('lists unpublished entries from merge requests', async () => {
+      interceptMergeRequests([
+        mergeRequest,
+        { ...mergeRequest, iid: 8, source_branch: 'feature', labels: [] },
+      ]);
+      interceptMergeRequests([mergeRequest], { sourceBranch: branch });
+      interceptUnpublishedEntry();
+
+      const { entries } = await backend.unpublishedEntries(
+        fromJS({ foo: collectionContentConfig }),
+      );
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toEqual(
+        expect.objectContaining({
+          slug: 'test3',
+          path: entryPath,
+          isModification: false,
+          data: { title: 'test3', body: '# test 3' },
+          metaData: expect.objectContaining({
+            collection: 'foo',
+            status: 'pending_review',
+            user: 'Jane Doe',
+            branch,
+            objects: { entry: { path: entryPath }, files: [] },
+          }),
+        }),
+      );
+    });
+
+    it('lists unpublished entries from every page of merge requests', async () => {
+      interceptMergeRequests([], {
+        pages: [
+          [{ ...mergeRequest, iid: 8, source_branch: 'feature', labels: [] }],
+          [mergeRequest],
+        ],
+      });
+
+      await expect(backend.implementation.api.listUnpublishedBranches()).resolves.toEqual([branch]);
+    });
+
+    it('rejects with an editorial workflow error if the entry has no merge request', async () => {
+      interceptMergeRequests([], { sourceBranch: branch });
+      await expect(
+        backend.implementation.unpublishedEntry(fromJS(collectionContentConfig), 'test3'),
+      ).rejects.toEqual(expect.objectContaining({ notUnderEditorialWorkflow: true }));
+    });
+
+    it('commits a new entry to its own branch and opens a merge request', async () => {
+      const api = mockApi(backend);
+      api
+        .head(`${expectedRepoUrl}/repository/files/${encodeURIComponent(entryPath)}`)
+        .query(query => query.ref === 'master')
+        .reply(404);
+      let commit;
+      api
+        .post(`${expectedRepoUrl}/repository/commits`, body => {
+          commit = body;
+          return true;
+        })
+        .query(true)
+        .reply(200, {});
+      let mergeRequestParams;
+      api
+        .post(`${expectedRepoUrl}/merge_requests`)
+        .query(query => {
+          mergeRequestParams = query;
+          return true;
+        })
+        .reply(200, mergeRequest);
+
+      await backend.implementation.persistEntry(
+        { path: entryPath, slug: 'test3', raw: entryContent },
+        [],
+        { useWorkflow: true, collectionName: 'foo', commitMessage: 'Create Foo “test3”' },
+      );
+
+      expect(commit).toEqual(
+        expect.objectContaining({
+          branch,
+          start_branch: 'master',
+          actions: [expect.objectContaining({ action: 'create', file_path: entryPath })],
+        }),
+      );
+      expect(mergeRequestParams).toEqual(
+        expect.objectContaining({
+          source_branch: branch,
+          target_branch: 'master',
+          labels: 'netlify-cms/draft',
+        }),
+      );
+    });
+
+    it('deletes the previous file of a renamed entry in the branch commit', async () => {
+      const api = mockApi(backend);
+      api
+        .head(`${expectedRepoUrl}/repository/files/${encodeURIComponent(entryPath)}`)
+        .query(query => query.ref === 'master')
+        .reply(404);
+      let commit;
+      api
+        .post(`${expectedRepoUrl}/repository/commits`, body => {
+          commit = body;
+          return true;
+        })
+        .query(true)
+        .reply(200, {});
+      api
+        .post(`${expectedRepoUrl}/merge_requests`)
+        .query(true)
+        .reply(200, mergeRequest);
+
+      await backend.implementation.persistEntry(
+        { path: entryPath, slug: 'test3', raw: entryContent },
+        [],
+        {
+          useWorkflow: true,
+          collectionName: 'foo',
+          commitMessage: 'Rename Foo “test2” to “test3”',
+          renamedFrom: { slug: 'test2', paths: ['content/test2.md'] },
+        },
+      );
+
+      expect(commit.actions).toEqual([
+        expect.objectContaining({ action: 'create', file_path: entryPath }),
+        { action: 'delete', file_path: 'content/test2.md' },
+      ]);
+    });
+
+    it('stores the status as a merge request label', async () => {
+      interceptMergeRequests([mergeRequest], { sourceBranch: branch });
+      let labels;
+      mockApi(backend)
+        .put(`${expectedRepoUrl}/merge_requests/${mergeRequest.iid}`)
+        .query(query => {
+          labels = query.labels;
+          return true;
+        })
+        .reply(200, {});
+
+      await backend.updateUnpublishedEntryStatus('foo', 'test3', 'pending_publish');
+
+      expect(labels).toEqual('docs,netlify-cms/pending_publish');
+    });
+
+    it('publishes an entry by merging its merge request', async () => {
+      interceptMergeRequests([mergeRequest], { sourceBranch: branch });
+      const merge = mockApi(backend)
+        .put(`${expectedRepoUrl}/merge_requests/${mergeRequest.iid}/merge`)
+        .query(query => query.should_remove_source_branch === 'true')
+        .reply(200, {});
+
+      await backend.publishUnpublishedEntry('foo', 'test3');
+
+      expect(merge.isDone()).toBe(true);
+    });
+
+    it('deletes an entry by closing its merge request and deleting its branch', async () => {
+      interceptMergeRequests([mergeRequest], { sourceBranch: branch });
+      const api = mockApi(backend);
+      const close = api
+        .put(`${expectedRepoUrl}/merge_requests/${mergeRequest.iid}`)
+        .query(query => query.state_event === 'close')
+        .reply(200, {});
+      const deleteBranch = api
+        .delete(`${expectedRepoUrl}/repository/branches/${encodeURIComponent(branch)}`)
+        .query(true)
+        .reply(204);
+
+      await backend.deleteUnpublishedEntry('foo', 'test3');
+
+      expect(close.isDone()).toBe(true);
+      expect(deleteBranch.isDone()).toBe(true);
+    });
+  });
+
   afterEach(() => {
     nock.cleanAll();
     authStore.logout();
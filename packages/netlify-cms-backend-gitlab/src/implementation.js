@@ -1,7 +1,14 @@
 import trimStart from 'lodash/trimStart';
 import semaphore from 'semaphore';
 import { stripIndent } from 'common-tags';
-import { CURSOR_COMPATIBILITY_SYMBOL } from 'netlify-cms-lib-util';
+import {
+  CURSOR_COMPATIBILITY_SYMBOL,
+  asyncLock,
+  generateContentKey,
+  parseContentKey,
+  contentKeyFromBranch,
+  branchFromContentKey,
+} from 'netlify-cms-lib-util';
 import AuthenticationPage from './AuthenticationPage';
 import API from './API';
 
@@ -16,10 +23,6 @@ export default class GitLab {
       ...options,
     };
 
-    if (this.options.useWorkflow) {
-      throw new Error('The GitLab backend does not support the Editorial Workflow.');
-    }
-
     if (!this.options.proxied && config.getIn(['backend', 'repo']) == null) {
       throw new Error('The GitLab backend needs a "repo" in the backend configuration.');
     }
@@ -30,6 +33,22 @@ export default class GitLab {
     this.branch = config.getIn(['backend', 'branch'], 'master');
     this.api_root = config.getIn(['backend', 'api_root'], 'https://gitlab.com/api/v4');
     this.token = '';
+    this.squash_merges = config.getIn(['backend', 'squash_merges']);
+    this.lock = asyncLock();
+  }
+
+  async runWithLock(func, message) {
+    try {
+      const acquired = await this.lock.acquire();
+      if (!acquired) {
+        console.warn(message);
+      }
+
+      const result = await func();
+      return result;
+    } finally {
+      this.lock.release();
+    }
   }
 
   authComponent() {
@@ -47,6 +66,8 @@ export default class GitLab {
       branch: this.branch,
       repo: this.repo,
       api_root: this.api_root,
+      squash_merges: this.squash_merges,
+      initialWorkflowStatus: this.options.initialWorkflowStatus,
     });
     const user = await this.api.user();
     const isCollab = await this.api.hasWriteAccess(user).catch(error => {
@@ -78,8 +99,8 @@ export default class GitLab {
     return Promise.resolve(this.token);
   }
 
-  entriesByFolder(collection, extension) {
-    return this.api.listFiles(collection.get('folder')).then(({ files, cursor }) =>
+  entriesByFolder(collection, extension, depth) {
+    return this.api.listFiles(collection.get('folder'), depth).then(({ files, cursor }) =>
       this.fetchFiles(files.filter(file => file.name.endsWith('.' + extension))).then(
         fetchedFiles => {
           const returnedFiles = fetchedFiles;
@@ -90,9 +111,9 @@ export default class GitLab {
     );
   }
 
-  allEntriesByFolder(collection, extension) {
+  allEntriesByFolder(collection, extension, depth) {
     return this.api
-      .listAllFiles(collection.get('folder'))
+      .listAllFiles(collection.get('folder'), depth)
       .then(files => this.fetchFiles(files.filter(file => file.name.endsWith('.' + extension))));
   }
 
@@ -142,6 +163,14 @@ export default class GitLab {
     }));
   }
 
+  getEntryHistory(collection, slug, path) {
+    return this.api.listFileCommits(path);
+  }
+
+  getEntryAtRevision(collection, slug, path, sha) {
+    return this.api.readFile(path, null, { ref: sha });
+  }
+
   getMedia() {
     return this.api.listAllFiles(this.config.get('media_folder')).then(files =>
       files.map(({ id, name, path }) => {
@@ -171,8 +200,15 @@ export default class GitLab {
     );
   }
 
-  async persistEntry(entry, mediaFiles, options = {}) {
-    return this.api.persistFiles([entry], options);
+  persistEntry(entry, mediaFiles = [], options = {}) {
+    // persistEntry is a transactional operation
+    return this.runWithLock(
+      () =>
+        options.useWorkflow
+          ? this.api.editorialWorkflowGit(entry, mediaFiles, options)
+          : this.api.commitFiles([...mediaFiles.filter(file => !file.uploaded), entry], options),
+      'Failed to acquire persist entry lock',
+    );
   }
 
   async persistMedia(mediaFile, options = {}) {
@@ -185,6 +221,10 @@ export default class GitLab {
     return this.api.deleteFile(path, commitMessage, options);
   }
 
+  deleteFiles(paths, commitMessage, options) {
+    return this.api.deleteFiles(paths, commitMessage, options);
+  }
+
   traverseCursor(cursor, action) {
     return this.api.traverseCursor(cursor, action).then(async ({ entries, cursor: newCursor }) => ({
       entries: await Promise.all(
@@ -193,4 +233,76 @@ export default class GitLab {
       cursor: newCursor,
     }));
   }
+
+  unpublishedEntries() {
+    return this.api.listUnpublishedBranches().then(branches => {
+      const sem = semaphore(MAX_CONCURRENT_DOWNLOADS);
+      const promises = branches.map(
+        branch =>
+          new Promise(resolve => {
+            const contentKey = contentKeyFromBranch(branch);
+            const { slug } = parseContentKey(contentKey);
+            return sem.take(() =>
+              this.api
+                .readUnpublishedBranchFile(contentKey)
+                .then(data => {
+                  resolve({
+                    slug,
+                    file: { path: data.metaData.objects.entry.path },
+                    data: data.fileData,
+                    metaData: data.metaData,
+                    isModification: data.isModification,
+                  });
+                  sem.leave();
+                })
+                .catch(() => {
+                  sem.leave();
+                  resolve(null);
+                }),
+            );
+          }),
+      );
+      return Promise.all(promises);
+    });
+  }
+
+  unpublishedEntry(collection, slug) {
+    const contentKey = generateContentKey(collection.get('name'), slug);
+    return this.api.readUnpublishedBranchFile(contentKey).then(data => ({
+      slug,
+      file: { path: data.metaData.objects.entry.path },
+      data: data.fileData,
+      metaData: data.metaData,
+      isModification: data.isModification,
+    }));
+  }
+
+  unpublishedEntryFile(collection, slug, path) {
+    const branch = branchFromContentKey(generateContentKey(collection.get('name'), slug));
+    return this.api.readFile(path, null, { ref: branch });
+  }
+
+  updateUnpublishedEntryStatus(collection, slug, newStatus) {
+    // updateUnpublishedEntryStatus is a transactional operation
+    return this.runWithLock(
+      () => this.api.updateUnpublishedEntryStatus(collection, slug, newStatus),
+      'Failed to acquire update entry status lock',
+    );
+  }
+
+  deleteUnpublishedEntry(collection, slug) {
+    // deleteUnpublishedEntry is a transactional operation
+    return this.runWithLock(
+      () => this.api.deleteUnpublishedEntry(collection, slug),
+      'Failed to acquire delete entry lock',
+    );
+  }
+
+  publishUnpublishedEntry(collection, slug) {
+    // publishUnpublishedEntry is a transactional operation
+    return this.runWithLock(
+      () => this.api.publishUnpublishedEntry(collection, slug),
+      'Failed to acquire publish entry lock',
+    );
+  }
 }
@@ -0,0 +1,114 @@
+import { fromJS } from 'immutable';
+import { EditorialWorkflowError } from 'netlify-cms-lib-util';
+import ProxyBackend from '../implementation';
+
+const mockResponse = (json, status = 200) =>
+  Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(json) });
+
+describe('proxy backend', () => {
+  const config = fromJS({
+    backend: { name: 'proxy', proxy_url: 'http://localhost:8082/api/v1' },
+    media_folder: 'static/media',
+  });
+
+  let backend;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    backend = new ProxyBackend(config, { initialWorkflowStatus: 'draft' });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const lastRequest = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+  it('should post actions to the proxy url', async () => {
+    global.fetch.mockReturnValue(mockResponse([{ file: { path: 'posts/a.md' }, data: 'a' }]));
+    const collection = fromJS({ folder: 'posts' });
+
+    await expect(backend.entriesByFolder(collection, 'md', 2)).resolves.toEqual([
+      { file: { path: 'posts/a.md' }, data: 'a' },
+    ]);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:8082/api/v1',
+      expect.objectContaining({ method: 'POST' }),
+    );
+    expect(lastRequest()).toEqual({
+      action: 'entriesByFolder',
+      params: { folder: 'posts', extension: 'md', depth: 2 },
+    });
+  });
+
+  it('should throw errors returned by the proxy server', async () => {
+    global.fetch.mockReturnValue(mockResponse({ error: 'Something went wrong' }, 500));
+
+    await expect(backend.getEntry(fromJS({}), 'a', 'posts/a.md')).rejects.toEqual(
+      expect.objectContaining({ message: 'Something went wrong', status: 500, api: 'Proxy' }),
+    );
+  });
+
+  it('should throw an editorial workflow error for missing unpublished entries', async () => {
+    global.fetch.mockReturnValue(mockResponse({ error: 'Not found' }, 404));
+
+    await expect(backend.unpublishedEntry(fromJS({ name: 'posts' }), 'a')).rejects.toBeInstanceOf(
+      EditorialWorkflowError,
+    );
+  });
+
+  it('should send entry files along with the entry', async () => {
+    global.fetch.mockReturnValue(mockResponse(null));
+    const image = { path: '/static/media/image.png', toBase64: () => Promise.resolve('aW1hZ2U=') };
+    const translation = { path: 'posts/de/a.md', raw: 'Hallo' };
+
+    await backend.persistEntry(
+      { path: 'posts/a.md', raw: 'Hello', slug: 'a' },
+      [image, translation],
+      {
+        useWorkflow: true,
+        collectionName: 'posts',
+        commitMessage: 'Create Post “a”',
+        parsedData: { title: 'a' },
+      },
+    );
+
+    expect(lastRequest()).toEqual({
+      action: 'persistEntry',
+      params: {
+        entry: { path: 'posts/a.md', raw: 'Hello', slug: 'a' },
+        files: [
+          { path: 'static/media/image.png', content: 'aW1hZ2U=', encoding: 'base64' },
+          { path: 'posts/de/a.md', content: 'Hallo' },
+        ],
+        options: {
+          useWorkflow: true,
+          collectionName: 'posts',
+          commitMessage: 'Create Post “a”',
+          parsedData: { title: 'a' },
+          status: 'draft',
+        },
+      },
+    });
+  });
+
+  it('should list media files of the media folder', async () => {
+    global.fetch.mockReturnValue(
+      mockResponse([{ name: 'image.png', size: 5, path: 'static/media/image.png' }]),
+    );
+
+    await expect(backend.getMedia()).resolves.toEqual([
+      {
+        id: 'static/media/image.png',
+        name: 'image.png',
+        size: 5,
+        path: 'static/media/image.png',
+        displayURL: { path: 'static/media/image.png' },
+      },
+    ]);
+    expect(lastRequest()).toEqual({
+      action: 'getMedia',
+      params: { mediaFolder: 'static/media' },
+    });
+  });
+});
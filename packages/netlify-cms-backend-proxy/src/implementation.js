@@ -0,0 +1,218 @@
+import trimStart from 'lodash/trimStart';
+import { APIError, EditorialWorkflowError } from 'netlify-cms-lib-util';
+import AuthenticationPage from './AuthenticationPage';
+
+const DEFAULT_PROXY_URL = 'http://localhost:8081/api/v1';
+
+/**
+ * Serializes the files committed along with an entry. Translations hold their
+ * `raw` content, media files are sent base64 encoded.
+ */
+const serializeFile = async file => {
+  const path = trimStart(file.path, '/');
+  return file.raw !== undefined
+    ? { path, content: file.raw }
+    : { path, content: await file.toBase64(), encoding: 'base64' };
+};
+
+const base64ToBlob = content => {
+  const bytes = atob(content);
+  const buffer = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    buffer[i] = bytes.charCodeAt(i);
+  }
+  return new Blob([buffer]);
+};
+
+/**
+ * Backend editing the files of a local repository through the
+ * `netlify-cms-proxy-server` package, without any remote git host.
+ */
+export default class ProxyBackend {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.options = options;
+    this.proxyUrl = config.getIn(['backend', 'proxy_url'], DEFAULT_PROXY_URL);
+    this.mediaFolder = config.get('media_folder');
+  }
+
+  authComponent() {
+    return AuthenticationPage;
+  }
+
+  restoreUser() {
+    return this.authenticate();
+  }
+
+  /**
+   * Checks that the proxy server is running, there is nothing else to
+   * authenticate against.
+   */
+  async authenticate() {
+    await this.request({ action: 'info' });
+    return { name: 'Local user', login: 'local' };
+  }
+
+  logout() {
+    return null;
+  }
+
+  getToken() {
+    return Promise.resolve('');
+  }
+
+  async request({ action, params = {} }) {
+    const response = await fetch(this.proxyUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify({ action, params }),
+    }).catch(error => {
+      throw new APIError(
+        `Failed to connect to the proxy server at ${this.proxyUrl}: ${error.message}`,
+        null,
+        'Proxy',
+      );
+    });
+    const json = await response.json();
+    if (!response.ok) {
+      throw new APIError(json.error, response.status, 'Proxy');
+    }
+    return json;
+  }
+
+  entriesByFolder(collection, extension, depth) {
+    return this.request({
+      action: 'entriesByFolder',
+      params: { folder: collection.get('folder'), extension, depth },
+    });
+  }
+
+  entriesByFiles(collection) {
+    const files = collection
+      .get('files')
+      .map(collectionFile => ({
+        path: collectionFile.get('file'),
+        label: collectionFile.get('label'),
+      }))
+      .toArray();
+    return this.request({ action: 'entriesByFiles', params: { files } });
+  }
+
+  getEntry(collection, slug, path) {
+    return this.request({ action: 'getEntry', params: { path } });
+  }
+
+  getEntryHistory(collection, slug, path) {
+    return this.request({ action: 'getEntryHistory', params: { path } });
+  }
+
+  getEntryAtRevision(collection, slug, path, sha) {
+    return this.request({ action: 'getEntryAtRevision', params: { path, sha } });
+  }
+
+  unpublishedEntries() {
+    return this.request({ action: 'unpublishedEntries' });
+  }
+
+  unpublishedEntry(collection, slug) {
+    return this.request({
+      action: 'unpublishedEntry',
+      params: { collection: collection.get('name'), slug },
+    }).catch(error => {
+      if (error.status === 404) {
+        throw new EditorialWorkflowError('content is not under editorial workflow', true);
+      }
+      throw error;
+    });
+  }
+
+  unpublishedEntryFile(collection, slug, path) {
+    return this.request({
+      action: 'unpublishedEntryFile',
+      params: { collection: collection.get('name'), slug, path },
+    });
+  }
+
+  deleteUnpublishedEntry(collection, slug) {
+    return this.request({ action: 'deleteUnpublishedEntry', params: { collection, slug } });
+  }
+
+  async persistEntry({ path, raw, slug }, mediaFiles = [], options = {}) {
+    const files = await Promise.all(
+      mediaFiles.filter(file => !file.uploaded).map(file => serializeFile(file)),
+    );
+    return this.request({
+      action: 'persistEntry',
+      params: {
+        entry: { path, raw, slug },
+        files,
+        options: {
+          useWorkflow: options.useWorkflow,
+          collectionName: options.collectionName,
+          commitMessage: options.commitMessage,
+          parsedData: options.parsedData,
+          unpublished: options.unpublished,
+          renamedFrom: options.renamedFrom,
+          status: this.options.initialWorkflowStatus,
+        },
+      },
+    });
+  }
+
+  updateUnpublishedEntryStatus(collection, slug, newStatus) {
+    return this.request({
+      action: 'updateUnpublishedEntryStatus',
+      params: { collection, slug, newStatus },
+    });
+  }
+
+  updateUnpublishedEntryPublishAt(collection, slug, publishAt) {
+    return this.request({
+      action: 'updateUnpublishedEntryPublishAt',
+      params: { collection, slug, publishAt },
+    });
+  }
+
+  publishUnpublishedEntry(collection, slug) {
+    return this.request({ action: 'publishUnpublishedEntry', params: { collection, slug } });
+  }
+
+  async getMedia() {
+    const files = await this.request({
+      action: 'getMedia',
+      params: { mediaFolder: this.mediaFolder },
+    });
+    return files.map(({ name, size, path }) => ({
+      id: path,
+      name,
+      size,
+      path,
+      displayURL: { path },
+    }));
+  }
+
+  /**
+   * Media files are read through the proxy server, the browser has no access
+   * to the local file system.
+   */
+  async getMediaDisplayURL({ path }) {
+    const { content } = await this.request({ action: 'getMediaFile', params: { path } });
+    return URL.createObjectURL(base64ToBlob(content));
+  }
+
+  async persistMedia(mediaFile) {
+    const asset = await serializeFile(mediaFile);
+    const { size } = await this.request({ action: 'persistMedia', params: { asset } });
+    return {
+      id: asset.path,
+      name: mediaFile.value,
+      size,
+      displayURL: URL.createObjectURL(mediaFile.fileObj),
+      path: asset.path,
+    };
+  }
+
+  deleteFile(path) {
+    return this.request({ action: 'deleteFile', params: { path } });
+  }
+}
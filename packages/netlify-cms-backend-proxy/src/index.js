@@ -0,0 +1,8 @@
+import ProxyBackend from './implementation';
+import AuthenticationPage from './AuthenticationPage';
+
+export const NetlifyCmsBackendProxy = {
+  ProxyBackend,
+  AuthenticationPage,
+};
+export { ProxyBackend, AuthenticationPage };
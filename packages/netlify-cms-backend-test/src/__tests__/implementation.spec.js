@@ -0,0 +1,48 @@
+import TestBackend from '../implementation';
+
+describe('test backend', () => {
+  describe('entry comments', () => {
+    let backend;
+
+    beforeEach(() => {
+      window.repoFilesUnpublished = [
+        { slug: 'hello', file: { path: 'posts/hello.md' }, metaData: { collection: 'posts' } },
+      ];
+      backend = new TestBackend({});
+    });
+
+    it('should list no comments for entries without any', async () => {
+      await expect(backend.listEntryComments('posts', 'hello')).resolves.toEqual([]);
+      await expect(backend.listEntryComments('posts', 'other')).resolves.toEqual([]);
+    });
+
+    it('should add comments to entries and their fields', async () => {
+      const comment = await backend.addEntryComment('posts', 'hello', 'Looks good');
+      const fieldComment = await backend.addEntryComment('posts', 'hello', 'Crop it', 'hero.image');
+
+      expect(comment).toEqual(
+        expect.objectContaining({ body: 'Looks good', field: undefined, resolved: false }),
+      );
+      expect(fieldComment).toEqual(
+        expect.objectContaining({ body: 'Crop it', field: 'hero.image', resolved: false }),
+      );
+      expect(comment.id).not.toEqual(fieldComment.id);
+      await expect(backend.listEntryComments('posts', 'hello')).resolves.toEqual([
+        comment,
+        fieldComment,
+      ]);
+    });
+
+    it('should resolve comments', async () => {
+      const comment = await backend.addEntryComment('posts', 'hello', 'Crop it', 'hero.image');
+      const other = await backend.addEntryComment('posts', 'hello', 'Shorter', 'title');
+
+      await backend.resolveEntryComment('posts', 'hello', comment.id);
+
+      await expect(backend.listEntryComments('posts', 'hello')).resolves.toEqual([
+        { ...comment, resolved: true },
+        other,
+      ]);
+    });
+  });
+});
@@ -1,10 +1,11 @@
-import { attempt, isError, take } from 'lodash';
+import { attempt, isError, take, omit } from 'lodash';
 import uuid from 'uuid/v4';
 import { EditorialWorkflowError, Cursor, CURSOR_COMPATIBILITY_SYMBOL } from 'netlify-cms-lib-util';
 import AuthenticationPage from './AuthenticationPage';
 
 window.repoFiles = window.repoFiles || {};
 window.repoFilesUnpublished = window.repoFilesUnpublished || [];
+window.repoFilesHistory = window.repoFilesHistory || {};
 
 function getFile(path) {
   const segments = path.split('/');
@@ -17,7 +18,7 @@ function getFile(path) {
 
 const pageSize = 10;
 
-const getCursor = (collection, extension, entries, index) => {
+const getCursor = (collection, extension, depth, entries, index) => {
   const count = entries.length;
   const pageCount = Math.floor(count / pageSize);
   return Cursor.create({
@@ -26,18 +27,53 @@ const getCursor = (collection, extension, entries, index) => {
       ...(index > 0 ? ['prev', 'first'] : []),
     ],
     meta: { index, count, pageSize, pageCount },
-    data: { collection, extension, index, pageCount },
+    data: { collection, extension, depth, index, pageCount },
   });
 };
 
-const getFolderEntries = (folder, extension) => {
-  return Object.keys(window.repoFiles[folder] || {})
-    .filter(path => path.endsWith(`.${extension}`))
-    .map(path => ({
-      file: { path: `${folder}/${path}` },
-      data: window.repoFiles[folder][path].content,
-    }))
-    .reverse();
+// Files hold their `content`, any other object in the tree is a folder
+const isFile = obj => obj.content !== undefined;
+
+const listFolder = (folder, extension, depth) => {
+  const files = getFile(folder);
+  return Object.keys(files).reduce((acc, name) => {
+    const path = `${folder}/${name}`;
+    if (isFile(files[name])) {
+      return path.endsWith(`.${extension}`)
+        ? [...acc, { file: { path }, data: files[name].content }]
+        : acc;
+    }
+    return depth > 1 ? [...acc, ...listFolder(path, extension, depth - 1)] : acc;
+  }, []);
+};
+
+const getFolderEntries = (folder, extension, depth = 1) =>
+  listFolder(folder, extension, depth).reverse();
+
+/**
+ * Keeps the content of every published version of a file, oldest first.
+ */
+const addRevision = (path, content, message) => {
+  const revisions = window.repoFilesHistory[path] || [];
+  window.repoFilesHistory[path] = [
+    ...revisions,
+    {
+      sha: uuid(),
+      message: message || `Update ${path}`,
+      author: 'Test User',
+      date: new Date().toISOString(),
+      content,
+    },
+  ];
+};
+
+const getParentFolder = path => {
+  const segments = path.split('/');
+  segments.pop();
+  return segments.reduce((obj, segment) => {
+    obj[segment] = obj[segment] || {};
+    return obj[segment];
+  }, window.repoFiles);
 };
 
 export default class TestBackend {
@@ -68,7 +104,7 @@ export default class TestBackend {
   }
 
   traverseCursor(cursor, action) {
-    const { collection, extension, index, pageCount } = cursor.data.toObject();
+    const { collection, extension, depth, index, pageCount } = cursor.data.toObject();
     const newIndex = (() => {
       if (action === 'next') {
         return index + 1;
@@ -84,16 +120,16 @@ export default class TestBackend {
       }
     })();
     // TODO: stop assuming cursors are for collections
-    const allEntries = getFolderEntries(collection.get('folder'), extension);
+    const allEntries = getFolderEntries(collection.get('folder'), extension, depth);
     const entries = allEntries.slice(newIndex * pageSize, newIndex * pageSize + pageSize);
-    const newCursor = getCursor(collection, extension, allEntries, newIndex);
+    const newCursor = getCursor(collection, extension, depth, allEntries, newIndex);
     return Promise.resolve({ entries, cursor: newCursor });
   }
 
-  entriesByFolder(collection, extension) {
+  entriesByFolder(collection, extension, depth) {
     const folder = collection.get('folder');
-    const entries = folder ? getFolderEntries(folder, extension) : [];
-    const cursor = getCursor(collection, extension, entries, 0);
+    const entries = folder ? getFolderEntries(folder, extension, depth) : [];
+    const cursor = getCursor(collection, extension, depth, entries, 0);
     const ret = take(entries, pageSize);
     ret[CURSOR_COMPATIBILITY_SYMBOL] = cursor;
     return Promise.resolve(ret);
@@ -119,6 +155,19 @@ export default class TestBackend {
     });
   }
 
+  getEntryHistory(collection, slug, path) {
+    const revisions = window.repoFilesHistory[path] || [];
+    return Promise.resolve([...revisions].reverse().map(revision => omit(revision, 'content')));
+  }
+
+  getEntryAtRevision(collection, slug, path, sha) {
+    const revision = (window.repoFilesHistory[path] || []).find(r => r.sha === sha);
+    if (!revision) {
+      return Promise.reject(new Error(`Revision ${sha} of ${path} not found`));
+    }
+    return Promise.resolve(revision.content);
+  }
+
   unpublishedEntries() {
     return Promise.resolve(window.repoFilesUnpublished);
   }
@@ -144,11 +193,28 @@ export default class TestBackend {
     return Promise.resolve();
   }
 
-  persistEntry({ path, raw, slug }, mediaFiles, options = {}) {
+  persistEntry({ path, raw, slug }, mediaFiles = [], options = {}) {
+    const deletedPaths = (options.renamedFrom && options.renamedFrom.paths) || [];
     if (options.useWorkflow) {
       const unpubStore = window.repoFilesUnpublished;
+      const renamedEntryIndex = options.renamedFrom
+        ? unpubStore.findIndex(
+            e =>
+              e.metaData.collection === options.collectionName &&
+              e.slug === options.renamedFrom.slug,
+          )
+        : -1;
       const existingEntryIndex = unpubStore.findIndex(e => e.file.path === path);
-      if (existingEntryIndex >= 0) {
+      if (renamedEntryIndex >= 0) {
+        const renamedEntry = unpubStore[renamedEntryIndex];
+        unpubStore.splice(renamedEntryIndex, 1, {
+          ...renamedEntry,
+          data: raw,
+          file: { path },
+          slug,
+          deletedPaths: [...(renamedEntry.deletedPaths || []), ...deletedPaths],
+        });
+      } else if (existingEntryIndex >= 0) {
         const unpubEntry = { ...unpubStore[existingEntryIndex], data: raw };
         unpubEntry.title = options.parsedData && options.parsedData.title;
         unpubEntry.description = options.parsedData && options.parsedData.description;
@@ -166,22 +232,29 @@ export default class TestBackend {
             description: options.parsedData && options.parsedData.description,
           },
           slug,
+          deletedPaths,
         };
         unpubStore.push(unpubEntry);
       }
       return Promise.resolve();
     }
 
+    // persist files committed along with the entry, such as entry translations
+    mediaFiles
+      .filter(file => !file.uploaded && file.raw !== undefined)
+      .forEach(file => this.persistEntry(file, [], { newEntry: true }));
+
     const newEntry = options.newEntry || false;
-    const folder = path.substring(0, path.lastIndexOf('/'));
+    const folder = getParentFolder(path);
     const fileName = path.substring(path.lastIndexOf('/') + 1);
-    window.repoFiles[folder] = window.repoFiles[folder] || {};
-    window.repoFiles[folder][fileName] = window.repoFiles[folder][fileName] || {};
+    folder[fileName] = folder[fileName] || {};
     if (newEntry) {
-      window.repoFiles[folder][fileName] = { content: raw };
+      folder[fileName] = { content: raw };
     } else {
-      window.repoFiles[folder][fileName].content = raw;
+      folder[fileName].content = raw;
     }
+    addRevision(path, raw, options.commitMessage);
+    deletedPaths.forEach(deletedPath => this.deleteFile(deletedPath));
     return Promise.resolve();
   }
 
@@ -194,6 +267,50 @@ export default class TestBackend {
     return Promise.resolve();
   }
 
+  updateUnpublishedEntryPublishAt(collection, slug, publishAt) {
+    const unpubStore = window.repoFilesUnpublished;
+    const entryIndex = unpubStore.findIndex(
+      e => e.metaData.collection === collection && e.slug === slug,
+    );
+    unpubStore[entryIndex].metaData.publish_at = publishAt;
+    return Promise.resolve();
+  }
+
+  listEntryComments(collection, slug) {
+    const unpubStore = window.repoFilesUnpublished;
+    const entry = unpubStore.find(e => e.metaData.collection === collection && e.slug === slug);
+    return Promise.resolve((entry && entry.metaData.comments) || []);
+  }
+
+  addEntryComment(collection, slug, body, field) {
+    const unpubStore = window.repoFilesUnpublished;
+    const entryIndex = unpubStore.findIndex(
+      e => e.metaData.collection === collection && e.slug === slug,
+    );
+    const { metaData } = unpubStore[entryIndex];
+    const comment = {
+      id: uuid(),
+      body,
+      field,
+      createdAt: new Date().toISOString(),
+      resolved: false,
+    };
+    metaData.comments = [...(metaData.comments || []), comment];
+    return Promise.resolve(comment);
+  }
+
+  resolveEntryComment(collection, slug, commentId) {
+    const unpubStore = window.repoFilesUnpublished;
+    const entryIndex = unpubStore.findIndex(
+      e => e.metaData.collection === collection && e.slug === slug,
+    );
+    const { metaData } = unpubStore[entryIndex];
+    metaData.comments = (metaData.comments || []).map(comment =>
+      comment.id === commentId ? { ...comment, resolved: true } : comment,
+    );
+    return Promise.resolve();
+  }
+
   publishUnpublishedEntry(collection, slug) {
     const unpubStore = window.repoFilesUnpublished;
     const unpubEntryIndex = unpubStore.findIndex(
@@ -202,7 +319,9 @@ export default class TestBackend {
     const unpubEntry = unpubStore[unpubEntryIndex];
     const entry = { raw: unpubEntry.data, slug: unpubEntry.slug, path: unpubEntry.file.path };
     unpubStore.splice(unpubEntryIndex, 1);
-    return this.persistEntry(entry);
+    return this.persistEntry(entry, [], {
+      renamedFrom: unpubEntry.deletedPaths && { paths: unpubEntry.deletedPaths },
+    });
   }
   getMedia() {
     return Promise.resolve(this.assets);
@@ -223,9 +342,8 @@ export default class TestBackend {
     if (assetIndex > -1) {
       this.assets.splice(assetIndex, 1);
     } else {
-      const folder = path.substring(0, path.lastIndexOf('/'));
       const fileName = path.substring(path.lastIndexOf('/') + 1);
-      delete window.repoFiles[folder][fileName];
+      delete getParentFolder(path)[fileName];
     }
 
     return Promise.resolve();
@@ -1,3 +1,4 @@
+import { fromJS } from 'immutable';
 import { resolveBackend } from '../backend';
 import registry from 'Lib/registry';
 
@@ -108,4 +109,384 @@ describe('Backend', () => {
       expect(result.length).toBe(1);
     });
   });
+
+  describe('i18n', () => {
+    let backend;
+    let implementation;
+
+    const collection = structure =>
+      fromJS({
+        name: 'posts',
+        folder: 'posts',
+        format: 'json',
+        type: 'folder_based_collection',
+        fields: [{ name: 'title', i18n: true }, { name: 'date', i18n: 'duplicate' }],
+        i18n: { structure, locales: ['en', 'de', 'fr'], default_locale: 'en' },
+      });
+
+    beforeEach(() => {
+      implementation = {
+        getEntry: jest.fn(),
+      };
+      registry.getBackend.mockReturnValue({
+        init: jest.fn().mockReturnValue(implementation),
+      });
+      backend = resolveBackend({
+        getIn: jest.fn().mockReturnValue('git-gateway'),
+      });
+    });
+
+    it('should build a file for each translated locale', () => {
+      const entry = fromJS({
+        data: { title: 'Hello', date: '2020' },
+        i18n: { de: { data: { title: 'Hallo' } } },
+      });
+      expect(
+        backend.entryToI18nFiles(collection('multiple_folders'), entry, {
+          path: 'posts/en/hello.json',
+          slug: 'hello',
+        }),
+      ).toEqual([
+        {
+          path: 'posts/en/hello.json',
+          slug: 'hello',
+          raw: '{\n  "title": "Hello",\n  "date": "2020"\n}',
+        },
+        {
+          path: 'posts/de/hello.json',
+          slug: 'hello',
+          raw: '{\n  "title": "Hallo",\n  "date": "2020"\n}',
+        },
+      ]);
+    });
+
+    it('should build a single file with locale keys', () => {
+      const entry = fromJS({
+        data: { title: 'Hello' },
+        i18n: { de: { data: { title: 'Hallo' } } },
+      });
+      const [file] = backend.entryToI18nFiles(collection('single_file'), entry, {
+        path: 'posts/hello.json',
+        slug: 'hello',
+      });
+      expect(JSON.parse(file.raw)).toEqual({ en: { title: 'Hello' }, de: { title: 'Hallo' } });
+    });
+
+    it('should load entry translations', async () => {
+      const files = {
+        'posts/hello.en.json': '{ "title": "Hello" }',
+        'posts/hello.de.json': '{ "title": "Hallo" }',
+      };
+      implementation.getEntry.mockImplementation((collection, slug, path) =>
+        files[path]
+          ? Promise.resolve({ file: { path }, data: files[path] })
+          : Promise.reject(new Error('Not Found')),
+      );
+
+      const entry = await backend.getEntry(collection('multiple_files'), 'hello');
+
+      expect(entry.path).toBe('posts/hello.en.json');
+      expect(entry.data).toEqual({ title: 'Hello' });
+      expect(entry.i18n).toEqual({ de: { data: { title: 'Hallo' } } });
+    });
+
+    describe('deleteEntry', () => {
+      const config = fromJS({ backend: { name: 'git-gateway' } });
+      const posts = collection('multiple_files').set('delete', true);
+
+      beforeEach(() => {
+        const files = ['posts/hello.en.json', 'posts/hello.de.json'];
+        implementation.getEntry.mockImplementation((collection, slug, path) =>
+          files.includes(path)
+            ? Promise.resolve({ file: { path }, data: '{}' })
+            : Promise.reject(new Error('Not Found')),
+        );
+        implementation.deleteFile = jest.fn().mockResolvedValue();
+        backend.currentUser = jest.fn().mockResolvedValue({ login: 'ada' });
+      });
+
+      it('should delete the existing locale files in a single commit', async () => {
+        implementation.deleteFiles = jest.fn().mockResolvedValue();
+
+        await backend.deleteEntry(config, posts, 'hello');
+
+        expect(implementation.deleteFiles).toHaveBeenCalledTimes(1);
+        expect(implementation.deleteFiles).toHaveBeenCalledWith(
+          ['posts/hello.en.json', 'posts/hello.de.json'],
+          expect.any(String),
+          { collection: posts, slug: 'hello' },
+        );
+        expect(implementation.deleteFile).not.toHaveBeenCalled();
+      });
+
+      it('should delete locale files one by one without batch deletes', async () => {
+        await backend.deleteEntry(config, posts, 'hello');
+
+        expect(implementation.deleteFile.mock.calls.map(([path]) => path)).toEqual([
+          'posts/hello.en.json',
+          'posts/hello.de.json',
+        ]);
+      });
+
+      it('should fail when a locale file could not be deleted', async () => {
+        implementation.deleteFile
+          .mockResolvedValueOnce()
+          .mockRejectedValueOnce(new Error('Conflict'));
+
+        await expect(backend.deleteEntry(config, posts, 'hello')).rejects.toThrow('Conflict');
+      });
+    });
+  });
+
+  describe('nested', () => {
+    let backend;
+    let implementation;
+
+    const collection = fromJS({
+      name: 'pages',
+      folder: 'pages',
+      format: 'json',
+      type: 'folder_based_collection',
+      slug: '{{title}}',
+      nested: { depth: 3 },
+      fields: [{ name: 'title' }],
+    });
+
+    beforeEach(() => {
+      implementation = {
+        entriesByFolder: jest.fn().mockResolvedValue([]),
+        getEntry: jest.fn().mockRejectedValue(new Error('Not Found')),
+      };
+      registry.getBackend.mockReturnValue({
+        init: jest.fn().mockReturnValue(implementation),
+      });
+      backend = resolveBackend({
+        getIn: jest.fn().mockReturnValue('git-gateway'),
+      });
+    });
+
+    it('should list entries up to the nested depth', async () => {
+      await backend.listEntries(collection);
+      expect(implementation.entriesByFolder).toHaveBeenCalledWith(collection, 'json', 3);
+    });
+
+    it('should generate slugs inside the selected folder', async () => {
+      const slugConfig = fromJS({ encoding: 'unicode' });
+      const data = fromJS({ title: 'Install' });
+      await expect(
+        backend.generateUniqueSlug(collection, data, slugConfig, [], 'guides/setup'),
+      ).resolves.toBe('guides/setup/install');
+      await expect(
+        backend.generateUniqueSlug(
+          collection,
+          data,
+          slugConfig,
+          ['guides/setup/install'],
+          'guides/setup',
+        ),
+      ).resolves.toBe('guides/setup/install-1');
+      expect(implementation.getEntry).toHaveBeenCalledWith(
+        collection,
+        'guides/setup/install-1',
+        'pages/guides/setup/install-1.json',
+      );
+    });
+  });
+
+  describe('query', () => {
+    let backend;
+
+    const entries = [
+      { slug: 'authors', data: { authors: [{ name: 'Ada' }, { name: 'Grace' }] } },
+      { slug: 'posts', data: { title: 'Grace and Ada' } },
+      { slug: 'grace-hopper', data: { title: 'Biography' } },
+    ];
+
+    beforeEach(() => {
+      registry.getBackend.mockReturnValue({
+        init: jest.fn(),
+      });
+      backend = resolveBackend({
+        getIn: jest.fn().mockReturnValue('git-gateway'),
+      });
+      jest.spyOn(backend, 'listAllEntries').mockResolvedValue(entries);
+    });
+
+    it('should search the items of lists', async () => {
+      const { hits } = await backend.query(fromJS({}), ['authors.*.name'], 'Grace');
+      expect(hits).toEqual([entries[0]]);
+    });
+
+    it('should search slugs', async () => {
+      const { hits } = await backend.query(fromJS({}), ['{{slug}}'], 'grace');
+      expect(hits).toEqual([entries[2]]);
+    });
+
+    it('should limit the search to a file', async () => {
+      const { hits } = await backend.query(fromJS({}), ['title', 'authors.*.name'], 'Ada', 'posts');
+      expect(hits).toEqual([entries[1]]);
+    });
+  });
+
+  describe('history', () => {
+    let backend;
+    let implementation;
+
+    const collection = fromJS({
+      name: 'posts',
+      folder: 'posts',
+      format: 'json',
+      type: 'folder_based_collection',
+      fields: [{ name: 'title' }],
+    });
+
+    beforeEach(() => {
+      implementation = {
+        getEntryHistory: jest.fn().mockResolvedValue([{ sha: 'abc' }]),
+        getEntryAtRevision: jest.fn().mockResolvedValue('{ "title": "Old" }'),
+      };
+      registry.getBackend.mockReturnValue({
+        init: jest.fn().mockReturnValue(implementation),
+      });
+      backend = resolveBackend({
+        getIn: jest.fn().mockReturnValue('git-gateway'),
+      });
+    });
+
+    it('should list the history of the entry file', async () => {
+      await expect(backend.getEntryHistory(collection, 'hello')).resolves.toEqual([{ sha: 'abc' }]);
+      expect(implementation.getEntryHistory).toHaveBeenCalledWith(
+        collection,
+        'hello',
+        'posts/hello.json',
+      );
+    });
+
+    it('should not list history for backends without it', async () => {
+      delete implementation.getEntryHistory;
+      await expect(backend.getEntryHistory(collection, 'hello')).resolves.toEqual([]);
+    });
+
+    it('should load the entry at a revision', async () => {
+      const entry = await backend.getEntryAtRevision(collection, 'hello', 'abc');
+      expect(implementation.getEntryAtRevision).toHaveBeenCalledWith(
+        collection,
+        'hello',
+        'posts/hello.json',
+        'abc',
+      );
+      expect(entry.path).toBe('posts/hello.json');
+      expect(entry.data).toEqual({ title: 'Old' });
+    });
+  });
+
+  describe('supportsScheduledPublishing', () => {
+    const resolveWith = implementation => {
+      registry.getBackend.mockReturnValue({ init: jest.fn().mockReturnValue(implementation) });
+      return resolveBackend({ getIn: jest.fn().mockReturnValue('git-gateway') });
+    };
+
+    it('should support backends which store the date', () => {
+      expect(
+        resolveWith({ updateUnpublishedEntryPublishAt: jest.fn() }).supportsScheduledPublishing(),
+      ).toBe(true);
+      expect(resolveWith({}).supportsScheduledPublishing()).toBe(false);
+    });
+
+    it('should ask backends which delegate to another backend', () => {
+      const implementation = {
+        updateUnpublishedEntryPublishAt: jest.fn(),
+        supportsScheduledPublishing: jest.fn().mockReturnValue(false),
+      };
+      expect(resolveWith(implementation).supportsScheduledPublishing()).toBe(false);
+    });
+  });
+
+  describe('supportsComments', () => {
+    it('should support backends which list comments', () => {
+      registry.getBackend.mockReturnValue({
+        init: jest.fn().mockReturnValue({ listEntryComments: jest.fn() }),
+      });
+      const backend = resolveBackend({ getIn: jest.fn().mockReturnValue('git-gateway') });
+      expect(backend.supportsComments()).toBe(true);
+      backend.implementation.supportsComments = () => false;
+      expect(backend.supportsComments()).toBe(false);
+    });
+  });
+
+  describe('renameEntry', () => {
+    let backend;
+    let implementation;
+
+    const config = fromJS({ backend: { name: 'git-gateway' }, slug: { encoding: 'unicode' } });
+    const collection = fromJS({
+      name: 'posts',
+      label: 'Posts',
+      folder: 'posts',
+      format: 'json',
+      type: 'folder_based_collection',
+      fields: [{ name: 'title' }],
+    });
+    const entryDraft = fromJS({
+      entry: { slug: 'hello', path: 'posts/hello.json', data: { title: 'Hello' } },
+    });
+
+    beforeEach(() => {
+      implementation = {
+        getEntry: jest.fn().mockRejectedValue(new Error('Not Found')),
+        persistEntry: jest.fn().mockResolvedValue(),
+      };
+      registry.getBackend.mockReturnValue({
+        init: jest.fn().mockReturnValue(implementation),
+      });
+      backend = resolveBackend({
+        getIn: jest.fn().mockReturnValue('git-gateway'),
+      });
+      backend.user = { login: 'jane', name: 'Jane' };
+    });
+
+    it('should move the entry to the path of the sanitized slug', async () => {
+      await expect(
+        backend.renameEntry(config, collection, entryDraft, ' hello world? ', []),
+      ).resolves.toBe('hello-world');
+      expect(implementation.persistEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ slug: 'hello-world', path: 'posts/hello-world.json' }),
+        [],
+        expect.objectContaining({
+          commitMessage: 'Rename Posts “hello” to “hello-world”',
+          renamedFrom: { slug: 'hello', paths: ['posts/hello.json'] },
+        }),
+      );
+    });
+
+    it('should not persist an unchanged slug', async () => {
+      await expect(backend.renameEntry(config, collection, entryDraft, 'hello', [])).resolves.toBe(
+        'hello',
+      );
+      expect(implementation.persistEntry).not.toHaveBeenCalled();
+    });
+
+    it('should refuse slugs of existing entries', async () => {
+      await expect(
+        backend.renameEntry(config, collection, entryDraft, 'other', ['other']),
+      ).rejects.toThrow('An entry with the slug “other” already exists');
+      implementation.getEntry.mockResolvedValue({ data: '{}' });
+      await expect(
+        backend.renameEntry(config, collection, entryDraft, 'another', []),
+      ).rejects.toThrow('An entry with the slug “another” already exists');
+      expect(implementation.persistEntry).not.toHaveBeenCalled();
+    });
+
+    it('should only rename entries of folder collections', async () => {
+      await expect(
+        backend.renameEntry(
+          config,
+          collection.set('type', 'file_based_collection'),
+          entryDraft,
+          'other',
+          [],
+        ),
+      ).rejects.toThrow('Only entries of folder collections can be renamed');
+    });
+  });
 });
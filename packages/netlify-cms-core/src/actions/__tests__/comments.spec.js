@@ -0,0 +1,54 @@
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { fromJS, List } from 'immutable';
+import { currentBackend } from 'coreSrc/backend';
+import {
+  ENTRY_COMMENTS_REQUEST,
+  ENTRY_COMMENTS_SUCCESS,
+  loadUnpublishedEntriesComments,
+} from '../comments';
+
+jest.mock('coreSrc/backend', () => ({ currentBackend: jest.fn() }));
+
+const mockStore = configureMockStore([thunk]);
+
+describe('comments', () => {
+  describe('loadUnpublishedEntriesComments', () => {
+    const entries = List([
+      fromJS({ slug: 'hello', metaData: { collection: 'posts' } }),
+      fromJS({ slug: 'about', metaData: { collection: 'pages' } }),
+    ]);
+
+    it('should load the comments of every entry', async () => {
+      const backend = {
+        supportsComments: jest.fn().mockReturnValue(true),
+        listEntryComments: jest.fn().mockResolvedValue([]),
+      };
+      currentBackend.mockReturnValue(backend);
+      const store = mockStore({ config: fromJS({}) });
+
+      await store.dispatch(loadUnpublishedEntriesComments(entries));
+      expect(backend.listEntryComments).toHaveBeenCalledWith('posts', 'hello');
+      expect(backend.listEntryComments).toHaveBeenCalledWith('pages', 'about');
+      expect(store.getActions().map(action => action.type)).toEqual([
+        ENTRY_COMMENTS_REQUEST,
+        ENTRY_COMMENTS_REQUEST,
+        ENTRY_COMMENTS_SUCCESS,
+        ENTRY_COMMENTS_SUCCESS,
+      ]);
+    });
+
+    it('should not load anything for backends without comments', async () => {
+      const backend = {
+        supportsComments: jest.fn().mockReturnValue(false),
+        listEntryComments: jest.fn(),
+      };
+      currentBackend.mockReturnValue(backend);
+      const store = mockStore({ config: fromJS({}) });
+
+      await store.dispatch(loadUnpublishedEntriesComments(entries));
+      expect(backend.listEntryComments).not.toHaveBeenCalled();
+      expect(store.getActions()).toEqual([]);
+    });
+  });
+});
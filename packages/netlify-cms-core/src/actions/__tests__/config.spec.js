@@ -1,5 +1,5 @@
 import { fromJS } from 'immutable';
-import { applyDefaults } from '../config';
+import { applyDefaults, handleLocalBackend } from '../config';
 
 describe('config', () => {
   describe('applyDefaults', () => {
@@ -96,5 +96,80 @@ describe('config', () => {
         }),
       );
     });
+
+    it('should resolve collection i18n settings from the global config', () => {
+      expect(
+        applyDefaults(
+          fromJS({
+            i18n: { structure: 'multiple_files', locales: ['en', 'de'] },
+            collections: [{ folder: 'foo', i18n: true }, { folder: 'bar' }],
+          }),
+        ).get('collections'),
+      ).toEqual(
+        fromJS([
+          {
+            folder: 'foo',
+            i18n: { structure: 'multiple_files', locales: ['en', 'de'], default_locale: 'en' },
+          },
+          { folder: 'bar' },
+        ]),
+      );
+    });
+  });
+
+  describe('handleLocalBackend', () => {
+    const config = fromJS({ backend: { name: 'github', repo: 'owner/repo' } });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should keep the backend without local_backend', async () => {
+      await expect(handleLocalBackend(config)).resolves.toBe(config);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should switch to the proxy backend when the proxy server responds', async () => {
+      global.fetch.mockResolvedValue({ ok: true });
+      await expect(handleLocalBackend(config.set('local_backend', true))).resolves.toEqual(
+        config.set('local_backend', true).set(
+          'backend',
+          fromJS({
+            name: 'proxy',
+            repo: 'owner/repo',
+            proxy_url: 'http://localhost:8081/api/v1',
+          }),
+        ),
+      );
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost:8081/api/v1', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify({ action: 'info' }),
+      });
+    });
+
+    it('should use the configured proxy url', async () => {
+      global.fetch.mockResolvedValue({ ok: true });
+      const localConfig = config.set('local_backend', fromJS({ url: 'http://localhost:8082/api' }));
+      const result = await handleLocalBackend(localConfig);
+      expect(result.getIn(['backend', 'proxy_url'])).toBe('http://localhost:8082/api');
+    });
+
+    it('should keep the backend when the proxy server is not running', async () => {
+      global.fetch.mockRejectedValue(new Error('Failed to fetch'));
+      const localConfig = config.set('local_backend', true);
+      await expect(handleLocalBackend(localConfig)).resolves.toBe(localConfig);
+    });
+
+    it('should keep the backend on hosts which are not allowed', async () => {
+      const localConfig = config.set('local_backend', fromJS({ allowed_hosts: ['example.com'] }));
+      await expect(handleLocalBackend(localConfig)).resolves.toBe(localConfig);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,258 @@
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { fromJS, Map } from 'immutable';
+import { currentBackend } from 'coreSrc/backend';
+import { registerWidgetValueSerializer } from 'Lib/registry';
+import {
+  persistUnpublishedEntry,
+  updateUnpublishedEntryStatus,
+  updateUnpublishedEntryPublishAt,
+  deleteUnpublishedEntry,
+  publishUnpublishedEntry,
+} from '../editorialWorkflow';
+
+jest.mock('coreSrc/backend', () => ({ currentBackend: jest.fn() }));
+
+const mockStore = configureMockStore([thunk]);
+
+describe('editorialWorkflow', () => {
+  describe('permissions', () => {
+    const backend = {
+      persistEntry: jest.fn().mockResolvedValue('slug'),
+      updateUnpublishedEntryStatus: jest.fn().mockResolvedValue(),
+      updateUnpublishedEntryPublishAt: jest.fn().mockResolvedValue(),
+      deleteUnpublishedEntry: jest.fn().mockResolvedValue(),
+      publishUnpublishedEntry: jest.fn().mockResolvedValue(),
+    };
+
+    const getState = (permissions, entry = { slug: 'slug', data: {} }) => ({
+      config: fromJS({
+        publish_mode: 'editorial_workflow',
+        roles: [{ name: 'writers', users: ['ada'], permissions }],
+      }),
+      auth: fromJS({ user: { login: 'ada' } }),
+      collections: fromJS({ posts: { name: 'posts' } }),
+      entryDraft: fromJS({ entry, fieldsErrors: {}, mediaFiles: [] }),
+      entries: fromJS({ entities: {}, pages: {} }),
+      editorialWorkflow: fromJS({ entities: {}, pages: { ids: [] } }),
+      integrations: Map(),
+      medias: Map(),
+    });
+
+    const hasDeniedNotification = store =>
+      store
+        .getActions()
+        .some(
+          action =>
+            action.payload &&
+            action.payload.message &&
+            action.payload.message.key === 'ui.toast.onPermissionDenied',
+        );
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.clearAllMocks();
+      currentBackend.mockReturnValue(backend);
+    });
+
+    it('should not persist new entries without the create permission', async () => {
+      const store = mockStore(getState({ posts: ['edit'] }, { slug: 'slug', newRecord: true }));
+      const collection = fromJS({ name: 'posts', type: 'folder_based_collection', fields: [] });
+
+      await expect(store.dispatch(persistUnpublishedEntry(collection))).rejects.toBeUndefined();
+      expect(backend.persistEntry).not.toHaveBeenCalled();
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should persist new entries with the create permission', async () => {
+      const store = mockStore(getState({ posts: ['create'] }, { slug: 'slug', newRecord: true }));
+      const collection = fromJS({ name: 'posts', type: 'folder_based_collection', fields: [] });
+
+      await store.dispatch(persistUnpublishedEntry(collection));
+      expect(backend.persistEntry).toHaveBeenCalledTimes(1);
+      expect(hasDeniedNotification(store)).toBe(false);
+    });
+
+    it('should not change statuses without the edit permission', () => {
+      const store = mockStore(getState({ posts: ['read'] }));
+
+      store.dispatch(updateUnpublishedEntryStatus('posts', 'slug', 'draft', 'pending_review'));
+      expect(backend.updateUnpublishedEntryStatus).not.toHaveBeenCalled();
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should not move entries to publish statuses without the publish permission', () => {
+      const store = mockStore(getState({ posts: ['edit'] }));
+
+      store.dispatch(updateUnpublishedEntryStatus('posts', 'slug', 'draft', 'pending_review'));
+      store.dispatch(
+        updateUnpublishedEntryStatus('posts', 'slug', 'pending_review', 'pending_publish'),
+      );
+      expect(backend.updateUnpublishedEntryStatus).toHaveBeenCalledTimes(1);
+      expect(backend.updateUnpublishedEntryStatus).toHaveBeenCalledWith(
+        'posts',
+        'slug',
+        'pending_review',
+      );
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should not schedule or publish entries without the publish permission', async () => {
+      const store = mockStore(getState({ posts: ['edit'] }));
+
+      await expect(
+        store.dispatch(updateUnpublishedEntryPublishAt('posts', 'slug', null)),
+      ).rejects.toBeUndefined();
+      await expect(
+        store.dispatch(publishUnpublishedEntry('posts', 'slug')),
+      ).rejects.toBeUndefined();
+      expect(backend.updateUnpublishedEntryPublishAt).not.toHaveBeenCalled();
+      expect(backend.publishUnpublishedEntry).not.toHaveBeenCalled();
+    });
+
+    it('should not delete entries without the delete permission', async () => {
+      const store = mockStore(getState({ posts: ['edit', 'publish'] }));
+
+      await expect(store.dispatch(deleteUnpublishedEntry('posts', 'slug'))).rejects.toBeUndefined();
+      expect(backend.deleteUnpublishedEntry).not.toHaveBeenCalled();
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should call the backend without roles in the config', async () => {
+      const store = mockStore({ ...getState({}), config: fromJS({}) });
+
+      await store.dispatch(publishUnpublishedEntry('posts', 'slug'));
+      await store.dispatch(deleteUnpublishedEntry('posts', 'slug'));
+      expect(backend.publishUnpublishedEntry).toHaveBeenCalledWith('posts', 'slug');
+      expect(backend.deleteUnpublishedEntry).toHaveBeenCalledWith('posts', 'slug');
+    });
+  });
+
+  describe('updateUnpublishedEntryStatus', () => {
+    const backend = { updateUnpublishedEntryStatus: jest.fn().mockResolvedValue() };
+    const state = {
+      config: fromJS({
+        publish_mode: 'editorial_workflow',
+        workflow: {
+          statuses: [
+            { name: 'draft', transitions: ['review'] },
+            { name: 'review' },
+            { name: 'ready', publish: true },
+          ],
+        },
+      }),
+      auth: fromJS({ user: { login: 'ada' } }),
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.clearAllMocks();
+      currentBackend.mockReturnValue(backend);
+    });
+
+    it('should not move entries to statuses they have no transition to', () => {
+      const store = mockStore(state);
+
+      store.dispatch(updateUnpublishedEntryStatus('posts', 'slug', 'draft', 'ready'));
+
+      expect(backend.updateUnpublishedEntryStatus).not.toHaveBeenCalled();
+      expect(store.getActions()).toEqual([
+        expect.objectContaining({
+          payload: expect.objectContaining({
+            message: { key: 'ui.toast.onStatusTransitionNotAllowed', details: 'draft → ready' },
+            kind: 'danger',
+          }),
+        }),
+      ]);
+    });
+
+    it('should move entries to statuses they have a transition to', () => {
+      const store = mockStore(state);
+
+      store.dispatch(updateUnpublishedEntryStatus('posts', 'slug', 'draft', 'review'));
+      store.dispatch(updateUnpublishedEntryStatus('posts', 'slug', 'review', 'ready'));
+
+      expect(backend.updateUnpublishedEntryStatus).toHaveBeenCalledTimes(2);
+      expect(backend.updateUnpublishedEntryStatus).toHaveBeenLastCalledWith(
+        'posts',
+        'slug',
+        'ready',
+      );
+    });
+  });
+
+  describe('persistUnpublishedEntry', () => {
+    const backend = { persistEntry: jest.fn().mockResolvedValue('slug') };
+    const collection = fromJS({
+      name: 'posts',
+      type: 'folder_based_collection',
+      i18n: { structure: 'multiple_folders', locales: ['en', 'de'], default_locale: 'en' },
+      fields: [
+        { name: 'title', widget: 'string', i18n: true },
+        { name: 'tags', widget: 'tags', i18n: true },
+        { name: 'layout', widget: 'string', i18n: true },
+        {
+          name: 'cta',
+          widget: 'string',
+          i18n: true,
+          condition: { field: 'layout', equals: 'landing', strip_value: true },
+        },
+      ],
+    });
+
+    const getState = entry => ({
+      config: fromJS({ publish_mode: 'editorial_workflow' }),
+      collections: fromJS({ posts: collection }),
+      entryDraft: fromJS({ entry, fieldsErrors: {}, mediaFiles: [] }),
+      entries: fromJS({ entities: {}, pages: {} }),
+      editorialWorkflow: fromJS({ entities: {}, pages: { ids: [] } }),
+      integrations: Map(),
+      medias: Map(),
+    });
+
+    const persistedEntry = () => backend.persistEntry.mock.calls[0][2].get('entry');
+
+    beforeAll(() => {
+      registerWidgetValueSerializer('tags', {
+        serialize: value => value.join(','),
+        deserialize: value => value.split(','),
+      });
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.clearAllMocks();
+      currentBackend.mockReturnValue(backend);
+    });
+
+    it('should serialize the values of every locale', async () => {
+      const store = mockStore(
+        getState({
+          slug: 'slug',
+          data: { title: 'Hello', tags: ['a', 'b'] },
+          i18n: { de: { data: { title: 'Hallo', tags: ['c', 'd'] } } },
+        }),
+      );
+
+      await store.dispatch(persistUnpublishedEntry(collection));
+      expect(persistedEntry().get('data')).toEqual(fromJS({ title: 'Hello', tags: 'a,b' }));
+      expect(persistedEntry().getIn(['i18n', 'de', 'data'])).toEqual(
+        fromJS({ title: 'Hallo', tags: 'c,d' }),
+      );
+    });
+
+    it('should remove the hidden values of every locale', async () => {
+      const store = mockStore(
+        getState({
+          slug: 'slug',
+          data: { layout: 'landing', cta: 'Buy' },
+          i18n: { de: { data: { layout: 'article', cta: 'Kaufen' } } },
+        }),
+      );
+
+      await store.dispatch(persistUnpublishedEntry(collection));
+      expect(persistedEntry().get('data')).toEqual(fromJS({ layout: 'landing', cta: 'Buy' }));
+      expect(persistedEntry().getIn(['i18n', 'de', 'data'])).toEqual(fromJS({ layout: 'article' }));
+    });
+  });
+});
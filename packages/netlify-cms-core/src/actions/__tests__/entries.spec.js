@@ -1,5 +1,24 @@
-import { fromJS } from 'immutable';
-import { createEmptyDraftData } from '../entries';
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { fromJS, Map } from 'immutable';
+import { currentBackend } from 'coreSrc/backend';
+import { SORT_DIRECTION_ASCENDING } from 'Constants/sortDirections';
+import entriesReducer, { selectEntries } from 'Reducers/entries';
+import {
+  createEmptyDraftData,
+  persistEntry,
+  deleteEntry,
+  renameEntry,
+  sortByField,
+  loadSort,
+  filterByField,
+  loadEntries,
+  getRelatedEntry,
+} from '../entries';
+
+jest.mock('coreSrc/backend', () => ({ currentBackend: jest.fn() }));
+
+const mockStore = configureMockStore([thunk]);
 
 describe('entries', () => {
   describe('createEmptyDraftData', () => {
@@ -78,5 +97,335 @@ describe('entries', () => {
       ]);
       expect(createEmptyDraftData(fields)).toEqual({});
     });
+
+    describe('hidden field templates', () => {
+      const user = Map({ login: 'jdoe', name: 'J. Doe' });
+
+      it('should resolve the tags in the default value of hidden fields', () => {
+        const fields = fromJS([
+          { name: 'id', widget: 'hidden', default: '{{uuid}}' },
+          { name: 'date', widget: 'hidden', default: '{{now}}' },
+          { name: 'author', widget: 'hidden', default: '{{author-login}} ({{author-name}})' },
+        ]);
+        const data = createEmptyDraftData(fields, true, { user });
+
+        expect(data.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        expect(new Date(data.date).toISOString()).toBe(data.date);
+        expect(data.author).toBe('jdoe (J. Doe)');
+      });
+
+      it('should resolve field tags with the default values of other fields', () => {
+        const fields = fromJS([
+          { name: 'ref', widget: 'hidden', default: 'post-{{fields.title}}-{{fields.meta.lang}}' },
+          { name: 'title', widget: 'string', default: 'hello' },
+          { name: 'meta', widget: 'object', fields: [{ name: 'lang', default: 'en' }] },
+        ]);
+        expect(createEmptyDraftData(fields).ref).toBe('post-hello-en');
+      });
+
+      it('should resolve tags of hidden fields in nested fields', () => {
+        const fields = fromJS([
+          {
+            name: 'meta',
+            widget: 'object',
+            fields: [{ name: 'author', widget: 'hidden', default: '{{author-login}}' }],
+          },
+        ]);
+        expect(createEmptyDraftData(fields, true, { user })).toEqual({
+          meta: { author: 'jdoe' },
+        });
+      });
+
+      it('should keep unknown tags and the default of other widgets', () => {
+        const fields = fromJS([
+          { name: 'layout', widget: 'hidden', default: '{{< layout >}}' },
+          { name: 'title', widget: 'string', default: '{{uuid}}' },
+        ]);
+        expect(createEmptyDraftData(fields)).toEqual({
+          layout: '{{< layout >}}',
+          title: '{{uuid}}',
+        });
+      });
+    });
+  });
+
+  describe('permissions', () => {
+    const collection = fromJS({ name: 'posts', type: 'folder_based_collection', fields: [] });
+    const backend = {
+      persistEntry: jest.fn().mockResolvedValue('slug'),
+      deleteEntry: jest.fn().mockResolvedValue(),
+      renameEntry: jest.fn().mockResolvedValue('other'),
+    };
+
+    const getState = (permissions, entry = { slug: 'slug', data: {} }) => ({
+      config: fromJS({ roles: [{ name: 'writers', users: ['ada'], permissions }] }),
+      auth: fromJS({ user: { login: 'ada' } }),
+      entryDraft: fromJS({ entry, fieldsErrors: {}, mediaFiles: [] }),
+      entries: fromJS({ entities: {}, pages: {} }),
+      integrations: Map(),
+      medias: Map(),
+    });
+
+    const hasDeniedNotification = store =>
+      store
+        .getActions()
+        .some(
+          action =>
+            action.payload &&
+            action.payload.message &&
+            action.payload.message.key === 'ui.toast.onPermissionDenied',
+        );
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.clearAllMocks();
+      currentBackend.mockReturnValue(backend);
+    });
+
+    it('should not persist new entries without the create permission', async () => {
+      const store = mockStore(
+        getState({ posts: ['edit', 'publish'] }, { slug: 'slug', data: {}, newRecord: true }),
+      );
+
+      await expect(store.dispatch(persistEntry(collection))).rejects.toBeUndefined();
+      expect(backend.persistEntry).not.toHaveBeenCalled();
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should not persist entries without the publish permission', async () => {
+      const store = mockStore(getState({ posts: ['edit', 'create'] }));
+
+      await expect(store.dispatch(persistEntry(collection))).rejects.toBeUndefined();
+      expect(backend.persistEntry).not.toHaveBeenCalled();
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should persist entries with the edit and publish permissions', async () => {
+      const store = mockStore(getState({ posts: ['edit', 'publish'] }));
+
+      await store.dispatch(persistEntry(collection));
+      expect(backend.persistEntry).toHaveBeenCalledTimes(1);
+      expect(hasDeniedNotification(store)).toBe(false);
+    });
+
+    it('should not delete entries without the delete permission', async () => {
+      const store = mockStore(getState({ '*': ['edit', 'create', 'publish'] }));
+
+      await expect(store.dispatch(deleteEntry(collection, 'slug'))).rejects.toBeUndefined();
+      expect(backend.deleteEntry).not.toHaveBeenCalled();
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should delete entries with the delete permission', async () => {
+      const store = mockStore(getState({ '*': ['delete'] }));
+
+      await store.dispatch(deleteEntry(collection, 'slug'));
+      expect(backend.deleteEntry).toHaveBeenCalledWith(store.getState().config, collection, 'slug');
+    });
+
+    it('should not rename entries without the publish and delete permissions', async () => {
+      const store = mockStore(getState({ posts: ['edit', 'publish'] }));
+
+      await expect(store.dispatch(renameEntry(collection, 'other'))).rejects.toBeUndefined();
+      expect(backend.renameEntry).not.toHaveBeenCalled();
+      expect(hasDeniedNotification(store)).toBe(true);
+    });
+
+    it('should rename entries with the edit, publish and delete permissions', async () => {
+      const store = mockStore(getState({ posts: ['edit', 'publish', 'delete'] }));
+
+      await store.dispatch(renameEntry(collection, 'other'));
+      expect(backend.renameEntry).toHaveBeenCalledTimes(1);
+      expect(hasDeniedNotification(store)).toBe(false);
+    });
+
+    it('should rename entries with the edit permission under the editorial workflow', async () => {
+      const state = getState({ posts: ['edit'] });
+      const store = mockStore({
+        ...state,
+        config: state.config.set('publish_mode', 'editorial_workflow'),
+        editorialWorkflow: fromJS({ entities: {}, pages: { ids: [] } }),
+      });
+
+      await store.dispatch(renameEntry(collection, 'other'));
+      expect(backend.renameEntry).toHaveBeenCalledTimes(1);
+      expect(hasDeniedNotification(store)).toBe(false);
+    });
+  });
+  describe('sortByField', () => {
+    const collection = fromJS({ name: 'posts', type: 'folder_based_collection' });
+    const initialState = fromJS({ entities: {}, pages: {}, sort: {} });
+
+    const createStore = () => {
+      // the entries state follows the dispatched actions
+      const store = mockStore(() => ({
+        config: fromJS({}),
+        entries: store.getActions().reduce(entriesReducer, initialState),
+      }));
+      return store;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      localStorage.clear();
+    });
+
+    it('should persist the sort of a collection', async () => {
+      currentBackend.mockReturnValue({
+        listAllEntries: jest.fn().mockResolvedValue([{ slug: 'a', data: {} }]),
+      });
+      const store = createStore();
+
+      await store.dispatch(sortByField(collection, 'title', SORT_DIRECTION_ASCENDING));
+      expect(JSON.parse(localStorage.getItem('cms.entries-sort'))).toEqual({
+        posts: { key: 'title', direction: SORT_DIRECTION_ASCENDING },
+      });
+      expect(loadSort().payload.sort).toEqual({
+        posts: { key: 'title', direction: SORT_DIRECTION_ASCENDING },
+      });
+    });
+
+    it('should not persist a sort which failed', async () => {
+      currentBackend.mockReturnValue({
+        listAllEntries: jest.fn().mockRejectedValue(new Error('Not Found')),
+      });
+      const store = createStore();
+
+      await store.dispatch(sortByField(collection, 'title', SORT_DIRECTION_ASCENDING));
+      expect(JSON.parse(localStorage.getItem('cms.entries-sort'))).toEqual({});
+    });
+  });
+
+  describe('filterByField', () => {
+    const collection = fromJS({ name: 'posts', type: 'folder_based_collection' });
+    const filter = fromJS({ id: 'draft__true', field: 'draft', pattern: true });
+    const allEntries = [
+      { slug: 'a', data: { draft: true } },
+      { slug: 'b', data: { draft: false } },
+      { slug: 'c', data: { draft: true } },
+    ];
+
+    const createStore = (initialState = fromJS({ entities: {}, pages: {}, sort: {} })) => {
+      // the entries state follows the dispatched actions
+      const store = mockStore(() => ({
+        config: fromJS({}),
+        entries: store.getActions().reduce(entriesReducer, initialState),
+      }));
+      return store;
+    };
+    const slugs = store =>
+      selectEntries(store.getState().entries, 'posts')
+        .map(entry => entry.get('slug'))
+        .toArray();
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    it('should filter every entry of the collection', async () => {
+      const backend = { listAllEntries: jest.fn().mockResolvedValue(allEntries) };
+      currentBackend.mockReturnValue(backend);
+      const store = createStore();
+
+      await store.dispatch(filterByField(collection, filter));
+      expect(backend.listAllEntries).toHaveBeenCalledTimes(1);
+      expect(slugs(store)).toEqual(['a', 'c']);
+    });
+
+    it('should toggle filters without listing the entries again', async () => {
+      const backend = { listAllEntries: jest.fn().mockResolvedValue(allEntries) };
+      currentBackend.mockReturnValue(backend);
+      const store = createStore();
+
+      await store.dispatch(filterByField(collection, filter));
+      await store.dispatch(filterByField(collection, filter));
+      expect(backend.listAllEntries).toHaveBeenCalledTimes(1);
+      expect(slugs(store)).toEqual(['a', 'b', 'c']);
+      expect(store.getState().entries.getIn(['pages', 'posts', 'isFetching'])).toBe(false);
+    });
+
+    it('should list every entry of filtered collections', async () => {
+      const backend = {
+        listEntries: jest.fn(),
+        listAllEntries: jest.fn().mockResolvedValue(allEntries),
+      };
+      currentBackend.mockReturnValue(backend);
+      const store = createStore(
+        fromJS({ entities: {}, pages: {}, sort: {} }).setIn(
+          ['filter', 'posts', 'draft__true'],
+          filter.set('active', true),
+        ),
+      );
+
+      await store.dispatch(loadEntries(collection));
+      expect(backend.listEntries).not.toHaveBeenCalled();
+      expect(slugs(store)).toEqual(['a', 'c']);
+    });
+
+    it('should list every entry of nested collections', async () => {
+      const backend = {
+        listEntries: jest.fn(),
+        listAllEntries: jest.fn().mockResolvedValue(allEntries),
+      };
+      currentBackend.mockReturnValue(backend);
+      const store = createStore();
+
+      await store.dispatch(loadEntries(collection.set('nested', fromJS({ depth: 2 }))));
+      await store.dispatch(loadEntries(collection.set('nested', fromJS({ depth: 2 }))));
+      expect(backend.listEntries).not.toHaveBeenCalled();
+      expect(backend.listAllEntries).toHaveBeenCalledTimes(1);
+      expect(slugs(store)).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('getRelatedEntry', () => {
+    const authors = [
+      { slug: 'ada', data: { name: 'Ada Lovelace' } },
+      { slug: 'grace', data: { name: 'Grace Hopper' } },
+    ];
+    const state = {
+      config: fromJS({}),
+      collections: fromJS({ authors: { name: 'authors', type: 'folder_based_collection' } }),
+      entries: fromJS({ entities: {}, pages: {} }),
+    };
+
+    it('should load entries referenced by their slug', async () => {
+      const backend = {
+        getEntry: jest.fn().mockResolvedValue(authors[1]),
+        listAllEntries: jest.fn(),
+      };
+      currentBackend.mockReturnValue(backend);
+      const store = mockStore(state);
+
+      await expect(store.dispatch(getRelatedEntry('authors', 'grace'))).resolves.toEqual(
+        authors[1],
+      );
+      expect(backend.getEntry).toHaveBeenCalledWith(state.collections.get('authors'), 'grace');
+      expect(backend.listAllEntries).not.toHaveBeenCalled();
+    });
+
+    it('should find entries referenced by another field in their collection', async () => {
+      const backend = { listAllEntries: jest.fn().mockResolvedValue(authors) };
+      currentBackend.mockReturnValue(backend);
+      const store = mockStore(state);
+
+      await expect(
+        store.dispatch(getRelatedEntry('authors', 'Ada Lovelace', { valueField: 'name' })),
+      ).resolves.toEqual(authors[0]);
+    });
+
+    it('should resolve entries which can not be found to undefined', async () => {
+      currentBackend.mockReturnValue({
+        getEntry: jest.fn().mockRejectedValue(new Error('Not Found')),
+        listAllEntries: jest.fn().mockResolvedValue(authors),
+      });
+      const store = mockStore(state);
+
+      await expect(store.dispatch(getRelatedEntry('authors', 'alan'))).resolves.toBeUndefined();
+      await expect(
+        store.dispatch(getRelatedEntry('authors', 'Alan Turing', { valueField: 'name' })),
+      ).resolves.toBeUndefined();
+      await expect(store.dispatch(getRelatedEntry('books', 'sicp'))).resolves.toBeUndefined();
+    });
   });
 });
@@ -0,0 +1,176 @@
+import { actions as notifActions } from 'redux-notifications';
+import { currentBackend } from 'coreSrc/backend';
+
+const { notifSend } = notifActions;
+
+/*
+ * Constant Declarations
+ */
+export const ENTRY_COMMENTS_REQUEST = 'ENTRY_COMMENTS_REQUEST';
+export const ENTRY_COMMENTS_SUCCESS = 'ENTRY_COMMENTS_SUCCESS';
+export const ENTRY_COMMENTS_FAILURE = 'ENTRY_COMMENTS_FAILURE';
+
+export const ENTRY_COMMENT_ADD_REQUEST = 'ENTRY_COMMENT_ADD_REQUEST';
+export const ENTRY_COMMENT_ADD_SUCCESS = 'ENTRY_COMMENT_ADD_SUCCESS';
+export const ENTRY_COMMENT_ADD_FAILURE = 'ENTRY_COMMENT_ADD_FAILURE';
+
+export const ENTRY_COMMENT_RESOLVE_REQUEST = 'ENTRY_COMMENT_RESOLVE_REQUEST';
+export const ENTRY_COMMENT_RESOLVE_SUCCESS = 'ENTRY_COMMENT_RESOLVE_SUCCESS';
+export const ENTRY_COMMENT_RESOLVE_FAILURE = 'ENTRY_COMMENT_RESOLVE_FAILURE';
+
+/*
+ * Simple Action Creators (Internal)
+ */
+export function entryCommentsLoading(collection, slug) {
+  return {
+    type: ENTRY_COMMENTS_REQUEST,
+    payload: { collection, slug },
+  };
+}
+
+export function entryCommentsLoaded(collection, slug, comments) {
+  return {
+    type: ENTRY_COMMENTS_SUCCESS,
+    payload: { collection, slug, comments },
+  };
+}
+
+export function entryCommentsError(collection, slug, error) {
+  return {
+    type: ENTRY_COMMENTS_FAILURE,
+    payload: { collection, slug, error },
+  };
+}
+
+export function entryCommentAdding(collection, slug) {
+  return {
+    type: ENTRY_COMMENT_ADD_REQUEST,
+    payload: { collection, slug },
+  };
+}
+
+export function entryCommentAdded(collection, slug, comment) {
+  return {
+    type: ENTRY_COMMENT_ADD_SUCCESS,
+    payload: { collection, slug, comment },
+  };
+}
+
+export function entryCommentAddError(collection, slug, error) {
+  return {
+    type: ENTRY_COMMENT_ADD_FAILURE,
+    payload: { collection, slug, error },
+  };
+}
+
+export function entryCommentResolving(collection, slug, commentId) {
+  return {
+    type: ENTRY_COMMENT_RESOLVE_REQUEST,
+    payload: { collection, slug, commentId },
+  };
+}
+
+export function entryCommentResolved(collection, slug, commentId) {
+  return {
+    type: ENTRY_COMMENT_RESOLVE_SUCCESS,
+    payload: { collection, slug, commentId },
+  };
+}
+
+export function entryCommentResolveError(collection, slug, commentId, error) {
+  return {
+    type: ENTRY_COMMENT_RESOLVE_FAILURE,
+    payload: { collection, slug, commentId, error },
+  };
+}
+
+/*
+ * Exported Thunk Action Creators
+ */
+
+/**
+ * Lists the review comments of an unpublished entry.
+ */
+export function loadEntryComments(collection, slug) {
+  return async (dispatch, getState) => {
+    const backend = currentBackend(getState().config);
+    dispatch(entryCommentsLoading(collection, slug));
+    try {
+      const comments = await backend.listEntryComments(collection, slug);
+      dispatch(entryCommentsLoaded(collection, slug, comments));
+    } catch (error) {
+      console.error(error);
+      dispatch(entryCommentsError(collection, slug, error.message));
+    }
+  };
+}
+
+/**
+ * Loads the comments of unpublished entries for the comment counts of the
+ * workflow board. Nothing is loaded for backends without comments.
+ */
+export function loadUnpublishedEntriesComments(entries) {
+  return (dispatch, getState) => {
+    if (!currentBackend(getState().config).supportsComments()) {
+      return Promise.resolve();
+    }
+    return Promise.all(
+      entries.map(entry =>
+        dispatch(loadEntryComments(entry.getIn(['metaData', 'collection']), entry.get('slug'))),
+      ),
+    );
+  };
+}
+
+/**
+ * Adds a comment to an unpublished entry, or to one of its fields when given
+ * the path of the field in the entry data.
+ */
+export function addEntryComment(collection, slug, body, field) {
+  return async (dispatch, getState) => {
+    const backend = currentBackend(getState().config);
+    dispatch(entryCommentAdding(collection, slug));
+    try {
+      const comment = await backend.addEntryComment(collection, slug, body, field);
+      dispatch(entryCommentAdded(collection, slug, comment));
+      return comment;
+    } catch (error) {
+      console.error(error);
+      dispatch(
+        notifSend({
+          message: {
+            details: error.message,
+            key: 'ui.toast.onFailToAddComment',
+          },
+          kind: 'danger',
+          dismissAfter: 8000,
+        }),
+      );
+      dispatch(entryCommentAddError(collection, slug, error.message));
+    }
+  };
+}
+
+export function resolveEntryComment(collection, slug, commentId) {
+  return async (dispatch, getState) => {
+    const backend = currentBackend(getState().config);
+    dispatch(entryCommentResolving(collection, slug, commentId));
+    try {
+      await backend.resolveEntryComment(collection, slug, commentId);
+      dispatch(entryCommentResolved(collection, slug, commentId));
+    } catch (error) {
+      console.error(error);
+      dispatch(
+        notifSend({
+          message: {
+            details: error.message,
+            key: 'ui.toast.onFailToResolveComment',
+          },
+          kind: 'danger',
+          dismissAfter: 8000,
+        }),
+      );
+      dispatch(entryCommentResolveError(collection, slug, commentId, error.message));
+    }
+  };
+}
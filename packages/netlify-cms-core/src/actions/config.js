@@ -4,6 +4,7 @@ import { trimStart, get } from 'lodash';
 import { authenticateUser } from 'Actions/auth';
 import * as publishModes from 'Constants/publishModes';
 import { validateConfig } from 'Constants/configSchema';
+import { resolveCollectionI18n } from 'Lib/i18n';
 
 export const CONFIG_REQUEST = 'CONFIG_REQUEST';
 export const CONFIG_SUCCESS = 'CONFIG_SUCCESS';
@@ -44,7 +45,13 @@ export function applyDefaults(config) {
       // Strip leading slash from collection folders and files
       map.set(
         'collections',
-        map.get('collections').map(collection => {
+        map.get('collections').map(configCollection => {
+          // Resolve translation settings against the global `i18n` config
+          const i18n = resolveCollectionI18n(map.get('i18n'), configCollection.get('i18n'));
+          const collection = i18n
+            ? configCollection.set('i18n', i18n)
+            : configCollection.delete('i18n');
+
           const folder = collection.get('folder');
           if (folder) {
             return collection.set('folder', trimStart(folder, '/'));
@@ -94,6 +101,52 @@ async function getConfig(file, isPreloaded) {
   return parseConfig(await response.text());
 }
 
+const DEFAULT_PROXY_URL = 'http://localhost:8081/api/v1';
+const DEFAULT_ALLOWED_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Returns the URL of the local proxy server when `local_backend` is enabled,
+ * the CMS is served from an allowed host and the server responds. Otherwise
+ * the configured backend is used.
+ */
+export async function detectProxyServer(localBackend) {
+  if (!localBackend) {
+    return;
+  }
+  const {
+    url = DEFAULT_PROXY_URL,
+    allowed_hosts: allowedHosts = DEFAULT_ALLOWED_HOSTS,
+  } = Map.isMap(localBackend) ? localBackend.toJS() : {};
+  if (!allowedHosts.includes(window.location.hostname)) {
+    return;
+  }
+  try {
+    console.log(`Looking for Netlify CMS Proxy Server at '${url}'`);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify({ action: 'info' }),
+    });
+    if (response.ok) {
+      console.log(`Detected Netlify CMS Proxy Server at '${url}'`);
+      return url;
+    }
+  } catch (e) {
+    console.log(`Netlify CMS Proxy Server not detected at '${url}'`);
+  }
+}
+
+/**
+ * Switches to the proxy backend when a local proxy server was detected.
+ */
+export async function handleLocalBackend(config) {
+  const proxyUrl = await detectProxyServer(config.get('local_backend'));
+  if (!proxyUrl) {
+    return config;
+  }
+  return config.mergeIn(['backend'], { name: 'proxy', proxy_url: proxyUrl });
+}
+
 export function configLoaded(config) {
   return {
     type: CONFIG_SUCCESS,
@@ -146,7 +199,7 @@ export function loadConfig() {
       const mergedConfig = mergePreloadedConfig(preloadedConfig, loadedConfig);
       validateConfig(mergedConfig.toJS());
 
-      const config = applyDefaults(mergedConfig);
+      const config = await handleLocalBackend(applyDefaults(mergedConfig));
 
       dispatch(configDidLoad(config));
       dispatch(authenticateUser());
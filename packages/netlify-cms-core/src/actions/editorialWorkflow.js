@@ -2,12 +2,16 @@ import uuid from 'uuid/v4';
 import { actions as notifActions } from 'redux-notifications';
 import { BEGIN, COMMIT, REVERT } from 'redux-optimist';
 import { serializeValues } from 'Lib/serializeEntryValues';
+import { stripHiddenValues } from 'Lib/fieldConditions';
+import { mapEntryData } from 'Lib/i18n';
 import { currentBackend } from 'coreSrc/backend';
 import { getAsset, selectPublishedSlugs, selectUnpublishedSlugs } from 'Reducers';
 import { selectFields } from 'Reducers/collections';
 import { EDITORIAL_WORKFLOW } from 'Constants/publishModes';
 import { EDITORIAL_WORKFLOW_ERROR } from 'netlify-cms-lib-util';
-import { loadEntry } from './entries';
+import { selectWorkflowStatuses, isPublishStatus, isTransitionAllowed } from 'Lib/workflowStatuses';
+import { PERMISSIONS } from 'Lib/permissions';
+import { loadEntry, validateEntryDraft, checkPermission } from './entries';
 import ValidationErrorTypes from 'Constants/validationErrorTypes';
 
 const { notifSend } = notifActions;
@@ -31,6 +35,10 @@ export const UNPUBLISHED_ENTRY_STATUS_CHANGE_REQUEST = 'UNPUBLISHED_ENTRY_STATUS
 export const UNPUBLISHED_ENTRY_STATUS_CHANGE_SUCCESS = 'UNPUBLISHED_ENTRY_STATUS_CHANGE_SUCCESS';
 export const UNPUBLISHED_ENTRY_STATUS_CHANGE_FAILURE = 'UNPUBLISHED_ENTRY_STATUS_CHANGE_FAILURE';
 
+export const UNPUBLISHED_ENTRY_SCHEDULE_REQUEST = 'UNPUBLISHED_ENTRY_SCHEDULE_REQUEST';
+export const UNPUBLISHED_ENTRY_SCHEDULE_SUCCESS = 'UNPUBLISHED_ENTRY_SCHEDULE_SUCCESS';
+export const UNPUBLISHED_ENTRY_SCHEDULE_FAILURE = 'UNPUBLISHED_ENTRY_SCHEDULE_FAILURE';
+
 export const UNPUBLISHED_ENTRY_PUBLISH_REQUEST = 'UNPUBLISHED_ENTRY_PUBLISH_REQUEST';
 export const UNPUBLISHED_ENTRY_PUBLISH_SUCCESS = 'UNPUBLISHED_ENTRY_PUBLISH_SUCCESS';
 export const UNPUBLISHED_ENTRY_PUBLISH_FAILURE = 'UNPUBLISHED_ENTRY_PUBLISH_FAILURE';
@@ -175,6 +183,30 @@ function unpublishedEntryStatusChangeError(collection, slug, transactionID) {
   };
 }
 
+function unpublishedEntryScheduleRequest(collection, slug, publishAt, transactionID) {
+  return {
+    type: UNPUBLISHED_ENTRY_SCHEDULE_REQUEST,
+    payload: { collection, slug, publishAt },
+    optimist: { type: BEGIN, id: transactionID },
+  };
+}
+
+function unpublishedEntrySchedulePersisted(collection, slug, publishAt, transactionID) {
+  return {
+    type: UNPUBLISHED_ENTRY_SCHEDULE_SUCCESS,
+    payload: { collection, slug, publishAt },
+    optimist: { type: COMMIT, id: transactionID },
+  };
+}
+
+function unpublishedEntryScheduleError(collection, slug, transactionID) {
+  return {
+    type: UNPUBLISHED_ENTRY_SCHEDULE_FAILURE,
+    payload: { collection, slug },
+    optimist: { type: REVERT, id: transactionID },
+  };
+}
+
 function unpublishedEntryPublishRequest(collection, slug, transactionID) {
   return {
     type: UNPUBLISHED_ENTRY_PUBLISH_REQUEST,
@@ -285,6 +317,7 @@ export function loadUnpublishedEntries(collections) {
 
 export function persistUnpublishedEntry(collection, existingUnpublishedEntry) {
   return async (dispatch, getState) => {
+    dispatch(validateEntryDraft(collection));
     const state = getState();
     const entryDraft = state.entryDraft;
     const fieldsErrors = entryDraft.get('fieldsErrors');
@@ -312,18 +345,25 @@ export function persistUnpublishedEntry(collection, existingUnpublishedEntry) {
       return Promise.reject();
     }
 
+    const entry = entryDraft.get('entry');
+    const permission = entry.get('newRecord') ? PERMISSIONS.CREATE : PERMISSIONS.EDIT;
+    if (!checkPermission(dispatch, state, collection.get('name'), permission)) {
+      return Promise.reject();
+    }
+
     const backend = currentBackend(state.config);
     const transactionID = uuid();
     const assetProxies = entryDraft.get('mediaFiles').map(path => getAsset(state, path));
-    const entry = entryDraft.get('entry');
 
     /**
      * Serialize the values of any fields with registered serializers, and
-     * update the entry and entryDraft with the serialized values.
+     * update the entry and entryDraft with the serialized values. Values of
+     * hidden fields are left out when their condition asks for it.
      */
     const fields = selectFields(collection, entry.get('slug'));
-    const serializedData = serializeValues(entryDraft.getIn(['entry', 'data']), fields);
-    const serializedEntry = entry.set('data', serializedData);
+    const serializedEntry = mapEntryData(entry, data =>
+      serializeValues(stripHiddenValues(data, fields), fields),
+    );
     const serializedEntryDraft = entryDraft.set('entry', serializedEntry);
 
     dispatch(unpublishedEntryPersisting(collection, serializedEntry, transactionID));
@@ -372,6 +412,27 @@ export function updateUnpublishedEntryStatus(collection, slug, oldStatus, newSta
   return (dispatch, getState) => {
     if (oldStatus === newStatus) return;
     const state = getState();
+    const workflowStatuses = selectWorkflowStatuses(state.config);
+    const publishes = isPublishStatus(workflowStatuses, newStatus);
+    if (
+      !checkPermission(dispatch, state, collection, PERMISSIONS.EDIT) ||
+      (publishes && !checkPermission(dispatch, state, collection, PERMISSIONS.PUBLISH))
+    ) {
+      return;
+    }
+    if (!isTransitionAllowed(workflowStatuses, oldStatus, newStatus)) {
+      dispatch(
+        notifSend({
+          message: {
+            key: 'ui.toast.onStatusTransitionNotAllowed',
+            details: `${oldStatus} → ${newStatus}`,
+          },
+          kind: 'danger',
+          dismissAfter: 8000,
+        }),
+      );
+      return;
+    }
     const backend = currentBackend(state.config);
     const transactionID = uuid();
     dispatch(
@@ -415,9 +476,50 @@ export function updateUnpublishedEntryStatus(collection, slug, oldStatus, newSta
   };
 }
 
+/**
+ * Sets the date an unpublished entry is published at by the scheduled
+ * publishing script, or unschedules the entry when `publishAt` is null.
+ */
+export function updateUnpublishedEntryPublishAt(collection, slug, publishAt) {
+  return (dispatch, getState) => {
+    const state = getState();
+    if (!checkPermission(dispatch, state, collection, PERMISSIONS.PUBLISH)) {
+      return Promise.reject();
+    }
+    const backend = currentBackend(state.config);
+    const transactionID = uuid();
+    dispatch(unpublishedEntryScheduleRequest(collection, slug, publishAt, transactionID));
+    return backend
+      .updateUnpublishedEntryPublishAt(collection, slug, publishAt)
+      .then(() => {
+        dispatch(
+          notifSend({
+            message: { key: publishAt ? 'ui.toast.entryScheduled' : 'ui.toast.entryUnscheduled' },
+            kind: 'success',
+            dismissAfter: 4000,
+          }),
+        );
+        dispatch(unpublishedEntrySchedulePersisted(collection, slug, publishAt, transactionID));
+      })
+      .catch(error => {
+        dispatch(
+          notifSend({
+            message: { key: 'ui.toast.onFailToUpdateSchedule', details: error },
+            kind: 'danger',
+            dismissAfter: 8000,
+          }),
+        );
+        dispatch(unpublishedEntryScheduleError(collection, slug, transactionID));
+      });
+  };
+}
+
 export function deleteUnpublishedEntry(collection, slug) {
   return (dispatch, getState) => {
     const state = getState();
+    if (!checkPermission(dispatch, state, collection, PERMISSIONS.DELETE)) {
+      return Promise.reject();
+    }
     const backend = currentBackend(state.config);
     const transactionID = uuid();
     dispatch(unpublishedEntryDeleteRequest(collection, slug, transactionID));
@@ -449,6 +551,9 @@ export function deleteUnpublishedEntry(collection, slug) {
 export function publishUnpublishedEntry(collection, slug) {
   return (dispatch, getState) => {
     const state = getState();
+    if (!checkPermission(dispatch, state, collection, PERMISSIONS.PUBLISH)) {
+      return Promise.reject();
+    }
     const collections = state.collections;
     const backend = currentBackend(state.config);
     const transactionID = uuid();
@@ -1,15 +1,34 @@
 import { fromJS, List, Map } from 'immutable';
-import { isEqual } from 'lodash';
+import { isEqual, trim } from 'lodash';
 import { actions as notifActions } from 'redux-notifications';
 import { serializeValues } from 'Lib/serializeEntryValues';
+import { hasI18n, getI18nInfo, mapEntryData, selectTranslatableFields } from 'Lib/i18n';
 import { currentBackend } from 'coreSrc/backend';
+import { compileDefaultValueTemplate } from 'Lib/stringTemplate';
+import { validateEntry } from 'Lib/entryValidation';
+import { stripHiddenValues } from 'Lib/fieldConditions';
+import { PERMISSIONS, hasPermission } from 'Lib/permissions';
+import { SLUG_FIELD, findRelatedEntry } from 'Lib/relations';
 import { getIntegrationProvider } from 'Integrations';
-import { getAsset, selectIntegration, selectPublishedSlugs } from 'Reducers';
+import {
+  getAsset,
+  selectEntry,
+  selectIntegration,
+  selectPublishedSlugs,
+  selectUnpublishedSlugs,
+  selectUnpublishedEntry,
+  selectEntriesSort,
+  selectEntriesFilter,
+  selectEntriesGroup,
+  selectEntriesLoadedInFull,
+} from 'Reducers';
 import { selectFields } from 'Reducers/collections';
 import { selectCollectionEntriesCursor } from 'Reducers/cursors';
 import { Cursor } from 'netlify-cms-lib-util';
 import { createEntry } from 'ValueObjects/Entry';
 import ValidationErrorTypes from 'Constants/validationErrorTypes';
+import { SORT_DIRECTION_NONE } from 'Constants/sortDirections';
+import { EDITORIAL_WORKFLOW } from 'Constants/publishModes';
 
 const { notifSend } = notifActions;
 
@@ -24,12 +43,26 @@ export const ENTRIES_REQUEST = 'ENTRIES_REQUEST';
 export const ENTRIES_SUCCESS = 'ENTRIES_SUCCESS';
 export const ENTRIES_FAILURE = 'ENTRIES_FAILURE';
 
+export const SORT_ENTRIES_REQUEST = 'SORT_ENTRIES_REQUEST';
+export const SORT_ENTRIES_SUCCESS = 'SORT_ENTRIES_SUCCESS';
+export const SORT_ENTRIES_FAILURE = 'SORT_ENTRIES_FAILURE';
+export const SORT_ENTRIES_LOAD = 'SORT_ENTRIES_LOAD';
+
+export const FILTER_ENTRIES_REQUEST = 'FILTER_ENTRIES_REQUEST';
+export const FILTER_ENTRIES_SUCCESS = 'FILTER_ENTRIES_SUCCESS';
+export const FILTER_ENTRIES_FAILURE = 'FILTER_ENTRIES_FAILURE';
+
+export const GROUP_ENTRIES_REQUEST = 'GROUP_ENTRIES_REQUEST';
+export const GROUP_ENTRIES_SUCCESS = 'GROUP_ENTRIES_SUCCESS';
+export const GROUP_ENTRIES_FAILURE = 'GROUP_ENTRIES_FAILURE';
+
 export const DRAFT_CREATE_FROM_ENTRY = 'DRAFT_CREATE_FROM_ENTRY';
 export const DRAFT_CREATE_EMPTY = 'DRAFT_CREATE_EMPTY';
 export const DRAFT_DISCARD = 'DRAFT_DISCARD';
 export const DRAFT_CHANGE = 'DRAFT_CHANGE';
 export const DRAFT_CHANGE_FIELD = 'DRAFT_CHANGE_FIELD';
 export const DRAFT_VALIDATION_ERRORS = 'DRAFT_VALIDATION_ERRORS';
+export const DRAFT_ENTRY_VALIDATION_ERRORS = 'DRAFT_ENTRY_VALIDATION_ERRORS';
 export const DRAFT_CLEAR_ERRORS = 'DRAFT_CLEAR_ERRORS';
 export const DRAFT_LOCAL_BACKUP_RETRIEVED = 'DRAFT_LOCAL_BACKUP_RETRIEVED';
 export const DRAFT_CREATE_FROM_LOCAL_BACKUP = 'DRAFT_CREATE_FROM_LOCAL_BACKUP';
@@ -42,6 +75,10 @@ export const ENTRY_DELETE_REQUEST = 'ENTRY_DELETE_REQUEST';
 export const ENTRY_DELETE_SUCCESS = 'ENTRY_DELETE_SUCCESS';
 export const ENTRY_DELETE_FAILURE = 'ENTRY_DELETE_FAILURE';
 
+export const ENTRY_RENAME_REQUEST = 'ENTRY_RENAME_REQUEST';
+export const ENTRY_RENAME_SUCCESS = 'ENTRY_RENAME_SUCCESS';
+export const ENTRY_RENAME_FAILURE = 'ENTRY_RENAME_FAILURE';
+
 /*
  * Simple Action Creators (Internal)
  * We still need to export them for tests
@@ -108,6 +145,108 @@ export function entriesFailed(collection, error) {
   };
 }
 
+export function sortEntriesRequest(collection, key, direction) {
+  return {
+    type: SORT_ENTRIES_REQUEST,
+    payload: {
+      collection: collection.get('name'),
+      key,
+      direction,
+    },
+  };
+}
+
+export function sortEntriesSuccess(collection, key, direction, entries) {
+  return {
+    type: SORT_ENTRIES_SUCCESS,
+    payload: {
+      collection: collection.get('name'),
+      key,
+      direction,
+      entries,
+    },
+  };
+}
+
+export function sortEntriesFailure(collection, key, direction, error) {
+  return {
+    type: SORT_ENTRIES_FAILURE,
+    error: 'Failed to sort entries',
+    payload: {
+      collection: collection.get('name'),
+      key,
+      direction,
+      error: error.toString(),
+    },
+  };
+}
+
+export function filterEntriesRequest(collection, filter) {
+  return {
+    type: FILTER_ENTRIES_REQUEST,
+    payload: {
+      collection: collection.get('name'),
+      filter,
+    },
+  };
+}
+
+export function filterEntriesSuccess(collection, filter, entries) {
+  return {
+    type: FILTER_ENTRIES_SUCCESS,
+    payload: {
+      collection: collection.get('name'),
+      filter,
+      entries,
+    },
+  };
+}
+
+export function filterEntriesFailure(collection, filter, error) {
+  return {
+    type: FILTER_ENTRIES_FAILURE,
+    error: 'Failed to filter entries',
+    payload: {
+      collection: collection.get('name'),
+      filter,
+      error: error.toString(),
+    },
+  };
+}
+
+export function groupEntriesRequest(collection, group) {
+  return {
+    type: GROUP_ENTRIES_REQUEST,
+    payload: {
+      collection: collection.get('name'),
+      group,
+    },
+  };
+}
+
+export function groupEntriesSuccess(collection, group, entries) {
+  return {
+    type: GROUP_ENTRIES_SUCCESS,
+    payload: {
+      collection: collection.get('name'),
+      group,
+      entries,
+    },
+  };
+}
+
+export function groupEntriesFailure(collection, group, error) {
+  return {
+    type: GROUP_ENTRIES_FAILURE,
+    error: 'Failed to group entries',
+    payload: {
+      collection: collection.get('name'),
+      group,
+      error: error.toString(),
+    },
+  };
+}
+
 export function entryPersisting(collection, entry) {
   return {
     type: ENTRY_PERSIST_REQUEST,
@@ -176,6 +315,40 @@ export function entryDeleteFail(collection, slug, error) {
   };
 }
 
+export function entryRenaming(collection, slug) {
+  return {
+    type: ENTRY_RENAME_REQUEST,
+    payload: {
+      collectionName: collection.get('name'),
+      entrySlug: slug,
+    },
+  };
+}
+
+export function entryRenamed(collection, slug, newSlug, { useWorkflow, unpublished }) {
+  return {
+    type: ENTRY_RENAME_SUCCESS,
+    payload: {
+      collectionName: collection.get('name'),
+      entrySlug: slug,
+      newSlug,
+      useWorkflow,
+      unpublished,
+    },
+  };
+}
+
+export function entryRenameFail(collection, slug, error) {
+  return {
+    type: ENTRY_RENAME_FAILURE,
+    payload: {
+      collectionName: collection.get('name'),
+      entrySlug: slug,
+      error: error.toString(),
+    },
+  };
+}
+
 export function emptyDraftCreated(entry) {
   return {
     type: DRAFT_CREATE_EMPTY,
@@ -205,10 +378,10 @@ export function changeDraft(entry) {
   };
 }
 
-export function changeDraftField(field, value, metadata) {
+export function changeDraftField(field, value, metadata, locale) {
   return {
     type: DRAFT_CHANGE_FIELD,
-    payload: { field, value, metadata },
+    payload: { field, value, metadata, locale },
   };
 }
 
@@ -219,6 +392,13 @@ export function changeDraftFieldValidation(uniquefieldId, errors) {
   };
 }
 
+export function changeDraftEntryValidation(errors) {
+  return {
+    type: DRAFT_ENTRY_VALIDATION_ERRORS,
+    payload: { errors },
+  };
+}
+
 export function clearFieldErrors() {
   return { type: DRAFT_CLEAR_ERRORS };
 }
@@ -294,6 +474,52 @@ export function loadEntry(collection, slug) {
   };
 }
 
+/**
+ * Entries referenced by relation fields are loaded without adding them to the
+ * entries of their collection.
+ */
+export function loadRelatedEntry(collectionName, slug) {
+  return (dispatch, getState) => {
+    const state = getState();
+    const loadedEntry = selectEntry(state, collectionName, slug);
+    if (loadedEntry) {
+      return Promise.resolve(loadedEntry.toJS());
+    }
+    const collection = state.collections.get(collectionName);
+    if (!collection) {
+      return Promise.resolve();
+    }
+    return currentBackend(state.config).getEntry(collection, slug);
+  };
+}
+
+export function loadRelatedEntries(collectionName) {
+  return (dispatch, getState) => {
+    const state = getState();
+    const collection = state.collections.get(collectionName);
+    if (!collection) {
+      return Promise.resolve([]);
+    }
+    return currentBackend(state.config).listAllEntries(collection);
+  };
+}
+
+/**
+ * Resolve a relation value to the related entry, or `undefined` when it can't
+ * be found. Entries referenced by another field than their slug are found in a
+ * listing of their collection.
+ */
+export function getRelatedEntry(collectionName, value, { valueField = SLUG_FIELD, file } = {}) {
+  return dispatch => {
+    if (valueField === SLUG_FIELD && !file) {
+      return dispatch(loadRelatedEntry(collectionName, value)).catch(() => undefined);
+    }
+    return dispatch(loadRelatedEntries(collectionName))
+      .catch(() => [])
+      .then(entries => findRelatedEntry(entries, value, { valueField, file }));
+  };
+}
+
 const appendActions = fromJS({
   ['append_next']: { action: 'next', append: true },
 });
@@ -309,6 +535,30 @@ export function loadEntries(collection, page = 0) {
       return;
     }
     const state = getState();
+    const collectionName = collection.get('name');
+    const sort = selectEntriesSort(state, collectionName);
+    if (sort) {
+      return dispatch(sortByField(collection, sort.get('key'), sort.get('direction')));
+    }
+    // the folder tree of nested collections shows every entry, like filtered
+    // and grouped collections do
+    const isActive = view => view.get('active');
+    if (
+      collection.has('nested') ||
+      selectEntriesFilter(state, collectionName).some(isActive) ||
+      selectEntriesGroup(state, collectionName).some(isActive)
+    ) {
+      if (selectEntriesLoadedInFull(state, collectionName)) {
+        return;
+      }
+      return dispatch(
+        loadAllEntries(collection, {
+          request: entriesLoading(collection),
+          success: entries => entriesLoaded(collection, entries, 0, Cursor.create(), false),
+          failure: err => entriesFailed(collection, err),
+        }),
+      );
+    }
     const backend = currentBackend(state.config);
     const integration = selectIntegration(state, collection.get('name'), 'listEntries');
     const provider = integration
@@ -364,6 +614,108 @@ export function loadEntries(collection, page = 0) {
   };
 }
 
+/**
+ * Sorting, filtering and grouping require every entry of the collection, so
+ * the collection is listed in full instead of page by page. Once listed in
+ * full, the entries are sorted, filtered and grouped without listing them
+ * again, and the success action is dispatched without entries.
+ */
+function loadAllEntries(collection, { request, success, failure }) {
+  return async (dispatch, getState) => {
+    const state = getState();
+    if (state.entries.getIn(['pages', collection.get('name'), 'isFetching'])) {
+      return;
+    }
+    dispatch(request);
+    if (selectEntriesLoadedInFull(state, collection.get('name'))) {
+      return dispatch(success());
+    }
+    const backend = currentBackend(state.config);
+    try {
+      const entries = await backend.listAllEntries(collection);
+      return dispatch(success(entries));
+    } catch (err) {
+      dispatch(
+        notifSend({
+          message: {
+            details: err,
+            key: 'ui.toast.onFailToLoadEntries',
+          },
+          kind: 'danger',
+          dismissAfter: 8000,
+        }),
+      );
+      return dispatch(failure(err));
+    }
+  };
+}
+
+const SORT_STORAGE_KEY = 'cms.entries-sort';
+
+/**
+ * The sort of each collection is kept across sessions, and loaded once the
+ * store is created.
+ */
+export function loadSort() {
+  let sort;
+  try {
+    sort = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY)) || {};
+  } catch (e) {
+    sort = {};
+  }
+  return {
+    type: SORT_ENTRIES_LOAD,
+    payload: { sort },
+  };
+}
+
+function persistSort(state) {
+  localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(state.entries.get('sort', Map()).toJS()));
+}
+
+export function sortByField(collection, key, direction) {
+  return async (dispatch, getState) => {
+    if (direction === SORT_DIRECTION_NONE) {
+      dispatch(sortEntriesRequest(collection, key, direction));
+      persistSort(getState());
+      return dispatch(loadEntries(collection));
+    }
+    // a failing sort is removed again, so the sort is persisted once it is done
+    const result = await dispatch(
+      loadAllEntries(collection, {
+        request: sortEntriesRequest(collection, key, direction),
+        success: entries => sortEntriesSuccess(collection, key, direction, entries),
+        failure: err => sortEntriesFailure(collection, key, direction, err),
+      }),
+    );
+    persistSort(getState());
+    return result;
+  };
+}
+
+/**
+ * Toggles a view filter, as configured in the `view_filters` of the collection.
+ */
+export function filterByField(collection, filter) {
+  return loadAllEntries(collection, {
+    request: filterEntriesRequest(collection, filter),
+    success: entries => filterEntriesSuccess(collection, filter, entries),
+    failure: err => filterEntriesFailure(collection, filter, err),
+  });
+}
+
+/**
+ * Toggles a view group, as configured in the `view_groups` of the collection.
+ * Only one group can be active at a time.
+ */
+export function groupByField(collection, group) {
+  return loadAllEntries(collection, {
+    request: groupEntriesRequest(collection, group),
+    success: entries => groupEntriesSuccess(collection, group, entries),
+    failure: err => groupEntriesFailure(collection, group, err),
+  });
+}
+
 function traverseCursor(backend, cursor, action) {
   if (!cursor.actions.has(action)) {
     throw new Error(`The current cursor does not support the pagination action "${action}".`);
@@ -415,16 +767,46 @@ export function traverseCollectionCursor(collection, action) {
   };
 }
 
-export function createEmptyDraft(collection) {
-  return dispatch => {
-    const dataFields = createEmptyDraftData(collection.get('fields', List()));
-    const newEntry = createEntry(collection.get('name'), '', '', { data: dataFields });
+export function createEmptyDraft(collection, search) {
+  return (dispatch, getState) => {
+    const fields = collection.get('fields', List());
+    const { auth } = getState();
+    const templateContext = { user: (auth && auth.get('user')) || Map() };
+    const dataFields = createEmptyDraftData(fields, true, templateContext);
+    const i18n = hasI18n(collection)
+      ? createEmptyDraftI18n(collection, fields, templateContext)
+      : undefined;
+    // entries of nested collections can be created in a sub-folder, e.g. `?path=guides/setup`
+    const path = collection.has('nested') && new URLSearchParams(search).get('path');
+    const meta = path ? { path: trim(path, '/') } : undefined;
+    const newEntry = createEntry(collection.get('name'), '', '', { data: dataFields, i18n, meta });
     dispatch(emptyDraftCreated(newEntry));
   };
 }
 
-export function createEmptyDraftData(fields, withNameKey = true) {
-  return fields.reduce((acc, item) => {
+/**
+ * Translations of new entries start from the defaults of the fields, and are
+ * `pristine` until they are edited so that no file is written for locales
+ * nobody translated.
+ */
+function createEmptyDraftI18n(collection, fields, templateContext) {
+  const { locales, defaultLocale } = getI18nInfo(collection);
+  const data = createEmptyDraftData(selectTranslatableFields(fields), true, templateContext);
+  return locales
+    .filter(locale => locale !== defaultLocale)
+    .reduce((acc, locale) => ({ ...acc, [locale]: { data, pristine: true } }), {});
+}
+
+const isTemplatedField = field =>
+  field.get('widget') === 'hidden' && typeof field.get('default') === 'string';
+
+/**
+ * Build the data of a new entry from the default values of its fields. The
+ * defaults of hidden fields may be templates, resolved once all the other
+ * defaults are known so that they can refer to them with `{{fields.*}}`.
+ */
+export function createEmptyDraftData(fields, withNameKey = true, templateContext = {}) {
+  const data = fields.reduce((acc, item) => {
     const subfields = item.get('field') || item.get('fields');
     const list = item.get('widget') == 'list';
     const name = item.get('name');
@@ -433,8 +815,8 @@ export function createEmptyDraftData(fields, withNameKey = true) {
 
     if (List.isList(subfields)) {
       const subDefaultValue = list
-        ? [createEmptyDraftData(subfields)]
-        : createEmptyDraftData(subfields);
+        ? [createEmptyDraftData(subfields, true, templateContext)]
+        : createEmptyDraftData(subfields, true, templateContext);
       if (!isEmptyDefaultValue(subDefaultValue)) {
         acc[name] = subDefaultValue;
       }
@@ -443,8 +825,8 @@ export function createEmptyDraftData(fields, withNameKey = true) {
 
     if (Map.isMap(subfields)) {
       const subDefaultValue = list
-        ? [createEmptyDraftData([subfields], false)]
-        : createEmptyDraftData([subfields]);
+        ? [createEmptyDraftData([subfields], false, templateContext)]
+        : createEmptyDraftData([subfields], true, templateContext);
       if (!isEmptyDefaultValue(subDefaultValue)) {
         acc[name] = subDefaultValue;
       }
@@ -453,17 +835,66 @@ export function createEmptyDraftData(fields, withNameKey = true) {
 
     if (defaultValue !== null) {
       if (!withNameKey) {
-        return defaultValue;
+        return isTemplatedField(item)
+          ? compileDefaultValueTemplate(defaultValue, templateContext)
+          : defaultValue;
       }
       acc[name] = defaultValue;
     }
 
     return acc;
   }, {});
+
+  if (!withNameKey) {
+    return data;
+  }
+
+  const dataMap = fromJS(data);
+  return fields.filter(isTemplatedField).reduce(
+    (acc, field) => ({
+      ...acc,
+      [field.get('name')]: compileDefaultValueTemplate(field.get('default'), {
+        ...templateContext,
+        data: dataMap,
+      }),
+    }),
+    data,
+  );
+}
+
+/**
+ * Evaluate the `validation` rules of the collection against the entry draft,
+ * replacing the errors of a previous evaluation.
+ */
+export function validateEntryDraft(collection) {
+  return (dispatch, getState) => {
+    const entry = getState().entryDraft.get('entry');
+    dispatch(changeDraftEntryValidation(validateEntry(collection, entry)));
+  };
+}
+
+/**
+ * Checks the permission of the current user on a collection before calling
+ * the backend, and notifies the user when the permission is denied.
+ */
+export function checkPermission(dispatch, state, collectionName, permission) {
+  const user = state.auth && state.auth.get('user');
+  if (hasPermission(state.config, user, collectionName, permission)) {
+    return true;
+  }
+  dispatch(
+    notifSend({
+      message: { key: 'ui.toast.onPermissionDenied', details: permission },
+      kind: 'danger',
+      dismissAfter: 8000,
+    }),
+  );
+  return false;
 }
 
 export function persistEntry(collection) {
   return (dispatch, getState) => {
+    dispatch(validateEntryDraft(collection));
     const state = getState();
     const entryDraft = state.entryDraft;
     const fieldsErrors = entryDraft.get('fieldsErrors');
@@ -490,17 +921,28 @@ export function persistEntry(collection) {
       return Promise.reject();
     }
 
+    const entry = entryDraft.get('entry');
+    // saving publishes entries right away without editorial workflow
+    const permission = entry.get('newRecord') ? PERMISSIONS.CREATE : PERMISSIONS.EDIT;
+    if (
+      !checkPermission(dispatch, state, collection.get('name'), permission) ||
+      !checkPermission(dispatch, state, collection.get('name'), PERMISSIONS.PUBLISH)
+    ) {
+      return Promise.reject();
+    }
+
     const backend = currentBackend(state.config);
     const assetProxies = entryDraft.get('mediaFiles').map(path => getAsset(state, path));
-    const entry = entryDraft.get('entry');
 
     /**
      * Serialize the values of any fields with registered serializers, and
-     * update the entry and entryDraft with the serialized values.
+     * update the entry and entryDraft with the serialized values. Values of
+     * hidden fields are left out when their condition asks for it.
      */
     const fields = selectFields(collection, entry.get('slug'));
-    const serializedData = serializeValues(entryDraft.getIn(['entry', 'data']), fields);
-    const serializedEntry = entry.set('data', serializedData);
+    const serializedEntry = mapEntryData(entry, data =>
+      serializeValues(stripHiddenValues(data, fields), fields),
+    );
     const serializedEntryDraft = entryDraft.set('entry', serializedEntry);
     dispatch(entryPersisting(collection, serializedEntry));
     return backend
@@ -541,9 +983,83 @@ export function persistEntry(collection) {
   };
 }
 
+/**
+ * Moves the saved entry of the draft to the path of a new slug. With the
+ * editorial workflow the rename is saved as an unpublished change, replacing
+ * any unpublished entry for the old slug. Resolves with the new slug.
+ */
+export function renameEntry(collection, newSlug) {
+  return (dispatch, getState) => {
+    const state = getState();
+    const entryDraft = state.entryDraft;
+    const collectionName = collection.get('name');
+    const backend = currentBackend(state.config);
+    const entry = entryDraft.get('entry');
+    const slug = entry.get('slug');
+    const useWorkflow = state.config.get('publish_mode') === EDITORIAL_WORKFLOW;
+    // without the workflow, renaming commits the entry under its new slug and
+    // deletes it under the old one
+    const permissions = useWorkflow
+      ? [PERMISSIONS.EDIT]
+      : [PERMISSIONS.EDIT, PERMISSIONS.PUBLISH, PERMISSIONS.DELETE];
+    if (
+      !permissions.every(permission => checkPermission(dispatch, state, collectionName, permission))
+    ) {
+      return Promise.reject();
+    }
+    const unpublished = useWorkflow && !!selectUnpublishedEntry(state, collectionName, slug);
+    const usedSlugs = useWorkflow
+      ? selectPublishedSlugs(state, collectionName).concat(
+          selectUnpublishedSlugs(state, collectionName),
+        )
+      : selectPublishedSlugs(state, collectionName);
+
+    const fields = selectFields(collection, slug);
+    const serializedEntry = mapEntryData(entry, data =>
+      serializeValues(stripHiddenValues(data, fields), fields),
+    );
+    const serializedEntryDraft = entryDraft.set('entry', serializedEntry);
+    dispatch(entryRenaming(collection, slug));
+    return backend
+      .renameEntry(state.config, collection, serializedEntryDraft, newSlug, usedSlugs, {
+        unpublished,
+      })
+      .then(renamedSlug => {
+        dispatch(
+          notifSend({
+            message: {
+              key: 'ui.toast.entryRenamed',
+            },
+            kind: 'success',
+            dismissAfter: 4000,
+          }),
+        );
+        dispatch(entryRenamed(collection, slug, renamedSlug, { useWorkflow, unpublished }));
+        return renamedSlug;
+      })
+      .catch(error => {
+        console.error(error);
+        dispatch(
+          notifSend({
+            message: {
+              details: error.message,
+              key: 'ui.toast.onFailToRename',
+            },
+            kind: 'danger',
+            dismissAfter: 8000,
+          }),
+        );
+        return Promise.reject(dispatch(entryRenameFail(collection, slug, error)));
+      });
+  };
+}
+
 export function deleteEntry(collection, slug) {
   return (dispatch, getState) => {
     const state = getState();
+    if (!checkPermission(dispatch, state, collection.get('name'), PERMISSIONS.DELETE)) {
+      return Promise.reject();
+    }
     const backend = currentBackend(state.config);
 
     dispatch(entryDeleting(collection, slug));
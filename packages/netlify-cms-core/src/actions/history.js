@@ -0,0 +1,135 @@
+import { fromJS } from 'immutable';
+import { actions as notifActions } from 'redux-notifications';
+import { currentBackend } from 'coreSrc/backend';
+import { selectFields } from 'Reducers/collections';
+import { deserializeValues } from 'Lib/serializeEntryValues';
+import { mapEntryData } from 'Lib/i18n';
+
+const { notifSend } = notifActions;
+
+/*
+ * Constant Declarations
+ */
+export const ENTRY_HISTORY_REQUEST = 'ENTRY_HISTORY_REQUEST';
+export const ENTRY_HISTORY_SUCCESS = 'ENTRY_HISTORY_SUCCESS';
+export const ENTRY_HISTORY_FAILURE = 'ENTRY_HISTORY_FAILURE';
+
+export const ENTRY_REVISION_REQUEST = 'ENTRY_REVISION_REQUEST';
+export const ENTRY_REVISION_SUCCESS = 'ENTRY_REVISION_SUCCESS';
+export const ENTRY_REVISION_FAILURE = 'ENTRY_REVISION_FAILURE';
+
+export const DRAFT_RESTORE_REVISION = 'DRAFT_RESTORE_REVISION';
+
+/*
+ * Simple Action Creators (Internal)
+ */
+export function entryHistoryLoading(collection, slug) {
+  return {
+    type: ENTRY_HISTORY_REQUEST,
+    payload: { collection: collection.get('name'), slug },
+  };
+}
+
+export function entryHistoryLoaded(collection, slug, revisions) {
+  return {
+    type: ENTRY_HISTORY_SUCCESS,
+    payload: { collection: collection.get('name'), slug, revisions },
+  };
+}
+
+export function entryHistoryError(collection, slug, error) {
+  return {
+    type: ENTRY_HISTORY_FAILURE,
+    payload: { collection: collection.get('name'), slug, error },
+  };
+}
+
+export function entryRevisionLoading(collection, slug, sha) {
+  return {
+    type: ENTRY_REVISION_REQUEST,
+    payload: { collection: collection.get('name'), slug, sha },
+  };
+}
+
+export function entryRevisionLoaded(collection, slug, sha, entry) {
+  return {
+    type: ENTRY_REVISION_SUCCESS,
+    payload: { collection: collection.get('name'), slug, sha, entry },
+  };
+}
+
+export function entryRevisionError(collection, slug, sha, error) {
+  return {
+    type: ENTRY_REVISION_FAILURE,
+    payload: { collection: collection.get('name'), slug, sha, error },
+  };
+}
+
+export function restoreDraftRevision(entry) {
+  return {
+    type: DRAFT_RESTORE_REVISION,
+    payload: { entry },
+  };
+}
+
+/*
+ * Exported Thunk Action Creators
+ */
+
+/**
+ * Lists the commits which changed an entry.
+ */
+export function loadEntryHistory(collection, slug) {
+  return async (dispatch, getState) => {
+    const backend = currentBackend(getState().config);
+    dispatch(entryHistoryLoading(collection, slug));
+    try {
+      const revisions = await backend.getEntryHistory(collection, slug);
+      dispatch(entryHistoryLoaded(collection, slug, revisions));
+    } catch (error) {
+      console.error(error);
+      dispatch(
+        notifSend({
+          message: {
+            details: error.message,
+            key: 'ui.toast.onFailToLoadEntryHistory',
+          },
+          kind: 'danger',
+          dismissAfter: 8000,
+        }),
+      );
+      dispatch(entryHistoryError(collection, slug, error.message));
+    }
+  };
+}
+
+/**
+ * Loads an entry as it was at a commit. Values are deserialized the same way
+ * as when creating the draft of an entry, so that revisions can be compared
+ * to the draft and restored.
+ */
+export function loadEntryRevision(collection, slug, sha) {
+  return async (dispatch, getState) => {
+    const backend = currentBackend(getState().config);
+    dispatch(entryRevisionLoading(collection, slug, sha));
+    try {
+      const loadedEntry = await backend.getEntryAtRevision(collection, slug, sha);
+      const fields = selectFields(collection, slug);
+      const entry = mapEntryData(fromJS(loadedEntry), data => deserializeValues(data, fields));
+      dispatch(entryRevisionLoaded(collection, slug, sha, entry));
+    } catch (error) {
+      console.error(error);
+      dispatch(
+        notifSend({
+          message: {
+            details: error.message,
+            key: 'ui.toast.onFailToLoadEntryRevision',
+          },
+          kind: 'danger',
+          dismissAfter: 8000,
+        }),
+      );
+      dispatch(entryRevisionError(collection, slug, sha, error.message));
+    }
+  };
+}
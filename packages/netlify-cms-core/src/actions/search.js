@@ -126,8 +126,9 @@ export function searchEntries(searchTerm, page = 0) {
 }
 
 // Instead of searching for complete entries, query will search for specific fields
-// in specific collections and return raw data (no entries).
-export function query(namespace, collectionName, searchFields, searchTerm) {
+// in specific collections and return raw data (no entries). For file collections,
+// the search can be limited to a single `file`.
+export function query(namespace, collectionName, searchFields, searchTerm, file) {
   return (dispatch, getState) => {
     dispatch(querying(namespace, collectionName, searchFields, searchTerm));
 
@@ -144,7 +145,7 @@ export function query(namespace, collectionName, searchFields, searchTerm) {
           collectionName,
           searchTerm,
         )
-      : backend.query(collection, searchFields, searchTerm);
+      : backend.query(collection, searchFields, searchTerm, file);
 
     return queryPromise.then(
       response =>
@@ -11,20 +11,32 @@ import {
   selectAllowNewEntries,
   selectAllowDeletion,
   selectFolderEntryExtension,
+  selectNestedDepth,
   selectIdentifier,
   selectInferedField,
+  selectFields,
 } from 'Reducers/collections';
 import { createEntry } from 'ValueObjects/Entry';
 import { sanitizeSlug } from 'Lib/urlHelper';
 import { getBackend } from 'Lib/registry';
 import { commitMessageFormatter } from 'Lib/backendHelper';
+import {
+  I18N_STRUCTURE,
+  hasI18n,
+  getI18nInfo,
+  getI18nData,
+  getI18nListCollection,
+  splitI18nData,
+} from 'Lib/i18n';
+import { selectInitialStatus } from 'Lib/workflowStatuses';
 import {
   localForage,
   Cursor,
   CURSOR_COMPATIBILITY_SYMBOL,
   EditorialWorkflowError,
 } from 'netlify-cms-lib-util';
-import { EDITORIAL_WORKFLOW, status } from 'Constants/publishModes';
+import { EDITORIAL_WORKFLOW } from 'Constants/publishModes';
+import { FOLDER } from 'Constants/collectionTypes';
 import {
   SLUG_MISSING_REQUIRED_DATE,
   compileStringTemplate,
@@ -96,15 +108,28 @@ function slugFormatter(collection, entryData, slugConfig) {
   return processSlug(template, new Date(), identifier, entryData);
 }
 
+/**
+ * Get the values at a dot separated path, where `*` stands for all the items
+ * of a list.
+ */
+const getNestedFieldValues = (value, [key, ...keys]) => {
+  if (!value) {
+    return [];
+  }
+  if (key === undefined) {
+    return [value];
+  }
+  if (key === '*') {
+    return Array.isArray(value) ? flatten(value.map(item => getNestedFieldValues(item, keys))) : [];
+  }
+  return getNestedFieldValues(value[key], keys);
+};
+
 const extractSearchFields = searchFields => entry =>
   searchFields.reduce((acc, field) => {
-    let nestedFields = field.split('.');
-    let f = entry.data;
-    for (let i = 0; i < nestedFields.length; i++) {
-      f = f[nestedFields[i]];
-      if (!f) break;
-    }
-    return f ? `${acc} ${f}` : acc;
+    const values =
+      field === '{{slug}}' ? [entry.slug] : getNestedFieldValues(entry.data, field.split('.'));
+    return values.reduce((acc, value) => (value ? `${acc} ${value}` : acc), acc);
   }, '');
 
 const sortByScore = (a, b) => {
@@ -176,7 +201,7 @@ export class Backend {
     this.implementation = implementation.init(config, {
       useWorkflow: config.getIn(['publish_mode']) === EDITORIAL_WORKFLOW,
       updateUserCredentials: this.updateUserCredentials,
-      initialWorkflowStatus: status.first(),
+      initialWorkflowStatus: selectInitialStatus(config),
     });
     this.backendName = backendName;
     this.authStore = authStore;
@@ -257,34 +282,47 @@ export class Backend {
     return publishedEntry;
   }
 
-  async generateUniqueSlug(collection, entryData, slugConfig, usedSlugs) {
+  async generateUniqueSlug(collection, entryData, slugConfig, usedSlugs, customPath) {
     const slug = slugFormatter(collection, entryData, slugConfig);
     const sanitizeEntrySlug = partialRight(sanitizeSlug, slugConfig);
+    // slugs of entries created in a sub-folder of nested collections include the folder path
+    const withPath = s => (customPath ? `${customPath}/${s}` : s);
     let i = 1;
     let sanitizedSlug = slug;
     let uniqueSlug = sanitizedSlug;
 
     // Check for duplicate slug in loaded entities store first before repo
     while (
-      usedSlugs.includes(uniqueSlug) ||
-      (await this.entryExist(collection, selectEntryPath(collection, uniqueSlug), uniqueSlug))
+      usedSlugs.includes(withPath(uniqueSlug)) ||
+      (await this.entryExist(
+        collection,
+        selectEntryPath(collection, withPath(uniqueSlug)),
+        withPath(uniqueSlug),
+      ))
     ) {
       uniqueSlug = sanitizeEntrySlug(`${sanitizedSlug} ${i++}`);
     }
-    return uniqueSlug;
+    return withPath(uniqueSlug);
   }
 
   processEntries(loadedEntries, collection) {
     const collectionFilter = collection.get('filter');
-    const entries = loadedEntries.map(loadedEntry =>
-      createEntry(
-        collection.get('name'),
-        selectEntrySlug(collection, loadedEntry.file.path),
-        loadedEntry.file.path,
-        { raw: loadedEntry.data || '', label: loadedEntry.file.label },
-      ),
-    );
-    const formattedEntries = entries.map(this.entryWithFormat(collection));
+    const entries = loadedEntries
+      .map(loadedEntry =>
+        createEntry(
+          collection.get('name'),
+          selectEntrySlug(collection, loadedEntry.file.path),
+          loadedEntry.file.path,
+          { raw: loadedEntry.data || '', label: loadedEntry.file.label },
+        ),
+      )
+      // Translation files sharing the entries folder are not entries of their own
+      .filter(
+        entry => !hasI18n(collection) || selectEntryPath(collection, entry.slug) === entry.path,
+      );
+    const formattedEntries = entries
+      .map(this.entryWithFormat(collection))
+      .map(entry => this.entryWithSingleFileI18n(collection, entry));
     // If this collection has a "filter" property, filter entries accordingly
     const filteredEntries = collectionFilter
       ? this.filterEntries({ entries: formattedEntries }, collectionFilter)
@@ -295,18 +333,22 @@ export class Backend {
   listEntries(collection) {
     const listMethod = this.implementation[selectListMethod(collection)];
     const extension = selectFolderEntryExtension(collection);
-    return listMethod.call(this.implementation, collection, extension).then(loadedEntries => ({
-      entries: this.processEntries(loadedEntries, collection),
-      /*
+    const depth = selectNestedDepth(collection);
+    const listCollection = getI18nListCollection(collection);
+    return listMethod
+      .call(this.implementation, listCollection, extension, depth)
+      .then(loadedEntries => ({
+        entries: this.processEntries(loadedEntries, collection),
+        /*
           Wrap cursors so we can tell which collection the cursor is
           from. This is done to prevent traverseCursor from requiring a
           `collection` argument.
         */
-      cursor: Cursor.create(loadedEntries[CURSOR_COMPATIBILITY_SYMBOL]).wrapData({
-        cursorType: 'collectionEntries',
-        collection,
-      }),
-    }));
+        cursor: Cursor.create(loadedEntries[CURSOR_COMPATIBILITY_SYMBOL]).wrapData({
+          cursorType: 'collectionEntries',
+          collection,
+        }),
+      }));
   }
 
   // The same as listEntries, except that if a cursor with the "next"
@@ -317,8 +359,9 @@ export class Backend {
   async listAllEntries(collection) {
     if (collection.get('folder') && this.implementation.allEntriesByFolder) {
       const extension = selectFolderEntryExtension(collection);
+      const depth = selectNestedDepth(collection);
       return this.implementation
-        .allEntriesByFolder(collection, extension)
+        .allEntriesByFolder(getI18nListCollection(collection), extension, depth)
         .then(entries => this.processEntries(entries, collection));
     }
 
@@ -374,8 +417,11 @@ export class Backend {
     return { entries: hits };
   }
 
-  async query(collection, searchFields, searchTerm) {
-    const entries = await this.listAllEntries(collection);
+  async query(collection, searchFields, searchTerm, file) {
+    let entries = await this.listAllEntries(collection);
+    if (file) {
+      entries = entries.filter(entry => entry.slug === file);
+    }
     const hits = fuzzy
       .filter(searchTerm, entries, { extract: extractSearchFields(searchFields) })
       .sort(sortByScore)
@@ -404,10 +450,10 @@ export class Backend {
     if (!backup || !backup.raw.trim()) {
       return;
     }
-    const { raw, path } = backup;
+    const { raw, path, i18n } = backup;
     const label = selectFileEntryLabel(collection, slug);
     return this.entryWithFormat(collection, slug)(
-      createEntry(collection.get('name'), slug, path, { raw, label }),
+      createEntry(collection.get('name'), slug, path, { raw, label, i18n }),
     );
   }
 
@@ -417,7 +463,8 @@ export class Backend {
     if (!raw.trim()) {
       return;
     }
-    await localForage.setItem(key, { raw, path: entry.get('path') });
+    const i18n = entry.get('i18n') ? entry.get('i18n').toJS() : null;
+    await localForage.setItem(key, { raw, path: entry.get('path'), i18n });
     return localForage.setItem(getEntryBackupKey(), raw);
   }
 
@@ -436,14 +483,102 @@ export class Backend {
   getEntry(collection, slug) {
     const path = selectEntryPath(collection, slug);
     const label = selectFileEntryLabel(collection, slug);
-    return this.implementation.getEntry(collection, slug, path).then(loadedEntry =>
-      this.entryWithFormat(collection, slug)(
-        createEntry(collection.get('name'), slug, loadedEntry.file.path, {
-          raw: loadedEntry.data,
-          label,
+    return this.implementation
+      .getEntry(collection, slug, path)
+      .then(loadedEntry =>
+        this.entryWithFormat(collection, slug)(
+          createEntry(collection.get('name'), slug, loadedEntry.file.path, {
+            raw: loadedEntry.data,
+            label,
+          }),
+        ),
+      )
+      .then(entry =>
+        this.entryWithI18n(collection, entry, async localePath => {
+          const { data } = await this.implementation.getEntry(collection, slug, localePath);
+          return data;
+        }),
+      );
+  }
+
+  /**
+   * Lists the commits which changed an entry as `{ sha, message, author, date }`
+   * objects, newest first. Backends without access to the history of files
+   * don't list any.
+   */
+  getEntryHistory(collection, slug) {
+    if (!this.implementation.getEntryHistory) {
+      return Promise.resolve([]);
+    }
+    const path = selectEntryPath(collection, slug);
+    return this.implementation.getEntryHistory(collection, slug, path);
+  }
+
+  /**
+   * Loads an entry, including its translations, as it was at a commit
+   * returned by `getEntryHistory`.
+   */
+  getEntryAtRevision(collection, slug, sha) {
+    const path = selectEntryPath(collection, slug);
+    const readFile = filePath =>
+      this.implementation.getEntryAtRevision(collection, slug, filePath, sha);
+    return readFile(path)
+      .then(raw =>
+        this.entryWithFormat(collection, slug)(
+          createEntry(collection.get('name'), slug, path, { raw }),
+        ),
+      )
+      .then(entry => this.entryWithI18n(collection, entry, readFile));
+  }
+
+  /**
+   * Entries of single file translated collections hold the data of every
+   * locale under locale keys, which is split into the entry data and its
+   * translations.
+   */
+  entryWithSingleFileI18n(collection, entry) {
+    const { structure } = getI18nInfo(collection);
+    if (structure !== I18N_STRUCTURE.SINGLE_FILE) {
+      return entry;
+    }
+    return Object.assign(entry, splitI18nData(collection, entry.data));
+  }
+
+  /**
+   * Adds the translations of an entry, reading each locale file with
+   * `readFile`. Missing translation files are skipped. Backends don't know
+   * which of the changed files holds the default locale of an unpublished
+   * entry, so it's read again if another file was picked.
+   */
+  async entryWithI18n(collection, entry, readFile) {
+    const { structure, locales, defaultLocale } = getI18nInfo(collection);
+    if (!structure || structure === I18N_STRUCTURE.SINGLE_FILE) {
+      return this.entryWithSingleFileI18n(collection, entry);
+    }
+    const defaultPath = selectEntryPath(collection, entry.slug);
+    const localeEntries = await Promise.all(
+      locales
+        .filter(locale => locale !== defaultLocale || entry.path !== defaultPath)
+        .map(async locale => {
+          const path = selectEntryPath(collection, entry.slug, locale);
+          const raw = await readFile(path).catch(() => null);
+          if (!raw) {
+            return;
+          }
+          const { data } = this.entryWithFormat(collection)(
+            createEntry(collection.get('name'), entry.slug, path, { raw }),
+          );
+          return { locale, path, raw, data };
         }),
-      ),
     );
+    const i18n = localeEntries.filter(Boolean).reduce((acc, { locale, path, raw, data }) => {
+      if (locale === defaultLocale) {
+        Object.assign(entry, { path, raw, data });
+        return acc;
+      }
+      return { ...acc, [locale]: { data } };
+    }, {});
+    return Object.assign(entry, { i18n });
   }
 
   getMedia() {
@@ -495,7 +630,9 @@ export class Backend {
         entries: entries.reduce((acc, entry) => {
           const collection = collections.get(entry.collection);
           if (collection) {
-            acc.push(this.entryWithFormat(collection)(entry));
+            acc.push(
+              this.entryWithSingleFileI18n(collection, this.entryWithFormat(collection)(entry)),
+            );
           }
           return acc;
         }, []),
@@ -513,7 +650,14 @@ export class Backend {
         entry.metaData = loadedEntry.metaData;
         return entry;
       })
-      .then(this.entryWithFormat(collection, slug));
+      .then(this.entryWithFormat(collection, slug))
+      .then(entry =>
+        this.entryWithI18n(collection, entry, path =>
+          this.implementation.unpublishedEntryFile
+            ? this.implementation.unpublishedEntryFile(collection, slug, path)
+            : Promise.resolve(),
+        ),
+      );
   }
 
   /**
@@ -611,6 +755,7 @@ export class Backend {
         entryDraft.getIn(['entry', 'data']),
         config.get('slug'),
         usedSlugs,
+        entryDraft.getIn(['entry', 'meta', 'path']),
       );
       const path = selectEntryPath(collection, slug);
       entryObj = {
@@ -628,13 +773,35 @@ export class Backend {
       };
     }
 
+    /**
+     * Renamed entries are committed at the path of their new slug, and the
+     * files at their previous path are deleted in the same commit.
+     */
+    const { newSlug, ...implementationOptions } = options;
+    let renamedFrom;
+    if (!newEntry && newSlug && newSlug !== entryObj.slug) {
+      const previousFiles = this.entryToI18nFiles(collection, entryDraft.get('entry'), entryObj);
+      renamedFrom = {
+        slug: entryObj.slug,
+        paths: previousFiles.length > 0 ? previousFiles.map(file => file.path) : [entryObj.path],
+      };
+      entryObj.slug = newSlug;
+      entryObj.path = selectEntryPath(collection, newSlug);
+    }
+
+    const i18nFiles = this.entryToI18nFiles(collection, entryDraft.get('entry'), entryObj);
+    if (i18nFiles.length > 0) {
+      entryObj.raw = i18nFiles[0].raw;
+    }
+
     const user = await this.currentUser();
     const commitMessage = commitMessageFormatter(
-      newEntry ? 'create' : 'update',
+      newEntry ? 'create' : renamedFrom ? 'rename' : 'update',
       config,
       {
         collection,
         slug: entryObj.slug,
+        oldSlug: renamedFrom && renamedFrom.slug,
         path: entryObj.path,
         authorLogin: user.login,
         authorName: user.name,
@@ -650,17 +817,57 @@ export class Backend {
      * Determine whether an asset store integration is in use.
      */
     const hasAssetStore = integrations && !!selectIntegration(integrations, null, 'assetStore');
-    const updatedOptions = { ...options, hasAssetStore };
+    const updatedOptions = { ...implementationOptions, hasAssetStore };
     const opts = {
       newEntry,
       parsedData,
       commitMessage,
       collectionName,
       useWorkflow,
+      ...(renamedFrom && { renamedFrom }),
       ...updatedOptions,
     };
 
-    return this.implementation.persistEntry(entryObj, MediaFiles, opts).then(() => entryObj.slug);
+    /**
+     * Translation files are committed along with the entry, the same way as
+     * media files that haven't been uploaded yet.
+     */
+    const files = [...i18nFiles.slice(1), ...MediaFiles];
+    return this.implementation.persistEntry(entryObj, files, opts).then(() => entryObj.slug);
+  }
+
+  /**
+   * Changes the slug of an existing entry of a folder collection, moving its
+   * files to the path of the new slug. Slugs of nested collections may
+   * include a folder path, which moves the entry to another folder.
+   */
+  async renameEntry(config, collection, entryDraft, newSlug, usedSlugs, options = {}) {
+    if (collection.get('type') !== FOLDER) {
+      throw new Error('Only entries of folder collections can be renamed');
+    }
+    const slugConfig = config.get('slug');
+    const slug = newSlug
+      .split('/')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => sanitizeSlug(part, slugConfig))
+      .join('/');
+    if (!slug) {
+      throw new Error('The new slug of the entry is empty');
+    }
+    if (slug === entryDraft.getIn(['entry', 'slug'])) {
+      return slug;
+    }
+    if (
+      usedSlugs.includes(slug) ||
+      (await this.entryExist(collection, selectEntryPath(collection, slug), slug))
+    ) {
+      throw new Error(`An entry with the slug “${slug}” already exists`);
+    }
+    return this.persistEntry(config, collection, entryDraft, [], null, usedSlugs, {
+      ...options,
+      newSlug: slug,
+    });
   }
 
   async persistMedia(config, file) {
@@ -682,6 +889,7 @@ export class Backend {
 
   async deleteEntry(config, collection, slug) {
     const path = selectEntryPath(collection, slug);
+    const { structure, locales, defaultLocale } = getI18nInfo(collection);
 
     if (!selectAllowDeletion(collection)) {
       throw new Error('Not allowed to delete entries in this collection');
@@ -700,7 +908,28 @@ export class Backend {
       },
       user.useOpenAuthoring,
     );
-    return this.implementation.deleteFile(path, commitMessage, { collection, slug });
+    // translations may not exist for every locale
+    const localePaths =
+      structure && structure !== I18N_STRUCTURE.SINGLE_FILE
+        ? locales
+            .filter(locale => locale !== defaultLocale)
+            .map(locale => selectEntryPath(collection, slug, locale))
+        : [];
+    const existingLocalePaths = await Promise.all(
+      localePaths.map(localePath =>
+        this.implementation
+          .getEntry(collection, slug, localePath)
+          .then(() => localePath, () => null),
+      ),
+    );
+    const paths = [path, ...existingLocalePaths.filter(Boolean)];
+    // the files of every locale are deleted in a single commit when possible
+    if (paths.length > 1 && this.implementation.deleteFiles) {
+      return this.implementation.deleteFiles(paths, commitMessage, { collection, slug });
+    }
+    for (const filePath of paths) {
+      await this.implementation.deleteFile(filePath, commitMessage, { collection, slug });
+    }
   }
 
   async deleteMedia(config, path) {
@@ -726,6 +955,56 @@ export class Backend {
     return this.implementation.updateUnpublishedEntryStatus(collection, slug, newStatus);
   }
 
+  /**
+   * Backends which delegate to another backend, like Git Gateway, tell whether
+   * it supports scheduled publishing.
+   */
+  supportsScheduledPublishing() {
+    const { implementation } = this;
+    return implementation.supportsScheduledPublishing
+      ? implementation.supportsScheduledPublishing()
+      : !!implementation.updateUnpublishedEntryPublishAt;
+  }
+
+  updateUnpublishedEntryPublishAt(collection, slug, publishAt) {
+    if (!this.implementation.updateUnpublishedEntryPublishAt) {
+      return Promise.reject(new Error('Scheduled publishing is not supported by this backend'));
+    }
+    return this.implementation.updateUnpublishedEntryPublishAt(collection, slug, publishAt);
+  }
+
+  /**
+   * Backends which delegate to another backend tell whether it supports
+   * comments, like they do for scheduled publishing.
+   */
+  supportsComments() {
+    const { implementation } = this;
+    return implementation.supportsComments
+      ? implementation.supportsComments()
+      : !!implementation.listEntryComments;
+  }
+
+  listEntryComments(collection, slug) {
+    if (!this.implementation.listEntryComments) {
+      return Promise.reject(new Error('Comments are not supported by this backend'));
+    }
+    return this.implementation.listEntryComments(collection, slug);
+  }
+
+  addEntryComment(collection, slug, body, field) {
+    if (!this.implementation.addEntryComment) {
+      return Promise.reject(new Error('Comments are not supported by this backend'));
+    }
+    return this.implementation.addEntryComment(collection, slug, body, field);
+  }
+
+  resolveEntryComment(collection, slug, commentId) {
+    if (!this.implementation.resolveEntryComment) {
+      return Promise.reject(new Error('Comments are not supported by this backend'));
+    }
+    return this.implementation.resolveEntryComment(collection, slug, commentId);
+  }
+
   publishUnpublishedEntry(collection, slug) {
     return this.implementation.publishUnpublishedEntry(collection, slug);
   }
@@ -740,6 +1019,33 @@ export class Backend {
     return format && format.toFile(entry.get('data').toJS(), fieldsOrder);
   }
 
+  /**
+   * Returns the files of every locale of a translated entry, starting with the
+   * default locale, or an empty list for collections that aren't translated.
+   */
+  entryToI18nFiles(collection, entry, { path, slug }) {
+    const { structure, locales, defaultLocale } = getI18nInfo(collection);
+    if (!structure) {
+      return [];
+    }
+    const fields = selectFields(collection, slug);
+    const i18nData = getI18nData(collection, fields, entry);
+    if (structure === I18N_STRUCTURE.SINGLE_FILE) {
+      const format = resolveFormat(collection, entry.toJS());
+      return [{ path, slug, raw: format.toFile(i18nData.toJS(), locales) }];
+    }
+    const translations = i18nData
+      .delete(defaultLocale)
+      .map((data, locale) => ({
+        path: selectEntryPath(collection, slug, locale),
+        slug,
+        raw: this.entryToRaw(collection, entry.set('data', data)),
+      }))
+      .valueSeq()
+      .toArray();
+    return [{ path, slug, raw: this.entryToRaw(collection, entry) }, ...translations];
+  }
+
   fieldsOrder(collection, entry) {
     const fields = collection.get('fields');
     if (fields) {
@@ -6,6 +6,7 @@ import { ConnectedRouter } from 'react-router-redux';
 import history from 'Routing/history';
 import store from 'ReduxStore';
 import { mergeConfig } from 'Actions/config';
+import { loadSort } from 'Actions/entries';
 import { getPhrases } from 'Lib/phrases';
 import { selectLocale } from 'Selectors/config';
 import { I18n } from 'react-polyglot';
@@ -67,6 +68,11 @@ function bootstrap(opts = {}) {
     return newRoot;
   }
 
+  /**
+   * Restore the sort of the collections from previous sessions.
+   */
+  store.dispatch(loadSort());
+
   /**
    * Dispatch config to store if received. This config will be merged into
    * config.yml if it exists, and any portion that produces a conflict will be
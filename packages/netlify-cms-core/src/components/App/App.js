@@ -156,6 +156,10 @@ class App extends React.Component {
     }
 
     const defaultPath = `/collections/${collections.first().get('name')}`;
+    const renderCollection = props => {
+      const collectionExists = collections.get(props.match.params.name);
+      return collectionExists ? <Collection {...props} /> : <Redirect to={defaultPath} />;
+    };
     const hasWorkflow = publishMode === EDITORIAL_WORKFLOW;
 
     return (
@@ -178,19 +182,13 @@ class App extends React.Component {
             <Redirect exact from="/" to={defaultPath} />
             <Redirect exact from="/search/" to={defaultPath} />
             {hasWorkflow ? <Route path="/workflow" component={Workflow} /> : null}
-            <Route
-              exact
-              path="/collections/:name"
-              render={props => {
-                const collectionExists = collections.get(props.match.params.name);
-                return collectionExists ? <Collection {...props} /> : <Redirect to={defaultPath} />;
-              }}
-            />
+            <Route exact path="/collections/:name" render={renderCollection} />
+            <Route path="/collections/:name/filter/:filterTerm+" render={renderCollection} />
             <Route
               path="/collections/:name/new"
               render={props => <Editor {...props} newRecord />}
             />
-            <Route path="/collections/:name/entries/:slug" component={Editor} />
+            <Route path="/collections/:name/entries/:slug+" component={Editor} />
             <Route
               path="/search/:searchTerm"
               render={props => <Collection {...props} isSearchResults />}
@@ -4,7 +4,11 @@ import ImmutablePropTypes from 'react-immutable-proptypes';
 import styled from '@emotion/styled';
 import { connect } from 'react-redux';
 import { lengths } from 'netlify-cms-ui-default';
-import { getNewEntryUrl } from 'Lib/urlHelper';
+import { getNewEntryUrl, addParams } from 'Lib/urlHelper';
+import { PERMISSIONS, hasPermission } from 'Lib/permissions';
+import { sortByField, filterByField, groupByField } from 'Actions/entries';
+import { selectEntriesSort, selectEntriesFilter, selectEntriesGroup } from 'Reducers';
+import { selectSortableFields, selectViewFilters, selectViewGroups } from 'Reducers/collections';
 import Sidebar from './Sidebar';
 import CollectionTop from './CollectionTop';
 import EntriesCollection from './Entries/EntriesCollection';
@@ -22,10 +26,21 @@ const CollectionMain = styled.main`
 class Collection extends React.Component {
   static propTypes = {
     searchTerm: PropTypes.string,
+    filterTerm: PropTypes.string,
     collectionName: PropTypes.string,
     isSearchResults: PropTypes.bool,
+    canCreate: PropTypes.bool,
     collection: ImmutablePropTypes.map.isRequired,
     collections: ImmutablePropTypes.orderedMap.isRequired,
+    sortableFields: PropTypes.array,
+    sort: ImmutablePropTypes.map,
+    sortByField: PropTypes.func.isRequired,
+    viewFilters: ImmutablePropTypes.list,
+    filter: ImmutablePropTypes.map,
+    filterByField: PropTypes.func.isRequired,
+    viewGroups: ImmutablePropTypes.list,
+    group: ImmutablePropTypes.map,
+    groupByField: PropTypes.func.isRequired,
   };
 
   state = {
@@ -33,8 +48,14 @@ class Collection extends React.Component {
   };
 
   renderEntriesCollection = () => {
-    const { collection } = this.props;
-    return <EntriesCollection collection={collection} viewStyle={this.state.viewStyle} />;
+    const { collection, filterTerm } = this.props;
+    return (
+      <EntriesCollection
+        collection={collection}
+        viewStyle={this.state.viewStyle}
+        filterTerm={filterTerm}
+      />
+    );
   };
 
   renderEntriesSearch = () => {
@@ -42,6 +63,21 @@ class Collection extends React.Component {
     return <EntriesSearch collections={collections} searchTerm={searchTerm} />;
   };
 
+  handleSortClick = (key, direction) => {
+    const { collection, sortByField } = this.props;
+    sortByField(collection, key, direction);
+  };
+
+  handleFilterClick = filter => {
+    const { collection, filterByField } = this.props;
+    filterByField(collection, filter);
+  };
+
+  handleGroupClick = group => {
+    const { collection, groupByField } = this.props;
+    groupByField(collection, group);
+  };
+
   handleChangeViewStyle = viewStyle => {
     if (this.state.viewStyle !== viewStyle) {
       this.setState({ viewStyle });
@@ -49,11 +85,34 @@ class Collection extends React.Component {
   };
 
   render() {
-    const { collection, collections, collectionName, isSearchResults, searchTerm } = this.props;
-    const newEntryUrl = collection.get('create') ? getNewEntryUrl(collectionName) : '';
+    const {
+      collection,
+      collections,
+      collectionName,
+      isSearchResults,
+      searchTerm,
+      filterTerm,
+      sortableFields,
+      sort,
+      viewFilters,
+      filter,
+      viewGroups,
+      group,
+      canCreate,
+    } = this.props;
+    let newEntryUrl = collection.get('create') && canCreate ? getNewEntryUrl(collectionName) : '';
+    if (newEntryUrl && filterTerm) {
+      // create new entries of nested collections in the selected folder
+      newEntryUrl = addParams(newEntryUrl, { path: filterTerm });
+    }
     return (
       <CollectionContainer>
-        <Sidebar collections={collections} searchTerm={searchTerm} />
+        <Sidebar
+          collections={collections}
+          collection={!isSearchResults && collection}
+          searchTerm={searchTerm}
+          filterTerm={filterTerm}
+        />
         <CollectionMain>
           {isSearchResults ? null : (
             <CollectionTop
@@ -63,6 +122,15 @@ class Collection extends React.Component {
               newEntryUrl={newEntryUrl}
               viewStyle={this.state.viewStyle}
               onChangeViewStyle={this.handleChangeViewStyle}
+              sortableFields={sortableFields}
+              sort={sort}
+              onSortClick={this.handleSortClick}
+              viewFilters={viewFilters}
+              filter={filter}
+              onFilterClick={this.handleFilterClick}
+              viewGroups={viewGroups}
+              group={group}
+              onGroupClick={this.handleGroupClick}
             />
           )}
           {isSearchResults ? this.renderEntriesSearch() : this.renderEntriesCollection()}
@@ -73,11 +141,42 @@ class Collection extends React.Component {
 }
 
 function mapStateToProps(state, ownProps) {
-  const { collections } = state;
+  const { collections, config, auth } = state;
   const { isSearchResults, match } = ownProps;
-  const { name, searchTerm } = match.params;
+  const { name, searchTerm, filterTerm } = match.params;
   const collection = name ? collections.get(name) : collections.first();
-  return { collection, collections, collectionName: name, isSearchResults, searchTerm };
+  const sortableFields = selectSortableFields(collection);
+  const sort = selectEntriesSort(state, collection.get('name'));
+  const viewFilters = selectViewFilters(collection);
+  const filter = selectEntriesFilter(state, collection.get('name'));
+  const viewGroups = selectViewGroups(collection);
+  const group = selectEntriesGroup(state, collection.get('name'));
+  const user = auth && auth.get('user');
+  const canCreate = hasPermission(config, user, collection.get('name'), PERMISSIONS.CREATE);
+  return {
+    collection,
+    collections,
+    collectionName: name,
+    isSearchResults,
+    searchTerm,
+    filterTerm,
+    sortableFields,
+    sort,
+    viewFilters,
+    filter,
+    viewGroups,
+    group,
+    canCreate,
+  };
 }
 
-export default connect(mapStateToProps)(Collection);
+const mapDispatchToProps = {
+  sortByField,
+  filterByField,
+  groupByField,
+};
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(Collection);
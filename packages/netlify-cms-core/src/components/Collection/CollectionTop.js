@@ -1,10 +1,14 @@
 import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
 import React from 'react';
 import styled from '@emotion/styled';
 import { translate } from 'react-polyglot';
 import { Link } from 'react-router-dom';
 import { Icon, components, buttons, shadows, colors } from 'netlify-cms-ui-default';
 import { VIEW_STYLE_LIST, VIEW_STYLE_GRID } from 'Constants/collectionViews';
+import SortControl from './SortControl';
+import FilterControl from './FilterControl';
+import GroupControl from './GroupControl';
 
 const CollectionTopContainer = styled.div`
   ${components.cardTop};
@@ -71,6 +75,15 @@ const CollectionTop = ({
   viewStyle,
   onChangeViewStyle,
   newEntryUrl,
+  sortableFields,
+  sort,
+  onSortClick,
+  viewFilters,
+  filter,
+  onFilterClick,
+  viewGroups,
+  group,
+  onGroupClick,
   t,
 }) => {
   return (
@@ -89,6 +102,15 @@ const CollectionTop = ({
         <CollectionTopDescription>{collectionDescription}</CollectionTopDescription>
       ) : null}
       <ViewControls>
+        {viewFilters && viewFilters.size > 0 ? (
+          <FilterControl viewFilters={viewFilters} filter={filter} onFilterClick={onFilterClick} />
+        ) : null}
+        {viewGroups && viewGroups.size > 0 ? (
+          <GroupControl viewGroups={viewGroups} group={group} onGroupClick={onGroupClick} />
+        ) : null}
+        {sortableFields && sortableFields.length > 0 ? (
+          <SortControl fields={sortableFields} sort={sort} onSortClick={onSortClick} />
+        ) : null}
         <ViewControlsText>{t('collection.collectionTop.viewAs')}:</ViewControlsText>
         <ViewControlsButton
           isActive={viewStyle === VIEW_STYLE_LIST}
@@ -114,6 +136,15 @@ CollectionTop.propTypes = {
   viewStyle: PropTypes.oneOf([VIEW_STYLE_LIST, VIEW_STYLE_GRID]).isRequired,
   onChangeViewStyle: PropTypes.func.isRequired,
   newEntryUrl: PropTypes.string,
+  sortableFields: PropTypes.array,
+  sort: ImmutablePropTypes.map,
+  onSortClick: PropTypes.func,
+  viewFilters: ImmutablePropTypes.list,
+  filter: ImmutablePropTypes.map,
+  onFilterClick: PropTypes.func,
+  viewGroups: ImmutablePropTypes.list,
+  group: ImmutablePropTypes.map,
+  onGroupClick: PropTypes.func,
   t: PropTypes.func.isRequired,
 };
 
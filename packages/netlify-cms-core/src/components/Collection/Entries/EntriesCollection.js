@@ -1,17 +1,31 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
 import { connect } from 'react-redux';
+import { translate } from 'react-polyglot';
 import { partial } from 'lodash';
+import { colors } from 'netlify-cms-ui-default';
 import { Cursor } from 'netlify-cms-lib-util';
 import {
   loadEntries as actionLoadEntries,
   traverseCollectionCursor as actionTraverseCollectionCursor,
 } from 'Actions/entries';
-import { selectEntries } from 'Reducers';
+import { selectEntries, selectGroups } from 'Reducers';
 import { selectCollectionEntriesCursor } from 'Reducers/cursors';
 import Entries from './Entries';
 
+const GroupHeading = styled.h2`
+  font-size: 23px;
+  font-weight: 600;
+  color: ${colors.textLead};
+  margin: 24px 0 12px;
+`;
+
+// entries of nested collections only show inside the selected folder
+const filterByFolder = (entries, filterTerm) =>
+  entries.filter(entry => entry && entry.get('slug').startsWith(`${filterTerm}/`));
+
 class EntriesCollection extends React.Component {
   static propTypes = {
     collection: ImmutablePropTypes.map.isRequired,
@@ -19,10 +33,13 @@ class EntriesCollection extends React.Component {
     entries: ImmutablePropTypes.list,
     isFetching: PropTypes.bool.isRequired,
     viewStyle: PropTypes.string,
+    filterTerm: PropTypes.string,
     cursor: PropTypes.object.isRequired,
     loadEntries: PropTypes.func.isRequired,
     traverseCollectionCursor: PropTypes.func.isRequired,
     entriesLoaded: PropTypes.bool,
+    groups: PropTypes.array,
+    t: PropTypes.func.isRequired,
   };
 
   componentDidMount() {
@@ -44,9 +61,8 @@ class EntriesCollection extends React.Component {
     traverseCollectionCursor(collection, action);
   };
 
-  render() {
-    const { collection, entries, publicFolder, isFetching, viewStyle, cursor } = this.props;
-
+  renderEntries = entries => {
+    const { collection, publicFolder, isFetching, viewStyle, cursor } = this.props;
     return (
       <Entries
         collections={collection}
@@ -59,23 +75,57 @@ class EntriesCollection extends React.Component {
         handleCursorActions={partial(this.handleCursorActions, cursor)}
       />
     );
+  };
+
+  render() {
+    const { entries, groups, t } = this.props;
+    if (!groups) {
+      return this.renderEntries(entries);
+    }
+    return groups.map(({ id, label, value, entries: groupEntries }) => (
+      <div key={id}>
+        <GroupHeading>
+          {value === undefined ? t('collection.entries.groupOther') : `${label} ${value}`}
+        </GroupHeading>
+        {this.renderEntries(groupEntries)}
+      </div>
+    ));
   }
 }
 
 function mapStateToProps(state, ownProps) {
-  const { collection, viewStyle } = ownProps;
+  const { collection, viewStyle, filterTerm } = ownProps;
   const { config } = state;
   const publicFolder = config.get('public_folder');
   const page = state.entries.getIn(['pages', collection.get('name'), 'page']);
 
-  const entries = selectEntries(state, collection.get('name'));
+  let entries = selectEntries(state, collection.get('name'));
+  let groups = selectGroups(state, collection.get('name'));
+  if (filterTerm) {
+    entries = entries && filterByFolder(entries, filterTerm);
+    groups =
+      groups &&
+      groups
+        .map(group => ({ ...group, entries: filterByFolder(group.entries, filterTerm) }))
+        .filter(group => group.entries.size > 0);
+  }
   const entriesLoaded = !!state.entries.getIn(['pages', collection.get('name')]);
   const isFetching = state.entries.getIn(['pages', collection.get('name'), 'isFetching'], false);
 
   const rawCursor = selectCollectionEntriesCursor(state.cursors, collection.get('name'));
   const cursor = Cursor.create(rawCursor).clearData();
 
-  return { publicFolder, collection, page, entries, entriesLoaded, isFetching, viewStyle, cursor };
+  return {
+    publicFolder,
+    collection,
+    page,
+    entries,
+    groups,
+    entriesLoaded,
+    isFetching,
+    viewStyle,
+    cursor,
+  };
 }
 
 const mapDispatchToProps = {
@@ -86,4 +136,4 @@ const mapDispatchToProps = {
 export default connect(
   mapStateToProps,
   mapDispatchToProps,
-)(EntriesCollection);
+)(translate()(EntriesCollection));
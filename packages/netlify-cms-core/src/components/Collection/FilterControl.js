@@ -0,0 +1,47 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { buttons, colors, colorsRaw } from 'netlify-cms-ui-default';
+
+const FilterChips = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  margin-right: auto;
+`;
+
+const FilterChip = styled.button`
+  ${buttons.button};
+  ${buttons.medium};
+  padding: 0 14px;
+  margin: 4px 8px 4px 0;
+  background-color: ${props => (props.isActive ? colorsRaw.blueLight : colorsRaw.grayLight)};
+  color: ${props => (props.isActive ? colorsRaw.blue : colors.text)};
+`;
+
+const FilterControl = ({ viewFilters, filter, onFilterClick }) => (
+  <FilterChips>
+    {viewFilters.map(viewFilter => {
+      const isActive = filter.getIn([viewFilter.get('id'), 'active'], false);
+      return (
+        <FilterChip
+          key={viewFilter.get('id')}
+          isActive={isActive}
+          aria-pressed={isActive}
+          onClick={() => onFilterClick(viewFilter)}
+        >
+          {viewFilter.get('label')}
+        </FilterChip>
+      );
+    })}
+  </FilterChips>
+);
+
+FilterControl.propTypes = {
+  viewFilters: ImmutablePropTypes.list.isRequired,
+  filter: ImmutablePropTypes.map.isRequired,
+  onFilterClick: PropTypes.func.isRequired,
+};
+
+export default FilterControl;
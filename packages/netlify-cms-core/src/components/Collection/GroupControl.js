@@ -0,0 +1,54 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { translate } from 'react-polyglot';
+import {
+  buttons,
+  colors,
+  Dropdown,
+  DropdownItem,
+  StyledDropdownButton,
+} from 'netlify-cms-ui-default';
+
+const GroupButton = styled(StyledDropdownButton)`
+  ${buttons.medium};
+  ${buttons.gray};
+  color: ${colors.text};
+  font-size: 14px;
+  margin-right: 24px;
+
+  &:after {
+    top: 11px;
+  }
+`;
+
+const GroupControl = ({ viewGroups, group, onGroupClick, t }) => (
+  <Dropdown
+    renderButton={() => <GroupButton>{t('collection.collectionTop.groupBy')}</GroupButton>}
+    dropdownTopOverlap="30px"
+    dropdownWidth="160px"
+    dropdownPosition="left"
+  >
+    {viewGroups.map(viewGroup => {
+      const isActive = group.getIn([viewGroup.get('id'), 'active'], false);
+      return (
+        <DropdownItem
+          key={viewGroup.get('id')}
+          label={viewGroup.get('label')}
+          onClick={() => onGroupClick(viewGroup)}
+          icon={isActive ? 'check' : undefined}
+        />
+      );
+    })}
+  </Dropdown>
+);
+
+GroupControl.propTypes = {
+  viewGroups: ImmutablePropTypes.list.isRequired,
+  group: ImmutablePropTypes.map.isRequired,
+  onGroupClick: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default translate()(GroupControl);
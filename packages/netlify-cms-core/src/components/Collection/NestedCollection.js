@@ -0,0 +1,172 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { css } from '@emotion/core';
+import { connect } from 'react-redux';
+import { NavLink } from 'react-router-dom';
+import { sortBy } from 'lodash';
+import { Icon, colors } from 'netlify-cms-ui-default';
+import { loadEntries as actionLoadEntries } from 'Actions/entries';
+import { selectEntry, selectPublishedSlugs, selectEntriesLoadedInFull } from 'Reducers';
+import { selectInferedField } from 'Reducers/collections';
+
+const TreeNavLink = styled(NavLink)`
+  display: flex;
+  font-size: 14px;
+  font-weight: 500;
+  align-items: center;
+  padding: 8px;
+  padding-left: ${props => props.depth * 20 + 12}px;
+  border-left: 2px solid #fff;
+
+  ${Icon} {
+    margin-right: 8px;
+    flex-shrink: 0;
+  }
+
+  ${props => css`
+    &:hover,
+    &:active,
+    &.${props.activeClassName} {
+      color: ${colors.active};
+      background-color: ${colors.activeBackground};
+      border-left-color: #4863c6;
+    }
+  `};
+`;
+
+const ToggleButton = styled.button`
+  border: 0;
+  padding: 0;
+  margin: 0 0 0 auto;
+  background-color: transparent;
+  cursor: pointer;
+
+  ${Icon} {
+    margin: 0;
+  }
+`;
+
+/**
+ * Builds a tree of the folders and entries of a nested collection from the
+ * entry slugs, which contain the entry path below the collection folder.
+ * Nested collections are listed in full, so the tree holds every entry.
+ */
+function getTreeData(collection, entries) {
+  const titleField = selectInferedField(collection, 'title');
+  const root = { path: '', title: collection.get('label'), isDir: true, children: [] };
+  entries.forEach(entry => {
+    const segments = entry.get('slug').split('/');
+    const fileName = segments.pop();
+    const parent = segments.reduce((node, segment) => {
+      const path = node.path ? `${node.path}/${segment}` : segment;
+      let dir = node.children.find(child => child.isDir && child.path === path);
+      if (!dir) {
+        dir = { path, title: segment, isDir: true, children: [] };
+        node.children.push(dir);
+      }
+      return dir;
+    }, root);
+    parent.children.push({
+      path: entry.get('slug'),
+      title: (titleField && entry.getIn(['data', titleField])) || fileName,
+      isDir: false,
+      children: [],
+    });
+  });
+  return root;
+}
+
+const sortChildren = children => sortBy(children, [child => !child.isDir, 'title']);
+
+export class NestedCollection extends React.Component {
+  static propTypes = {
+    collection: ImmutablePropTypes.map.isRequired,
+    entries: ImmutablePropTypes.list.isRequired,
+    entriesLoadedInFull: PropTypes.bool,
+    filterTerm: PropTypes.string,
+    loadEntries: PropTypes.func.isRequired,
+  };
+
+  static defaultProps = {
+    filterTerm: '',
+  };
+
+  state = { expanded: {} };
+
+  componentDidMount() {
+    const { collection, entriesLoadedInFull, loadEntries } = this.props;
+    if (!entriesLoadedInFull) {
+      loadEntries(collection);
+    }
+  }
+
+  isExpanded = path => {
+    const { filterTerm } = this.props;
+    const expanded = this.state.expanded[path];
+    // folders containing the selected one are expanded unless collapsed explicitly
+    return expanded === undefined
+      ? path === '' || filterTerm === path || filterTerm.startsWith(`${path}/`)
+      : expanded;
+  };
+
+  handleToggle = (event, path) => {
+    event.preventDefault();
+    const expanded = this.isExpanded(path);
+    this.setState(state => ({ expanded: { ...state.expanded, [path]: !expanded } }));
+  };
+
+  renderNode = (node, depth) => {
+    const { collection } = this.props;
+    const collectionName = collection.get('name');
+    const to = node.isDir
+      ? `/collections/${collectionName}${node.path ? `/filter/${node.path}` : ''}`
+      : `/collections/${collectionName}/entries/${node.path}`;
+    const expanded = node.isDir && this.isExpanded(node.path);
+    const hasChildren = node.children.length > 0;
+    return (
+      <React.Fragment key={node.path}>
+        <li>
+          <TreeNavLink exact to={to} activeClassName="sidebar-active" depth={depth}>
+            <Icon type={depth === 0 ? 'write' : node.isDir ? 'folder' : 'page'} />
+            {node.title}
+            {node.isDir && hasChildren ? (
+              <ToggleButton onClick={event => this.handleToggle(event, node.path)}>
+                <Icon type="chevron" size="small" direction={expanded ? 'down' : 'right'} />
+              </ToggleButton>
+            ) : null}
+          </TreeNavLink>
+        </li>
+        {expanded
+          ? sortChildren(node.children).map(child => this.renderNode(child, depth + 1))
+          : null}
+      </React.Fragment>
+    );
+  };
+
+  render() {
+    const { collection, entries } = this.props;
+    return this.renderNode(getTreeData(collection, entries), 0);
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const { collection } = ownProps;
+  const collectionName = collection.get('name');
+  // the tree shows every entry, regardless of the view filters of the collection
+  const entries = selectPublishedSlugs(state, collectionName)
+    .map(slug => selectEntry(state, collectionName, slug))
+    .filter(Boolean);
+  const entriesLoadedInFull = selectEntriesLoadedInFull(state, collectionName);
+  return { entries, entriesLoadedInFull };
+}
+
+const mapDispatchToProps = {
+  loadEntries: actionLoadEntries,
+};
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)(NestedCollection);
@@ -7,6 +7,7 @@ import { translate } from 'react-polyglot';
 import { NavLink } from 'react-router-dom';
 import { Icon, components, colors, colorsRaw, lengths } from 'netlify-cms-ui-default';
 import { searchCollections } from 'Actions/collections';
+import NestedCollection from './NestedCollection';
 
 const styles = {
   sidebarNavLinkActive: css`
@@ -95,7 +96,9 @@ const SidebarNavLink = styled(NavLink)`
 class Sidebar extends React.Component {
   static propTypes = {
     collections: ImmutablePropTypes.orderedMap.isRequired,
+    collection: ImmutablePropTypes.map,
     searchTerm: PropTypes.string,
+    filterTerm: PropTypes.string,
     t: PropTypes.func.isRequired,
   };
 
@@ -107,6 +110,17 @@ class Sidebar extends React.Component {
 
   renderLink = collection => {
     const collectionName = collection.get('name');
+    if (collection.has('nested')) {
+      const { collection: activeCollection, filterTerm } = this.props;
+      const isActive = activeCollection && activeCollection.get('name') === collectionName;
+      return (
+        <NestedCollection
+          key={collectionName}
+          collection={collection}
+          filterTerm={isActive ? filterTerm : ''}
+        />
+      );
+    }
     return (
       <li key={collectionName}>
         <SidebarNavLink to={`/collections/${collectionName}`} activeClassName="sidebar-active">
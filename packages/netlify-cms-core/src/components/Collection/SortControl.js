@@ -0,0 +1,78 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { translate } from 'react-polyglot';
+import {
+  buttons,
+  colors,
+  Dropdown,
+  DropdownItem,
+  StyledDropdownButton,
+} from 'netlify-cms-ui-default';
+import {
+  SORT_DIRECTION_ASCENDING,
+  SORT_DIRECTION_DESCENDING,
+  SORT_DIRECTION_NONE,
+} from 'Constants/sortDirections';
+
+const SortButton = styled(StyledDropdownButton)`
+  ${buttons.medium};
+  ${buttons.gray};
+  color: ${colors.text};
+  font-size: 14px;
+  margin-right: 24px;
+
+  &:after {
+    top: 11px;
+  }
+`;
+
+// Selecting the current sort field cycles through ascending, descending and no sort
+const nextSortDirection = direction => {
+  switch (direction) {
+    case SORT_DIRECTION_ASCENDING:
+      return SORT_DIRECTION_DESCENDING;
+    case SORT_DIRECTION_DESCENDING:
+      return SORT_DIRECTION_NONE;
+    default:
+      return SORT_DIRECTION_ASCENDING;
+  }
+};
+
+const SortControl = ({ fields, sort, onSortClick, t }) => {
+  const sortKey = sort && sort.get('key');
+  const sortDirection = sort && sort.get('direction');
+  return (
+    <Dropdown
+      renderButton={() => <SortButton>{t('collection.collectionTop.sortBy')}</SortButton>}
+      dropdownTopOverlap="30px"
+      dropdownWidth="160px"
+      dropdownPosition="left"
+    >
+      {fields.map(({ key, label }) => {
+        const isActive = key === sortKey;
+        return (
+          <DropdownItem
+            key={key}
+            label={label}
+            onClick={() => onSortClick(key, nextSortDirection(isActive && sortDirection))}
+            icon={isActive ? 'chevron' : undefined}
+            iconDirection={sortDirection === SORT_DIRECTION_ASCENDING ? 'up' : 'down'}
+          />
+        );
+      })}
+    </Dropdown>
+  );
+};
+
+SortControl.propTypes = {
+  fields: PropTypes.arrayOf(
+    PropTypes.shape({ key: PropTypes.string.isRequired, label: PropTypes.string.isRequired }),
+  ).isRequired,
+  sort: ImmutablePropTypes.map,
+  onSortClick: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired,
+};
+
+export default translate()(SortControl);
@@ -0,0 +1,76 @@
+import React from 'react';
+import { fromJS } from 'immutable';
+import { MemoryRouter } from 'react-router-dom';
+import { render, fireEvent } from 'react-testing-library';
+import 'react-testing-library/cleanup-after-each';
+import 'jest-dom/extend-expect';
+import { NestedCollection } from '../NestedCollection';
+
+jest.mock('redux-notifications/lib/styles.css', () => ({}));
+
+const collection = fromJS({
+  name: 'pages',
+  label: 'Pages',
+  folder: 'src/pages',
+  nested: { depth: 3 },
+  fields: [{ name: 'title', widget: 'string' }],
+});
+
+const entries = fromJS([
+  { slug: 'index', data: { title: 'Home' } },
+  { slug: 'guides/setup', data: { title: 'Setup' } },
+  { slug: 'guides/advanced/hooks', data: { title: 'Hooks' } },
+]);
+
+function setup(props = {}) {
+  const loadEntries = jest.fn();
+  const utils = render(
+    <MemoryRouter>
+      <NestedCollection
+        collection={collection}
+        entries={entries}
+        entriesLoadedInFull
+        loadEntries={loadEntries}
+        {...props}
+      />
+    </MemoryRouter>,
+  );
+  return { ...utils, loadEntries };
+}
+
+describe('NestedCollection', () => {
+  it('should list the folders and entries at the root of the collection', () => {
+    const { getByText, queryByText } = setup();
+    expect(getByText('Pages')).toBeInTheDocument();
+    expect(getByText('guides')).toBeInTheDocument();
+    expect(getByText('Home')).toBeInTheDocument();
+    expect(queryByText('Setup')).toBeNull();
+  });
+
+  it('should expand the folders containing the selected one', () => {
+    const { getByText } = setup({ filterTerm: 'guides/advanced' });
+    expect(getByText('Setup')).toBeInTheDocument();
+    expect(getByText('Hooks')).toBeInTheDocument();
+  });
+
+  it('should toggle folders', () => {
+    const { getByText, queryByText, container } = setup();
+    const guides = getByText('guides').closest('a');
+    fireEvent.click(guides.querySelector('button'));
+    expect(getByText('Setup')).toBeInTheDocument();
+    expect(queryByText('Hooks')).toBeNull();
+    fireEvent.click(guides.querySelector('button'));
+    expect(queryByText('Setup')).toBeNull();
+    expect(container.querySelectorAll('li')).toHaveLength(3);
+  });
+
+  it('should list collections which are not listed in full', () => {
+    const { loadEntries } = setup({ entriesLoadedInFull: false });
+    expect(loadEntries).toHaveBeenCalledWith(collection);
+  });
+
+  it('should not list collections which are listed in full again', () => {
+    const { loadEntries } = setup();
+    expect(loadEntries).not.toHaveBeenCalled();
+  });
+});
@@ -17,6 +17,7 @@ import {
   changeDraftFieldValidation,
   persistEntry,
   deleteEntry,
+  renameEntry,
   persistLocalBackup,
   loadLocalBackup,
   retrieveLocalBackup,
@@ -24,17 +25,37 @@ import {
 } from 'Actions/entries';
 import {
   updateUnpublishedEntryStatus,
+  updateUnpublishedEntryPublishAt,
   publishUnpublishedEntry,
   deleteUnpublishedEntry,
 } from 'Actions/editorialWorkflow';
 import { loadDeployPreview } from 'Actions/deploys';
+import { loadEntryComments } from 'Actions/comments';
+import { currentBackend } from 'coreSrc/backend';
 import { deserializeValues } from 'Lib/serializeEntryValues';
+import { mapEntryData } from 'Lib/i18n';
+import { selectWorkflowStatuses, isPublishStatus } from 'Lib/workflowStatuses';
+import { PERMISSIONS, selectCollectionPermissions } from 'Lib/permissions';
 import { selectEntry, selectUnpublishedEntry, selectDeployPreview, getAsset } from 'Reducers';
 import { selectFields } from 'Reducers/collections';
-import { status, EDITORIAL_WORKFLOW } from 'Constants/publishModes';
+import { EDITORIAL_WORKFLOW } from 'Constants/publishModes';
+import { FOLDER } from 'Constants/collectionTypes';
 import EditorInterface from './EditorInterface';
 import withWorkflow from './withWorkflow';
 
+/**
+ * Backends only support scheduled publishing once they are set up from the
+ * config and the user is logged in, which doesn't change while editing, so
+ * this is checked once per config rather than on every store update.
+ */
+const scheduledPublishingSupport = new WeakMap();
+function supportsScheduledPublishing(config) {
+  if (!scheduledPublishingSupport.has(config)) {
+    scheduledPublishingSupport.set(config, currentBackend(config).supportsScheduledPublishing());
+  }
+  return scheduledPublishingSupport.get(config);
+}
+
 const navigateCollection = collectionPath => history.push(`/collections/${collectionPath}`);
 const navigateToCollection = collectionName => navigateCollection(collectionName);
 const navigateToNewEntry = collectionName => navigateCollection(`${collectionName}/new`);
@@ -55,6 +76,7 @@ class Editor extends React.Component {
     loadEntry: PropTypes.func.isRequired,
     persistEntry: PropTypes.func.isRequired,
     deleteEntry: PropTypes.func.isRequired,
+    renameEntry: PropTypes.func.isRequired,
     showDelete: PropTypes.bool.isRequired,
     fields: ImmutablePropTypes.list.isRequired,
     slug: PropTypes.string,
@@ -66,16 +88,26 @@ class Editor extends React.Component {
     isModification: PropTypes.bool,
     collectionEntriesLoaded: PropTypes.bool,
     updateUnpublishedEntryStatus: PropTypes.func.isRequired,
+    updateUnpublishedEntryPublishAt: PropTypes.func.isRequired,
     publishUnpublishedEntry: PropTypes.func.isRequired,
     deleteUnpublishedEntry: PropTypes.func.isRequired,
     logoutUser: PropTypes.func.isRequired,
     loadEntries: PropTypes.func.isRequired,
     deployPreview: ImmutablePropTypes.map,
     loadDeployPreview: PropTypes.func.isRequired,
+    loadEntryComments: PropTypes.func.isRequired,
     currentStatus: PropTypes.string,
+    workflowStatuses: ImmutablePropTypes.list,
+    publishAt: PropTypes.string,
     user: ImmutablePropTypes.map.isRequired,
+    canEdit: PropTypes.bool,
+    canCreate: PropTypes.bool,
+    canDelete: PropTypes.bool,
+    canPublish: PropTypes.bool,
+    canSchedule: PropTypes.bool,
     location: PropTypes.shape({
       pathname: PropTypes.string,
+      search: PropTypes.string,
     }),
     hasChanged: PropTypes.bool,
     t: PropTypes.func.isRequired,
@@ -102,11 +134,13 @@ class Editor extends React.Component {
     retrieveLocalBackup(collection, slug);
 
     if (newEntry) {
-      createEmptyDraft(collection);
+      createEmptyDraft(collection, this.props.location.search);
     } else {
       loadEntry(collection, slug);
     }
 
+    this.loadComments();
+
     const leaveMessage = t('editor.editor.onLeavePage');
 
     this.exitBlocker = event => {
@@ -189,6 +223,10 @@ class Editor extends React.Component {
       }
     }
 
+    if (!prevProps.unpublishedEntry && this.props.unpublishedEntry) {
+      this.loadComments();
+    }
+
     if (this.props.hasChanged) {
       this.createBackup(this.props.entryDraft.get('entry'), this.props.collection);
     }
@@ -202,12 +240,11 @@ class Editor extends React.Component {
        * Deserialize entry values for widgets with registered serializers before
        * creating the entry draft.
        */
-      const values = deserializeValues(entry.get('data'), fields);
-      const deserializedEntry = entry.set('data', values);
+      const deserializedEntry = mapEntryData(entry, data => deserializeValues(data, fields));
       const fieldsMetaData = this.props.entryDraft && this.props.entryDraft.get('fieldsMetaData');
       this.createDraft(deserializedEntry, fieldsMetaData);
     } else if (newEntry) {
-      prevProps.createEmptyDraft(collection);
+      prevProps.createEmptyDraft(collection, this.props.location.search);
     }
   }
 
@@ -221,11 +258,22 @@ class Editor extends React.Component {
     this.props.persistLocalBackup(entry, collection);
   }, 2000);
 
+  /**
+   * Comments are loaded along with unpublished entries so that comments on
+   * their fields are shown on the controls.
+   */
+  loadComments = () => {
+    const { hasWorkflow, unpublishedEntry, collection, slug, loadEntryComments } = this.props;
+    if (hasWorkflow && unpublishedEntry && slug) {
+      loadEntryComments(collection.get('name'), slug);
+    }
+  };
+
   createDraft = (entry, metadata) => {
     if (entry) this.props.createDraftFromEntry(entry, metadata);
   };
 
-  handleChangeStatus = newStatusName => {
+  handleChangeStatus = newStatus => {
     const {
       entryDraft,
       updateUnpublishedEntryStatus,
@@ -238,10 +286,20 @@ class Editor extends React.Component {
       window.alert(t('editor.editor.onUpdatingWithUnsavedChanges'));
       return;
     }
-    const newStatus = status.get(newStatusName);
     updateUnpublishedEntryStatus(collection.get('name'), slug, currentStatus, newStatus);
   };
 
+  /**
+   * Scheduled entries are published by the `netlify-cms-publish-scheduled`
+   * script once they are due and "Ready".
+   */
+  handleChangePublishAt = publishAt => {
+    const { updateUnpublishedEntryPublishAt, collection, slug } = this.props;
+    if (publishAt !== this.props.publishAt) {
+      updateUnpublishedEntryPublishAt(collection.get('name'), slug, publishAt);
+    }
+  };
+
   deleteBackup() {
     const { deleteLocalBackup, collection, slug, newEntry } = this.props;
     this.createBackup.cancel();
@@ -274,8 +332,16 @@ class Editor extends React.Component {
 
   handlePublishEntry = async (opts = {}) => {
     const { createNew = false } = opts;
-    const { publishUnpublishedEntry, entryDraft, collection, slug, currentStatus, t } = this.props;
-    if (currentStatus !== status.last()) {
+    const {
+      publishUnpublishedEntry,
+      entryDraft,
+      collection,
+      slug,
+      currentStatus,
+      workflowStatuses,
+      t,
+    } = this.props;
+    if (!isPublishStatus(workflowStatuses, currentStatus)) {
       window.alert(t('editor.editor.onPublishingNotReady'));
       return;
     } else if (entryDraft.get('hasChanged')) {
@@ -314,6 +380,32 @@ class Editor extends React.Component {
     }, 0);
   };
 
+  handleChangeSlug = async () => {
+    const { entryDraft, collection, slug, renameEntry, loadEntry, t } = this.props;
+    if (entryDraft.get('hasChanged')) {
+      window.alert(t('editor.editor.onChangeSlugWithUnsavedChanges'));
+      return;
+    }
+    const newSlug = window.prompt(t('editor.editor.onChangeSlug'), slug);
+    if (!newSlug || newSlug.trim() === slug) {
+      return;
+    }
+
+    let renamedSlug;
+    try {
+      renamedSlug = await renameEntry(collection, newSlug);
+    } catch (e) {
+      return;
+    }
+    if (renamedSlug === slug) {
+      return;
+    }
+
+    this.deleteBackup();
+    navigateToEntry(collection.get('name'), renamedSlug);
+    loadEntry(collection, renamedSlug);
+  };
+
   handleDeleteUnpublishedChanges = async () => {
     const {
       entryDraft,
@@ -361,10 +453,17 @@ class Editor extends React.Component {
       newEntry,
       isModification,
       currentStatus,
+      workflowStatuses,
+      publishAt,
       logoutUser,
       deployPreview,
       loadDeployPreview,
       slug,
+      canEdit,
+      canCreate,
+      canDelete,
+      canPublish,
+      canSchedule,
       t,
     } = this.props;
 
@@ -389,6 +488,7 @@ class Editor extends React.Component {
         entry={entryDraft.get('entry')}
         getAsset={boundGetAsset}
         collection={collection}
+        slug={slug}
         fields={fields}
         fieldsMetaData={entryDraft.get('fieldsMetaData')}
         fieldsErrors={entryDraft.get('fieldsErrors')}
@@ -397,10 +497,19 @@ class Editor extends React.Component {
         onPersist={this.handlePersistEntry}
         onDelete={this.handleDeleteEntry}
         onDeleteUnpublishedChanges={this.handleDeleteUnpublishedChanges}
+        onChangeSlug={
+          collection.get('type') === FOLDER && !useOpenAuthoring && canEdit
+            ? this.handleChangeSlug
+            : undefined
+        }
         onChangeStatus={this.handleChangeStatus}
+        onChangePublishAt={
+          useOpenAuthoring || !canPublish || !canSchedule ? undefined : this.handleChangePublishAt
+        }
         onPublish={this.handlePublishEntry}
         showDelete={this.props.showDelete}
         user={user}
+        permissions={{ edit: canEdit, create: canCreate, delete: canDelete, publish: canPublish }}
         hasChanged={hasChanged}
         displayUrl={displayUrl}
         hasWorkflow={hasWorkflow}
@@ -409,6 +518,8 @@ class Editor extends React.Component {
         isNewEntry={newEntry}
         isModification={isModification}
         currentStatus={currentStatus}
+        workflowStatuses={workflowStatuses}
+        publishAt={publishAt}
         onLogoutClick={logoutUser}
         deployPreview={deployPreview}
         loadDeployPreview={opts => loadDeployPreview(collection, slug, entry, isPublished, opts)}
@@ -435,8 +546,11 @@ function mapStateToProps(state, ownProps) {
   const collectionEntriesLoaded = !!entries.getIn(['pages', collectionName]);
   const unpublishedEntry = selectUnpublishedEntry(state, collectionName, slug);
   const currentStatus = unpublishedEntry && unpublishedEntry.getIn(['metaData', 'status']);
+  const workflowStatuses = selectWorkflowStatuses(config);
+  const publishAt = unpublishedEntry && unpublishedEntry.getIn(['metaData', 'publish_at']);
   const deployPreview = selectDeployPreview(state, collectionName, slug);
   const localBackup = entryDraft.get('localBackup');
+  const permissions = selectCollectionPermissions(config, user, collectionName);
   return {
     collection,
     collections,
@@ -447,6 +561,11 @@ function mapStateToProps(state, ownProps) {
     slug,
     entry,
     user,
+    canEdit: permissions.includes(PERMISSIONS.EDIT),
+    canCreate: permissions.includes(PERMISSIONS.CREATE),
+    canDelete: permissions.includes(PERMISSIONS.DELETE),
+    canPublish: permissions.includes(PERMISSIONS.PUBLISH),
+    canSchedule: hasWorkflow && supportsScheduledPublishing(config),
     hasChanged,
     displayUrl,
     hasWorkflow,
@@ -454,6 +573,8 @@ function mapStateToProps(state, ownProps) {
     isModification,
     collectionEntriesLoaded,
     currentStatus,
+    workflowStatuses,
+    publishAt,
     deployPreview,
     localBackup,
   };
@@ -467,6 +588,7 @@ export default connect(
     loadEntry,
     loadEntries,
     loadDeployPreview,
+    loadEntryComments,
     loadLocalBackup,
     retrieveLocalBackup,
     persistLocalBackup,
@@ -476,7 +598,9 @@ export default connect(
     discardDraft,
     persistEntry,
     deleteEntry,
+    renameEntry,
     updateUnpublishedEntryStatus,
+    updateUnpublishedEntryPublishAt,
     publishUnpublishedEntry,
     deleteUnpublishedEntry,
     logoutUser,
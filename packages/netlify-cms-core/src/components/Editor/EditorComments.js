@@ -0,0 +1,247 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { css } from '@emotion/core';
+import { connect } from 'react-redux';
+import { translate } from 'react-polyglot';
+import moment from 'moment';
+import { Icon, Loader, buttons, colors, colorsRaw, lengths, shadows } from 'netlify-cms-ui-default';
+import { Modal } from 'UI';
+import { loadEntryComments, addEntryComment, resolveEntryComment } from 'Actions/comments';
+import { selectEntryComments } from 'Reducers';
+
+const StyledModal = styled(Modal)`
+  display: flex;
+  flex-direction: column;
+  width: 60%;
+  max-width: 800px;
+  text-align: left;
+`;
+
+const CloseButton = styled.button`
+  ${buttons.button};
+  ${shadows.dropMiddle};
+  position: absolute;
+  left: -40px;
+  top: -40px;
+  width: 40px;
+  height: 40px;
+  border-radius: 50%;
+  background-color: white;
+  padding: 0;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+`;
+
+const CommentsTitle = styled.h1`
+  position: relative;
+  line-height: 36px;
+  font-size: 22px;
+`;
+
+const CommentList = styled.ul`
+  flex: 1;
+  overflow-y: auto;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+const Comment = styled.li`
+  padding: 10px 12px;
+  margin-bottom: 6px;
+  border: 1px solid ${colors.textFieldBorder};
+  border-radius: ${lengths.borderRadius};
+  background-color: ${colorsRaw.white};
+
+  ${props =>
+    props.isResolved &&
+    css`
+      opacity: 0.6;
+    `};
+`;
+
+const CommentHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-size: 12px;
+  color: ${colors.controlLabel};
+`;
+
+const CommentBody = styled.div`
+  margin-top: 6px;
+  color: ${colors.text};
+  white-space: pre-wrap;
+`;
+
+const CommentField = styled.div`
+  margin-top: 4px;
+  font-size: 12px;
+  font-weight: 600;
+  color: ${colors.active};
+`;
+
+const ResolveButton = styled.button`
+  ${buttons.button};
+  ${buttons.small};
+  ${buttons.lightBlue};
+`;
+
+const Message = styled.p`
+  color: ${colors.controlLabel};
+`;
+
+const CommentInput = styled.textarea`
+  width: 100%;
+  min-height: 80px;
+  margin-top: 12px;
+  padding: 10px 12px;
+  border: 1px solid ${colors.textFieldBorder};
+  border-radius: ${lengths.borderRadius};
+  font-family: inherit;
+  font-size: 14px;
+  resize: vertical;
+`;
+
+const AddButton = styled.button`
+  ${buttons.button};
+  ${buttons.default};
+  ${buttons.lightBlue};
+  align-self: flex-end;
+  margin-top: 12px;
+`;
+
+class EditorComments extends React.Component {
+  static propTypes = {
+    collection: PropTypes.string.isRequired,
+    slug: PropTypes.string.isRequired,
+    comments: ImmutablePropTypes.map,
+    onClose: PropTypes.func.isRequired,
+    loadEntryComments: PropTypes.func.isRequired,
+    addEntryComment: PropTypes.func.isRequired,
+    resolveEntryComment: PropTypes.func.isRequired,
+    t: PropTypes.func.isRequired,
+  };
+
+  state = { body: '' };
+
+  componentDidMount() {
+    const { collection, slug, loadEntryComments } = this.props;
+    loadEntryComments(collection, slug);
+  }
+
+  handleAdd = async () => {
+    const { collection, slug, addEntryComment } = this.props;
+    const body = this.state.body.trim();
+    if (!body) {
+      return;
+    }
+    const comment = await addEntryComment(collection, slug, body);
+    if (comment) {
+      this.setState({ body: '' });
+    }
+  };
+
+  handleResolve = commentId => {
+    const { collection, slug, resolveEntryComment } = this.props;
+    resolveEntryComment(collection, slug, commentId);
+  };
+
+  renderComments() {
+    const { comments, t } = this.props;
+    if (!comments || comments.get('isFetching')) {
+      return <Loader active>{t('editor.editorComments.loading')}</Loader>;
+    }
+    if (comments.get('error')) {
+      return <Message>{comments.get('error')}</Message>;
+    }
+    const commentList = comments.get('comments');
+    if (!commentList || commentList.isEmpty()) {
+      return <Message>{t('editor.editorComments.noComments')}</Message>;
+    }
+    return (
+      <CommentList>
+        {commentList.map(comment => {
+          const id = comment.get('id');
+          const author = comment.get('author');
+          const date = moment(comment.get('createdAt')).format('LLL');
+          const isResolved = comment.get('resolved');
+          return (
+            <Comment key={id} isResolved={isResolved}>
+              <CommentHeader>
+                <span>
+                  {author
+                    ? t('editor.editorComments.commentMeta', { author, date })
+                    : t('editor.editorComments.commentMetaNoAuthor', { date })}
+                </span>
+                {isResolved ? (
+                  <span>{t('editor.editorComments.resolved')}</span>
+                ) : (
+                  <ResolveButton
+                    disabled={comment.get('isResolving')}
+                    onClick={() => this.handleResolve(id)}
+                  >
+                    {t('editor.editorComments.resolve')}
+                  </ResolveButton>
+                )}
+              </CommentHeader>
+              {comment.get('field') ? (
+                <CommentField>
+                  {t('editor.editorComments.onField', { field: comment.get('field') })}
+                </CommentField>
+              ) : null}
+              <CommentBody>{comment.get('body')}</CommentBody>
+            </Comment>
+          );
+        })}
+      </CommentList>
+    );
+  }
+
+  render() {
+    const { comments, onClose, t } = this.props;
+    const { body } = this.state;
+    const canComment = comments && comments.has('comments');
+    const isPosting = canComment && comments.get('isPosting');
+    return (
+      <StyledModal isOpen onClose={onClose}>
+        <CommentsTitle>
+          <CloseButton onClick={onClose}>
+            <Icon type="close" />
+          </CloseButton>
+          {t('editor.editorComments.title')}
+        </CommentsTitle>
+        {this.renderComments()}
+        {canComment ? (
+          <>
+            <CommentInput
+              value={body}
+              placeholder={t('editor.editorComments.placeholder')}
+              onChange={e => this.setState({ body: e.target.value })}
+            />
+            <AddButton disabled={isPosting || !body.trim()} onClick={this.handleAdd}>
+              {isPosting
+                ? t('editor.editorComments.adding')
+                : t('editor.editorComments.addComment')}
+            </AddButton>
+          </>
+        ) : null}
+      </StyledModal>
+    );
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const { collection, slug } = ownProps;
+  return {
+    comments: selectEntryComments(state, collection, slug),
+  };
+}
+
+export default connect(
+  mapStateToProps,
+  { loadEntryComments, addEntryComment, resolveEntryComment },
+)(translate()(EditorComments));
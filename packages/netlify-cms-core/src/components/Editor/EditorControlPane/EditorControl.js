@@ -9,6 +9,7 @@ import { partial, uniqueId } from 'lodash';
 import { connect } from 'react-redux';
 import { colors, colorsRaw, transitions, lengths, borders } from 'netlify-cms-ui-default';
 import { resolveWidget, getEditorComponents } from 'Lib/registry';
+import { isFieldHidden } from 'Lib/fieldConditions';
 import { clearFieldErrors, loadEntry } from 'Actions/entries';
 import { addAsset } from 'Actions/media';
 import { query, clearSearch } from 'Actions/search';
@@ -19,7 +20,9 @@ import {
   removeMediaControl,
 } from 'Actions/mediaLibrary';
 import { getAsset } from 'Reducers';
+import { currentBackend } from 'coreSrc/backend';
 import Widget from './Widget';
+import FieldComments from './FieldComments';
 
 /**
  * This is a necessary bridge as we are still passing classnames to widgets
@@ -137,8 +140,10 @@ class EditorControl extends React.Component {
       PropTypes.bool,
     ]),
     field: ImmutablePropTypes.map.isRequired,
+    parentPath: PropTypes.string,
     fieldsMetaData: ImmutablePropTypes.map,
     fieldsErrors: ImmutablePropTypes.map,
+    entryErrors: PropTypes.array,
     mediaPaths: ImmutablePropTypes.map.isRequired,
     boundGetAsset: PropTypes.func.isRequired,
     onChange: PropTypes.func.isRequired,
@@ -154,6 +159,7 @@ class EditorControl extends React.Component {
     clearSearch: PropTypes.func.isRequired,
     clearFieldErrors: PropTypes.func.isRequired,
     loadEntry: PropTypes.func.isRequired,
+    getFieldValidationContext: PropTypes.func.isRequired,
     t: PropTypes.func.isRequired,
   };
 
@@ -163,12 +169,25 @@ class EditorControl extends React.Component {
 
   uniqueFieldId = uniqueId(`${this.props.field.get('name')}-field-`);
 
+  /**
+   * Controls are removed when their field gets hidden by its `condition`, and
+   * shouldn't keep the entry from being saved with their previous errors.
+   */
+  componentWillUnmount() {
+    const { fieldsErrors, onValidate } = this.props;
+    if (onValidate && fieldsErrors && fieldsErrors.has(this.uniqueFieldId)) {
+      onValidate(this.uniqueFieldId, []);
+    }
+  }
+
   render() {
     const {
       value,
       field,
+      parentPath,
       fieldsMetaData,
       fieldsErrors,
+      entryErrors,
       mediaPaths,
       boundGetAsset,
       onChange,
@@ -186,16 +205,26 @@ class EditorControl extends React.Component {
       clearSearch,
       clearFieldErrors,
       loadEntry,
+      getFieldValidationContext,
       t,
     } = this.props;
     const widgetName = field.get('widget');
     const widget = resolveWidget(widgetName);
     const fieldName = field.get('name');
+    const fieldPath = parentPath ? `${parentPath}.${fieldName}` : fieldName;
     const fieldHint = field.get('hint');
     const isFieldOptional = field.get('required') === false;
     const onValidateObject = onValidate;
     const metadata = fieldsMetaData && fieldsMetaData.get(fieldName);
-    const errors = fieldsErrors && fieldsErrors.get(this.uniqueFieldId);
+    /**
+     * Errors of the collection `validation` rules are shown along with the
+     * errors of the widget.
+     */
+    const allErrors = [
+      ...((fieldsErrors && fieldsErrors.get(this.uniqueFieldId)) || []),
+      ...(entryErrors || []),
+    ];
+    const errors = allErrors.length > 0 ? allErrors : null;
     return (
       <ClassNames>
         {({ css, cx }) => (
@@ -231,6 +260,7 @@ class EditorControl extends React.Component {
             >
               {`${field.get('label', field.get('name'))}${isFieldOptional ? ' (optional)' : ''}`}
             </label>
+            <FieldComments fieldPath={fieldPath} />
             <Widget
               classNameWrapper={cx(
                 css`
@@ -261,6 +291,7 @@ class EditorControl extends React.Component {
               `}
               controlComponent={widget.control}
               field={field}
+              fieldPath={fieldPath}
               uniqueFieldId={this.uniqueFieldId}
               value={value}
               mediaPaths={mediaPaths}
@@ -278,6 +309,7 @@ class EditorControl extends React.Component {
               setInactiveStyle={() => this.setState({ styleActive: false })}
               resolveWidget={resolveWidget}
               getEditorComponents={getEditorComponents}
+              isFieldHidden={isFieldHidden}
               ref={processControlRef && partial(processControlRef, field)}
               controlRef={controlRef}
               editorControl={ConnectedEditorControl}
@@ -289,6 +321,7 @@ class EditorControl extends React.Component {
               isFetching={isFetching}
               fieldsErrors={fieldsErrors}
               onValidateObject={onValidateObject}
+              getFieldValidationContext={getFieldValidationContext}
               t={t}
             />
             {fieldHint && (
@@ -323,6 +356,16 @@ const mapDispatchToProps = {
   },
   clearSearch,
   clearFieldErrors,
+  getFieldValidationContext: () => (dispatch, getState) => {
+    const state = getState();
+    const entry = state.entryDraft.get('entry');
+    const collection = state.collections.get(entry.get('collection'));
+    return {
+      entry,
+      collection,
+      loadEntries: () => currentBackend(state.config).listAllEntries(collection),
+    };
+  },
 };
 
 const ConnectedEditorControl = connect(
@@ -2,6 +2,8 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import ImmutablePropTypes from 'react-immutable-proptypes';
 import styled from '@emotion/styled';
+import { getEntryErrorsKey } from 'Lib/entryValidation';
+import { isFieldHidden } from 'Lib/fieldConditions';
 import EditorControl from './EditorControl';
 
 const ControlPaneContainer = styled.div`
@@ -28,8 +30,9 @@ export default class ControlPane extends React.Component {
   }
 
   validate = () => {
+    const data = this.props.entry.get('data');
     this.props.fields.forEach(field => {
-      if (field.get('widget') === 'hidden') return;
+      if (field.get('widget') === 'hidden' || isFieldHidden(field, data)) return;
       this.componentValidate[field.get('name')]();
     });
   };
@@ -56,13 +59,14 @@ export default class ControlPane extends React.Component {
     return (
       <ControlPaneContainer>
         {fields.map((field, i) =>
-          field.get('widget') === 'hidden' ? null : (
+          field.get('widget') === 'hidden' || isFieldHidden(field, entry.get('data')) ? null : (
             <EditorControl
               key={i}
               field={field}
               value={entry.getIn(['data', field.get('name')])}
               fieldsMetaData={fieldsMetaData}
               fieldsErrors={fieldsErrors}
+              entryErrors={fieldsErrors.get(getEntryErrorsKey(field.get('name')))}
               onChange={onChange}
               onValidate={onValidate}
               processControlRef={this.controlRef.bind(this)}
@@ -0,0 +1,251 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { css } from '@emotion/core';
+import { connect } from 'react-redux';
+import { translate } from 'react-polyglot';
+import moment from 'moment';
+import { Icon, buttons, colors, colorsRaw, lengths, shadows } from 'netlify-cms-ui-default';
+import { addEntryComment, resolveEntryComment } from 'Actions/comments';
+import { selectEntryComments } from 'Reducers';
+
+const FieldCommentsContainer = styled.div`
+  position: relative;
+  display: inline-block;
+  margin-left: 10px;
+  vertical-align: bottom;
+`;
+
+const Indicator = styled.button`
+  ${buttons.button};
+  display: inline-flex;
+  align-items: center;
+  padding: 2px 6px;
+  font-size: 12px;
+  font-weight: 600;
+  color: ${colors.controlLabel};
+  background-color: transparent;
+
+  ${props =>
+    props.hasOpenComments &&
+    css`
+      color: ${colorsRaw.white};
+      background-color: ${colorsRaw.blue};
+    `};
+
+  span {
+    margin-left: 4px;
+  }
+`;
+
+const Popover = styled.div`
+  ${shadows.dropDeep};
+  position: absolute;
+  top: 100%;
+  left: 0;
+  z-index: 300;
+  width: 360px;
+  margin-top: 4px;
+  padding: 12px;
+  border-radius: ${lengths.borderRadius};
+  background-color: ${colorsRaw.white};
+`;
+
+const CommentList = styled.ul`
+  max-height: 240px;
+  overflow-y: auto;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+const Comment = styled.li`
+  padding: 6px 0;
+  border-bottom: 1px solid ${colors.textFieldBorder};
+
+  ${props =>
+    props.isResolved &&
+    css`
+      opacity: 0.6;
+    `};
+`;
+
+const CommentHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-size: 12px;
+  color: ${colors.controlLabel};
+`;
+
+const CommentBody = styled.div`
+  margin-top: 4px;
+  font-size: 14px;
+  color: ${colors.text};
+  white-space: pre-wrap;
+`;
+
+const ResolveButton = styled.button`
+  ${buttons.button};
+  ${buttons.small};
+  ${buttons.lightBlue};
+`;
+
+const Message = styled.p`
+  margin: 0;
+  font-size: 14px;
+  color: ${colors.controlLabel};
+`;
+
+const CommentInput = styled.textarea`
+  width: 100%;
+  min-height: 60px;
+  margin-top: 8px;
+  padding: 6px 8px;
+  border: 1px solid ${colors.textFieldBorder};
+  border-radius: ${lengths.borderRadius};
+  font-family: inherit;
+  font-size: 14px;
+  resize: vertical;
+`;
+
+const AddButton = styled.button`
+  ${buttons.button};
+  ${buttons.small};
+  ${buttons.lightBlue};
+  display: block;
+  margin: 8px 0 0 auto;
+`;
+
+/**
+ * Comments of reviewers on a single field of an unpublished entry, keyed by
+ * the dot separated path of the field in the entry data, e.g. `hero.image` or
+ * `sections.2.body`. Nothing is shown until the comments of the entry are
+ * loaded, which only happens for entries under editorial workflow.
+ */
+export class FieldComments extends React.Component {
+  static propTypes = {
+    fieldPath: PropTypes.string.isRequired,
+    collection: PropTypes.string,
+    slug: PropTypes.string,
+    entryComments: ImmutablePropTypes.map,
+    addEntryComment: PropTypes.func.isRequired,
+    resolveEntryComment: PropTypes.func.isRequired,
+    t: PropTypes.func.isRequired,
+  };
+
+  state = { isOpen: false, body: '' };
+
+  handleToggle = () => {
+    this.setState({ isOpen: !this.state.isOpen });
+  };
+
+  handleAdd = async () => {
+    const { collection, slug, fieldPath, addEntryComment } = this.props;
+    const body = this.state.body.trim();
+    if (!body) {
+      return;
+    }
+    const comment = await addEntryComment(collection, slug, body, fieldPath);
+    if (comment) {
+      this.setState({ body: '' });
+    }
+  };
+
+  renderComments(comments) {
+    const { collection, slug, resolveEntryComment, t } = this.props;
+    if (comments.isEmpty()) {
+      return <Message>{t('editor.editorComments.noFieldComments')}</Message>;
+    }
+    return (
+      <CommentList>
+        {comments.map(comment => {
+          const id = comment.get('id');
+          const author = comment.get('author');
+          const date = moment(comment.get('createdAt')).format('LLL');
+          const isResolved = comment.get('resolved');
+          return (
+            <Comment key={id} isResolved={isResolved}>
+              <CommentHeader>
+                <span>
+                  {author
+                    ? t('editor.editorComments.commentMeta', { author, date })
+                    : t('editor.editorComments.commentMetaNoAuthor', { date })}
+                </span>
+                {isResolved ? (
+                  <span>{t('editor.editorComments.resolved')}</span>
+                ) : (
+                  <ResolveButton
+                    disabled={comment.get('isResolving')}
+                    onClick={() => resolveEntryComment(collection, slug, id)}
+                  >
+                    {t('editor.editorComments.resolve')}
+                  </ResolveButton>
+                )}
+              </CommentHeader>
+              <CommentBody>{comment.get('body')}</CommentBody>
+            </Comment>
+          );
+        })}
+      </CommentList>
+    );
+  }
+
+  render() {
+    const { fieldPath, entryComments, t } = this.props;
+    const { isOpen, body } = this.state;
+    if (!entryComments || !entryComments.has('comments')) {
+      return null;
+    }
+    const comments = entryComments
+      .get('comments')
+      .filter(comment => comment.get('field') === fieldPath);
+    const openCount = comments.count(comment => !comment.get('resolved'));
+    const isPosting = entryComments.get('isPosting');
+    return (
+      <FieldCommentsContainer>
+        <Indicator
+          type="button"
+          hasOpenComments={openCount > 0}
+          title={t('editor.editorComments.fieldComments')}
+          onClick={this.handleToggle}
+        >
+          <Icon type="quote" size="xsmall" />
+          {openCount > 0 ? <span>{openCount}</span> : null}
+        </Indicator>
+        {isOpen ? (
+          <Popover>
+            {this.renderComments(comments)}
+            <CommentInput
+              value={body}
+              placeholder={t('editor.editorComments.placeholder')}
+              onChange={e => this.setState({ body: e.target.value })}
+            />
+            <AddButton disabled={isPosting || !body.trim()} onClick={this.handleAdd}>
+              {isPosting
+                ? t('editor.editorComments.adding')
+                : t('editor.editorComments.addComment')}
+            </AddButton>
+          </Popover>
+        ) : null}
+      </FieldCommentsContainer>
+    );
+  }
+}
+
+function mapStateToProps(state) {
+  const entry = state.entryDraft.get('entry');
+  const collection = entry && entry.get('collection');
+  const slug = entry && entry.get('slug');
+  return {
+    collection,
+    slug,
+    entryComments: collection && slug ? selectEntryComments(state, collection, slug) : undefined,
+  };
+}
+
+export default connect(
+  mapStateToProps,
+  { addEntryComment, resolveEntryComment },
+)(translate()(FieldComments));
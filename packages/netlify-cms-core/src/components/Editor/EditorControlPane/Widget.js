@@ -4,6 +4,7 @@ import ImmutablePropTypes from 'react-immutable-proptypes';
 import { Map, List } from 'immutable';
 import { oneLine } from 'common-tags';
 import ValidationErrorTypes from 'Constants/validationErrorTypes';
+import { runFieldValidators } from 'Lib/fieldValidators';
 
 const truthy = () => ({ error: false });
 
@@ -18,6 +19,7 @@ export default class Widget extends Component {
   static propTypes = {
     controlComponent: PropTypes.func.isRequired,
     field: ImmutablePropTypes.map.isRequired,
+    fieldPath: PropTypes.string,
     hasActiveStyle: PropTypes.bool,
     setActiveStyle: PropTypes.func.isRequired,
     setInactiveStyle: PropTypes.func.isRequired,
@@ -45,6 +47,7 @@ export default class Widget extends Component {
     getAsset: PropTypes.func.isRequired,
     resolveWidget: PropTypes.func.isRequired,
     getEditorComponents: PropTypes.func.isRequired,
+    isFieldHidden: PropTypes.func.isRequired,
     isFetching: PropTypes.bool,
     controlRef: PropTypes.func,
     query: PropTypes.func.isRequired,
@@ -56,6 +59,7 @@ export default class Widget extends Component {
     loadEntry: PropTypes.func.isRequired,
     t: PropTypes.func.isRequired,
     onValidateObject: PropTypes.func,
+    getFieldValidationContext: PropTypes.func,
   };
 
   shouldComponentUpdate(nextProps) {
@@ -101,6 +105,7 @@ export default class Widget extends Component {
       const response = func(field, value);
       if (response.error) errors.push(response.error);
     });
+    errors.push(...this.validateRegistered(field, value));
     if (skipWrapped) {
       if (skipWrapped.error) errors.push(skipWrapped.error);
     } else {
@@ -110,6 +115,47 @@ export default class Widget extends Component {
     this.props.onValidate(errors);
   };
 
+  processingError = field => ({
+    type: ValidationErrorTypes.CUSTOM,
+    message: this.props.t('editor.editorControlPane.widget.processing', {
+      fieldLabel: field.get('label', field.get('name')),
+    }),
+  });
+
+  /**
+   * Run the validators registered with `registerFieldValidator` and listed in
+   * the `validate` option of the field. While asynchronous validators are
+   * pending, the field is reported as processing, and it's validated again
+   * once they're done. Their errors are kept until the value changes.
+   */
+  validateRegistered = (field, value) => {
+    const { getFieldValidationContext, t } = this.props;
+    const cached = this.registeredValidation;
+
+    if (cached && cached.value === value) {
+      return cached.errors || [this.processingError(field)];
+    }
+
+    const context = getFieldValidationContext ? getFieldValidationContext() : {};
+    const { errors, pending } = runFieldValidators(field, value, context, t);
+
+    if (!pending) {
+      this.registeredValidation = null;
+      return errors;
+    }
+
+    const validation = { value, errors: null };
+    this.registeredValidation = validation;
+    pending.then(errors => {
+      if (this.registeredValidation === validation) {
+        validation.errors = errors;
+        this.validate();
+      }
+    });
+
+    return [...errors, this.processingError(field)];
+  };
+
   validatePresence = (field, value) => {
     const t = this.props.t;
     const isRequired = field.get('required', true);
@@ -216,6 +262,7 @@ export default class Widget extends Component {
     const {
       controlComponent,
       field,
+      fieldPath,
       value,
       mediaPaths,
       metadata,
@@ -239,6 +286,7 @@ export default class Widget extends Component {
       uniqueFieldId,
       resolveWidget,
       getEditorComponents,
+      isFieldHidden,
       query,
       queryHits,
       clearSearch,
@@ -251,6 +299,7 @@ export default class Widget extends Component {
     } = this.props;
     return React.createElement(controlComponent, {
       field,
+      fieldPath,
       value,
       mediaPaths,
       metadata,
@@ -276,6 +325,7 @@ export default class Widget extends Component {
       editorControl,
       resolveWidget,
       getEditorComponents,
+      isFieldHidden,
       query,
       queryHits,
       clearSearch,
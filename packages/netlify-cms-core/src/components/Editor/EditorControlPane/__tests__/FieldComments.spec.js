@@ -0,0 +1,98 @@
+import React from 'react';
+import { fromJS } from 'immutable';
+import { render, fireEvent, wait } from 'react-testing-library';
+import 'react-testing-library/cleanup-after-each';
+import 'jest-dom/extend-expect';
+import { FieldComments } from '../FieldComments';
+
+const comments = fromJS([
+  { id: '1', body: 'Looks good', createdAt: '2020-03-01T12:00:00.000Z', resolved: false },
+  {
+    id: '2',
+    author: 'ada',
+    body: 'Crop it',
+    field: 'hero.image',
+    createdAt: '2020-03-01T12:00:00.000Z',
+    resolved: false,
+  },
+  {
+    id: '3',
+    body: 'Brighter',
+    field: 'hero.image',
+    createdAt: '2020-03-01T12:00:00.000Z',
+    resolved: true,
+  },
+  {
+    id: '4',
+    body: 'Shorter',
+    field: 'title',
+    createdAt: '2020-03-01T12:00:00.000Z',
+    resolved: false,
+  },
+]);
+
+function setup(props = {}) {
+  const fieldProps = {
+    fieldPath: 'hero.image',
+    collection: 'posts',
+    slug: 'hello',
+    entryComments: fromJS({ comments, isPosting: false }),
+    addEntryComment: jest.fn().mockResolvedValue({ id: '5' }),
+    resolveEntryComment: jest.fn(),
+    t: key => key,
+    ...props,
+  };
+  return { ...render(<FieldComments {...fieldProps} />), props: fieldProps };
+}
+
+describe('FieldComments', () => {
+  it('should render nothing until the comments are loaded', () => {
+    const { container } = setup({ entryComments: fromJS({ isFetching: true }) });
+    expect(container).toBeEmpty();
+  });
+
+  it('should count the open comments on the field', () => {
+    const { getByTitle } = setup();
+    expect(getByTitle('editor.editorComments.fieldComments')).toHaveTextContent('1');
+  });
+
+  it('should list the comments on the field', () => {
+    const { getByTitle, getByText, queryByText } = setup();
+    fireEvent.click(getByTitle('editor.editorComments.fieldComments'));
+
+    expect(getByText('Crop it')).toBeInTheDocument();
+    expect(getByText('Brighter')).toBeInTheDocument();
+    expect(queryByText('Looks good')).toBeNull();
+    expect(queryByText('Shorter')).toBeNull();
+  });
+
+  it('should resolve comments', () => {
+    const { getByTitle, getByText, props } = setup();
+    fireEvent.click(getByTitle('editor.editorComments.fieldComments'));
+    fireEvent.click(getByText('editor.editorComments.resolve'));
+
+    expect(props.resolveEntryComment).toHaveBeenCalledWith('posts', 'hello', '2');
+  });
+
+  it('should add comments to the field', async () => {
+    const { getByTitle, getByText, getByPlaceholderText, props } = setup();
+    fireEvent.click(getByTitle('editor.editorComments.fieldComments'));
+    const input = getByPlaceholderText('editor.editorComments.placeholder');
+    fireEvent.change(input, { target: { value: ' Use another photo ' } });
+    fireEvent.click(getByText('editor.editorComments.addComment'));
+
+    expect(props.addEntryComment).toHaveBeenCalledWith(
+      'posts',
+      'hello',
+      'Use another photo',
+      'hero.image',
+    );
+    await wait(() => expect(input).toHaveValue(''));
+  });
+
+  it('should not add empty comments', () => {
+    const { getByTitle, getByText } = setup();
+    fireEvent.click(getByTitle('editor.editorComments.fieldComments'));
+    expect(getByText('editor.editorComments.addComment')).toBeDisabled();
+  });
+});
@@ -0,0 +1,228 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { css } from '@emotion/core';
+import { colors, lengths } from 'netlify-cms-ui-default';
+import {
+  diffEntryData,
+  diffSequence,
+  diffText,
+  getFieldDiffType,
+  formatDiffValue,
+  DIFF_ADDED,
+  DIFF_REMOVED,
+} from 'Lib/entryDiff';
+
+const DiffField = styled.div`
+  margin-bottom: 16px;
+`;
+
+const DiffFieldLabel = styled.div`
+  font-weight: 600;
+  margin-bottom: 6px;
+`;
+
+const DiffColumns = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  grid-column-gap: 10px;
+`;
+
+const DiffColumnTitle = styled.div`
+  font-size: 12px;
+  color: ${colors.controlLabel};
+  margin-bottom: 4px;
+`;
+
+const diffBlock = css`
+  margin: 0;
+  padding: 8px;
+  border: 1px solid ${colors.textFieldBorder};
+  border-radius: ${lengths.borderRadius};
+  white-space: pre-wrap;
+  word-break: break-word;
+  font-family: inherit;
+  font-size: 13px;
+`;
+
+const DiffBlock = styled.pre`
+  ${diffBlock};
+`;
+
+const DiffValue = styled(DiffBlock)`
+  border: 0;
+  background-color: ${props =>
+    props.isBefore ? colors.errorBackground : colors.successBackground};
+  color: ${props => (props.isBefore ? colors.errorText : colors.successText)};
+`;
+
+const Removed = styled.del`
+  background-color: ${colors.errorBackground};
+  color: ${colors.errorText};
+`;
+
+const Added = styled.ins`
+  background-color: ${colors.successBackground};
+  color: ${colors.successText};
+  text-decoration: none;
+`;
+
+const DiffList = styled.ul`
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+const DiffListItem = styled.li`
+  ${diffBlock};
+  margin-bottom: 4px;
+
+  ${props =>
+    props.type === DIFF_REMOVED &&
+    css`
+      border-color: ${colors.errorBackground};
+      background-color: ${colors.errorBackground};
+      color: ${colors.errorText};
+      text-decoration: line-through;
+    `};
+
+  ${props =>
+    props.type === DIFF_ADDED &&
+    css`
+      border-color: ${colors.successBackground};
+      background-color: ${colors.successBackground};
+      color: ${colors.successText};
+    `};
+`;
+
+const DiffImage = styled.img`
+  display: block;
+  max-width: 100%;
+  max-height: 200px;
+  border-radius: ${lengths.borderRadius};
+`;
+
+const Message = styled.p`
+  color: ${colors.controlLabel};
+`;
+
+const TextDiff = ({ before, after }) => (
+  <DiffBlock>
+    {diffText(before, after).map(({ value, type }, idx) => {
+      if (type === DIFF_REMOVED) {
+        return <Removed key={idx}>{value}</Removed>;
+      } else if (type === DIFF_ADDED) {
+        return <Added key={idx}>{value}</Added>;
+      }
+      return value;
+    })}
+  </DiffBlock>
+);
+
+const ListDiff = ({ before, after }) => (
+  <DiffList>
+    {diffSequence(before ? before.toArray() : [], after ? after.toArray() : []).map(
+      ({ value, type }, idx) => (
+        <DiffListItem key={idx} type={type}>
+          {formatDiffValue(value)}
+        </DiffListItem>
+      ),
+    )}
+  </DiffList>
+);
+
+const ColumnsDiff = ({ before, after, beforeLabel, afterLabel, renderValue }) => (
+  <DiffColumns>
+    <div>
+      <DiffColumnTitle>{beforeLabel}</DiffColumnTitle>
+      {renderValue(before, true)}
+    </div>
+    <div>
+      <DiffColumnTitle>{afterLabel}</DiffColumnTitle>
+      {renderValue(after, false)}
+    </div>
+  </DiffColumns>
+);
+
+/**
+ * Lists the fields changed between two versions of the data of an entry,
+ * displaying each change according to the widget of its field.
+ */
+export default class EditorDiff extends React.Component {
+  static propTypes = {
+    fields: ImmutablePropTypes.list.isRequired,
+    before: ImmutablePropTypes.map,
+    after: ImmutablePropTypes.map,
+    beforeLabel: PropTypes.string.isRequired,
+    afterLabel: PropTypes.string.isRequired,
+    noChangesLabel: PropTypes.string.isRequired,
+    getAsset: PropTypes.func,
+  };
+
+  renderValue = (value, isBefore) => (
+    <DiffValue isBefore={isBefore}>{formatDiffValue(value)}</DiffValue>
+  );
+
+  renderMedia = field => value => {
+    const { getAsset } = this.props;
+    if (!value) {
+      return null;
+    }
+    if (field.get('widget') === 'image' && getAsset) {
+      return <DiffImage src={getAsset(value, field)} alt={value} />;
+    }
+    return <DiffBlock>{value}</DiffBlock>;
+  };
+
+  renderChange(change) {
+    const { beforeLabel, afterLabel } = this.props;
+    const field = change.get('field');
+    const before = change.get('before');
+    const after = change.get('after');
+
+    switch (getFieldDiffType(field, before, after)) {
+      case 'text':
+        return <TextDiff before={before} after={after} />;
+      case 'list':
+        return <ListDiff before={before} after={after} />;
+      case 'media':
+        return (
+          <ColumnsDiff
+            before={before}
+            after={after}
+            beforeLabel={beforeLabel}
+            afterLabel={afterLabel}
+            renderValue={this.renderMedia(field)}
+          />
+        );
+      default:
+        return (
+          <ColumnsDiff
+            before={before}
+            after={after}
+            beforeLabel={beforeLabel}
+            afterLabel={afterLabel}
+            renderValue={this.renderValue}
+          />
+        );
+    }
+  }
+
+  render() {
+    const { fields, before, after, noChangesLabel } = this.props;
+    const changes = diffEntryData(fields, before, after);
+    if (changes.isEmpty()) {
+      return <Message>{noChangesLabel}</Message>;
+    }
+    return changes.map(change => {
+      const field = change.get('field');
+      return (
+        <DiffField key={field.get('name')}>
+          <DiffFieldLabel>{field.get('label', field.get('name'))}</DiffFieldLabel>
+          {this.renderChange(change)}
+        </DiffField>
+      );
+    });
+  }
+}
@@ -0,0 +1,249 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { css } from '@emotion/core';
+import { connect } from 'react-redux';
+import { translate } from 'react-polyglot';
+import moment from 'moment';
+import { Icon, Loader, buttons, colors, colorsRaw, lengths, shadows } from 'netlify-cms-ui-default';
+import { Modal } from 'UI';
+import { loadEntryHistory, loadEntryRevision, restoreDraftRevision } from 'Actions/history';
+import { selectEntryHistory, selectEntryRevision } from 'Reducers';
+import EditorDiff from './EditorDiff';
+
+const StyledModal = styled(Modal)`
+  display: grid;
+  grid-template-columns: 320px auto;
+  grid-template-rows: 60px minmax(0, 1fr);
+  grid-column-gap: 20px;
+  width: 80%;
+  max-width: 1200px;
+  text-align: left;
+`;
+
+const CloseButton = styled.button`
+  ${buttons.button};
+  ${shadows.dropMiddle};
+  position: absolute;
+  left: -40px;
+  top: -40px;
+  width: 40px;
+  height: 40px;
+  border-radius: 50%;
+  background-color: white;
+  padding: 0;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+`;
+
+const HistoryTitle = styled.h1`
+  grid-column: 1 / 3;
+  position: relative;
+  line-height: 36px;
+  font-size: 22px;
+`;
+
+const RevisionList = styled.ul`
+  overflow-y: auto;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+`;
+
+const RevisionButton = styled.button`
+  display: block;
+  width: 100%;
+  text-align: left;
+  padding: 10px 12px;
+  margin-bottom: 6px;
+  border: 1px solid ${colors.textFieldBorder};
+  border-radius: ${lengths.borderRadius};
+  background-color: ${colorsRaw.white};
+  cursor: pointer;
+
+  ${props =>
+    props.isActive &&
+    css`
+      border-color: ${colors.active};
+      background-color: ${colors.activeBackground};
+    `};
+`;
+
+const RevisionMessage = styled.div`
+  font-weight: 600;
+  color: ${colors.text};
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const RevisionMeta = styled.div`
+  font-size: 12px;
+  color: ${colors.controlLabel};
+  margin-top: 4px;
+`;
+
+const DiffPane = styled.div`
+  display: flex;
+  flex-direction: column;
+  min-height: 0;
+`;
+
+const DiffList = styled.div`
+  flex: 1;
+  overflow-y: auto;
+`;
+
+const Message = styled.p`
+  color: ${colors.controlLabel};
+`;
+
+const RestoreButton = styled.button`
+  ${buttons.button};
+  ${buttons.default};
+  ${buttons.lightBlue};
+  align-self: flex-end;
+  margin-top: 12px;
+`;
+
+class EditorHistory extends React.Component {
+  static propTypes = {
+    collection: ImmutablePropTypes.map.isRequired,
+    slug: PropTypes.string.isRequired,
+    entry: ImmutablePropTypes.map.isRequired,
+    fields: ImmutablePropTypes.list.isRequired,
+    getAsset: PropTypes.func,
+    hasChanged: PropTypes.bool,
+    history: ImmutablePropTypes.map,
+    getRevision: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+    loadEntryHistory: PropTypes.func.isRequired,
+    loadEntryRevision: PropTypes.func.isRequired,
+    restoreDraftRevision: PropTypes.func.isRequired,
+    t: PropTypes.func.isRequired,
+  };
+
+  state = { selectedSha: null };
+
+  componentDidMount() {
+    const { collection, slug, loadEntryHistory } = this.props;
+    loadEntryHistory(collection, slug);
+  }
+
+  handleSelect = sha => {
+    const { collection, slug, getRevision, loadEntryRevision } = this.props;
+    this.setState({ selectedSha: sha });
+    if (!getRevision(sha)) {
+      loadEntryRevision(collection, slug, sha);
+    }
+  };
+
+  handleRestore = revisionEntry => {
+    const { hasChanged, restoreDraftRevision, onClose, t } = this.props;
+    if (hasChanged && !window.confirm(t('editor.editorHistory.onRestoreWithUnsavedChanges'))) {
+      return;
+    }
+    restoreDraftRevision(revisionEntry);
+    onClose();
+  };
+
+  renderDiff() {
+    const { entry, fields, getRevision, getAsset, t } = this.props;
+    const { selectedSha } = this.state;
+    if (!selectedSha) {
+      return <Message>{t('editor.editorHistory.selectRevision')}</Message>;
+    }
+    const revision = getRevision(selectedSha);
+    if (!revision || revision.get('isFetching')) {
+      return <Loader active>{t('editor.editorHistory.loadingRevision')}</Loader>;
+    }
+    if (revision.get('error')) {
+      return <Message>{revision.get('error')}</Message>;
+    }
+    const revisionEntry = revision.get('entry');
+    return (
+      <>
+        <DiffList>
+          <EditorDiff
+            fields={fields}
+            before={revisionEntry.get('data')}
+            after={entry.get('data')}
+            beforeLabel={t('editor.editorHistory.thisVersion')}
+            afterLabel={t('editor.editorHistory.currentDraft')}
+            noChangesLabel={t('editor.editorHistory.noChanges')}
+            getAsset={getAsset}
+          />
+        </DiffList>
+        <RestoreButton onClick={() => this.handleRestore(revisionEntry)}>
+          {t('editor.editorHistory.restore')}
+        </RestoreButton>
+      </>
+    );
+  }
+
+  renderRevisions() {
+    const { history, t } = this.props;
+    const { selectedSha } = this.state;
+    if (!history || history.get('isFetching')) {
+      return <Loader active>{t('editor.editorHistory.loading')}</Loader>;
+    }
+    const revisions = history.get('revisions');
+    if (!revisions || revisions.isEmpty()) {
+      return <Message>{t('editor.editorHistory.noHistory')}</Message>;
+    }
+    return (
+      <RevisionList>
+        {revisions.map(revision => {
+          const sha = revision.get('sha');
+          return (
+            <li key={sha}>
+              <RevisionButton isActive={sha === selectedSha} onClick={() => this.handleSelect(sha)}>
+                <RevisionMessage title={revision.get('message')}>
+                  {revision.get('message')}
+                </RevisionMessage>
+                <RevisionMeta>
+                  {t('editor.editorHistory.revisionMeta', {
+                    author: revision.get('author'),
+                    date: moment(revision.get('date')).format('LLL'),
+                  })}
+                </RevisionMeta>
+              </RevisionButton>
+            </li>
+          );
+        })}
+      </RevisionList>
+    );
+  }
+
+  render() {
+    const { onClose, t } = this.props;
+    return (
+      <StyledModal isOpen onClose={onClose}>
+        <HistoryTitle>
+          <CloseButton onClick={onClose}>
+            <Icon type="close" />
+          </CloseButton>
+          {t('editor.editorHistory.title')}
+        </HistoryTitle>
+        {this.renderRevisions()}
+        <DiffPane>{this.renderDiff()}</DiffPane>
+      </StyledModal>
+    );
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  const collectionName = ownProps.collection.get('name');
+  const { slug } = ownProps;
+  return {
+    history: selectEntryHistory(state, collectionName, slug),
+    getRevision: sha => selectEntryRevision(state, collectionName, slug, sha),
+  };
+}
+
+export default connect(
+  mapStateToProps,
+  { loadEntryHistory, loadEntryRevision, restoreDraftRevision },
+)(translate()(EditorHistory));
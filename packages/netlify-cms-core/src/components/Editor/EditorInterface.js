@@ -1,15 +1,28 @@
 import PropTypes from 'prop-types';
 import React, { Component } from 'react';
 import ImmutablePropTypes from 'react-immutable-proptypes';
+import { Map } from 'immutable';
 import { css, Global } from '@emotion/core';
 import styled from '@emotion/styled';
 import SplitPane from 'react-split-pane';
-import { colors, colorsRaw, components, transitions } from 'netlify-cms-ui-default';
+import {
+  colors,
+  colorsRaw,
+  components,
+  transitions,
+  Dropdown,
+  DropdownItem,
+  StyledDropdownButton,
+} from 'netlify-cms-ui-default';
 import { ScrollSync, ScrollSyncPane } from 'react-scroll-sync';
+import { getI18nInfo, getLocaleData, selectTranslatableFields } from 'Lib/i18n';
 import EditorControlPane from './EditorControlPane/EditorControlPane';
 import EditorPreviewPane from './EditorPreviewPane/EditorPreviewPane';
 import EditorToolbar from './EditorToolbar';
 import EditorToggle from './EditorToggle';
+import EditorHistory from './EditorHistory';
+import EditorReview from './EditorReview';
+import EditorComments from './EditorComments';
 
 const PREVIEW_VISIBLE = 'cms.preview-visible';
 const SCROLL_SYNC_ENABLED = 'cms.scroll-sync-enabled';
@@ -107,11 +120,28 @@ const ViewControls = styled.div`
   z-index: 299;
 `;
 
+const LocaleControls = styled.div`
+  position: absolute;
+  top: 10px;
+  left: 10px;
+  z-index: 299;
+`;
+
+const LocaleButton = styled(StyledDropdownButton)`
+  background-color: ${colorsRaw.tealLight};
+  color: ${colorsRaw.teal};
+  text-transform: uppercase;
+`;
+
 class EditorInterface extends Component {
   state = {
+    locale: null,
     showEventBlocker: false,
     previewVisible: localStorage.getItem(PREVIEW_VISIBLE) !== 'false',
     scrollSyncEnabled: localStorage.getItem(SCROLL_SYNC_ENABLED) !== 'false',
+    historyVisible: false,
+    reviewVisible: false,
+    commentsVisible: false,
   };
 
   handleSplitPaneDragStart = () => {
@@ -134,6 +164,10 @@ class EditorInterface extends Component {
     this.props.onPublish({ createNew });
   };
 
+  handleLocaleChange = locale => {
+    this.setState({ locale });
+  };
+
   handleTogglePreview = () => {
     const newPreviewVisible = !this.state.previewVisible;
     this.setState({ previewVisible: newPreviewVisible });
@@ -146,9 +180,22 @@ class EditorInterface extends Component {
     localStorage.setItem(SCROLL_SYNC_ENABLED, newScrollSyncEnabled);
   };
 
+  handleToggleReview = () => {
+    this.setState({ reviewVisible: !this.state.reviewVisible });
+  };
+
+  handleToggleHistory = () => {
+    this.setState({ historyVisible: !this.state.historyVisible });
+  };
+
+  handleToggleComments = () => {
+    this.setState({ commentsVisible: !this.state.commentsVisible });
+  };
+
   render() {
     const {
       collection,
+      slug,
       entry,
       fields,
       fieldsMetaData,
@@ -158,10 +205,13 @@ class EditorInterface extends Component {
       showDelete,
       onDelete,
       onDeleteUnpublishedChanges,
+      onChangeSlug,
       onChangeStatus,
+      onChangePublishAt,
       onPublish,
       onValidate,
       user,
+      permissions,
       hasChanged,
       displayUrl,
       hasWorkflow,
@@ -170,24 +220,77 @@ class EditorInterface extends Component {
       isNewEntry,
       isModification,
       currentStatus,
+      workflowStatuses,
+      publishAt,
       onLogoutClick,
       loadDeployPreview,
       deployPreview,
     } = this.props;
 
-    const { previewVisible, scrollSyncEnabled, showEventBlocker } = this.state;
+    const {
+      previewVisible,
+      scrollSyncEnabled,
+      showEventBlocker,
+      historyVisible,
+      reviewVisible,
+      commentsVisible,
+    } = this.state;
 
     const collectionPreviewEnabled = collection.getIn(['editor', 'preview'], true);
 
+    /**
+     * Unpublished changes to published entries can be reviewed against the
+     * published version in place of the preview.
+     */
+    const canReview = hasWorkflow && hasUnpublishedChanges && isModification;
+    const isReviewing = canReview && reviewVisible;
+
+    /**
+     * Reviewers comment on entries while they are under editorial workflow.
+     */
+    const canComment = hasWorkflow && hasUnpublishedChanges && !isNewEntry;
+
+    /**
+     * Translations only show the translated fields, and are previewed with
+     * the default locale values of the other fields.
+     */
+    const { locales, defaultLocale } = getI18nInfo(collection);
+    const locale = this.state.locale || defaultLocale;
+    const isTranslation = locale !== defaultLocale;
+    const localeData = entry.getIn(['i18n', locale, 'data'], Map());
+    const controlEntry = isTranslation ? entry.set('data', localeData) : entry;
+    const controlFields = isTranslation ? selectTranslatableFields(fields) : fields;
+    const previewEntry = isTranslation
+      ? entry.update('data', data => data.merge(getLocaleData(fields, data, localeData)))
+      : entry;
+    const handleChange = isTranslation
+      ? (field, value, metadata) => onChange(field, value, metadata, locale)
+      : onChange;
+
     const editor = (
       <ControlPaneContainer blockEntry={showEventBlocker}>
+        {locales && (
+          <LocaleControls>
+            <Dropdown
+              dropdownTopOverlap="30px"
+              dropdownWidth="100px"
+              dropdownPosition="left"
+              renderButton={() => <LocaleButton>{locale}</LocaleButton>}
+            >
+              {locales.map(l => (
+                <DropdownItem key={l} label={l} onClick={() => this.handleLocaleChange(l)} />
+              ))}
+            </Dropdown>
+          </LocaleControls>
+        )}
         <EditorControlPane
+          key={locale}
           collection={collection}
-          entry={entry}
-          fields={fields}
+          entry={controlEntry}
+          fields={controlFields}
           fieldsMetaData={fieldsMetaData}
           fieldsErrors={fieldsErrors}
-          onChange={onChange}
+          onChange={handleChange}
           onValidate={onValidate}
           ref={c => (this.controlPaneRef = c)}
         />
@@ -207,13 +310,23 @@ class EditorInterface extends Component {
           >
             <ScrollSyncPane>{editor}</ScrollSyncPane>
             <PreviewPaneContainer blockEntry={showEventBlocker}>
-              <EditorPreviewPane
-                collection={collection}
-                entry={entry}
-                fields={fields}
-                fieldsMetaData={fieldsMetaData}
-                getAsset={getAsset}
-              />
+              {isReviewing ? (
+                <EditorReview
+                  collection={collection}
+                  slug={slug}
+                  entry={entry}
+                  fields={fields}
+                  getAsset={getAsset}
+                />
+              ) : (
+                <EditorPreviewPane
+                  collection={collection}
+                  entry={previewEntry}
+                  fields={fields}
+                  fieldsMetaData={fieldsMetaData}
+                  getAsset={getAsset}
+                />
+              )}
             </PreviewPaneContainer>
           </StyledSplitPane>
         </div>
@@ -231,11 +344,14 @@ class EditorInterface extends Component {
           onPersistAndNew={() => this.handleOnPersist({ createNew: true })}
           onDelete={onDelete}
           onDeleteUnpublishedChanges={onDeleteUnpublishedChanges}
+          onChangeSlug={onChangeSlug}
           onChangeStatus={onChangeStatus}
+          onChangePublishAt={onChangePublishAt}
           showDelete={showDelete}
           onPublish={onPublish}
           onPublishAndNew={() => this.handleOnPublish({ createNew: true })}
           user={user}
+          permissions={permissions}
           hasChanged={hasChanged}
           displayUrl={displayUrl}
           collection={collection}
@@ -245,28 +361,52 @@ class EditorInterface extends Component {
           isNewEntry={isNewEntry}
           isModification={isModification}
           currentStatus={currentStatus}
+          workflowStatuses={workflowStatuses}
+          publishAt={publishAt}
           onLogoutClick={onLogoutClick}
           loadDeployPreview={loadDeployPreview}
           deployPreview={deployPreview}
+          onHistoryClick={this.handleToggleHistory}
+          isReviewing={isReviewing}
+          onReviewClick={canReview ? this.handleToggleReview : undefined}
+          onCommentsClick={canComment ? this.handleToggleComments : undefined}
         />
+        {historyVisible && (
+          <EditorHistory
+            collection={collection}
+            slug={slug}
+            entry={entry}
+            fields={fields}
+            hasChanged={hasChanged}
+            getAsset={getAsset}
+            onClose={this.handleToggleHistory}
+          />
+        )}
+        {canComment && commentsVisible && (
+          <EditorComments
+            collection={collection.get('name')}
+            slug={slug}
+            onClose={this.handleToggleComments}
+          />
+        )}
         <Editor>
           <ViewControls>
             <EditorToggle
-              enabled={collectionPreviewEnabled}
+              enabled={collectionPreviewEnabled && !isReviewing}
               active={previewVisible}
               onClick={this.handleTogglePreview}
               icon="eye"
               title="Toggle preview"
             />
             <EditorToggle
-              enabled={collectionPreviewEnabled && previewVisible}
+              enabled={collectionPreviewEnabled && previewVisible && !isReviewing}
               active={scrollSyncEnabled}
               onClick={this.handleToggleScrollSync}
               icon="scroll"
               title="Sync scrolling"
             />
           </ViewControls>
-          {collectionPreviewEnabled && this.state.previewVisible ? (
+          {isReviewing || (collectionPreviewEnabled && this.state.previewVisible) ? (
             editorWithPreview
           ) : (
             <NoPreviewContainer>{editor}</NoPreviewContainer>
@@ -279,6 +419,7 @@ class EditorInterface extends Component {
 
 EditorInterface.propTypes = {
   collection: ImmutablePropTypes.map.isRequired,
+  slug: PropTypes.string,
   entry: ImmutablePropTypes.map.isRequired,
   fields: ImmutablePropTypes.list.isRequired,
   fieldsMetaData: ImmutablePropTypes.map.isRequired,
@@ -290,9 +431,12 @@ EditorInterface.propTypes = {
   showDelete: PropTypes.bool.isRequired,
   onDelete: PropTypes.func.isRequired,
   onDeleteUnpublishedChanges: PropTypes.func.isRequired,
+  onChangeSlug: PropTypes.func,
   onPublish: PropTypes.func.isRequired,
   onChangeStatus: PropTypes.func.isRequired,
+  onChangePublishAt: PropTypes.func,
   user: ImmutablePropTypes.map.isRequired,
+  permissions: PropTypes.objectOf(PropTypes.bool).isRequired,
   hasChanged: PropTypes.bool,
   displayUrl: PropTypes.string,
   hasWorkflow: PropTypes.bool,
@@ -301,6 +445,8 @@ EditorInterface.propTypes = {
   isNewEntry: PropTypes.bool,
   isModification: PropTypes.bool,
   currentStatus: PropTypes.string,
+  workflowStatuses: ImmutablePropTypes.list,
+  publishAt: PropTypes.string,
   onLogoutClick: PropTypes.func.isRequired,
   deployPreview: ImmutablePropTypes.map,
   loadDeployPreview: PropTypes.func.isRequired,
@@ -1,13 +1,17 @@
 import PropTypes from 'prop-types';
 import React from 'react';
 import styled from '@emotion/styled';
-import { List, Map } from 'immutable';
+import { List, Map, fromJS } from 'immutable';
 import ImmutablePropTypes from 'react-immutable-proptypes';
 import Frame from 'react-frame-component';
+import { connect } from 'react-redux';
 import { lengths } from 'netlify-cms-ui-default';
 import { resolveWidget, getPreviewTemplate, getPreviewStyles } from 'Lib/registry';
+import { SLUG_FIELD, findRelatedEntry, getRelationValues } from 'Lib/relations';
+import { getNestedFields } from 'Lib/typedFields';
 import { ErrorBoundary } from 'UI';
 import { selectTemplateName, selectInferedField } from 'Reducers/collections';
+import { loadRelatedEntry, loadRelatedEntries } from 'Actions/entries';
 import { INFERABLE_FIELDS } from 'Constants/fieldInference';
 import EditorPreviewContent from './EditorPreviewContent.js';
 import PreviewHOC from './PreviewHOC';
@@ -21,7 +25,104 @@ const PreviewPaneFrame = styled(Frame)`
   border-radius: ${lengths.borderRadius};
 `;
 
-export default class PreviewPane extends React.Component {
+export class PreviewPane extends React.Component {
+  state = {
+    relatedMetaData: Map(),
+  };
+
+  relatedEntries = {};
+  resolvedRelations = new Set();
+
+  componentDidMount() {
+    this.resolveRelations();
+  }
+
+  componentDidUpdate(prevProps) {
+    const { entry, fieldsMetaData } = this.props;
+    if (
+      entry.get('data') !== prevProps.entry.get('data') ||
+      fieldsMetaData !== prevProps.fieldsMetaData
+    ) {
+      this.resolveRelations();
+    }
+  }
+
+  componentWillUnmount() {
+    this.unmounted = true;
+  }
+
+  /**
+   * Resolve a relation value to the related entry, as `getRelatedEntry` of
+   * the core API does, but listing each collection only once while the entry
+   * is edited. Exposed for use in custom preview templates.
+   */
+  getRelatedEntry = (collectionName, value, { valueField = SLUG_FIELD, file } = {}) => {
+    const { loadRelatedEntry, loadRelatedEntries } = this.props;
+    if (valueField === SLUG_FIELD && !file) {
+      return loadRelatedEntry(collectionName, value).catch(() => undefined);
+    }
+    if (!this.relatedEntries[collectionName]) {
+      this.relatedEntries[collectionName] = loadRelatedEntries(collectionName).catch(() => []);
+    }
+    return this.relatedEntries[collectionName].then(entries =>
+      findRelatedEntry(entries, value, { valueField, file }),
+    );
+  };
+
+  /**
+   * Relation widgets only keep the data of the entries selected while editing,
+   * so the related entries of other relation values are loaded for the
+   * preview.
+   */
+  resolveRelations() {
+    const { fields, entry, fieldsMetaData } = this.props;
+    getRelationValues(fields, entry.get('data'))
+      .filter(({ value, metadataPath }) => {
+        const path = [...metadataPath, value];
+        const key = JSON.stringify(path);
+        if (fieldsMetaData.hasIn(path) || this.resolvedRelations.has(key)) {
+          return false;
+        }
+        this.resolvedRelations.add(key);
+        return true;
+      })
+      .forEach(({ field, value, metadataPath }) => {
+        const options = { valueField: field.get('valueField'), file: field.get('file') };
+        this.getRelatedEntry(field.get('collection'), value, options).then(relatedEntry => {
+          if (relatedEntry && !this.unmounted) {
+            this.setState(({ relatedMetaData }) => ({
+              relatedMetaData: relatedMetaData.setIn(
+                [...metadataPath, value],
+                fromJS(relatedEntry.data),
+              ),
+            }));
+          }
+        });
+      });
+  }
+
+  /**
+   * The metadata of the entry draft, completed with the data of the related
+   * entries resolved for the preview.
+   */
+  getFieldsMetaData() {
+    const { fieldsMetaData } = this.props;
+    const { relatedMetaData } = this.state;
+    const cached = this.mergedMetaData;
+    if (
+      !cached ||
+      cached.fieldsMetaData !== fieldsMetaData ||
+      cached.relatedMetaData !== relatedMetaData
+    ) {
+      this.mergedMetaData = {
+        fieldsMetaData,
+        relatedMetaData,
+        value: relatedMetaData.mergeDeep(fieldsMetaData),
+      };
+    }
+    return this.mergedMetaData.value;
+  }
+
   getWidget = (field, value, metadata, props, idx = null) => {
     const { getAsset, entry } = props;
     const widget = resolveWidget(field.get('widget'));
@@ -66,13 +167,13 @@ export default class PreviewPane extends React.Component {
     name,
     fields = this.props.fields,
     values = this.props.entry.get('data'),
-    fieldsMetaData = this.props.fieldsMetaData,
+    fieldsMetaData = this.getFieldsMetaData(),
   ) => {
     // We retrieve the field by name so that this function can also be used in
     // custom preview templates, where the field object can't be passed in.
     let field = fields && fields.find(f => f.get('name') === name);
     let value = values && values.get(field.get('name'));
-    let nestedFields = field.get('fields');
+    let nestedFields = getNestedFields(field, value);
     let singleField = field.get('field');
     let metadata = fieldsMetaData && fieldsMetaData.get(field.get('name'), Map());
 
@@ -137,7 +238,8 @@ export default class PreviewPane extends React.Component {
    * TODO: see if widgetFor can now provide this functionality for preview templates
    */
   widgetsFor = name => {
-    const { fields, entry, fieldsMetaData } = this.props;
+    const { fields, entry } = this.props;
+    const fieldsMetaData = this.getFieldsMetaData();
     const field = fields.find(f => f.get('name') === name);
     const nestedFields = field && field.get('fields');
     const value = entry.getIn(['data', field.get('name')]);
@@ -184,8 +286,10 @@ export default class PreviewPane extends React.Component {
 
     const previewProps = {
       ...this.props,
+      fieldsMetaData: this.getFieldsMetaData(),
       widgetFor: this.widgetFor,
       widgetsFor: this.widgetsFor,
+      getRelatedEntry: this.getRelatedEntry,
     };
 
     const styleEls = getPreviewStyles().map((style, i) => {
@@ -223,4 +327,16 @@ PreviewPane.propTypes = {
   entry: ImmutablePropTypes.map.isRequired,
   fieldsMetaData: ImmutablePropTypes.map.isRequired,
   getAsset: PropTypes.func.isRequired,
+  loadRelatedEntry: PropTypes.func.isRequired,
+  loadRelatedEntries: PropTypes.func.isRequired,
+};
+
+const mapDispatchToProps = {
+  loadRelatedEntry,
+  loadRelatedEntries,
 };
+
+export default connect(
+  null,
+  mapDispatchToProps,
+)(PreviewPane);
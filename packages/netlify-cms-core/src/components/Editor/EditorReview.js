@@ -0,0 +1,93 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { connect } from 'react-redux';
+import { translate } from 'react-polyglot';
+import { Loader, colors } from 'netlify-cms-ui-default';
+import { loadEntry } from 'Actions/entries';
+import { selectEntry } from 'Reducers';
+import { deserializeValues } from 'Lib/serializeEntryValues';
+import { mapEntryData } from 'Lib/i18n';
+import EditorDiff from './EditorDiff';
+
+const ReviewContainer = styled.div`
+  height: 100%;
+  overflow-y: auto;
+  padding: 16px 20px;
+  background-color: ${colors.inputBackground};
+`;
+
+const ReviewTitle = styled.h2`
+  font-size: 18px;
+  margin: 0 0 16px;
+`;
+
+const Message = styled.p`
+  color: ${colors.controlLabel};
+`;
+
+/**
+ * Compares the draft of an unpublished modification with the published
+ * version of the entry, which is loaded when the review is opened.
+ */
+class EditorReview extends React.Component {
+  static propTypes = {
+    collection: ImmutablePropTypes.map.isRequired,
+    slug: PropTypes.string.isRequired,
+    entry: ImmutablePropTypes.map.isRequired,
+    fields: ImmutablePropTypes.list.isRequired,
+    getAsset: PropTypes.func,
+    publishedEntry: ImmutablePropTypes.map,
+    loadEntry: PropTypes.func.isRequired,
+    t: PropTypes.func.isRequired,
+  };
+
+  componentDidMount() {
+    const { collection, slug, loadEntry } = this.props;
+    loadEntry(collection, slug);
+  }
+
+  renderDiff() {
+    const { entry, fields, getAsset, publishedEntry, t } = this.props;
+    if (!publishedEntry || publishedEntry.get('isFetching')) {
+      return <Loader active>{t('editor.editorReview.loading')}</Loader>;
+    }
+    if (publishedEntry.get('error')) {
+      return <Message>{publishedEntry.get('error')}</Message>;
+    }
+    const published = mapEntryData(publishedEntry, data => deserializeValues(data, fields));
+    return (
+      <EditorDiff
+        fields={fields}
+        before={published.get('data')}
+        after={entry.get('data')}
+        beforeLabel={t('editor.editorReview.published')}
+        afterLabel={t('editor.editorReview.unpublished')}
+        noChangesLabel={t('editor.editorReview.noChanges')}
+        getAsset={getAsset}
+      />
+    );
+  }
+
+  render() {
+    const { t } = this.props;
+    return (
+      <ReviewContainer>
+        <ReviewTitle>{t('editor.editorReview.title')}</ReviewTitle>
+        {this.renderDiff()}
+      </ReviewContainer>
+    );
+  }
+}
+
+function mapStateToProps(state, ownProps) {
+  return {
+    publishedEntry: selectEntry(state, ownProps.collection.get('name'), ownProps.slug),
+  };
+}
+
+export default connect(
+  mapStateToProps,
+  { loadEntry },
+)(translate()(EditorReview));
@@ -0,0 +1,146 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import reactDateTimeStyles from 'react-datetime/css/react-datetime.css';
+import DateTime from 'react-datetime';
+import moment from 'moment';
+import { colors, colorsRaw, shadows, buttons, lengths } from 'netlify-cms-ui-default';
+
+const ScheduleContainer = styled.div`
+  position: relative;
+  margin: 0 10px;
+`;
+
+const ScheduleButton = styled.button`
+  ${buttons.button};
+  ${buttons.medium};
+  background-color: ${colorsRaw.tealLight};
+  color: ${colorsRaw.teal};
+  padding: 0 15px;
+`;
+
+const SchedulePanel = styled.div`
+  ${reactDateTimeStyles};
+  ${shadows.dropDeep};
+  position: absolute;
+  top: 42px;
+  right: 0;
+  z-index: 1;
+  padding: 10px;
+  background-color: ${colorsRaw.white};
+  border-radius: ${lengths.borderRadius};
+
+  .rdtPicker {
+    display: block;
+    position: static;
+    box-shadow: none;
+    border: 0;
+    padding: 0;
+  }
+`;
+
+const SchedulePanelActions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  margin-top: 10px;
+`;
+
+const ScheduleActionButton = styled.button`
+  ${buttons.button};
+  ${buttons.medium};
+  ${buttons.default};
+  margin-left: 10px;
+`;
+
+const UnscheduleButton = styled(ScheduleActionButton)`
+  ${buttons.lightRed};
+`;
+
+const ConfirmScheduleButton = styled(ScheduleActionButton)`
+  background-color: ${colors.active};
+  color: ${colorsRaw.white};
+`;
+
+/**
+ * Picks the date an unpublished entry is published at by the scheduled
+ * publishing script. Dates are passed to `onChange` as ISO 8601 strings with
+ * the offset of the local timezone, or as null to unschedule the entry.
+ */
+export default class EditorSchedule extends React.Component {
+  static propTypes = {
+    publishAt: PropTypes.string,
+    onChange: PropTypes.func.isRequired,
+    t: PropTypes.func.isRequired,
+  };
+
+  state = { isOpen: false, date: null };
+
+  handleToggle = () => {
+    const { publishAt } = this.props;
+    this.setState(({ isOpen }) => ({
+      isOpen: !isOpen,
+      date: publishAt
+        ? moment(publishAt)
+        : moment()
+            .add(1, 'hour')
+            .startOf('hour'),
+    }));
+  };
+
+  handleDateChange = date => {
+    // the picker passes the text of its input when it isn't a valid date
+    if (moment.isMoment(date)) {
+      this.setState({ date });
+    }
+  };
+
+  handleSchedule = () => {
+    const { onChange } = this.props;
+    this.setState({ isOpen: false });
+    onChange(this.state.date.format());
+  };
+
+  handleUnschedule = () => {
+    const { onChange } = this.props;
+    this.setState({ isOpen: false });
+    onChange(null);
+  };
+
+  isSelectableDate = current => current.isAfter(moment().subtract(1, 'day'));
+
+  render() {
+    const { publishAt, t } = this.props;
+    const { isOpen, date } = this.state;
+    return (
+      <ScheduleContainer>
+        <ScheduleButton onClick={this.handleToggle}>
+          {publishAt
+            ? t('editor.editorToolbar.publishAt', {
+                date: moment(publishAt).format('MMM D, YYYY HH:mm'),
+              })
+            : t('editor.editorToolbar.schedulePublishing')}
+        </ScheduleButton>
+        {isOpen ? (
+          <SchedulePanel>
+            <DateTime
+              input={false}
+              value={date}
+              onChange={this.handleDateChange}
+              isValidDate={this.isSelectableDate}
+            />
+            <SchedulePanelActions>
+              {publishAt ? (
+                <UnscheduleButton onClick={this.handleUnschedule}>
+                  {t('editor.editorToolbar.unschedule')}
+                </UnscheduleButton>
+              ) : null}
+              <ConfirmScheduleButton onClick={this.handleSchedule}>
+                {t('editor.editorToolbar.schedule')}
+              </ConfirmScheduleButton>
+            </SchedulePanelActions>
+          </SchedulePanel>
+        ) : null}
+      </ScheduleContainer>
+    );
+  }
+}
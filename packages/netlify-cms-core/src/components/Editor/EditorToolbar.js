@@ -18,7 +18,9 @@ import {
   lengths,
 } from 'netlify-cms-ui-default';
 import { status } from 'Constants/publishModes';
+import { isTransitionAllowed } from 'Lib/workflowStatuses';
 import SettingsDropdown from 'UI/SettingsDropdown';
+import EditorSchedule from './EditorSchedule';
 
 const styles = {
   buttonMargin: css`
@@ -193,13 +195,27 @@ const RefreshPreviewButton = styled.button`
 
 const PreviewLink = RefreshPreviewButton.withComponent('a');
 
+const defaultStatusLabelKeys = {
+  [status.get('DRAFT')]: 'editor.editorToolbar.draft',
+  [status.get('PENDING_REVIEW')]: 'editor.editorToolbar.inReview',
+  [status.get('PENDING_PUBLISH')]: 'editor.editorToolbar.ready',
+};
+
+const getStatusLabel = (workflowStatus, t) => {
+  const name = workflowStatus.get('name');
+  if (workflowStatus.get('label')) {
+    return workflowStatus.get('label');
+  }
+  return defaultStatusLabelKeys[name] ? t(defaultStatusLabelKeys[name]) : name;
+};
+
 const StatusDropdownItem = styled(DropdownItem)`
   ${Icon} {
     color: ${colors.infoText};
   }
 `;
 
-class EditorToolbar extends React.Component {
+export class EditorToolbar extends React.Component {
   static propTypes = {
     isPersisting: PropTypes.bool,
     isPublishing: PropTypes.bool,
@@ -210,10 +226,13 @@ class EditorToolbar extends React.Component {
     showDelete: PropTypes.bool.isRequired,
     onDelete: PropTypes.func.isRequired,
     onDeleteUnpublishedChanges: PropTypes.func.isRequired,
+    onChangeSlug: PropTypes.func,
     onChangeStatus: PropTypes.func.isRequired,
+    onChangePublishAt: PropTypes.func,
     onPublish: PropTypes.func.isRequired,
     onPublishAndNew: PropTypes.func.isRequired,
     user: ImmutablePropTypes.map.isRequired,
+    permissions: PropTypes.objectOf(PropTypes.bool).isRequired,
     hasChanged: PropTypes.bool,
     displayUrl: PropTypes.string,
     collection: ImmutablePropTypes.map.isRequired,
@@ -223,9 +242,15 @@ class EditorToolbar extends React.Component {
     isNewEntry: PropTypes.bool,
     isModification: PropTypes.bool,
     currentStatus: PropTypes.string,
+    workflowStatuses: ImmutablePropTypes.list,
+    publishAt: PropTypes.string,
     onLogoutClick: PropTypes.func.isRequired,
     deployPreview: ImmutablePropTypes.map,
     loadDeployPreview: PropTypes.func.isRequired,
+    onHistoryClick: PropTypes.func,
+    isReviewing: PropTypes.bool,
+    onReviewClick: PropTypes.func,
+    onCommentsClick: PropTypes.func,
     t: PropTypes.func.isRequired,
   };
 
@@ -243,11 +268,20 @@ class EditorToolbar extends React.Component {
     }
   }
 
+  /**
+   * New entries are saved with the `create` permission of the user on the
+   * collection, existing entries with the `edit` permission.
+   */
+  canSave = () => {
+    const { permissions, isNewEntry } = this.props;
+    return isNewEntry ? permissions.create : permissions.edit;
+  };
+
   renderSimpleSaveControls = () => {
-    const { showDelete, onDelete, t } = this.props;
+    const { showDelete, permissions, onDelete, t } = this.props;
     return (
       <div>
-        {showDelete ? (
+        {showDelete && permissions.delete ? (
           <DeleteButton onClick={onDelete}>{t('editor.editorToolbar.deleteEntry')}</DeleteButton>
         ) : null}
       </div>
@@ -290,9 +324,15 @@ class EditorToolbar extends React.Component {
       isPersisting,
       hasChanged,
       isNewEntry,
+      permissions,
       t,
     } = this.props;
-    if (!isNewEntry && !hasChanged) {
+    // Saving publishes entries right away without editorial workflow.
+    const canPublish = this.canSave() && permissions.publish;
+    if (isNewEntry && !canPublish) {
+      return null;
+    }
+    if (!isNewEntry && (!hasChanged || !canPublish)) {
       return (
         <>
           {this.renderDeployPreviewControls(t('editor.editorToolbar.deployButtonLabel'))}
@@ -319,7 +359,7 @@ class EditorToolbar extends React.Component {
             iconDirection="right"
             onClick={onPersist}
           />
-          {collection.get('create') ? (
+          {collection.get('create') && permissions.create ? (
             <DropdownItem
               label={t('editor.editorToolbar.publishAndCreateNew')}
               icon="add"
@@ -343,6 +383,7 @@ class EditorToolbar extends React.Component {
       isDeleting,
       isNewEntry,
       isModification,
+      permissions,
       t,
     } = this.props;
 
@@ -356,10 +397,12 @@ class EditorToolbar extends React.Component {
       (!hasUnpublishedChanges && !isModification && t('editor.editorToolbar.deletePublishedEntry'));
 
     return [
-      <SaveButton key="save-button" onClick={() => hasChanged && onPersist()}>
-        {isPersisting ? t('editor.editorToolbar.saving') : t('editor.editorToolbar.save')}
-      </SaveButton>,
-      !showDelete && !hasUnpublishedChanges && !isModification ? null : (
+      this.canSave() ? (
+        <SaveButton key="save-button" onClick={() => hasChanged && onPersist()}>
+          {isPersisting ? t('editor.editorToolbar.saving') : t('editor.editorToolbar.save')}
+        </SaveButton>
+      ) : null,
+      !permissions.delete || (!showDelete && !hasUnpublishedChanges && !isModification) ? null : (
         <DeleteButton
           key="delete-button"
           onClick={hasUnpublishedChanges ? onDeleteUnpublishedChanges : onDelete}
@@ -376,49 +419,60 @@ class EditorToolbar extends React.Component {
       isUpdatingStatus,
       isPublishing,
       onChangeStatus,
+      onChangePublishAt,
       onPublish,
       onPublishAndNew,
       currentStatus,
+      workflowStatuses,
+      publishAt,
       isNewEntry,
       useOpenAuthoring,
+      permissions,
       t,
     } = this.props;
     if (currentStatus) {
       return (
         <>
           {this.renderDeployPreviewControls(t('editor.editorToolbar.deployPreviewButtonLabel'))}
-          <ToolbarDropdown
-            dropdownTopOverlap="40px"
-            dropdownWidth="120px"
-            renderButton={() => (
-              <StatusButton>
-                {isUpdatingStatus
-                  ? t('editor.editorToolbar.updating')
-                  : t('editor.editorToolbar.setStatus')}
-              </StatusButton>
-            )}
-          >
-            <StatusDropdownItem
-              label={t('editor.editorToolbar.draft')}
-              onClick={() => onChangeStatus('DRAFT')}
-              icon={currentStatus === status.get('DRAFT') ? 'check' : null}
-            />
-            <StatusDropdownItem
-              label={t('editor.editorToolbar.inReview')}
-              onClick={() => onChangeStatus('PENDING_REVIEW')}
-              icon={currentStatus === status.get('PENDING_REVIEW') ? 'check' : null}
-            />
-            {useOpenAuthoring ? (
-              ''
-            ) : (
-              <StatusDropdownItem
-                label={t('editor.editorToolbar.ready')}
-                onClick={() => onChangeStatus('PENDING_PUBLISH')}
-                icon={currentStatus === status.get('PENDING_PUBLISH') ? 'check' : null}
-              />
-            )}
-          </ToolbarDropdown>
-          {useOpenAuthoring ? (
+          {permissions.edit ? (
+            <ToolbarDropdown
+              dropdownTopOverlap="40px"
+              dropdownWidth="200px"
+              renderButton={() => (
+                <StatusButton>
+                  {isUpdatingStatus
+                    ? t('editor.editorToolbar.updating')
+                    : t('editor.editorToolbar.setStatus')}
+                </StatusButton>
+              )}
+            >
+              {workflowStatuses
+                .filter(
+                  workflowStatus =>
+                    !(
+                      (useOpenAuthoring || !permissions.publish) &&
+                      workflowStatus.get('publish')
+                    ) &&
+                    isTransitionAllowed(
+                      workflowStatuses,
+                      currentStatus,
+                      workflowStatus.get('name'),
+                    ),
+                )
+                .map(workflowStatus => (
+                  <StatusDropdownItem
+                    key={workflowStatus.get('name')}
+                    label={getStatusLabel(workflowStatus, t)}
+                    onClick={() => onChangeStatus(workflowStatus.get('name'))}
+                    icon={currentStatus === workflowStatus.get('name') ? 'check' : null}
+                  />
+                ))}
+            </ToolbarDropdown>
+          ) : null}
+          {onChangePublishAt ? (
+            <EditorSchedule publishAt={publishAt} onChange={onChangePublishAt} t={t} />
+          ) : null}
+          {useOpenAuthoring || !permissions.publish ? (
             ''
           ) : (
             <ToolbarDropdown
@@ -438,7 +492,7 @@ class EditorToolbar extends React.Component {
                 iconDirection="right"
                 onClick={onPublish}
               />
-              {collection.get('create') ? (
+              {collection.get('create') && permissions.create ? (
                 <DropdownItem
                   label={t('editor.editorToolbar.publishAndCreateNew')}
                   icon="add"
@@ -464,6 +518,58 @@ class EditorToolbar extends React.Component {
     }
   };
 
+  /**
+   * Without the workflow, renaming an entry publishes it under the new slug
+   * and deletes it under the old one.
+   */
+  canChangeSlug() {
+    const { onChangeSlug, hasWorkflow, permissions } = this.props;
+    return (
+      !!onChangeSlug &&
+      permissions.edit &&
+      (hasWorkflow || (permissions.publish && permissions.delete))
+    );
+  }
+
+  renderEntryControls = () => {
+    const {
+      isNewEntry,
+      isPersisting,
+      onChangeSlug,
+      onHistoryClick,
+      isReviewing,
+      onReviewClick,
+      onCommentsClick,
+      t,
+    } = this.props;
+    return (
+      <>
+        {onReviewClick ? (
+          <ToolbarButton onClick={onReviewClick}>
+            {isReviewing
+              ? t('editor.editorToolbar.hideChanges')
+              : t('editor.editorToolbar.reviewChanges')}
+          </ToolbarButton>
+        ) : null}
+        {onCommentsClick ? (
+          <ToolbarButton onClick={onCommentsClick}>
+            {t('editor.editorToolbar.comments')}
+          </ToolbarButton>
+        ) : null}
+        {!isNewEntry && onHistoryClick ? (
+          <ToolbarButton onClick={onHistoryClick}>
+            {t('editor.editorToolbar.history')}
+          </ToolbarButton>
+        ) : null}
+        {!isNewEntry && this.canChangeSlug() ? (
+          <ToolbarButton disabled={isPersisting} onClick={onChangeSlug}>
+            {t('editor.editorToolbar.changeSlug')}
+          </ToolbarButton>
+        ) : null}
+      </>
+    );
+  };
+
   render() {
     const { user, hasChanged, displayUrl, collection, hasWorkflow, onLogoutClick, t } = this.props;
 
@@ -487,6 +593,7 @@ class EditorToolbar extends React.Component {
         <ToolbarSectionMain>
           <ToolbarSubSectionFirst>
             {hasWorkflow ? this.renderWorkflowSaveControls() : this.renderSimpleSaveControls()}
+            {this.renderEntryControls()}
           </ToolbarSubSectionFirst>
           <ToolbarSubSectionLast>
             {hasWorkflow
@@ -0,0 +1,167 @@
+import React from 'react';
+import { fromJS } from 'immutable';
+import { MemoryRouter } from 'react-router-dom';
+import { I18n } from 'react-polyglot';
+import { render, cleanup, fireEvent } from 'react-testing-library';
+import 'react-testing-library/cleanup-after-each';
+import 'jest-dom/extend-expect';
+import { selectWorkflowStatuses } from 'Lib/workflowStatuses';
+import { EditorToolbar } from '../EditorToolbar';
+
+jest.mock('react-datetime/css/react-datetime.css', () => '');
+
+const allPermissions = { edit: true, create: true, delete: true, publish: true };
+
+function setup(props = {}) {
+  const toolbarProps = {
+    onPersist: jest.fn(),
+    onPersistAndNew: jest.fn(),
+    showDelete: true,
+    onDelete: jest.fn(),
+    onDeleteUnpublishedChanges: jest.fn(),
+    onChangeStatus: jest.fn(),
+    onPublish: jest.fn(),
+    onPublishAndNew: jest.fn(),
+    user: fromJS({ login: 'ada' }),
+    permissions: allPermissions,
+    hasChanged: true,
+    collection: fromJS({ name: 'posts', label: 'Posts', create: true }),
+    hasWorkflow: false,
+    isNewEntry: false,
+    isModification: true,
+    workflowStatuses: selectWorkflowStatuses(fromJS({})),
+    onLogoutClick: jest.fn(),
+    loadDeployPreview: jest.fn(),
+    t: key => key,
+    ...props,
+  };
+  return render(
+    <I18n locale="en" messages={{}} onMissingKey={key => key}>
+      <MemoryRouter>
+        <EditorToolbar {...toolbarProps} />
+      </MemoryRouter>
+    </I18n>,
+  );
+}
+
+describe('EditorToolbar', () => {
+  describe('without editorial workflow', () => {
+    it('should show the publish and delete controls with every permission', () => {
+      const { queryByText } = setup();
+      expect(queryByText('editor.editorToolbar.publish')).toBeInTheDocument();
+      expect(queryByText('editor.editorToolbar.deleteEntry')).toBeInTheDocument();
+    });
+
+    it('should hide the publish control without the publish permission', () => {
+      const { queryByText } = setup({ permissions: { ...allPermissions, publish: false } });
+      expect(queryByText('editor.editorToolbar.publish')).toBeNull();
+      expect(queryByText('editor.editorToolbar.published')).toBeInTheDocument();
+    });
+
+    it('should hide the publish control of new entries without the create permission', () => {
+      const { queryByText } = setup({
+        isNewEntry: true,
+        permissions: { ...allPermissions, create: false },
+      });
+      expect(queryByText('editor.editorToolbar.publish')).toBeNull();
+    });
+
+    it('should hide the delete control without the delete permission', () => {
+      const { queryByText } = setup({ permissions: { ...allPermissions, delete: false } });
+      expect(queryByText('editor.editorToolbar.deleteEntry')).toBeNull();
+    });
+
+    it('should only show the change slug control with the publish and delete permissions', () => {
+      const onChangeSlug = jest.fn();
+      expect(setup({ onChangeSlug }).queryByText('editor.editorToolbar.changeSlug')).toBeTruthy();
+      cleanup();
+      expect(
+        setup({
+          onChangeSlug,
+          permissions: { ...allPermissions, delete: false },
+        }).queryByText('editor.editorToolbar.changeSlug'),
+      ).toBeNull();
+      cleanup();
+      expect(
+        setup({
+          onChangeSlug,
+          permissions: { ...allPermissions, publish: false },
+        }).queryByText('editor.editorToolbar.changeSlug'),
+      ).toBeNull();
+    });
+  });
+
+  describe('with editorial workflow', () => {
+    const workflowProps = {
+      hasWorkflow: true,
+      hasUnpublishedChanges: true,
+      currentStatus: 'pending_publish',
+    };
+
+    it('should show the save, status and publish controls with every permission', () => {
+      const { queryByText } = setup(workflowProps);
+      expect(queryByText('editor.editorToolbar.save')).toBeInTheDocument();
+      expect(queryByText('editor.editorToolbar.setStatus')).toBeInTheDocument();
+      expect(queryByText('editor.editorToolbar.publish')).toBeInTheDocument();
+      expect(queryByText('editor.editorToolbar.deleteUnpublishedChanges')).toBeInTheDocument();
+    });
+
+    it('should only show the publish controls to read-only users', () => {
+      const { queryByText } = setup({
+        ...workflowProps,
+        permissions: { edit: false, create: false, delete: false, publish: true },
+      });
+      expect(queryByText('editor.editorToolbar.save')).toBeNull();
+      expect(queryByText('editor.editorToolbar.setStatus')).toBeNull();
+      expect(queryByText('editor.editorToolbar.deleteUnpublishedChanges')).toBeNull();
+      expect(queryByText('editor.editorToolbar.publish')).toBeInTheDocument();
+    });
+
+    it('should show the change slug control with the edit permission', () => {
+      const { queryByText } = setup({
+        ...workflowProps,
+        onChangeSlug: jest.fn(),
+        permissions: { edit: true, create: false, delete: false, publish: false },
+      });
+      expect(queryByText('editor.editorToolbar.changeSlug')).toBeInTheDocument();
+    });
+
+    it('should hide the publish control without the publish permission', () => {
+      const { queryByText } = setup({
+        ...workflowProps,
+        permissions: { ...allPermissions, publish: false },
+      });
+      expect(queryByText('editor.editorToolbar.setStatus')).toBeInTheDocument();
+      expect(queryByText('editor.editorToolbar.publish')).toBeNull();
+    });
+
+    it('should schedule publishing at a date with the timezone offset', () => {
+      const onChangePublishAt = jest.fn();
+      const { getByText, queryByText } = setup({ ...workflowProps, onChangePublishAt });
+      expect(queryByText('editor.editorToolbar.schedule')).toBeNull();
+
+      fireEvent.click(getByText('editor.editorToolbar.schedulePublishing'));
+      expect(queryByText('editor.editorToolbar.unschedule')).toBeNull();
+      fireEvent.click(getByText('editor.editorToolbar.schedule'));
+
+      expect(onChangePublishAt).toHaveBeenCalledWith(
+        expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:00:00([+-]\d{2}:\d{2}|Z)$/),
+      );
+      expect(queryByText('editor.editorToolbar.schedule')).toBeNull();
+    });
+
+    it('should unschedule publishing', () => {
+      const onChangePublishAt = jest.fn();
+      const { getByText } = setup({
+        ...workflowProps,
+        onChangePublishAt,
+        publishAt: '2020-03-01T12:00:00+01:00',
+      });
+
+      fireEvent.click(getByText('editor.editorToolbar.publishAt'));
+      fireEvent.click(getByText('editor.editorToolbar.unschedule'));
+
+      expect(onChangePublishAt).toHaveBeenCalledWith(null);
+    });
+  });
+});
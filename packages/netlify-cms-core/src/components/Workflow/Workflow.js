@@ -21,8 +21,15 @@ import {
   publishUnpublishedEntry,
   deleteUnpublishedEntry,
 } from 'Actions/editorialWorkflow';
-import { selectUnpublishedEntriesByStatus } from 'Reducers';
-import { EDITORIAL_WORKFLOW, status } from 'Constants/publishModes';
+import { loadUnpublishedEntriesComments } from 'Actions/comments';
+import {
+  selectUnpublishedEntriesByStatus,
+  selectUnpublishedEntriesWithOtherStatuses,
+  selectOpenCommentCounts,
+} from 'Reducers';
+import { EDITORIAL_WORKFLOW } from 'Constants/publishModes';
+import { selectWorkflowStatuses } from 'Lib/workflowStatuses';
+import { PERMISSIONS, selectCollectionPermissions } from 'Lib/permissions';
 import WorkflowList from './WorkflowList';
 
 const WorkflowContainer = styled.div`
@@ -58,7 +65,11 @@ class Workflow extends Component {
     isOpenAuthoring: PropTypes.bool,
     isFetching: PropTypes.bool,
     unpublishedEntries: ImmutablePropTypes.map,
+    workflowStatuses: ImmutablePropTypes.list.isRequired,
+    openCommentCounts: ImmutablePropTypes.map,
+    collectionPermissions: ImmutablePropTypes.map.isRequired,
     loadUnpublishedEntries: PropTypes.func.isRequired,
+    loadUnpublishedEntriesComments: PropTypes.func.isRequired,
     updateUnpublishedEntryStatus: PropTypes.func.isRequired,
     publishUnpublishedEntry: PropTypes.func.isRequired,
     deleteUnpublishedEntry: PropTypes.func.isRequired,
@@ -72,12 +83,22 @@ class Workflow extends Component {
     }
   }
 
+  componentDidUpdate(prevProps) {
+    const { isFetching, unpublishedEntries, loadUnpublishedEntriesComments } = this.props;
+    if (prevProps.isFetching && !isFetching && unpublishedEntries) {
+      loadUnpublishedEntriesComments(unpublishedEntries.valueSeq().flatten(true));
+    }
+  }
+
   render() {
     const {
       isEditorialWorkflow,
       isOpenAuthoring,
       isFetching,
       unpublishedEntries,
+      workflowStatuses,
+      openCommentCounts,
+      collectionPermissions,
       updateUnpublishedEntryStatus,
       publishUnpublishedEntry,
       deleteUnpublishedEntry,
@@ -87,8 +108,18 @@ class Workflow extends Component {
 
     if (!isEditorialWorkflow) return null;
     if (isFetching) return <Loader active>{t('workflow.workflow.loading')}</Loader>;
-    const reviewCount = unpublishedEntries.get('pending_review').size;
-    const readyCount = unpublishedEntries.get('pending_publish').size;
+    // entries past the first status are waiting for review until they are ready
+    const countEntries = statuses =>
+      statuses.reduce(
+        (count, workflowStatus) => count + unpublishedEntries.get(workflowStatus.get('name')).size,
+        0,
+      );
+    const readyStatuses = workflowStatuses.filter(workflowStatus => workflowStatus.get('publish'));
+    const reviewStatuses = workflowStatuses
+      .rest()
+      .filterNot(workflowStatus => workflowStatus.get('publish'));
+    const reviewCount = countEntries(reviewStatuses);
+    const readyCount = countEntries(readyStatuses);
 
     return (
       <WorkflowContainer>
@@ -104,7 +135,11 @@ class Workflow extends Component {
               )}
             >
               {collections
-                .filter(collection => collection.get('create'))
+                .filter(
+                  collection =>
+                    collection.get('create') &&
+                    collectionPermissions.get(collection.get('name')).includes(PERMISSIONS.CREATE),
+                )
                 .toList()
                 .map(collection => (
                   <DropdownItem
@@ -124,6 +159,9 @@ class Workflow extends Component {
         </WorkflowTop>
         <WorkflowList
           entries={unpublishedEntries}
+          workflowStatuses={workflowStatuses}
+          openCommentCounts={openCommentCounts}
+          collectionPermissions={collectionPermissions}
           handleChangeStatus={updateUnpublishedEntryStatus}
           handlePublish={publishUnpublishedEntry}
           handleDelete={deleteUnpublishedEntry}
@@ -135,10 +173,21 @@ class Workflow extends Component {
 }
 
 function mapStateToProps(state) {
-  const { collections, config, globalUI } = state;
+  const { collections, config, globalUI, auth } = state;
   const isEditorialWorkflow = config.get('publish_mode') === EDITORIAL_WORKFLOW;
   const isOpenAuthoring = globalUI.get('useOpenAuthoring', false);
-  const returnObj = { collections, isEditorialWorkflow, isOpenAuthoring };
+  const workflowStatuses = selectWorkflowStatuses(config);
+  const user = auth && auth.get('user');
+  const collectionPermissions = collections.map((collection, name) =>
+    selectCollectionPermissions(config, user, name),
+  );
+  const returnObj = {
+    collections,
+    isEditorialWorkflow,
+    isOpenAuthoring,
+    workflowStatuses,
+    collectionPermissions,
+  };
 
   if (isEditorialWorkflow) {
     returnObj.isFetching = state.editorialWorkflow.getIn(['pages', 'isFetching'], false);
@@ -147,11 +196,20 @@ function mapStateToProps(state) {
      * Generates an ordered Map of the available status as keys.
      * Each key containing a Sequence of available unpubhlished entries
      * Eg.: OrderedMap{'draft':Seq(), 'pending_review':Seq(), 'pending_publish':Seq()}
+     * Entries with a status which isn't configured, e.g. one which was removed
+     * from `workflow.statuses`, are added to the first status so that they can
+     * be moved to another one.
      */
-    returnObj.unpublishedEntries = status.reduce((acc, currStatus) => {
+    const otherStatusEntries = selectUnpublishedEntriesWithOtherStatuses(
+      state,
+      workflowStatuses.map(workflowStatus => workflowStatus.get('name')),
+    );
+    returnObj.unpublishedEntries = workflowStatuses.reduce((acc, workflowStatus, index) => {
+      const currStatus = workflowStatus.get('name');
       const entries = selectUnpublishedEntriesByStatus(state, currStatus);
-      return acc.set(currStatus, entries);
+      return acc.set(currStatus, index === 0 ? entries.concat(otherStatusEntries) : entries);
     }, OrderedMap());
+    returnObj.openCommentCounts = selectOpenCommentCounts(state);
   }
   return returnObj;
 }
@@ -160,6 +218,7 @@ export default connect(
   mapStateToProps,
   {
     loadUnpublishedEntries,
+    loadUnpublishedEntriesComments,
     updateUnpublishedEntryStatus,
     publishUnpublishedEntry,
     deleteUnpublishedEntry,
@@ -47,6 +47,18 @@ const CardDateContainer = styled.div`
   ${styles.text};
 `;
 
+const CardPublishAt = styled.div`
+  ${styles.text};
+  color: ${colorsRaw.teal};
+  font-weight: 600;
+`;
+
+const CardComments = styled.div`
+  ${styles.text};
+  color: ${colorsRaw.blue};
+  font-weight: 600;
+`;
+
 const CardBody = styled.p`
   ${styles.text};
   color: ${colors.text};
@@ -73,6 +85,11 @@ const DeleteButton = styled.button`
   background-color: ${colorsRaw.redLight};
   color: ${colorsRaw.red};
   margin-right: 6px;
+
+  &[disabled] {
+    background-color: ${colorsRaw.grayLight};
+    color: ${colorsRaw.gray};
+  }
 `;
 
 const PublishButton = styled.button`
@@ -125,6 +142,9 @@ const WorkflowCard = ({
   isModification,
   editLink,
   timestamp,
+  publishAt,
+  openComments,
+  canDelete,
   onDelete,
   canPublish,
   onPublish,
@@ -135,10 +155,18 @@ const WorkflowCard = ({
       <CardCollection>{collectionName}</CardCollection>
       <CardTitle>{title}</CardTitle>
       {(timestamp || authorLastChange) && <CardDate date={timestamp} author={authorLastChange} />}
+      {publishAt && (
+        <CardPublishAt>{t('workflow.workflowCard.publishAt', { date: publishAt })}</CardPublishAt>
+      )}
+      {openComments > 0 && (
+        <CardComments>
+          {t('workflow.workflowCard.openComments', { smart_count: openComments })}
+        </CardComments>
+      )}
       <CardBody>{body}</CardBody>
     </WorkflowLink>
     <CardButtonContainer>
-      <DeleteButton onClick={onDelete}>
+      <DeleteButton disabled={!canDelete} onClick={onDelete}>
         {isModification
           ? t('workflow.workflowCard.deleteChanges')
           : t('workflow.workflowCard.deleteNewEntry')}
@@ -160,6 +188,9 @@ WorkflowCard.propTypes = {
   isModification: PropTypes.bool,
   editLink: PropTypes.string.isRequired,
   timestamp: PropTypes.string.isRequired,
+  publishAt: PropTypes.string,
+  openComments: PropTypes.number,
+  canDelete: PropTypes.bool.isRequired,
   onDelete: PropTypes.func.isRequired,
   canPublish: PropTypes.bool.isRequired,
   onPublish: PropTypes.func.isRequired,
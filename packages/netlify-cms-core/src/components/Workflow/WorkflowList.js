@@ -5,54 +5,44 @@ import ImmutablePropTypes from 'react-immutable-proptypes';
 import { jsx, css } from '@emotion/core';
 import styled from '@emotion/styled';
 import moment from 'moment';
+import { Map, Set } from 'immutable';
 import { translate } from 'react-polyglot';
 import { colors, lengths } from 'netlify-cms-ui-default';
 import { status } from 'Constants/publishModes';
+import { isTransitionAllowed, isPublishStatus } from 'Lib/workflowStatuses';
+import { PERMISSIONS } from 'Lib/permissions';
 import { DragSource, DropTarget, HTML5DragDrop } from 'UI';
 import WorkflowCard from './WorkflowCard';
 
 const WorkflowListContainer = styled.div`
   min-height: 60%;
   display: grid;
-  grid-template-columns: 33.3% 33.3% 33.3%;
-`;
-
-const WorkflowListContainerOpenAuthoring = styled.div`
-  min-height: 60%;
-  display: grid;
-  grid-template-columns: 50% 50% 0%;
+  grid-template-columns: repeat(${props => props.columnCount}, minmax(0, 1fr));
 `;
 
 const styles = {
-  columnPosition: idx =>
-    (idx === 0 &&
-      css`
-        margin-left: 0;
-      `) ||
-    (idx === 2 &&
+  columnPosition: (idx, isLast) => [
+    idx === 0
+      ? css`
+          margin-left: 0;
+        `
+      : css`
+          &:before {
+            content: '';
+            display: block;
+            position: absolute;
+            width: 2px;
+            height: 80%;
+            top: 76px;
+            left: -23px;
+            background-color: ${colors.textFieldBorder};
+          }
+        `,
+    isLast &&
       css`
         margin-right: 0;
-      `) ||
-    css`
-      &:before,
-      &:after {
-        content: '';
-        display: block;
-        position: absolute;
-        width: 2px;
-        height: 80%;
-        top: 76px;
-        background-color: ${colors.textFieldBorder};
-      }
-
-      &:before {
-        left: -23px;
-      }
-
-      &:after {
-        right: -23px;
-      }
-    `,
+      `,
+  ],
   column: css`
     margin: 0 20px;
     transition: background-color 0.5s ease;
@@ -64,16 +54,6 @@ const styles = {
   columnHovered: css`
     border-color: ${colors.active};
   `,
-  hiddenColumn: css`
-    display: none;
-  `,
-  hiddenRightBorder: css`
-    &:not(:first-child):not(:last-child) {
-      &:after {
-        display: none;
-      }
-    }
-  `,
 };
 
 const ColumnHeader = styled.h2`
@@ -84,21 +64,21 @@ const ColumnHeader = styled.h2`
   margin-bottom: 28px;
 
   ${props =>
-    props.name === 'draft' &&
+    props.variant === 'draft' &&
     css`
       background-color: ${colors.statusDraftBackground};
       color: ${colors.statusDraftText};
     `}
 
   ${props =>
-    props.name === 'pending_review' &&
+    props.variant === 'review' &&
     css`
       background-color: ${colors.statusReviewBackground};
       color: ${colors.statusReviewText};
     `}
 
   ${props =>
-    props.name === 'pending_publish' &&
+    props.variant === 'ready' &&
     css`
       background-color: ${colors.statusReadyBackground};
       color: ${colors.statusReadyText};
@@ -116,20 +96,38 @@ const ColumnCount = styled.p`
 // This is a namespace so that we can only drop these elements on a DropTarget with the same
 const DNDNamespace = 'cms-workflow';
 
-const getColumnHeaderText = (columnName, t) => {
-  switch (columnName) {
-    case 'draft':
-      return t('workflow.workflowList.draftHeader');
-    case 'pending_review':
-      return t('workflow.workflowList.inReviewHeader');
-    case 'pending_publish':
-      return t('workflow.workflowList.readyHeader');
+const defaultHeaderKeys = {
+  [status.get('DRAFT')]: 'workflow.workflowList.draftHeader',
+  [status.get('PENDING_REVIEW')]: 'workflow.workflowList.inReviewHeader',
+  [status.get('PENDING_PUBLISH')]: 'workflow.workflowList.readyHeader',
+};
+
+const getColumnHeaderText = (workflowStatus, t) => {
+  const name = workflowStatus.get('name');
+  if (workflowStatus.get('label')) {
+    return workflowStatus.get('label');
   }
+  return defaultHeaderKeys[name] ? t(defaultHeaderKeys[name]) : name;
 };
 
-class WorkflowList extends React.Component {
+/**
+ * Columns of the first status take the colors of drafts, columns of the
+ * statuses entries are published from the colors of ready entries, and any
+ * other columns the colors of entries in review.
+ */
+const getColumnVariant = (workflowStatuses, workflowStatus) => {
+  if (workflowStatus.get('publish')) {
+    return 'ready';
+  }
+  return workflowStatuses.first() === workflowStatus ? 'draft' : 'review';
+};
+
+export class WorkflowList extends React.Component {
   static propTypes = {
     entries: ImmutablePropTypes.orderedMap,
+    workflowStatuses: ImmutablePropTypes.list.isRequired,
+    openCommentCounts: ImmutablePropTypes.map,
+    collectionPermissions: ImmutablePropTypes.map.isRequired,
     handleChangeStatus: PropTypes.func.isRequired,
     handlePublish: PropTypes.func.isRequired,
     handleDelete: PropTypes.func.isRequired,
@@ -137,10 +135,37 @@ class WorkflowList extends React.Component {
     isOpenAuthoring: PropTypes.bool,
   };
 
+  hasPermission = (collection, permission) =>
+    this.props.collectionPermissions.get(collection, Set()).includes(permission);
+
   handleChangeStatus = (newStatus, dragProps) => {
+    const { workflowStatuses, t } = this.props;
     const slug = dragProps.slug;
     const collection = dragProps.collection;
     const oldStatus = dragProps.ownStatus;
+    if (
+      !this.hasPermission(collection, PERMISSIONS.EDIT) ||
+      (isPublishStatus(workflowStatuses, newStatus) &&
+        !this.hasPermission(collection, PERMISSIONS.PUBLISH))
+    ) {
+      window.alert(t('workflow.workflowList.onPermissionDenied'));
+      return;
+    }
+    if (!isTransitionAllowed(workflowStatuses, oldStatus, newStatus)) {
+      const getHeader = name => {
+        const workflowStatus = workflowStatuses.find(
+          workflowStatus => workflowStatus.get('name') === name,
+        );
+        return workflowStatus ? getColumnHeaderText(workflowStatus, t) : name;
+      };
+      window.alert(
+        t('workflow.workflowList.onStatusTransitionNotAllowed', {
+          from: getHeader(oldStatus),
+          to: getHeader(newStatus),
+        }),
+      );
+      return;
+    }
     this.props.handleChangeStatus(collection, slug, oldStatus, newStatus);
   };
 
@@ -151,7 +176,7 @@ class WorkflowList extends React.Component {
   };
 
   requestPublish = (collection, slug, ownStatus) => {
-    if (ownStatus !== status.last()) {
+    if (!isPublishStatus(this.props.workflowStatuses, ownStatus)) {
       window.alert(this.props.t('workflow.workflowList.onPublishingNotReadyEntry'));
       return;
     } else if (!window.confirm(this.props.t('workflow.workflowList.onPublishEntry'))) {
@@ -160,50 +185,65 @@ class WorkflowList extends React.Component {
     this.props.handlePublish(collection, slug);
   };
 
+  /**
+   * Open Authoring contributors can't publish, so the columns of the statuses
+   * entries are published from are left out.
+   */
+  getColumnStatuses = () => {
+    const { isOpenAuthoring, workflowStatuses } = this.props;
+    return isOpenAuthoring
+      ? workflowStatuses.filterNot(workflowStatus => workflowStatus.get('publish'))
+      : workflowStatuses;
+  };
+
   // eslint-disable-next-line react/display-name
   renderColumns = (entries, column) => {
-    const { isOpenAuthoring } = this.props;
+    const { workflowStatuses, openCommentCounts = Map() } = this.props;
     if (!entries) return null;
 
     if (!column) {
-      return entries.entrySeq().map(([currColumn, currEntries], idx) => (
-        <DropTarget
-          namespace={DNDNamespace}
-          key={currColumn}
-          onDrop={this.handleChangeStatus.bind(this, currColumn)}
-        >
-          {(connect, { isHovered }) =>
-            connect(
-              <div style={{ height: '100%' }}>
-                <div
-                  css={[
-                    styles.column,
-                    styles.columnPosition(idx),
-                    isHovered && styles.columnHovered,
-                    isOpenAuthoring && currColumn === 'pending_publish' && styles.hiddenColumn,
-                    isOpenAuthoring && currColumn === 'pending_review' && styles.hiddenRightBorder,
-                  ]}
-                >
-                  <ColumnHeader name={currColumn}>
-                    {getColumnHeaderText(currColumn, this.props.t)}
-                  </ColumnHeader>
-                  <ColumnCount>
-                    {this.props.t('workflow.workflowList.currentEntries', {
-                      smart_count: currEntries.size,
-                    })}
-                  </ColumnCount>
-                  {this.renderColumns(currEntries, currColumn)}
-                </div>
-              </div>,
-            )
-          }
-        </DropTarget>
-      ));
+      const columnStatuses = this.getColumnStatuses();
+      return columnStatuses.map((workflowStatus, idx) => {
+        const currColumn = workflowStatus.get('name');
+        const currEntries = entries.get(currColumn);
+        return (
+          <DropTarget
+            namespace={DNDNamespace}
+            key={currColumn}
+            onDrop={this.handleChangeStatus.bind(this, currColumn)}
+          >
+            {(connect, { isHovered }) =>
+              connect(
+                <div style={{ height: '100%' }}>
+                  <div
+                    css={[
+                      styles.column,
+                      styles.columnPosition(idx, idx === columnStatuses.size - 1),
+                      isHovered && styles.columnHovered,
+                    ]}
+                  >
+                    <ColumnHeader variant={getColumnVariant(workflowStatuses, workflowStatus)}>
+                      {getColumnHeaderText(workflowStatus, this.props.t)}
+                    </ColumnHeader>
+                    <ColumnCount>
+                      {this.props.t('workflow.workflowList.currentEntries', {
+                        smart_count: currEntries.size,
+                      })}
+                    </ColumnCount>
+                    {this.renderColumns(currEntries, currColumn)}
+                  </div>
+                </div>,
+              )
+            }
+          </DropTarget>
+        );
+      });
     }
     return (
       <div>
         {entries.map(entry => {
           const timestamp = moment(entry.getIn(['metaData', 'timeStamp'])).format('MMMM D');
+          const publishAt = entry.getIn(['metaData', 'publish_at']);
           const editLink = `collections/${entry.getIn([
             'metaData',
             'collection',
@@ -212,7 +252,10 @@ class WorkflowList extends React.Component {
           const ownStatus = entry.getIn(['metaData', 'status']);
           const collection = entry.getIn(['metaData', 'collection']);
           const isModification = entry.get('isModification');
-          const canPublish = ownStatus === status.last() && !entry.get('isPersisting', false);
+          const canPublish =
+            isPublishStatus(workflowStatuses, ownStatus) &&
+            !entry.get('isPersisting', false) &&
+            this.hasPermission(collection, PERMISSIONS.PUBLISH);
           return (
             <DragSource
               namespace={DNDNamespace}
@@ -232,6 +275,9 @@ class WorkflowList extends React.Component {
                       isModification={isModification}
                       editLink={editLink}
                       timestamp={timestamp}
+                      publishAt={publishAt && moment(publishAt).format('MMMM D, HH:mm')}
+                      openComments={openCommentCounts.get(`${collection}.${slug}`, 0)}
+                      canDelete={this.hasPermission(collection, PERMISSIONS.DELETE)}
                       onDelete={this.requestDelete.bind(this, collection, slug, ownStatus)}
                       canPublish={canPublish}
                       onPublish={this.requestPublish.bind(this, collection, slug, ownStatus)}
@@ -248,10 +294,11 @@ class WorkflowList extends React.Component {
 
   render() {
     const columns = this.renderColumns(this.props.entries);
-    const ListContainer = this.props.isOpenAuthoring
-      ? WorkflowListContainerOpenAuthoring
-      : WorkflowListContainer;
-    return <ListContainer>{columns}</ListContainer>;
+    return (
+      <WorkflowListContainer columnCount={this.getColumnStatuses().size}>
+        {columns}
+      </WorkflowListContainer>
+    );
   }
 }
 
@@ -0,0 +1,101 @@
+import React from 'react';
+import { fromJS, Map, OrderedMap, Set } from 'immutable';
+import { MemoryRouter } from 'react-router-dom';
+import { I18n } from 'react-polyglot';
+import { render } from 'react-testing-library';
+import 'react-testing-library/cleanup-after-each';
+import 'jest-dom/extend-expect';
+import { HTML5DragDrop } from 'UI';
+import { selectWorkflowStatuses } from 'Lib/workflowStatuses';
+import { WorkflowList } from '../WorkflowList';
+
+jest.mock('redux-notifications/lib/styles.css', () => ({}));
+
+const DragDropWorkflowList = HTML5DragDrop(WorkflowList);
+
+const workflowStatuses = selectWorkflowStatuses(fromJS({}));
+
+const entry = fromJS({
+  slug: 'hello',
+  data: { title: 'Hello' },
+  metaData: { collection: 'posts', status: 'pending_publish' },
+});
+
+const getProps = (permissions, props = {}) => ({
+  entries: OrderedMap({
+    draft: fromJS([]),
+    pending_review: fromJS([]),
+    pending_publish: fromJS([entry]),
+  }),
+  workflowStatuses,
+  collectionPermissions: Map({ posts: Set(permissions) }),
+  handleChangeStatus: jest.fn(),
+  handlePublish: jest.fn(),
+  handleDelete: jest.fn(),
+  t: key => key,
+  ...props,
+});
+
+function setup(permissions) {
+  return render(
+    <I18n locale="en" messages={{}} onMissingKey={key => key}>
+      <MemoryRouter>
+        <DragDropWorkflowList {...getProps(permissions)} />
+      </MemoryRouter>
+    </I18n>,
+  );
+}
+
+describe('WorkflowList', () => {
+  beforeEach(() => {
+    jest.spyOn(window, 'alert').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should enable the card actions with every permission', () => {
+    const { getByText } = setup(['edit', 'delete', 'publish']);
+    expect(getByText('workflow.workflowCard.deleteNewEntry')).not.toBeDisabled();
+    expect(getByText('workflow.workflowCard.publishNewEntry')).not.toBeDisabled();
+  });
+
+  it('should disable the card actions without the delete and publish permissions', () => {
+    const { getByText } = setup(['edit']);
+    expect(getByText('workflow.workflowCard.deleteNewEntry')).toBeDisabled();
+    expect(getByText('workflow.workflowCard.publishNewEntry')).toBeDisabled();
+  });
+
+  describe('handleChangeStatus', () => {
+    const dragProps = { slug: 'hello', collection: 'posts', ownStatus: 'draft' };
+
+    it('should change statuses with the edit permission', () => {
+      const props = getProps(['edit']);
+      new WorkflowList(props).handleChangeStatus('pending_review', dragProps);
+      expect(props.handleChangeStatus).toHaveBeenCalledWith(
+        'posts',
+        'hello',
+        'draft',
+        'pending_review',
+      );
+    });
+
+    it('should not change statuses without the edit permission', () => {
+      const props = getProps(['read']);
+      new WorkflowList(props).handleChangeStatus('pending_review', dragProps);
+      expect(props.handleChangeStatus).not.toHaveBeenCalled();
+      expect(window.alert).toHaveBeenCalledWith('workflow.workflowList.onPermissionDenied');
+    });
+
+    it('should not move entries to publish statuses without the publish permission', () => {
+      const props = getProps(['edit']);
+      new WorkflowList(props).handleChangeStatus('pending_publish', {
+        ...dragProps,
+        ownStatus: 'pending_review',
+      });
+      expect(props.handleChangeStatus).not.toHaveBeenCalled();
+      expect(window.alert).toHaveBeenCalledWith('workflow.workflowList.onPermissionDenied');
+    });
+  });
+});
@@ -76,6 +76,32 @@ describe('config', () => {
       }).not.toThrowError();
     });
 
+    it('should not throw if backend.auth_scope adds the read:org scope', () => {
+      expect(() => {
+        validateConfig(merge(validConfig, { backend: { auth_scope: 'repo,read:org' } }));
+      }).not.toThrowError();
+      expect(() => {
+        validateConfig(merge(validConfig, { backend: { auth_scope: 'public_repo,read:org' } }));
+      }).not.toThrowError();
+    });
+
+    it('should throw if local_backend is not a boolean or an object', () => {
+      expect(() => {
+        validateConfig(merge({}, validConfig, { local_backend: 'true' }));
+      }).toThrowError("'local_backend' should match exactly one schema in oneOf");
+    });
+
+    it('should not throw if local_backend is a boolean or an object', () => {
+      expect(() => {
+        validateConfig(merge({}, validConfig, { local_backend: true }));
+      }).not.toThrowError();
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, { local_backend: { url: 'http://localhost:8082/api/v1' } }),
+        );
+      }).not.toThrowError();
+    });
+
     it('should throw if media_folder is not defined in config', () => {
       expect(() => {
         validateConfig({ foo: 'bar', backend: { name: 'bar' } });
@@ -126,5 +152,145 @@ describe('config', () => {
         });
       }).toThrowError("'collections[0]' should be object");
     });
+
+    it('should throw if collection nested depth is not a number', () => {
+      expect(() => {
+        validateConfig(merge({}, validConfig, { collections: [{ nested: { depth: 'foo' } }] }));
+      }).toThrowError("'collections[0].nested.depth' should be number");
+    });
+
+    it('should not throw if collection nested depth is valid', () => {
+      expect(() => {
+        validateConfig(merge({}, validConfig, { collections: [{ nested: { depth: 100 } }] }));
+      }).not.toThrowError();
+    });
+
+    it('should throw if field validators are not names', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, { collections: [{ fields: [{ validate: [{ url: true }] }] }] }),
+        );
+      }).toThrowError(
+        "'collections[0].fields[0].validate' should match exactly one schema in oneOf",
+      );
+    });
+
+    it('should not throw if field validators are valid', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, { collections: [{ fields: [{ validate: 'url' }] }] }),
+        );
+        validateConfig(
+          merge({}, validConfig, { collections: [{ fields: [{ validate: ['url', 'unique'] }] }] }),
+        );
+      }).not.toThrowError();
+    });
+
+    it('should throw if a field condition has no field', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, { collections: [{ fields: [{ condition: { equals: 'a' } }] }] }),
+        );
+      }).toThrowError("'collections[0].fields[0].condition' should have required property 'field'");
+    });
+
+    it('should throw if a field condition has several comparisons', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, {
+            collections: [
+              { fields: [{ condition: { field: 'layout', equals: 'a', one_of: [] } }] },
+            ],
+          }),
+        );
+      }).toThrowError(
+        "'collections[0].fields[0].condition' should match exactly one schema in oneOf",
+      );
+    });
+
+    it('should not throw if field conditions are valid', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, {
+            collections: [
+              {
+                fields: [
+                  { condition: { field: 'layout', equals: 'landing' } },
+                  {
+                    name: 'cta',
+                    condition: { field: 'hero.enabled', not_equals: false, strip_value: true },
+                  },
+                  { name: 'intro', condition: { field: 'layout', one_of: ['landing', 'home'] } },
+                ],
+              },
+            ],
+          }),
+        );
+      }).not.toThrowError();
+    });
+
+    it('should throw if a built in validation rule has no message', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, {
+            collections: [{ validation: [{ rule: 'require_one', fields: ['title', 'body'] }] }],
+          }),
+        );
+      }).toThrowError("'collections[0].validation[0]' should have required property 'message'");
+    });
+
+    it('should throw if a compare validation rule has no operator', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, {
+            collections: [
+              { validation: [{ rule: 'compare', fields: ['start', 'end'], message: 'error' }] },
+            ],
+          }),
+        );
+      }).toThrowError("'collections[0].validation[0]' should have required property 'operator'");
+    });
+
+    it('should not throw if validation rules are valid', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, {
+            collections: [
+              {
+                validation: [
+                  { rule: 'require_one', fields: ['title', 'body'], message: 'error' },
+                  { rule: 'compare', fields: ['start', 'end'], operator: '<', message: 'error' },
+                  { rule: 'custom' },
+                ],
+              },
+            ],
+          }),
+        );
+      }).not.toThrowError();
+    });
+
+    it('should throw if a workflow status has no name', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, { workflow: { statuses: [{ label: 'Legal review' }] } }),
+        );
+      }).toThrowError("'workflow.statuses[0]' should have required property 'name'");
+    });
+
+    it('should not throw if workflow statuses are valid', () => {
+      expect(() => {
+        validateConfig(
+          merge({}, validConfig, {
+            workflow: {
+              statuses: [
+                { name: 'draft', transitions: ['legal_review'] },
+                { name: 'legal_review', label: 'Legal review' },
+                { name: 'pending_publish', label: 'Ready', publish: true },
+              ],
+            },
+          }),
+        );
+      }).not.toThrowError();
+    });
   });
 });
@@ -16,11 +16,105 @@ const fieldsConfig = {
       label: { type: 'string' },
       widget: { type: 'string' },
       required: { type: 'boolean' },
+      validate: {
+        oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+      },
+      i18n: {
+        oneOf: [{ type: 'boolean' }, { type: 'string', enum: ['translate', 'duplicate', 'none'] }],
+      },
+      condition: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          equals: {},
+          not_equals: {},
+          one_of: { type: 'array' },
+          strip_value: { type: 'boolean' },
+        },
+        required: ['field'],
+        oneOf: [{ required: ['equals'] }, { required: ['not_equals'] }, { required: ['one_of'] }],
+      },
     },
     required: ['name'],
   },
 };
 
+/**
+ * Config for the filters and groups editors can apply to a collection view.
+ * Groups without a `pattern` group entries by the whole field value.
+ */
+const viewFiltersConfig = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      label: { type: 'string' },
+      field: { type: 'string' },
+      pattern: { type: ['string', 'boolean', 'number'] },
+    },
+    required: ['label', 'field', 'pattern'],
+  },
+};
+
+const viewGroupsConfig = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      label: { type: 'string' },
+      field: { type: 'string' },
+      pattern: { type: 'string' },
+    },
+    required: ['label', 'field'],
+  },
+};
+
+/**
+ * Config for translated content, used globally and to override the global
+ * settings for a collection.
+ */
+const i18nConfig = {
+  type: 'object',
+  properties: {
+    structure: { type: 'string', enum: ['multiple_folders', 'multiple_files', 'single_file'] },
+    locales: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', pattern: '^[a-zA-Z-_]+$' },
+      uniqueItems: true,
+    },
+    default_locale: { type: 'string' },
+  },
+};
+
+/**
+ * Entry level validation rules of a collection. Rules other than the built in
+ * ones are registered with `registerEntryValidator`.
+ */
+const validationConfig = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      rule: { type: 'string' },
+      fields: { type: 'array', minItems: 1, items: { type: 'string' } },
+      operator: { type: 'string', enum: ['>', '>=', '<', '<=', '==', '!='] },
+      message: { type: 'string' },
+    },
+    required: ['rule'],
+    allOf: [
+      {
+        if: { properties: { rule: { enum: ['require_one', 'compare'] } } },
+        then: { required: ['fields', 'message'] },
+      },
+      {
+        if: { properties: { rule: { const: 'compare' } } },
+        then: { required: ['operator'], properties: { fields: { minItems: 2, maxItems: 2 } } },
+      },
+    ],
+  },
+};
+
 /**
  * The schema had to be wrapped in a function to
  * fix a circular dependency problem for WebPack,
@@ -35,14 +129,31 @@ const getConfigSchema = () => ({
         name: { type: 'string', examples: ['test-repo'] },
         auth_scope: {
           type: 'string',
-          examples: ['repo', 'public_repo'],
-          enum: ['repo', 'public_repo'],
+          examples: ['repo', 'public_repo', 'repo,read:org'],
+          enum: ['repo', 'public_repo', 'repo,read:org', 'public_repo,read:org'],
         },
         open_authoring: { type: 'boolean', examples: [true] },
+        proxy_url: { type: 'string', examples: ['http://localhost:8081/api/v1'] },
       },
       required: ['name'],
     },
+    local_backend: {
+      oneOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            url: { type: 'string', examples: ['http://localhost:8081/api/v1'] },
+            allowed_hosts: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+          },
+        },
+      ],
+    },
     locale: { type: 'string', examples: ['en', 'fr', 'de'] },
+    i18n: i18nConfig,
     site_url: { type: 'string', examples: ['https://example.com'] },
     display_url: { type: 'string', examples: ['https://example.com'] },
     logo_url: { type: 'string', examples: ['https://example.com/images/logo.svg'] },
@@ -63,6 +174,45 @@ const getConfigSchema = () => ({
       enum: ['simple', 'editorial_workflow'],
       examples: ['editorial_workflow'],
     },
+    workflow: {
+      type: 'object',
+      properties: {
+        statuses: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', examples: ['legal_review'] },
+              label: { type: 'string', examples: ['Legal review'] },
+              transitions: { type: 'array', items: { type: 'string' } },
+              publish: { type: 'boolean' },
+            },
+            required: ['name'],
+          },
+        },
+      },
+    },
+    roles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', examples: ['editors'] },
+          users: { type: 'array', items: { type: 'string' } },
+          identity_roles: { type: 'array', items: { type: 'string' } },
+          teams: { type: 'array', items: { type: 'string' }, examples: [['my-org/editors']] },
+          permissions: {
+            type: 'object',
+            additionalProperties: {
+              type: 'array',
+              items: { type: 'string', enum: ['read', 'edit', 'create', 'delete', 'publish'] },
+            },
+          },
+        },
+        required: ['name', 'permissions'],
+      },
+    },
     slug: {
       type: 'object',
       properties: {
@@ -121,6 +271,23 @@ const getConfigSchema = () => ({
             },
           },
           fields: fieldsConfig,
+          i18n: { oneOf: [{ type: 'boolean' }, i18nConfig] },
+          view_filters: viewFiltersConfig,
+          view_groups: viewGroupsConfig,
+          validation: validationConfig,
+          sortable_fields: {
+            type: 'array',
+            items: {
+              type: 'string',
+            },
+          },
+          nested: {
+            type: 'object',
+            properties: {
+              depth: { type: 'number', minimum: 1, maximum: 1000 },
+            },
+            required: ['depth'],
+          },
         },
         required: ['name', 'label'],
         oneOf: [{ required: ['files'] }, { required: ['folder', 'fields'] }],
@@ -135,6 +302,7 @@ const getConfigSchema = () => ({
           else: { required: ['format'] },
         },
         dependencies: {
+          nested: { required: ['folder'] },
           frontmatter_delimiter: {
             properties: {
               format: { enum: frontmatterFormats },
@@ -0,0 +1,3 @@
+export const SORT_DIRECTION_ASCENDING = 'SORT_DIRECTION_ASCENDING';
+export const SORT_DIRECTION_DESCENDING = 'SORT_DIRECTION_DESCENDING';
+export const SORT_DIRECTION_NONE = 'SORT_DIRECTION_NONE';
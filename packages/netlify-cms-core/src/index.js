@@ -1,8 +1,11 @@
 import bootstrap from './bootstrap';
 import Registry from 'Lib/registry';
+import store from 'ReduxStore';
+import { getRelatedEntry } from 'Actions/entries';
 
 export const NetlifyCmsCore = {
   ...Registry,
   init: bootstrap,
+  getRelatedEntry: (...args) => store.dispatch(getRelatedEntry(...args)),
 };
 export default NetlifyCmsCore;
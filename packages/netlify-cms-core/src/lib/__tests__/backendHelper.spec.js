@@ -37,6 +37,17 @@ describe('commitMessageFormatter', () => {
     ).toEqual('Delete Collection “doc-slug”');
   });
 
+  it('should return default commit message on rename', () => {
+    expect(
+      commitMessageFormatter('rename', config, {
+        slug: 'new-slug',
+        oldSlug: 'doc-slug',
+        path: 'file-path',
+        collection,
+      }),
+    ).toEqual('Rename Collection “doc-slug” to “new-slug”');
+  });
+
   it('should return default commit message on uploadMedia', () => {
     expect(
       commitMessageFormatter('uploadMedia', config, {
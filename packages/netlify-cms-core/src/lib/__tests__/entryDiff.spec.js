@@ -0,0 +1,102 @@
+import { fromJS, Map } from 'immutable';
+import {
+  diffEntryData,
+  diffSequence,
+  diffText,
+  getFieldDiffType,
+  formatDiffValue,
+} from '../entryDiff';
+
+describe('entryDiff', () => {
+  describe('diffEntryData', () => {
+    const fields = fromJS([{ name: 'title' }, { name: 'tags' }, { name: 'body' }]);
+
+    it('should return the changed fields in field order', () => {
+      const before = fromJS({ title: 'Old', tags: ['a'], body: 'Same' });
+      const after = fromJS({ title: 'New', tags: ['a', 'b'], body: 'Same' });
+      const changes = diffEntryData(fields, before, after);
+
+      expect(changes.map(change => change.getIn(['field', 'name'])).toJS()).toEqual([
+        'title',
+        'tags',
+      ]);
+      expect(changes.get(0).get('before')).toBe('Old');
+      expect(changes.get(0).get('after')).toBe('New');
+    });
+
+    it('should treat deeply equal values as unchanged', () => {
+      const before = fromJS({ tags: ['a'] });
+      const after = fromJS({ tags: ['a'] });
+      expect(diffEntryData(fields, before, after).size).toBe(0);
+    });
+
+    it('should report added and removed fields', () => {
+      const changes = diffEntryData(fields, Map({ title: 'Old' }), Map({ body: 'New' }));
+      expect(changes.map(change => change.getIn(['field', 'name'])).toJS()).toEqual([
+        'title',
+        'body',
+      ]);
+      expect(changes.get(0).get('after')).toBeUndefined();
+    });
+  });
+
+  describe('diffSequence', () => {
+    it('should return the added, removed and unchanged items in order', () => {
+      expect(diffSequence(['a', 'b', 'c'], ['a', 'c', 'd'])).toEqual([
+        { value: 'a', type: 'unchanged' },
+        { value: 'b', type: 'removed' },
+        { value: 'c', type: 'unchanged' },
+        { value: 'd', type: 'added' },
+      ]);
+    });
+
+    it('should compare immutable items by value', () => {
+      expect(diffSequence([fromJS({ a: 1 })], [fromJS({ a: 1 }), fromJS({ a: 2 })])).toEqual([
+        { value: fromJS({ a: 1 }), type: 'unchanged' },
+        { value: fromJS({ a: 2 }), type: 'added' },
+      ]);
+    });
+  });
+
+  describe('diffText', () => {
+    it('should diff words and join consecutive parts', () => {
+      expect(diffText('The quick brown fox', 'The slow brown dog jumps')).toEqual([
+        { value: 'The ', type: 'unchanged' },
+        { value: 'quick', type: 'removed' },
+        { value: 'slow', type: 'added' },
+        { value: ' brown ', type: 'unchanged' },
+        { value: 'fox', type: 'removed' },
+        { value: 'dog jumps', type: 'added' },
+      ]);
+    });
+
+    it('should handle missing values', () => {
+      expect(diffText(undefined, 'New')).toEqual([{ value: 'New', type: 'added' }]);
+    });
+  });
+
+  describe('getFieldDiffType', () => {
+    it('should use the widget of the field', () => {
+      expect(getFieldDiffType(fromJS({ widget: 'markdown' }), 'a', 'b')).toBe('text');
+      expect(getFieldDiffType(fromJS({}), 'a', undefined)).toBe('text');
+      expect(getFieldDiffType(fromJS({ widget: 'image' }), 'a.png', 'b.png')).toBe('media');
+      expect(getFieldDiffType(fromJS({ widget: 'list' }), fromJS(['a']), undefined)).toBe('list');
+      expect(getFieldDiffType(fromJS({ widget: 'number' }), 1, 2)).toBe('value');
+    });
+
+    it('should fall back to values for unexpected types', () => {
+      expect(getFieldDiffType(fromJS({ widget: 'string' }), 1, 'b')).toBe('value');
+      expect(getFieldDiffType(fromJS({ widget: 'object' }), fromJS({}), fromJS({}))).toBe('value');
+    });
+  });
+
+  describe('formatDiffValue', () => {
+    it('should format values', () => {
+      expect(formatDiffValue(undefined)).toBe('');
+      expect(formatDiffValue(null)).toBe('');
+      expect(formatDiffValue(true)).toBe('true');
+      expect(formatDiffValue('text')).toBe('text');
+      expect(formatDiffValue(fromJS({ a: 1 }))).toBe('{\n  "a": 1\n}');
+    });
+  });
+});
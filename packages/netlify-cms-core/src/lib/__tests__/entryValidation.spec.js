@@ -0,0 +1,141 @@
+import { fromJS } from 'immutable';
+import { validateEntry, getEntryErrorsKey, isEntryErrorsKey } from '../entryValidation';
+import { registerEntryValidator } from '../registry';
+
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const collectionWith = validation => fromJS({ name: 'posts', validation });
+const entryWith = data => fromJS({ slug: 'slug', data });
+const error = message => ({ type: 'CUSTOM', message });
+
+describe('entryValidation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getEntryErrorsKey', () => {
+    it('should build keys recognized by isEntryErrorsKey', () => {
+      expect(getEntryErrorsKey('title')).toBe('entry.title');
+      expect(isEntryErrorsKey(getEntryErrorsKey('title'))).toBe(true);
+      expect(isEntryErrorsKey('title-field-1')).toBe(false);
+    });
+  });
+
+  describe('validateEntry', () => {
+    it('should return no errors without rules', () => {
+      expect(validateEntry(fromJS({ name: 'posts' }), entryWith({}))).toEqual({});
+    });
+
+    describe('require_one', () => {
+      const collection = collectionWith([
+        { rule: 'require_one', fields: ['image', 'video.url'], message: 'Add media' },
+      ]);
+
+      it('should attach the message to all fields when they are all empty', () => {
+        expect(validateEntry(collection, entryWith({ image: '', video: { url: null } }))).toEqual({
+          image: [error('Add media')],
+          video: [error('Add media')],
+        });
+      });
+
+      it('should pass when one of the fields has a value', () => {
+        expect(validateEntry(collection, entryWith({ video: { url: 'https://a.b' } }))).toEqual({});
+      });
+
+      it('should treat empty lists as empty values', () => {
+        expect(validateEntry(collection, entryWith({ image: [] }))).toEqual({
+          image: [error('Add media')],
+          video: [error('Add media')],
+        });
+      });
+    });
+
+    describe('compare', () => {
+      const collection = collectionWith([
+        { rule: 'compare', fields: ['start', 'end'], operator: '<', message: 'Ends too soon' },
+      ]);
+
+      it('should compare dates', () => {
+        expect(
+          validateEntry(
+            collection,
+            entryWith({ start: '2020-06-02T10:00:00Z', end: '2020-06-01T10:00:00Z' }),
+          ),
+        ).toEqual({ start: [error('Ends too soon')], end: [error('Ends too soon')] });
+        expect(
+          validateEntry(
+            collection,
+            entryWith({ start: '2020-06-01T10:00:00Z', end: '2020-06-02T10:00:00Z' }),
+          ),
+        ).toEqual({});
+      });
+
+      it('should compare numbers', () => {
+        expect(validateEntry(collection, entryWith({ start: 10, end: 2 }))).toEqual({
+          start: [error('Ends too soon')],
+          end: [error('Ends too soon')],
+        });
+      });
+
+      it('should skip empty values', () => {
+        expect(validateEntry(collection, entryWith({ start: 10 }))).toEqual({});
+      });
+    });
+
+    it('should run registered validators', () => {
+      const validator = jest.fn(data =>
+        data.get('draft') && data.get('featured')
+          ? { featured: 'Drafts cannot be featured' }
+          : true,
+      );
+      registerEntryValidator('not_featured_draft', validator);
+      const collection = collectionWith([{ rule: 'not_featured_draft' }]);
+      const entry = entryWith({ draft: true, featured: true });
+
+      expect(validateEntry(collection, entry)).toEqual({
+        featured: [error('Drafts cannot be featured')],
+      });
+      expect(validator).toHaveBeenCalledWith(entry.get('data'), {
+        entry,
+        collection,
+        rule: collection.getIn(['validation', 0]),
+      });
+    });
+
+    it('should use the message returned by a validator', () => {
+      registerEntryValidator('always_fails', () => 'Returned message');
+      const collection = collectionWith([
+        { rule: 'always_fails', fields: ['title'], message: 'Rule message' },
+      ]);
+      expect(validateEntry(collection, entryWith({}))).toEqual({
+        title: [error('Returned message')],
+      });
+    });
+
+    it('should merge the errors of several rules', () => {
+      const collection = collectionWith([
+        { rule: 'require_one', fields: ['title'], message: 'Missing title' },
+        { rule: 'compare', fields: ['title', 'body'], operator: '!=', message: 'Same text' },
+      ]);
+      expect(validateEntry(collection, entryWith({ title: '', body: '' }))).toEqual({
+        title: [error('Missing title')],
+      });
+      registerEntryValidator('title_body', () => ({ title: 'Bad title' }));
+      const withCustom = collectionWith([
+        { rule: 'require_one', fields: ['title'], message: 'Missing title' },
+        { rule: 'title_body' },
+      ]);
+      expect(validateEntry(withCustom, entryWith({}))).toEqual({
+        title: [error('Missing title'), error('Bad title')],
+      });
+    });
+
+    it('should log unknown rules', () => {
+      expect(validateEntry(collectionWith([{ rule: 'unknown' }]), entryWith({}))).toEqual({});
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(console.error).toHaveBeenCalledWith(
+        'Unknown entry validation rule "unknown" in collection "posts".',
+      );
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { fromJS } from 'immutable';
+import { isFieldHidden, stripHiddenValues } from '../fieldConditions';
+
+describe('fieldConditions', () => {
+  describe('isFieldHidden', () => {
+    it('should not hide fields without condition', () => {
+      expect(isFieldHidden(fromJS({ name: 'title' }), fromJS({}))).toBe(false);
+    });
+
+    it('should hide fields unless the value equals', () => {
+      const field = fromJS({ name: 'cta', condition: { field: 'layout', equals: 'landing' } });
+      expect(isFieldHidden(field, fromJS({ layout: 'landing' }))).toBe(false);
+      expect(isFieldHidden(field, fromJS({ layout: 'article' }))).toBe(true);
+      expect(isFieldHidden(field, fromJS({}))).toBe(true);
+    });
+
+    it('should hide fields when the value equals with not_equals', () => {
+      const field = fromJS({ name: 'cta', condition: { field: 'draft', not_equals: true } });
+      expect(isFieldHidden(field, fromJS({ draft: false }))).toBe(false);
+      expect(isFieldHidden(field, fromJS({ draft: true }))).toBe(true);
+    });
+
+    it('should hide fields unless the value is one_of the options', () => {
+      const field = fromJS({
+        name: 'cta',
+        condition: { field: 'layout', one_of: ['landing', 'home'] },
+      });
+      expect(isFieldHidden(field, fromJS({ layout: 'home' }))).toBe(false);
+      expect(isFieldHidden(field, fromJS({ layout: 'article' }))).toBe(true);
+    });
+
+    it('should match any item of list values', () => {
+      const field = fromJS({ name: 'cta', condition: { field: 'tags', equals: 'promo' } });
+      expect(isFieldHidden(field, fromJS({ tags: ['news', 'promo'] }))).toBe(false);
+      expect(isFieldHidden(field, fromJS({ tags: ['news'] }))).toBe(true);
+
+      const notEquals = fromJS({ name: 'cta', condition: { field: 'tags', not_equals: [] } });
+      expect(isFieldHidden(notEquals, fromJS({ tags: ['news'] }))).toBe(false);
+      expect(isFieldHidden(notEquals, fromJS({ tags: [] }))).toBe(true);
+    });
+
+    it('should resolve nested paths', () => {
+      const field = fromJS({
+        name: 'cta',
+        condition: { field: 'hero.blocks.1.type', equals: 'a' },
+      });
+      expect(
+        isFieldHidden(field, fromJS({ hero: { blocks: [{ type: 'b' }, { type: 'a' }] } })),
+      ).toBe(false);
+      expect(isFieldHidden(field, fromJS({ hero: { blocks: [{ type: 'a' }] } }))).toBe(true);
+    });
+
+    it('should treat missing values as undefined', () => {
+      const field = fromJS({ name: 'cta', condition: { field: 'layout', equals: 'landing' } });
+      expect(isFieldHidden(field, undefined)).toBe(true);
+      expect(isFieldHidden(field, 'value')).toBe(true);
+    });
+  });
+
+  describe('stripHiddenValues', () => {
+    const fields = fromJS([
+      { name: 'layout' },
+      { name: 'cta', condition: { field: 'layout', equals: 'landing', strip_value: true } },
+      { name: 'intro', condition: { field: 'layout', equals: 'landing' } },
+      {
+        name: 'sections',
+        widget: 'list',
+        fields: [
+          { name: 'type' },
+          { name: 'image', condition: { field: 'type', equals: 'image', strip_value: true } },
+        ],
+      },
+    ]);
+
+    it('should remove the values of hidden fields with strip_value', () => {
+      const data = fromJS({
+        layout: 'article',
+        cta: 'Buy',
+        intro: 'Intro',
+        sections: [{ type: 'text', image: 'a.png' }, { type: 'image', image: 'b.png' }],
+      });
+      expect(stripHiddenValues(data, fields)).toEqual(
+        fromJS({
+          layout: 'article',
+          intro: 'Intro',
+          sections: [{ type: 'text' }, { type: 'image', image: 'b.png' }],
+        }),
+      );
+    });
+
+    it('should keep the values of visible fields', () => {
+      const data = fromJS({ layout: 'landing', cta: 'Buy' });
+      expect(stripHiddenValues(data, fields)).toEqual(data);
+    });
+
+    it('should remove hidden values within lists with a single field', () => {
+      const listFields = fromJS([
+        {
+          name: 'links',
+          widget: 'list',
+          field: {
+            name: 'link',
+            widget: 'object',
+            fields: [
+              { name: 'external', widget: 'boolean' },
+              { name: 'url', condition: { field: 'external', equals: true, strip_value: true } },
+            ],
+          },
+        },
+      ]);
+      const data = fromJS({
+        links: [{ external: true, url: 'https://a.com' }, { external: false, url: '/b' }],
+      });
+      expect(stripHiddenValues(data, listFields)).toEqual(
+        fromJS({ links: [{ external: true, url: 'https://a.com' }, { external: false }] }),
+      );
+    });
+
+    it('should remove hidden values within the fields of each type', () => {
+      const types = [
+        {
+          name: 'image',
+          fields: [
+            { name: 'src' },
+            { name: 'caption', condition: { field: 'src', equals: 'a.png', strip_value: true } },
+          ],
+        },
+        { name: 'text', fields: [{ name: 'caption' }] },
+      ];
+      const typedFields = fromJS([
+        { name: 'blocks', widget: 'list', types },
+        { name: 'hero', widget: 'object', typeKey: 'kind', types },
+      ]);
+      const data = fromJS({
+        blocks: [
+          { type: 'image', src: 'b.png', caption: 'B' },
+          { type: 'text', caption: 'Text' },
+          { type: 'video', caption: 'Video' },
+        ],
+        hero: { kind: 'image', src: 'c.png', caption: 'C' },
+      });
+      expect(stripHiddenValues(data, typedFields)).toEqual(
+        fromJS({
+          blocks: [
+            { type: 'image', src: 'b.png' },
+            { type: 'text', caption: 'Text' },
+            { type: 'video', caption: 'Video' },
+          ],
+          hero: { kind: 'image', src: 'c.png' },
+        }),
+      );
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { fromJS } from 'immutable';
+import { registerFieldValidator } from '../registry';
+import { runFieldValidators } from '../fieldValidators';
+
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const t = jest.fn((key, { fieldLabel }) => `${fieldLabel} is invalid.`);
+
+describe('fieldValidators', () => {
+  beforeAll(() => {
+    registerFieldValidator('lowercase', value => value === value.toLowerCase());
+    registerFieldValidator('short', value => value.length < 5 || 'Too long');
+    registerFieldValidator('throws', () => {
+      throw new Error('Failed');
+    });
+    registerFieldValidator('resolves', value => Promise.resolve(value === 'ok' || 'Not ok'));
+    registerFieldValidator('rejects', () => Promise.reject());
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const field = validate => fromJS({ name: 'slug', label: 'Slug', validate });
+
+  it('should return the errors of synchronous validators', () => {
+    expect(runFieldValidators(field(['lowercase', 'short']), 'abc', {}, t)).toEqual({
+      errors: [],
+    });
+    expect(runFieldValidators(field(['lowercase', 'short']), 'ABCDEF', {}, t)).toEqual({
+      errors: [
+        { type: 'CUSTOM', message: 'Slug is invalid.' },
+        { type: 'CUSTOM', message: 'Too long' },
+      ],
+    });
+  });
+
+  it('should accept a single validator name', () => {
+    expect(runFieldValidators(field('short'), 'abcdef', {}, t).errors).toEqual([
+      { type: 'CUSTOM', message: 'Too long' },
+    ]);
+  });
+
+  it('should pass the context and the field to validators', () => {
+    const validator = jest.fn(() => true);
+    registerFieldValidator('spy', validator);
+    const context = { entry: fromJS({ slug: 'a' }) };
+
+    runFieldValidators(field(['spy']), 'a', context, t);
+
+    expect(validator).toHaveBeenCalledWith('a', { ...context, field: field(['spy']) });
+  });
+
+  it('should return thrown errors', () => {
+    expect(runFieldValidators(field(['throws']), 'a', {}, t).errors).toEqual([
+      { type: 'CUSTOM', message: 'Failed' },
+    ]);
+  });
+
+  it('should resolve the errors of asynchronous validators', async () => {
+    const { errors, pending } = runFieldValidators(field(['short', 'resolves']), 'abcdef', {}, t);
+    expect(errors).toEqual([{ type: 'CUSTOM', message: 'Too long' }]);
+    await expect(pending).resolves.toEqual([
+      { type: 'CUSTOM', message: 'Too long' },
+      { type: 'CUSTOM', message: 'Not ok' },
+    ]);
+
+    await expect(runFieldValidators(field(['resolves']), 'ok', {}, t).pending).resolves.toEqual([]);
+  });
+
+  it('should treat rejected promises as invalid values', async () => {
+    await expect(runFieldValidators(field(['rejects']), 'a', {}, t).pending).resolves.toEqual([
+      { type: 'CUSTOM', message: 'Slug is invalid.' },
+    ]);
+  });
+
+  it('should ignore unknown validators', () => {
+    expect(runFieldValidators(field(['unknown']), 'a', {}, t)).toEqual({ errors: [] });
+    expect(console.error).toHaveBeenCalledWith(
+      'Unknown field validator "unknown" in field "slug".',
+    );
+  });
+});
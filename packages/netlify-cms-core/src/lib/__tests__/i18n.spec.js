@@ -0,0 +1,169 @@
+import { fromJS, Map } from 'immutable';
+import {
+  resolveCollectionI18n,
+  getFieldI18n,
+  getLocalePath,
+  getSlugWithoutLocale,
+  getI18nListCollection,
+  splitI18nData,
+  getI18nData,
+  mapEntryData,
+} from '../i18n';
+
+const i18nCollection = (structure, extra = {}) =>
+  fromJS({
+    folder: 'content/posts',
+    i18n: { structure, locales: ['en', 'de', 'fr'], default_locale: 'en' },
+    ...extra,
+  });
+
+describe('i18n', () => {
+  describe('resolveCollectionI18n', () => {
+    const globalI18n = fromJS({ structure: 'multiple_files', locales: ['en', 'de'] });
+
+    it('should ignore collections without i18n', () => {
+      expect(resolveCollectionI18n(globalI18n, undefined)).toBeUndefined();
+      expect(resolveCollectionI18n(globalI18n, false)).toBeUndefined();
+    });
+
+    it('should use the global config for `i18n: true`', () => {
+      expect(resolveCollectionI18n(globalI18n, true)).toEqual(
+        fromJS({ structure: 'multiple_files', locales: ['en', 'de'], default_locale: 'en' }),
+      );
+    });
+
+    it('should merge collection overrides', () => {
+      expect(
+        resolveCollectionI18n(
+          globalI18n,
+          fromJS({ structure: 'single_file', default_locale: 'de' }),
+        ),
+      ).toEqual(fromJS({ structure: 'single_file', locales: ['en', 'de'], default_locale: 'de' }));
+    });
+
+    it('should default to locale folders', () => {
+      expect(resolveCollectionI18n(undefined, fromJS({ locales: ['fr'] }))).toEqual(
+        fromJS({ structure: 'multiple_folders', locales: ['fr'], default_locale: 'fr' }),
+      );
+    });
+
+    it('should throw without locales', () => {
+      expect(() => resolveCollectionI18n(undefined, true)).toThrow(
+        'i18n collections require a list of `locales`',
+      );
+    });
+  });
+
+  describe('getFieldI18n', () => {
+    it('should normalize the field option', () => {
+      expect(getFieldI18n(Map({ i18n: true }))).toBe('translate');
+      expect(getFieldI18n(Map({ i18n: 'translate' }))).toBe('translate');
+      expect(getFieldI18n(Map({ i18n: 'duplicate' }))).toBe('duplicate');
+      expect(getFieldI18n(Map({ i18n: false }))).toBe('none');
+      expect(getFieldI18n(Map())).toBe('none');
+    });
+  });
+
+  describe('getLocalePath', () => {
+    it('should add a locale folder', () => {
+      expect(getLocalePath('multiple_folders', 'content/posts/hello.md', 'de')).toBe(
+        'content/posts/de/hello.md',
+      );
+    });
+
+    it('should add a locale suffix', () => {
+      expect(getLocalePath('multiple_files', 'content/posts/hello.md', 'de')).toBe(
+        'content/posts/hello.de.md',
+      );
+      expect(getLocalePath('multiple_files', 'content/posts/hello', 'de')).toBe(
+        'content/posts/hello.de',
+      );
+    });
+
+    it('should keep the path of single files', () => {
+      expect(getLocalePath('single_file', 'content/posts/hello.md', 'de')).toBe(
+        'content/posts/hello.md',
+      );
+    });
+  });
+
+  describe('getSlugWithoutLocale', () => {
+    it('should strip the locale from the slug', () => {
+      expect(getSlugWithoutLocale('multiple_folders', 'en/hello', 'en')).toBe('hello');
+      expect(getSlugWithoutLocale('multiple_files', 'hello.en', 'en')).toBe('hello');
+      expect(getSlugWithoutLocale('single_file', 'hello', 'en')).toBe('hello');
+    });
+  });
+
+  describe('getI18nListCollection', () => {
+    it('should list the default locale folder', () => {
+      expect(getI18nListCollection(i18nCollection('multiple_folders')).get('folder')).toBe(
+        'content/posts/en',
+      );
+      expect(getI18nListCollection(i18nCollection('multiple_files')).get('folder')).toBe(
+        'content/posts',
+      );
+    });
+
+    it('should list the default locale files', () => {
+      const collection = i18nCollection('multiple_files', {
+        folder: undefined,
+        files: [{ name: 'about', file: 'content/about.md' }],
+      });
+      expect(getI18nListCollection(collection).getIn(['files', 0, 'file'])).toBe(
+        'content/about.en.md',
+      );
+    });
+  });
+
+  describe('splitI18nData', () => {
+    it('should split data by locale', () => {
+      expect(
+        splitI18nData(i18nCollection('single_file'), {
+          en: { title: 'Hello' },
+          de: { title: 'Hallo' },
+        }),
+      ).toEqual({ data: { title: 'Hello' }, i18n: { de: { data: { title: 'Hallo' } } } });
+    });
+  });
+
+  describe('getI18nData', () => {
+    const fields = fromJS([
+      { name: 'title', i18n: true },
+      { name: 'date', i18n: 'duplicate' },
+      { name: 'draft' },
+    ]);
+
+    it('should build the data of each translated locale', () => {
+      const entry = fromJS({
+        data: { title: 'Hello', date: '2020-01-01', draft: true },
+        i18n: { de: { data: { title: 'Hallo', draft: false } }, fr: { data: {} } },
+      });
+      expect(getI18nData(i18nCollection('multiple_files'), fields, entry)).toEqual(
+        fromJS({
+          en: { title: 'Hello', date: '2020-01-01', draft: true },
+          de: { title: 'Hallo', date: '2020-01-01' },
+        }),
+      );
+    });
+
+    it('should leave out translations which were never edited', () => {
+      const entry = fromJS({
+        data: { title: 'Hello' },
+        i18n: { de: { data: { title: 'Default' }, pristine: true } },
+      });
+      expect(getI18nData(i18nCollection('multiple_files'), fields, entry)).toEqual(
+        fromJS({ en: { title: 'Hello' } }),
+      );
+    });
+  });
+
+  describe('mapEntryData', () => {
+    it('should map the data of the entry and its translations', () => {
+      const entry = fromJS({ data: { n: 1 }, i18n: { de: { data: { n: 2 } } } });
+      expect(mapEntryData(entry, data => data.update('n', n => n * 10))).toEqual(
+        fromJS({ data: { n: 10 }, i18n: { de: { data: { n: 20 } } } }),
+      );
+    });
+  });
+});
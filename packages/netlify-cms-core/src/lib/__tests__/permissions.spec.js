@@ -0,0 +1,96 @@
+import { Map, fromJS } from 'immutable';
+import {
+  PERMISSIONS,
+  isUserRole,
+  selectUserRoles,
+  selectCollectionPermissions,
+  hasPermission,
+} from '../permissions';
+
+describe('permissions', () => {
+  const config = fromJS({
+    roles: [
+      {
+        name: 'admins',
+        users: ['ada'],
+        permissions: { '*': ['read', 'edit', 'create', 'delete', 'publish'] },
+      },
+      {
+        name: 'writers',
+        identity_roles: ['writer'],
+        permissions: { posts: ['read', 'edit', 'create'], pages: ['read'] },
+      },
+      {
+        name: 'reviewers',
+        teams: ['my-org/reviewers'],
+        permissions: { posts: ['read', 'edit', 'publish'] },
+      },
+    ],
+  });
+
+  const admin = fromJS({ login: 'ada' });
+  const writer = fromJS({ login: 'grace@example.com', roles: ['writer'] });
+  const writerAndReviewer = fromJS({
+    login: 'linus',
+    roles: ['writer'],
+    teams: ['my-org/reviewers'],
+  });
+  const stranger = fromJS({ login: 'mallory', roles: [], teams: [] });
+
+  describe('isUserRole', () => {
+    it('should match users by login, identity roles and teams', () => {
+      const roles = config.get('roles');
+      expect(isUserRole(roles.get(0), admin)).toBe(true);
+      expect(isUserRole(roles.get(1), writer)).toBe(true);
+      expect(isUserRole(roles.get(2), writerAndReviewer)).toBe(true);
+      expect(isUserRole(roles.get(0), writer)).toBe(false);
+      expect(isUserRole(roles.get(2), writer)).toBe(false);
+    });
+
+    it('should not match missing users', () => {
+      expect(isUserRole(config.getIn(['roles', 0]), undefined)).toBe(false);
+    });
+  });
+
+  describe('selectUserRoles', () => {
+    it('should return the roles of a user', () => {
+      expect(selectUserRoles(config, writerAndReviewer).map(role => role.get('name'))).toEqual(
+        fromJS(['writers', 'reviewers']),
+      );
+      expect(selectUserRoles(config, stranger).size).toBe(0);
+    });
+  });
+
+  describe('selectCollectionPermissions', () => {
+    it('should grant every permission without roles in the config', () => {
+      expect(selectCollectionPermissions(Map(), stranger, 'posts').toJS()).toEqual(
+        expect.arrayContaining(Object.values(PERMISSIONS)),
+      );
+    });
+
+    it('should apply permissions on all collections', () => {
+      expect(selectCollectionPermissions(config, admin, 'anything').size).toBe(5);
+    });
+
+    it('should combine the permissions of all roles of a user', () => {
+      expect(
+        selectCollectionPermissions(config, writerAndReviewer, 'posts')
+          .sort()
+          .toJS(),
+      ).toEqual(['create', 'edit', 'publish', 'read']);
+    });
+
+    it('should grant nothing to users without roles', () => {
+      expect(selectCollectionPermissions(config, stranger, 'posts').size).toBe(0);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should check the permission of a user on a collection', () => {
+      expect(hasPermission(config, writer, 'posts', PERMISSIONS.CREATE)).toBe(true);
+      expect(hasPermission(config, writer, 'posts', PERMISSIONS.PUBLISH)).toBe(false);
+      expect(hasPermission(config, writer, 'pages', PERMISSIONS.EDIT)).toBe(false);
+      expect(hasPermission(config, writer, 'authors', PERMISSIONS.READ)).toBe(false);
+    });
+  });
+});
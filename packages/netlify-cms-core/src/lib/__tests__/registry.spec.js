@@ -1,4 +1,11 @@
-import { registerLocale, getLocale } from '../registry';
+import {
+  registerLocale,
+  getLocale,
+  registerFieldValidator,
+  getFieldValidator,
+  registerEntryValidator,
+  getEntryValidator,
+} from '../registry';
 
 jest.spyOn(console, 'error').mockImplementation(() => {});
 
@@ -39,4 +46,38 @@ describe('registry', () => {
       expect(getLocale('de')).toBe(phrases);
     });
   });
+
+  describe('registerFieldValidator', () => {
+    it('should log error when the validator is not a function', () => {
+      registerFieldValidator('unique');
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(console.error).toHaveBeenCalledWith(
+        "Field validator parameters invalid. example: CMS.registerFieldValidator('name', validator)",
+      );
+      expect(getFieldValidator('unique')).toBeUndefined();
+    });
+
+    it('should register field validator', () => {
+      const validator = value => value !== 'taken';
+      registerFieldValidator('unique', validator);
+      expect(getFieldValidator('unique')).toBe(validator);
+    });
+  });
+
+  describe('registerEntryValidator', () => {
+    it('should log error when the validator is not a function', () => {
+      registerEntryValidator('dates');
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(console.error).toHaveBeenCalledWith(
+        "Entry validator parameters invalid. example: CMS.registerEntryValidator('name', validator)",
+      );
+      expect(getEntryValidator('dates')).toBeUndefined();
+    });
+
+    it('should register entry validator', () => {
+      const validator = data => data.get('start') < data.get('end');
+      registerEntryValidator('dates', validator);
+      expect(getEntryValidator('dates')).toBe(validator);
+    });
+  });
 });
@@ -0,0 +1,100 @@
+import { fromJS } from 'immutable';
+import { findRelatedEntry, getRelationValues } from '../relations';
+
+describe('relations', () => {
+  describe('findRelatedEntry', () => {
+    const entries = [
+      { slug: 'ada', data: { name: { first: 'Ada' }, handle: 'ada' } },
+      { slug: 'grace', data: { name: { first: 'Grace' }, handle: 'grace' } },
+      { slug: 'team', data: { members: [{ handle: 'alan' }, { handle: 'linus' }] } },
+    ];
+
+    it('should find entries by slug by default', () => {
+      expect(findRelatedEntry(entries, 'grace')).toBe(entries[1]);
+      expect(findRelatedEntry(entries, 'unknown')).toBeUndefined();
+    });
+
+    it('should find entries by nested value field', () => {
+      expect(findRelatedEntry(entries, 'Ada', { valueField: 'name.first' })).toBe(entries[0]);
+    });
+
+    it('should find entries containing list items', () => {
+      expect(findRelatedEntry(entries, 'linus', { valueField: 'members.*.handle' })).toBe(
+        entries[2],
+      );
+    });
+
+    it('should limit the search to a file', () => {
+      expect(findRelatedEntry(entries, 'ada', { valueField: 'handle', file: 'team' })).toBe(
+        undefined,
+      );
+      expect(findRelatedEntry(entries, 'ada', { valueField: 'handle', file: 'ada' })).toBe(
+        entries[0],
+      );
+    });
+  });
+
+  describe('getRelationValues', () => {
+    const fields = fromJS([
+      { name: 'title', widget: 'string' },
+      { name: 'author', widget: 'relation', collection: 'authors' },
+      { name: 'reviewers', widget: 'relation', collection: 'authors', multiple: true },
+      {
+        name: 'sections',
+        widget: 'list',
+        fields: [{ name: 'quote', widget: 'relation', collection: 'quotes' }],
+      },
+    ]);
+
+    it('should list relation values with their metadata path', () => {
+      const data = fromJS({
+        title: 'Post',
+        author: 'ada',
+        reviewers: ['grace', 'alan'],
+        sections: [{ quote: 'first' }, { quote: '' }, { quote: 'second' }],
+      });
+
+      expect(
+        getRelationValues(fields, data).map(({ field, value, metadataPath }) => [
+          field.get('name'),
+          value,
+          metadataPath,
+        ]),
+      ).toEqual([
+        ['author', 'ada', ['author', 'authors']],
+        ['reviewers', 'grace', ['reviewers', 'authors']],
+        ['reviewers', 'alan', ['reviewers', 'authors']],
+        ['quote', 'first', ['sections', 'quote', 'quotes']],
+        ['quote', 'second', ['sections', 'quote', 'quotes']],
+      ]);
+    });
+
+    it('should list relation values of typed objects', () => {
+      const typedFields = fromJS([
+        {
+          name: 'hero',
+          widget: 'object',
+          types: [
+            {
+              name: 'quote',
+              fields: [{ name: 'quote', widget: 'relation', collection: 'quotes' }],
+            },
+            { name: 'text', fields: [{ name: 'text', widget: 'string' }] },
+          ],
+        },
+      ]);
+
+      expect(
+        getRelationValues(typedFields, fromJS({ hero: { type: 'quote', quote: 'first' } })).map(
+          ({ value, metadataPath }) => [value, metadataPath],
+        ),
+      ).toEqual([['first', ['hero', 'quote', 'quotes']]]);
+      expect(getRelationValues(typedFields, fromJS({ hero: { type: 'text' } }))).toEqual([]);
+    });
+
+    it('should skip missing values', () => {
+      expect(getRelationValues(fields, fromJS({ title: 'Post' }))).toEqual([]);
+      expect(getRelationValues(fields, undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { fromJS } from 'immutable';
+import { getNestedFields } from '../typedFields';
+
+describe('typedFields', () => {
+  describe('getNestedFields', () => {
+    const types = [
+      { name: 'image', fields: [{ name: 'src', widget: 'image' }] },
+      { name: 'video', fields: [{ name: 'url', widget: 'string' }] },
+    ];
+
+    it('should return the nested fields of fields without types', () => {
+      const field = fromJS({ name: 'hero', widget: 'object', fields: [{ name: 'title' }] });
+      expect(getNestedFields(field, fromJS({ title: 'Title' }))).toBe(field.get('fields'));
+    });
+
+    it('should return the fields of the type of the value', () => {
+      const field = fromJS({ name: 'hero', widget: 'object', types });
+      expect(getNestedFields(field, fromJS({ type: 'video', url: 'https://' }))).toEqual(
+        fromJS(types[1].fields),
+      );
+    });
+
+    it('should use the type key of the field', () => {
+      const field = fromJS({ name: 'hero', widget: 'object', typeKey: 'kind', types });
+      expect(getNestedFields(field, fromJS({ kind: 'image' }))).toEqual(fromJS(types[0].fields));
+      expect(getNestedFields(field, fromJS({ type: 'image' }))).toBeUndefined();
+    });
+
+    it('should return undefined for unknown types and missing values', () => {
+      const field = fromJS({ name: 'hero', widget: 'object', types });
+      expect(getNestedFields(field, fromJS({ type: 'audio' }))).toBeUndefined();
+      expect(getNestedFields(field, undefined)).toBeUndefined();
+    });
+  });
+});
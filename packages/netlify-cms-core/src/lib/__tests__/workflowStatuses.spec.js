@@ -0,0 +1,79 @@
+import { Map, fromJS } from 'immutable';
+import {
+  selectWorkflowStatuses,
+  selectInitialStatus,
+  isTransitionAllowed,
+  isPublishStatus,
+} from '../workflowStatuses';
+
+describe('workflowStatuses', () => {
+  const config = fromJS({
+    workflow: {
+      statuses: [
+        { name: 'draft', transitions: ['legal_review'] },
+        { name: 'legal_review', label: 'Legal review', transitions: ['draft', 'translation'] },
+        { name: 'translation', label: 'Translation' },
+        { name: 'pending_publish', label: 'Ready', publish: true },
+      ],
+    },
+  });
+
+  describe('selectWorkflowStatuses', () => {
+    it('should default to the draft, review and ready statuses', () => {
+      expect(selectWorkflowStatuses(Map()).toJS()).toEqual([
+        { name: 'draft' },
+        { name: 'pending_review' },
+        { name: 'pending_publish', publish: true },
+      ]);
+    });
+
+    it('should return the configured statuses', () => {
+      expect(selectWorkflowStatuses(config)).toBe(config.getIn(['workflow', 'statuses']));
+    });
+
+    it('should publish from the last status when no status is set to publish', () => {
+      const statuses = selectWorkflowStatuses(
+        fromJS({ workflow: { statuses: [{ name: 'draft' }, { name: 'approved' }] } }),
+      );
+      expect(statuses.getIn([1, 'publish'])).toBe(true);
+      expect(statuses.getIn([0, 'publish'])).toBeUndefined();
+    });
+  });
+
+  describe('selectInitialStatus', () => {
+    it('should return the first status', () => {
+      expect(selectInitialStatus(Map())).toBe('draft');
+      expect(selectInitialStatus(fromJS({ workflow: { statuses: [{ name: 'idea' }] } }))).toBe(
+        'idea',
+      );
+    });
+  });
+
+  describe('isTransitionAllowed', () => {
+    const statuses = selectWorkflowStatuses(config);
+
+    it('should allow the configured transitions', () => {
+      expect(isTransitionAllowed(statuses, 'draft', 'legal_review')).toBe(true);
+      expect(isTransitionAllowed(statuses, 'draft', 'pending_publish')).toBe(false);
+      expect(isTransitionAllowed(statuses, 'legal_review', 'translation')).toBe(true);
+    });
+
+    it('should allow any transition from statuses without transitions', () => {
+      expect(isTransitionAllowed(statuses, 'translation', 'draft')).toBe(true);
+      expect(isTransitionAllowed(statuses, 'unknown', 'draft')).toBe(true);
+    });
+
+    it('should allow keeping the same status', () => {
+      expect(isTransitionAllowed(statuses, 'draft', 'draft')).toBe(true);
+    });
+  });
+
+  describe('isPublishStatus', () => {
+    it('should only allow publishing from statuses set to publish', () => {
+      const statuses = selectWorkflowStatuses(config);
+      expect(isPublishStatus(statuses, 'pending_publish')).toBe(true);
+      expect(isPublishStatus(statuses, 'translation')).toBe(false);
+      expect(isPublishStatus(statuses, 'unknown')).toBe(false);
+    });
+  });
+});
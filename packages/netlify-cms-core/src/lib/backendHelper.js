@@ -4,6 +4,7 @@ const commitMessageTemplates = Map({
   create: 'Create {{collection}} “{{slug}}”',
   update: 'Update {{collection}} “{{slug}}”',
   delete: 'Delete {{collection}} “{{slug}}”',
+  rename: 'Rename {{collection}} “{{old-slug}}” to “{{slug}}”',
   uploadMedia: 'Upload “{{path}}”',
   deleteMedia: 'Delete “{{path}}”',
   openAuthoring: '{{message}}',
@@ -14,7 +15,7 @@ const variableRegex = /\{\{([^}]+)\}\}/g;
 export const commitMessageFormatter = (
   type,
   config,
-  { slug, path, collection, authorLogin, authorName },
+  { slug, oldSlug, path, collection, authorLogin, authorName },
   isOpenAuthoring,
 ) => {
   const templates = commitMessageTemplates.merge(
@@ -25,6 +26,8 @@ export const commitMessageFormatter = (
     switch (variable) {
       case 'slug':
         return slug;
+      case 'old-slug':
+        return oldSlug || '';
       case 'path':
         return path;
       case 'collection':
@@ -0,0 +1,149 @@
+import { Iterable, List, Map, is } from 'immutable';
+
+export const DIFF_ADDED = 'added';
+export const DIFF_REMOVED = 'removed';
+export const DIFF_UNCHANGED = 'unchanged';
+
+/**
+ * Above this many comparisons, the changed part of two sequences is reported
+ * as removed and added as a whole instead of computing the smallest diff.
+ */
+const MAX_DIFF_COMPARISONS = 250000;
+
+const TEXT_WIDGETS = ['string', 'text', 'markdown'];
+const MEDIA_WIDGETS = ['image', 'file'];
+
+/**
+ * Compares two versions of the data of an entry field by field, returning the
+ * changed fields as `{ field, before, after }` maps in the order of the
+ * collection's field definitions.
+ */
+export function diffEntryData(fields, before = Map(), after = Map()) {
+  return fields.reduce((acc, field) => {
+    const name = field.get('name');
+    const beforeValue = before.get(name);
+    const afterValue = after.get(name);
+    return is(beforeValue, afterValue)
+      ? acc
+      : acc.push(Map({ field, before: beforeValue, after: afterValue }));
+  }, List());
+}
+
+/**
+ * Diffs two arrays, returning `{ value, type }` parts in order, where the type
+ * is one of `DIFF_ADDED`, `DIFF_REMOVED` or `DIFF_UNCHANGED`.
+ */
+export function diffSequence(before, after, equals = is) {
+  let start = 0;
+  while (start < before.length && start < after.length && equals(before[start], after[start])) {
+    start++;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (
+    endBefore > start &&
+    endAfter > start &&
+    equals(before[endBefore - 1], after[endAfter - 1])
+  ) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const unchanged = value => ({ value, type: DIFF_UNCHANGED });
+  const removed = value => ({ value, type: DIFF_REMOVED });
+  const added = value => ({ value, type: DIFF_ADDED });
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  let changes;
+  if (a.length * b.length > MAX_DIFF_COMPARISONS) {
+    changes = [...a.map(removed), ...b.map(added)];
+  } else {
+    // lengths[i][j] is the length of the longest common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = equals(a[i], b[j])
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (equals(a[i], b[j])) {
+        changes.push(unchanged(a[i]));
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        changes.push(removed(a[i++]));
+      } else {
+        changes.push(added(b[j++]));
+      }
+    }
+    changes.push(...a.slice(i).map(removed), ...b.slice(j).map(added));
+  }
+
+  return [
+    ...before.slice(0, start).map(unchanged),
+    ...changes,
+    ...before.slice(endBefore).map(unchanged),
+  ];
+}
+
+/**
+ * Diffs two strings word by word, joining consecutive words of the same type
+ * into a single part.
+ */
+export function diffText(before = '', after = '') {
+  const tokenize = text => text.split(/(\s+)/).filter(Boolean);
+  return diffSequence(tokenize(before), tokenize(after), (a, b) => a === b).reduce((acc, part) => {
+    const last = acc[acc.length - 1];
+    if (last && last.type === part.type) {
+      last.value += part.value;
+    } else {
+      acc.push({ ...part });
+    }
+    return acc;
+  }, []);
+}
+
+/**
+ * Returns how a changed field value is best displayed, based on the widget of
+ * the field and the type of its values: `text` for a word diff, `list` for the
+ * added and removed items, `media` for before and after previews of images
+ * and files, and `value` for the before and after values.
+ */
+export function getFieldDiffType(field, before, after) {
+  const widget = field.get('widget', 'string');
+  const values = [before, after].filter(value => value !== undefined && value !== null);
+  const every = predicate => values.length > 0 && values.every(predicate);
+
+  if (MEDIA_WIDGETS.includes(widget) && every(value => typeof value === 'string')) {
+    return 'media';
+  }
+  if (TEXT_WIDGETS.includes(widget) && every(value => typeof value === 'string')) {
+    return 'text';
+  }
+  if (every(List.isList)) {
+    return 'list';
+  }
+  return 'value';
+}
+
+/**
+ * Formats a field value for display in a diff.
+ */
+export function formatDiffValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Iterable.isIterable(value)) {
+    return JSON.stringify(value.toJS(), null, 2);
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value, null, 2);
+  }
+  return String(value);
+}
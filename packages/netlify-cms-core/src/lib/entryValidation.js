@@ -0,0 +1,121 @@
+import { List, Map } from 'immutable';
+import ValidationErrorTypes from 'Constants/validationErrorTypes';
+import { getEntryValidator } from './registry';
+
+/**
+ * Errors of entry validation rules are stored in the `fieldsErrors` of the
+ * entry draft along with the errors of each control, under a key made of this
+ * prefix and the name of the top level field they're attached to.
+ */
+const ENTRY_ERRORS_KEY_PREFIX = 'entry.';
+
+export const getEntryErrorsKey = fieldName => `${ENTRY_ERRORS_KEY_PREFIX}${fieldName}`;
+
+export const isEntryErrorsKey = key => key.startsWith(ENTRY_ERRORS_KEY_PREFIX);
+
+const isEmpty = value =>
+  value === null ||
+  value === undefined ||
+  value === '' ||
+  ((List.isList(value) || Map.isMap(value)) && value.isEmpty());
+
+const getFieldValue = (data, path) => data.getIn(path.split('.'));
+
+/**
+ * Dates are compared by time, other values as they are.
+ */
+function toComparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'string' && isNaN(value) && !isNaN(Date.parse(value))) {
+    return Date.parse(value);
+  }
+  return value;
+}
+
+const operators = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const rules = {
+  /**
+   * At least one of the fields must have a value.
+   */
+  require_one: (data, { rule }) =>
+    rule.get('fields').some(path => !isEmpty(getFieldValue(data, path))),
+
+  /**
+   * The value of the first field must compare to the value of the second one
+   * with `operator`. Empty values are left to the `required` option of the
+   * fields.
+   */
+  compare: (data, { rule }) => {
+    const [first, second] = rule
+      .get('fields')
+      .toArray()
+      .map(path => getFieldValue(data, path));
+    if (isEmpty(first) || isEmpty(second)) {
+      return true;
+    }
+    return operators[rule.get('operator')](toComparable(first), toComparable(second));
+  },
+};
+
+/**
+ * Attach the result of a rule to fields. A rule returns `true` or nothing when
+ * the entry is valid. Otherwise, `false` or an error message is attached to all
+ * the fields of the rule, while an object maps field names to their own error
+ * message.
+ */
+function getRuleErrors(result, rule) {
+  if (result === true || result === undefined || result === null) {
+    return {};
+  }
+
+  const toError = message => ({ type: ValidationErrorTypes.CUSTOM, message });
+  const topLevelName = path => path.split('.')[0];
+
+  if (typeof result === 'object') {
+    return Object.entries(result).reduce(
+      (acc, [path, message]) => ({ ...acc, [topLevelName(path)]: [toError(message)] }),
+      {},
+    );
+  }
+
+  const message = typeof result === 'string' ? result : rule.get('message');
+  return rule
+    .get('fields', List())
+    .toArray()
+    .reduce((acc, path) => ({ ...acc, [topLevelName(path)]: [toError(message)] }), {});
+}
+
+/**
+ * Evaluate the `validation` rules of a collection against an entry, returning
+ * the errors of the failing rules by field name.
+ */
+export function validateEntry(collection, entry) {
+  const data = entry.get('data') || Map();
+
+  return collection.get('validation', List()).reduce((acc, rule) => {
+    const name = rule.get('rule');
+    const validator = rules[name] || getEntryValidator(name);
+    if (!validator) {
+      console.error(
+        `Unknown entry validation rule "${name}" in collection "${collection.get('name')}".`,
+      );
+      return acc;
+    }
+
+    const ruleErrors = getRuleErrors(validator(data, { entry, collection, rule }), rule);
+    Object.entries(ruleErrors).forEach(([fieldName, errors]) => {
+      acc[fieldName] = [...(acc[fieldName] || []), ...errors];
+    });
+    return acc;
+  }, {});
+}
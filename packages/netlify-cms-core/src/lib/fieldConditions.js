@@ -0,0 +1,95 @@
+import { List, Map, is } from 'immutable';
+import { TYPES_KEY, getNestedFields } from './typedFields';
+
+/**
+ * A field with a `condition` is only shown while the value of another field
+ * matches it. The other field is referenced by its name among the fields next
+ * to it, or by a dot separated path into them for fields nested in objects and
+ * lists, e.g. `hero.layout` or `blocks.0.type`.
+ *
+ * A condition matches a value `equals` to, `not_equals` to or `one_of` the
+ * given values. For list values, such as the value of a select widget with
+ * `multiple`, it matches when any item of the list does.
+ */
+const matches = (condition, value) => {
+  const test = item => {
+    if (condition.has('equals')) {
+      return is(item, condition.get('equals'));
+    }
+    if (condition.has('not_equals')) {
+      return !is(item, condition.get('not_equals'));
+    }
+    if (condition.has('one_of')) {
+      return condition.get('one_of', List()).some(option => is(item, option));
+    }
+    return true;
+  };
+
+  return List.isList(value) && !condition.has('not_equals') ? value.some(test) : test(value);
+};
+
+/**
+ * Whether a field is hidden by its `condition`, given the values of the fields
+ * next to it.
+ */
+export function isFieldHidden(field, values) {
+  const condition = field.get('condition');
+  if (!Map.isMap(condition)) {
+    return false;
+  }
+  const value = Map.isMap(values)
+    ? values.getIn(
+        condition
+          .get('field', '')
+          .split('.')
+          .map(key => (/^\d+$/.test(key) ? parseInt(key, 10) : key)),
+      )
+    : undefined;
+  return !matches(condition, value);
+}
+
+/**
+ * Remove the hidden values nested in the value of a list or object field,
+ * given its `fields`, its `types`, or its single `field`.
+ */
+const stripNestedValues = (value, field) => {
+  if (field.has('fields') || field.has(TYPES_KEY)) {
+    const strip = item => stripHiddenValues(item, getNestedFields(field, item));
+    return List.isList(value) ? value.map(strip) : strip(value);
+  }
+
+  const singleField = field.get('field');
+  if (!singleField) {
+    return value;
+  }
+  // the items of lists with a single field are values of that field, while
+  // objects with a single field hold its value under its name
+  return List.isList(value)
+    ? value.map(item => stripNestedValues(item, singleField))
+    : stripHiddenValues(value, List([singleField]));
+};
+
+/**
+ * Remove the values of hidden fields having `strip_value` in their condition,
+ * so that they aren't saved with the entry. Called recursively for fields
+ * within objects and lists.
+ */
+export function stripHiddenValues(values, fields) {
+  if (!Map.isMap(values) || !fields) {
+    return values;
+  }
+
+  return fields.reduce((acc, field) => {
+    const fieldName = field.get('name');
+    if (field.getIn(['condition', 'strip_value']) && isFieldHidden(field, values)) {
+      return acc.delete(fieldName);
+    }
+
+    const value = acc.get(fieldName);
+    if (List.isList(value) || Map.isMap(value)) {
+      return acc.set(fieldName, stripNestedValues(value, field));
+    }
+
+    return acc;
+  }, values);
+}
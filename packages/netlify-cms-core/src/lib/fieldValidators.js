@@ -0,0 +1,81 @@
+import { List } from 'immutable';
+import ValidationErrorTypes from 'Constants/validationErrorTypes';
+import { getFieldValidator } from './registry';
+
+const isPromise = value => !!value && typeof value.then === 'function';
+
+function getValidatorNames(field) {
+  const names = field.get('validate');
+  if (!names) {
+    return [];
+  }
+  return List.isList(names) ? names.toArray() : [names];
+}
+
+/**
+ * Convert the result of a validator to a validation error, or `null` if the
+ * value is valid. Validators return `true` or nothing for a valid value, and
+ * `false`, an error message or an `Error` otherwise.
+ */
+function toValidationError(result, field, t) {
+  if (result === true || result === undefined || result === null) {
+    return null;
+  }
+
+  let message;
+  if (typeof result === 'string') {
+    message = result;
+  } else if (result instanceof Error) {
+    message = result.message;
+  } else {
+    message = t('editor.editorControlPane.widget.invalid', {
+      fieldLabel: field.get('label', field.get('name')),
+    });
+  }
+
+  return { type: ValidationErrorTypes.CUSTOM, message };
+}
+
+/**
+ * Run the registered validators listed in the `validate` option of a field.
+ * Errors of synchronous validators are returned right away, while `pending`
+ * is only set when a validator returned a promise, and resolves to the errors
+ * of all validators.
+ */
+export function runFieldValidators(field, value, context, t) {
+  const results = getValidatorNames(field).map(name => {
+    const validator = getFieldValidator(name);
+    if (!validator) {
+      console.error(`Unknown field validator "${name}" in field "${field.get('name')}".`);
+      return true;
+    }
+
+    try {
+      return validator(value, { ...context, field });
+    } catch (error) {
+      return error;
+    }
+  });
+
+  const errors = results
+    .filter(result => !isPromise(result))
+    .map(result => toValidationError(result, field, t))
+    .filter(Boolean);
+  const promises = results.filter(isPromise);
+
+  if (promises.length === 0) {
+    return { errors };
+  }
+
+  /**
+   * A rejected promise is an invalid value, even without a reason.
+   */
+  const pending = Promise.all(promises.map(promise => promise.catch(error => error || false))).then(
+    resolved => [
+      ...errors,
+      ...resolved.map(result => toValidationError(result, field, t)).filter(Boolean),
+    ],
+  );
+
+  return { errors, pending };
+}
@@ -0,0 +1,187 @@
+import { Map } from 'immutable';
+import { escapeRegExp } from 'lodash';
+
+export const I18N_STRUCTURE = {
+  MULTIPLE_FOLDERS: 'multiple_folders',
+  MULTIPLE_FILES: 'multiple_files',
+  SINGLE_FILE: 'single_file',
+};
+
+export const I18N_FIELD = {
+  TRANSLATE: 'translate',
+  DUPLICATE: 'duplicate',
+  NONE: 'none',
+};
+
+/**
+ * Resolves the `i18n` option of a collection against the global `i18n`
+ * config. Collections opt in with `i18n: true`, or with an object overriding
+ * parts of the global settings. Returns `undefined` for collections that are
+ * not translated.
+ */
+export function resolveCollectionI18n(globalI18n, collectionI18n) {
+  if (!collectionI18n) {
+    return;
+  }
+  const base = globalI18n || Map();
+  const i18n = Map.isMap(collectionI18n) ? base.merge(collectionI18n) : base;
+  const locales = i18n.get('locales');
+  if (!locales || locales.size === 0) {
+    throw new Error('i18n collections require a list of `locales`');
+  }
+  return i18n
+    .set('structure', i18n.get('structure', I18N_STRUCTURE.MULTIPLE_FOLDERS))
+    .set('default_locale', i18n.get('default_locale', locales.first()));
+}
+
+export function hasI18n(collection) {
+  return Map.isMap(collection.get('i18n'));
+}
+
+export function getI18nInfo(collection) {
+  if (!hasI18n(collection)) {
+    return {};
+  }
+  const i18n = collection.get('i18n');
+  return {
+    structure: i18n.get('structure'),
+    locales: i18n.get('locales').toArray(),
+    defaultLocale: i18n.get('default_locale'),
+  };
+}
+
+/**
+ * Normalizes a field's `i18n` option. `true` is shorthand for `translate`,
+ * and fields without the option are only stored in the default locale.
+ */
+export function getFieldI18n(field) {
+  const i18n = field.get('i18n');
+  if (i18n === true) {
+    return I18N_FIELD.TRANSLATE;
+  }
+  if (i18n === I18N_FIELD.TRANSLATE || i18n === I18N_FIELD.DUPLICATE) {
+    return i18n;
+  }
+  return I18N_FIELD.NONE;
+}
+
+export function selectTranslatableFields(fields) {
+  return fields.filter(field => getFieldI18n(field) === I18N_FIELD.TRANSLATE);
+}
+
+/**
+ * Returns the path of a locale file given the path of the entry without any
+ * locale information.
+ */
+export function getLocalePath(structure, path, locale) {
+  const slashIndex = path.lastIndexOf('/');
+  const dir = path.substring(0, slashIndex + 1);
+  const filename = path.substring(slashIndex + 1);
+  switch (structure) {
+    case I18N_STRUCTURE.MULTIPLE_FOLDERS:
+      return `${dir}${locale}/${filename}`;
+    case I18N_STRUCTURE.MULTIPLE_FILES: {
+      const dotIndex = filename.lastIndexOf('.');
+      return dotIndex > 0
+        ? `${dir}${filename.substring(0, dotIndex)}.${locale}${filename.substring(dotIndex)}`
+        : `${dir}${filename}.${locale}`;
+    }
+    default:
+      return path;
+  }
+}
+
+/**
+ * Strips the locale from the slug inferred for a locale file path, the
+ * inverse of `getLocalePath` for folder collections.
+ */
+export function getSlugWithoutLocale(structure, slug, locale) {
+  switch (structure) {
+    case I18N_STRUCTURE.MULTIPLE_FOLDERS:
+      return slug.replace(new RegExp(`^${escapeRegExp(locale)}/`), '');
+    case I18N_STRUCTURE.MULTIPLE_FILES:
+      return slug.replace(new RegExp(`\\.${escapeRegExp(locale)}$`), '');
+    default:
+      return slug;
+  }
+}
+
+/**
+ * Backends list entries from the collection's `folder` or `files` settings,
+ * which don't include locale information. Returns a collection pointing them
+ * to the default locale files instead.
+ */
+export function getI18nListCollection(collection) {
+  if (!hasI18n(collection)) {
+    return collection;
+  }
+  const { structure, defaultLocale } = getI18nInfo(collection);
+  if (collection.has('files')) {
+    return collection.update('files', files =>
+      files.map(file => file.update('file', path => getLocalePath(structure, path, defaultLocale))),
+    );
+  }
+  if (structure === I18N_STRUCTURE.MULTIPLE_FOLDERS) {
+    return collection.update('folder', folder => `${folder.replace(/\/$/, '')}/${defaultLocale}`);
+  }
+  return collection;
+}
+
+/**
+ * Splits data stored in a single file under locale keys into the default
+ * locale data and the translations.
+ */
+export function splitI18nData(collection, data = {}) {
+  const { locales, defaultLocale } = getI18nInfo(collection);
+  const i18n = locales
+    .filter(locale => locale !== defaultLocale && data[locale])
+    .reduce((acc, locale) => ({ ...acc, [locale]: { data: data[locale] } }), {});
+  return { data: data[defaultLocale] || {}, i18n };
+}
+
+/**
+ * Builds the data of a translation from the entry data: translated fields
+ * come from the locale, duplicated fields are copied from the default locale.
+ */
+export function getLocaleData(fields, data, localeData = Map()) {
+  return fields.reduce((acc, field) => {
+    const name = field.get('name');
+    switch (getFieldI18n(field)) {
+      case I18N_FIELD.TRANSLATE:
+        return localeData.has(name) ? acc.set(name, localeData.get(name)) : acc;
+      case I18N_FIELD.DUPLICATE:
+        return data.has(name) ? acc.set(name, data.get(name)) : acc;
+      default:
+        return acc;
+    }
+  }, Map());
+}
+
+/**
+ * Returns the data of every locale of an entry keyed by locale. Translations
+ * which were never filled in are left out, so that no empty files are
+ * written for them.
+ */
+export function getI18nData(collection, fields, entry) {
+  const { locales, defaultLocale } = getI18nInfo(collection);
+  const data = entry.get('data');
+  return locales.reduce((acc, locale) => {
+    if (locale === defaultLocale) {
+      return acc.set(locale, data);
+    }
+    const localeData = entry.getIn(['i18n', locale, 'data']);
+    return localeData && !localeData.isEmpty() && !entry.getIn(['i18n', locale, 'pristine'])
+      ? acc.set(locale, getLocaleData(fields, data, localeData))
+      : acc;
+  }, Map());
+}
+
+/**
+ * Applies `fn` to the data of the entry and of each of its translations,
+ * e.g. to run value serializers.
+ */
+export function mapEntryData(entry, fn) {
+  const i18n = entry.get('i18n');
+  const updated = entry.set('data', fn(entry.get('data')));
+  return i18n ? updated.set('i18n', i18n.map(locale => locale.update('data', fn))) : updated;
+}
@@ -0,0 +1,70 @@
+import { List, Map, Set } from 'immutable';
+
+export const PERMISSIONS = {
+  READ: 'read',
+  EDIT: 'edit',
+  CREATE: 'create',
+  DELETE: 'delete',
+  PUBLISH: 'publish',
+};
+
+/**
+ * Permissions under this key apply to every collection.
+ */
+export const ALL_COLLECTIONS = '*';
+
+const ALL_PERMISSIONS = Set(Object.values(PERMISSIONS));
+
+const toSet = value => {
+  if (List.isList(value)) {
+    return value.toSet();
+  }
+  return value ? Set([value]) : Set();
+};
+
+/**
+ * Roles apply to users by their login, the Netlify Identity roles of their
+ * account, or the GitHub teams they belong to as `org/team`.
+ */
+export function isUserRole(role, user) {
+  if (!Map.isMap(user)) {
+    return false;
+  }
+  const login = user.get('login');
+  const intersects = (key, values) =>
+    !toSet(role.get(key))
+      .intersect(values)
+      .isEmpty();
+  return (
+    (!!login && toSet(role.get('users')).includes(login)) ||
+    intersects('identity_roles', toSet(user.get('roles'))) ||
+    intersects('teams', toSet(user.get('teams')))
+  );
+}
+
+export function selectUserRoles(config, user) {
+  const roles = config.get('roles');
+  return List.isList(roles) ? roles.filter(role => isUserRole(role, user)) : List();
+}
+
+/**
+ * Returns the permissions of a user on a collection, granted by the `roles` of
+ * the config with the permissions of their roles on the collection and on all
+ * collections. Without any roles in the config, users have every permission.
+ * Users can always view entries, so `read` only makes read-only roles explicit.
+ */
+export function selectCollectionPermissions(config, user, collectionName) {
+  if (!List.isList(config.get('roles'))) {
+    return ALL_PERMISSIONS;
+  }
+  return selectUserRoles(config, user).reduce((acc, role) => {
+    const permissions = role.get('permissions') || Map();
+    return acc
+      .union(toSet(permissions.get(ALL_COLLECTIONS)))
+      .union(toSet(permissions.get(collectionName)));
+  }, Set());
+}
+
+export function hasPermission(config, user, collectionName, permission) {
+  return selectCollectionPermissions(config, user, collectionName).includes(permission);
+}
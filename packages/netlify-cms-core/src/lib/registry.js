@@ -12,6 +12,8 @@ const registry = {
   widgets: {},
   editorComponents: Map(),
   widgetValueSerializers: {},
+  fieldValidators: {},
+  entryValidators: {},
   mediaLibraries: [],
   locales: {},
 };
@@ -28,6 +30,10 @@ export default {
   getEditorComponents,
   registerWidgetValueSerializer,
   getWidgetValueSerializer,
+  registerFieldValidator,
+  getFieldValidator,
+  registerEntryValidator,
+  getEntryValidator,
   registerBackend,
   getBackend,
   registerMediaLibrary,
@@ -125,6 +131,38 @@ export function getWidgetValueSerializer(widgetName) {
   return registry.widgetValueSerializers[widgetName];
 }
 
+/**
+ * Field Validators
+ */
+export function registerFieldValidator(name, validator) {
+  if (!name || typeof validator !== 'function') {
+    console.error(
+      "Field validator parameters invalid. example: CMS.registerFieldValidator('name', validator)",
+    );
+  } else {
+    registry.fieldValidators[name] = validator;
+  }
+}
+export function getFieldValidator(name) {
+  return registry.fieldValidators[name];
+}
+
+/**
+ * Entry Validators
+ */
+export function registerEntryValidator(name, validator) {
+  if (!name || typeof validator !== 'function') {
+    console.error(
+      "Entry validator parameters invalid. example: CMS.registerEntryValidator('name', validator)",
+    );
+  } else {
+    registry.entryValidators[name] = validator;
+  }
+}
+export function getEntryValidator(name) {
+  return registry.entryValidators[name];
+}
+
 /**
  * Backend API
  */
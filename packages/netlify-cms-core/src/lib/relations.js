@@ -0,0 +1,88 @@
+import { List, Map } from 'immutable';
+import { getNestedFields } from './typedFields';
+
+/**
+ * Relation fields reference other entries by the value at their `valueField`,
+ * a dot separated path into the data of the entries where `*` stands for all
+ * the items of a list, or `{{slug}}` for their slug.
+ */
+export const SLUG_FIELD = '{{slug}}';
+
+const getPathValues = (value, [key, ...keys]) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (key === undefined) {
+    return [value];
+  }
+  if (key === '*') {
+    return Array.isArray(value)
+      ? value.reduce((acc, item) => [...acc, ...getPathValues(item, keys)], [])
+      : [];
+  }
+  return getPathValues(value[key], keys);
+};
+
+/**
+ * Find the entry referenced by a relation value among the entries of its
+ * collection, limited to a single `file` for file collections.
+ */
+export function findRelatedEntry(entries, value, { valueField = SLUG_FIELD, file } = {}) {
+  return entries.find(entry => {
+    if (file && entry.slug !== file) {
+      return false;
+    }
+    if (valueField === SLUG_FIELD) {
+      return entry.slug === value;
+    }
+    return getPathValues(entry.data, valueField.split('.')).some(
+      fieldValue =>
+        fieldValue === value ||
+        (typeof fieldValue === 'object' && JSON.stringify(fieldValue) === value),
+    );
+  });
+}
+
+/**
+ * List the values of the relation fields in entry data, including those of
+ * fields within objects and lists, along with the path where the related data
+ * is kept in the `fieldsMetaData` of the entry draft.
+ */
+export function getRelationValues(fields, data, metadataPath = []) {
+  if (!fields || !Map.isMap(data)) {
+    return [];
+  }
+
+  return fields.reduce((acc, field) => {
+    const fieldName = field.get('name');
+    const value = data.get(fieldName);
+    const path = [...metadataPath, fieldName];
+
+    if (value === undefined || value === null || value === '') {
+      return acc;
+    }
+
+    if (field.get('widget') === 'relation') {
+      const values = List.isList(value) ? value.toArray() : [value];
+      return [
+        ...acc,
+        ...values.map(value => ({
+          field,
+          value,
+          metadataPath: [...path, field.get('collection')],
+        })),
+      ];
+    }
+
+    // Call recursively for fields within lists and objects
+    if (field.has('fields') || field.has('types')) {
+      const items = List.isList(value) ? value.toArray() : [value];
+      return items.reduce(
+        (acc, item) => [...acc, ...getRelationValues(getNestedFields(field, item), item, path)],
+        acc,
+      );
+    }
+
+    return acc;
+  }, []);
+}
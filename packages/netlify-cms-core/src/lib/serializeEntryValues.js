@@ -1,6 +1,7 @@
 import { isNil } from 'lodash';
 import { Map, List } from 'immutable';
 import { getWidgetValueSerializer } from './registry';
+import { TYPES_KEY, getTypeKey, getNestedFields } from './typedFields';
 
 /**
  * Methods for serializing/deserializing entry field values. Most widgets don't
@@ -20,6 +21,23 @@ import { getWidgetValueSerializer } from './registry';
  * registered deserialization handlers run on entry load, and serialization
  * handlers run on persist.
  */
+/**
+ * Serialize the values of an object or list item, keeping the type of items
+ * of fields with `types`. Items of unknown types are left as they are.
+ */
+const runNestedSerializer = (field, value, method) => {
+  const nestedFields = getNestedFields(field, value);
+  if (!nestedFields || !Map.isMap(value)) {
+    return value;
+  }
+  const serialized = runSerializer(value, nestedFields, method);
+  if (field.has(TYPES_KEY)) {
+    const typeKey = getTypeKey(field);
+    return serialized.set(typeKey, value.get(typeKey));
+  }
+  return serialized;
+};
+
 const runSerializer = (values, fields, method) => {
   /**
    * Reduce the list of fields to a map where keys are field names and values
@@ -31,16 +49,16 @@ const runSerializer = (values, fields, method) => {
     const fieldName = field.get('name');
     const value = values.get(fieldName);
     const serializer = getWidgetValueSerializer(field.get('widget'));
-    const nestedFields = field.get('fields');
+    const hasNestedFields = field.has('fields') || field.has(TYPES_KEY);
 
     // Call recursively for fields within lists
-    if (nestedFields && List.isList(value)) {
-      return acc.set(fieldName, value.map(val => runSerializer(val, nestedFields, method)));
+    if (hasNestedFields && List.isList(value)) {
+      return acc.set(fieldName, value.map(val => runNestedSerializer(field, val, method)));
     }
 
     // Call recursively for fields within objects
-    if (nestedFields && Map.isMap(value)) {
-      return acc.set(fieldName, runSerializer(value, nestedFields, method));
+    if (hasNestedFields && Map.isMap(value)) {
+      return acc.set(fieldName, runNestedSerializer(field, value, method));
     }
 
     // Run serialization method on value if not null or undefined
@@ -1,4 +1,6 @@
 import moment from 'moment';
+import { Iterable, Map } from 'immutable';
+import uuid from 'uuid/v4';
 import { selectInferedField } from 'Reducers/collections';
 
 // prepends a Zero if the date has only 1 digit
@@ -90,3 +92,29 @@ export function extractTemplateVars(template) {
   const matches = template.match(regexp) || [];
   return matches.map(elem => elem.match(contentRegexp)[0]);
 }
+
+const defaultValueParsers = {
+  now: () => new Date().toISOString(),
+  uuid: () => uuid(),
+  'author-login': ({ user }) => user.get('login') || '',
+  'author-name': ({ user }) => user.get('name') || '',
+};
+
+/**
+ * Resolve the tags in the default value of a hidden field when an entry is
+ * created. `{{fields.*}}` tags are replaced with values of the other fields in
+ * `data`. Unknown tags are kept as they are, as they may belong to the content
+ * itself, e.g. shortcodes.
+ */
+export function compileDefaultValueTemplate(template, { data = Map(), user = Map() } = {}) {
+  return template.replace(RegExp(templateVariablePattern, 'g'), (tag, key) => {
+    if (key.startsWith(FIELD_PREFIX)) {
+      const value = data.getIn(key.substring(FIELD_PREFIX.length).split('.'), '');
+      return Iterable.isIterable(value) ? '' : value;
+    }
+    if (defaultValueParsers[key]) {
+      return defaultValueParsers[key]({ user });
+    }
+    return tag;
+  });
+}
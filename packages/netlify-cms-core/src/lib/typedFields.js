@@ -0,0 +1,21 @@
+import { Map } from 'immutable';
+
+export const TYPES_KEY = 'types';
+export const TYPE_KEY = 'typeKey';
+export const DEFAULT_TYPE_KEY = 'type';
+
+export const getTypeKey = field => field.get(TYPE_KEY, DEFAULT_TYPE_KEY);
+
+/**
+ * Objects and list items of fields with `types` take the fields of the type
+ * named by their `typeKey` property, `type` by default. Other fields have the
+ * same nested `fields` for all values.
+ */
+export function getNestedFields(field, value) {
+  if (!field.has(TYPES_KEY)) {
+    return field.get('fields');
+  }
+  const typeName = Map.isMap(value) ? value.get(getTypeKey(field)) : undefined;
+  const type = field.get(TYPES_KEY).find(type => type.get('name') === typeName);
+  return type && type.get('fields');
+}
@@ -0,0 +1,52 @@
+import { List, Map } from 'immutable';
+import { status } from 'Constants/publishModes';
+
+const defaultStatuses = status.toList().map(name => Map({ name }));
+
+let cache = {};
+
+/**
+ * Returns the statuses of the editorial workflow in the order of the board
+ * columns, from `workflow.statuses` in the config or the default draft, review
+ * and ready statuses. Each status has a `name` stored as the status of
+ * unpublished entries, an optional `label`, the names of the statuses entries
+ * can be moved to in `transitions`, all of them by default, and `publish` if
+ * entries can be published from it. Without any `publish` status, entries are
+ * published from the last one.
+ */
+export function selectWorkflowStatuses(config) {
+  const configStatuses = config.getIn(['workflow', 'statuses']);
+  if (cache.configStatuses === configStatuses && cache.statuses) {
+    return cache.statuses;
+  }
+  const statuses = List.isList(configStatuses) ? configStatuses : defaultStatuses;
+  cache = {
+    configStatuses,
+    statuses: statuses.some(status => status.get('publish'))
+      ? statuses
+      : statuses.setIn([statuses.size - 1, 'publish'], true),
+  };
+  return cache.statuses;
+}
+
+/**
+ * New unpublished entries start with the first status.
+ */
+export function selectInitialStatus(config) {
+  return selectWorkflowStatuses(config)
+    .first()
+    .get('name');
+}
+
+export function isTransitionAllowed(statuses, from, to) {
+  if (from === to) {
+    return true;
+  }
+  const fromStatus = statuses.find(status => status.get('name') === from);
+  const transitions = fromStatus && fromStatus.get('transitions');
+  return !transitions || transitions.includes(to);
+}
+
+export function isPublishStatus(statuses, name) {
+  return statuses.some(status => status.get('name') === name && status.get('publish'));
+}
@@ -1,6 +1,13 @@
 import { OrderedMap, fromJS } from 'immutable';
 import { configLoaded } from 'Actions/config';
-import collections, { selectAllowDeletion } from '../collections';
+import collections, {
+  selectAllowDeletion,
+  selectEntryPath,
+  selectEntrySlug,
+  selectNestedDepth,
+  selectSortableFields,
+  selectViewFilters,
+} from '../collections';
 import { FILES, FOLDER } from 'Constants/collectionTypes';
 
 describe('collections', () => {
@@ -48,4 +55,122 @@ describe('collections', () => {
       ).toBe(false);
     });
   });
+
+  describe('selectSortableFields', () => {
+    it('should default to the title and date fields', () => {
+      const collection = fromJS({
+        type: FOLDER,
+        fields: [
+          { name: 'title', label: 'Title', widget: 'string' },
+          { name: 'date', label: 'Publish Date', widget: 'datetime' },
+          { name: 'body', widget: 'markdown' },
+        ],
+      });
+      expect(selectSortableFields(collection)).toEqual([
+        { key: 'title', label: 'Title' },
+        { key: 'date', label: 'Publish Date' },
+      ]);
+    });
+
+    it('should use the configured fields', () => {
+      const collection = fromJS({
+        type: FOLDER,
+        sortable_fields: ['title', 'author.name'],
+        fields: [
+          { name: 'title', widget: 'string' },
+          { name: 'author', widget: 'object', fields: [{ name: 'name', label: 'Author' }] },
+        ],
+      });
+      expect(selectSortableFields(collection)).toEqual([
+        { key: 'title', label: 'title' },
+        { key: 'author.name', label: 'Author' },
+      ]);
+    });
+
+    it('should not sort file collections', () => {
+      expect(selectSortableFields(fromJS({ type: FILES, sortable_fields: ['title'] }))).toEqual([]);
+    });
+  });
+
+  describe('selectViewFilters', () => {
+    it('should identify filters by field and pattern', () => {
+      const collection = fromJS({
+        view_filters: [{ label: 'Drafts', field: 'draft', pattern: true }],
+      });
+      expect(selectViewFilters(collection)).toEqual(
+        fromJS([{ label: 'Drafts', field: 'draft', pattern: true, id: 'draft__true' }]),
+      );
+    });
+  });
+
+  describe('nested', () => {
+    const collection = fromJS({
+      name: 'pages',
+      folder: 'content/pages/',
+      type: FOLDER,
+      nested: { depth: 3 },
+    });
+
+    it('should select slugs including the path below the folder', () => {
+      expect(selectEntrySlug(collection, 'content/pages/guides/setup/install.md')).toBe(
+        'guides/setup/install',
+      );
+      expect(selectEntrySlug(collection, 'content/pages/index.md')).toBe('index');
+    });
+
+    it('should select paths of nested slugs', () => {
+      expect(selectEntryPath(collection, 'guides/setup/install')).toBe(
+        'content/pages/guides/setup/install.md',
+      );
+    });
+
+    it('should only include the file name for other folder collections', () => {
+      expect(selectEntrySlug(collection.delete('nested'), 'content/pages/guides/install.md')).toBe(
+        'install',
+      );
+    });
+
+    it('should select the listing depth', () => {
+      expect(selectNestedDepth(collection)).toBe(3);
+      expect(selectNestedDepth(collection.delete('nested'))).toBe(1);
+    });
+  });
+
+  describe('i18n', () => {
+    const collection = structure =>
+      fromJS({
+        name: 'posts',
+        folder: 'content/posts',
+        type: FOLDER,
+        i18n: { structure, locales: ['en', 'de'], default_locale: 'en' },
+      });
+
+    it('should select locale folder paths', () => {
+      expect(selectEntryPath(collection('multiple_folders'), 'hello')).toBe(
+        'content/posts/en/hello.md',
+      );
+      expect(selectEntryPath(collection('multiple_folders'), 'hello', 'de')).toBe(
+        'content/posts/de/hello.md',
+      );
+      expect(selectEntrySlug(collection('multiple_folders'), 'content/posts/en/hello.md')).toBe(
+        'hello',
+      );
+    });
+
+    it('should select locale suffixed paths', () => {
+      expect(selectEntryPath(collection('multiple_files'), 'hello', 'de')).toBe(
+        'content/posts/hello.de.md',
+      );
+      expect(selectEntrySlug(collection('multiple_files'), 'content/posts/hello.en.md')).toBe(
+        'hello',
+      );
+    });
+
+    it('should select single file paths', () => {
+      expect(selectEntryPath(collection('single_file'), 'hello', 'de')).toBe(
+        'content/posts/hello.md',
+      );
+      expect(selectEntrySlug(collection('single_file'), 'content/posts/hello.md')).toBe('hello');
+    });
+  });
 });
@@ -0,0 +1,82 @@
+import { Map, fromJS } from 'immutable';
+import * as actions from 'Actions/comments';
+import { UNPUBLISHED_ENTRY_PUBLISH_SUCCESS } from 'Actions/editorialWorkflow';
+import reducer, { selectEntryComments, selectOpenCommentCounts } from '../comments';
+
+const comments = [
+  { id: '1', author: 'ada', body: 'Typo in the title', createdAt: '2020-01-01', resolved: true },
+  { id: '2', author: 'grace', body: 'Needs a summary', createdAt: '2020-01-02', resolved: false },
+];
+
+describe('comments reducer', () => {
+  it('should handle comments loading', () => {
+    const state = reducer(undefined, actions.entryCommentsLoading('posts', 'slug'));
+    expect(selectEntryComments(state, 'posts', 'slug')).toEqual(Map({ isFetching: true }));
+  });
+
+  it('should handle comments loaded', () => {
+    const state = reducer(undefined, actions.entryCommentsLoaded('posts', 'slug', comments));
+    expect(selectEntryComments(state, 'posts', 'slug')).toEqual(
+      fromJS({ isFetching: false, comments }),
+    );
+  });
+
+  it('should handle comments error', () => {
+    const state = reducer(undefined, actions.entryCommentsError('posts', 'slug', 'Oops'));
+    expect(selectEntryComments(state, 'posts', 'slug')).toEqual(
+      Map({ isFetching: false, error: 'Oops' }),
+    );
+  });
+
+  it('should append added comments', () => {
+    const comment = { id: '3', body: 'Looks good', createdAt: '2020-01-03', resolved: false };
+    let state = reducer(undefined, actions.entryCommentsLoaded('posts', 'slug', comments));
+    state = reducer(state, actions.entryCommentAdding('posts', 'slug'));
+    expect(selectEntryComments(state, 'posts', 'slug').get('isPosting')).toBe(true);
+
+    state = reducer(state, actions.entryCommentAdded('posts', 'slug', comment));
+    const entryComments = selectEntryComments(state, 'posts', 'slug');
+    expect(entryComments.get('isPosting')).toBe(false);
+    expect(entryComments.get('comments').last()).toEqual(fromJS(comment));
+  });
+
+  it('should mark comments as resolved', () => {
+    let state = reducer(undefined, actions.entryCommentsLoaded('posts', 'slug', comments));
+    state = reducer(state, actions.entryCommentResolving('posts', 'slug', '2'));
+    expect(selectEntryComments(state, 'posts', 'slug').getIn(['comments', 1, 'isResolving'])).toBe(
+      true,
+    );
+
+    state = reducer(state, actions.entryCommentResolved('posts', 'slug', '2'));
+    expect(
+      selectEntryComments(state, 'posts', 'slug')
+        .getIn(['comments', 1])
+        .toJS(),
+    ).toEqual({ ...comments[1], resolved: true, isResolving: false });
+  });
+
+  it('should keep comments unresolved on resolve error', () => {
+    let state = reducer(undefined, actions.entryCommentsLoaded('posts', 'slug', comments));
+    state = reducer(state, actions.entryCommentResolving('posts', 'slug', '2'));
+    state = reducer(state, actions.entryCommentResolveError('posts', 'slug', '2', 'Oops'));
+    expect(selectEntryComments(state, 'posts', 'slug').getIn(['comments', 1, 'resolved'])).toBe(
+      false,
+    );
+  });
+
+  it('should drop the comments of published entries', () => {
+    let state = reducer(undefined, actions.entryCommentsLoaded('posts', 'slug', comments));
+    state = reducer(state, {
+      type: UNPUBLISHED_ENTRY_PUBLISH_SUCCESS,
+      payload: { collection: 'posts', slug: 'slug' },
+    });
+    expect(selectEntryComments(state, 'posts', 'slug')).toBeUndefined();
+  });
+
+  it('should count open comments by entry', () => {
+    let state = reducer(undefined, actions.entryCommentsLoaded('posts', 'slug', comments));
+    state = reducer(state, actions.entryCommentsLoaded('pages', 'about', []));
+    state = reducer(state, actions.entryCommentsError('pages', 'contact', 'Oops'));
+    expect(selectOpenCommentCounts(state)).toEqual(Map({ 'posts.slug': 1, 'pages.about': 0 }));
+  });
+});
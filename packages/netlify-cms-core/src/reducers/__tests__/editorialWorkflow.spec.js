@@ -0,0 +1,31 @@
+import { fromJS, List } from 'immutable';
+import {
+  selectUnpublishedEntriesByStatus,
+  selectUnpublishedEntriesWithOtherStatuses,
+} from '../editorialWorkflow';
+
+const state = fromJS({
+  entities: {
+    'posts.a': { slug: 'a', metaData: { status: 'draft' } },
+    'posts.b': { slug: 'b', metaData: { status: 'pending_review' } },
+    'posts.c': { slug: 'c', metaData: { status: 'legal_review' } },
+  },
+});
+
+describe('editorialWorkflow reducer', () => {
+  it('should select the entries of a status', () => {
+    expect(
+      selectUnpublishedEntriesByStatus(state, 'draft')
+        .map(entry => entry.get('slug'))
+        .toArray(),
+    ).toEqual(['a']);
+  });
+
+  it('should select the entries with statuses which are not configured', () => {
+    expect(
+      selectUnpublishedEntriesWithOtherStatuses(state, List(['draft', 'pending_review']))
+        .map(entry => entry.get('slug'))
+        .toArray(),
+    ).toEqual(['c']);
+  });
+});
@@ -1,6 +1,11 @@
 import { Map, OrderedMap, fromJS } from 'immutable';
 import * as actions from 'Actions/entries';
-import reducer from '../entries';
+import {
+  SORT_DIRECTION_ASCENDING,
+  SORT_DIRECTION_DESCENDING,
+  SORT_DIRECTION_NONE,
+} from 'Constants/sortDirections';
+import reducer, { selectEntries, selectGroups } from '../entries';
 
 const initialState = OrderedMap({
   posts: Map({ name: 'posts' }),
@@ -36,6 +41,7 @@ describe('entries', () => {
             posts: {
               page: 0,
               ids: ['a', 'b'],
+              complete: true,
             },
           },
         }),
@@ -61,4 +67,212 @@ describe('entries', () => {
       ),
     );
   });
+
+  it('should remove the previous entry of a renamed entry', () => {
+    const collection = Map({ name: 'posts' });
+    const state = reducer(initialState, actions.entryLoaded(collection, { slug: 'a', path: '' }));
+
+    expect(
+      reducer(state, actions.entryRenamed(collection, 'a', 'b', { useWorkflow: false })),
+    ).toEqual(
+      OrderedMap(
+        fromJS({
+          posts: { name: 'posts' },
+          entities: {},
+          pages: { posts: { ids: [] } },
+        }),
+      ),
+    );
+    expect(
+      reducer(state, actions.entryRenamed(collection, 'a', 'b', { useWorkflow: true })),
+    ).toEqual(state);
+  });
+
+  describe('sort', () => {
+    const collection = Map({ name: 'posts' });
+    const entries = [
+      { slug: 'a', data: { title: 'beta', order: 1 } },
+      { slug: 'b', data: { title: 'Alpha', order: 3 } },
+      { slug: 'c', data: { title: 'gamma', order: 2 } },
+    ];
+
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should load the sort persisted by previous sessions', () => {
+      expect(reducer(undefined, { type: 'INIT' }).get('sort')).toEqual(Map());
+
+      localStorage.setItem(
+        'cms.entries-sort',
+        JSON.stringify({ posts: { key: 'title', direction: SORT_DIRECTION_ASCENDING } }),
+      );
+      expect(reducer(undefined, actions.loadSort()).getIn(['sort', 'posts'])).toEqual(
+        Map({ key: 'title', direction: SORT_DIRECTION_ASCENDING }),
+      );
+
+      localStorage.setItem('cms.entries-sort', '{');
+      expect(reducer(undefined, actions.loadSort()).get('sort')).toEqual(Map());
+    });
+
+    it('should store the sort of a collection', () => {
+      const state = reducer(
+        Map(),
+        actions.sortEntriesRequest(collection, 'title', SORT_DIRECTION_ASCENDING),
+      );
+      expect(state.getIn(['sort', 'posts'])).toEqual(
+        Map({ key: 'title', direction: SORT_DIRECTION_ASCENDING }),
+      );
+      expect(state.getIn(['pages', 'posts', 'isFetching'])).toBe(true);
+      // the sort is persisted by the action
+      expect(localStorage.getItem('cms.entries-sort')).toBeNull();
+    });
+
+    it('should remove the sort of a collection', () => {
+      const state = reducer(
+        fromJS({ sort: { posts: { key: 'title', direction: SORT_DIRECTION_ASCENDING } } }),
+        actions.sortEntriesRequest(collection, 'title', SORT_DIRECTION_NONE),
+      );
+      expect(state.get('sort')).toEqual(Map());
+    });
+
+    it('should select sorted entries', () => {
+      let state = reducer(
+        Map(),
+        actions.sortEntriesRequest(collection, 'title', SORT_DIRECTION_ASCENDING),
+      );
+      state = reducer(
+        state,
+        actions.sortEntriesSuccess(collection, 'title', SORT_DIRECTION_ASCENDING, entries),
+      );
+      expect(selectEntries(state, 'posts').map(entry => entry.get('slug'))).toEqual(
+        fromJS(['b', 'a', 'c']),
+      );
+
+      state = reducer(
+        state,
+        actions.sortEntriesRequest(collection, 'order', SORT_DIRECTION_DESCENDING),
+      );
+      expect(selectEntries(state, 'posts').map(entry => entry.get('slug'))).toEqual(
+        fromJS(['b', 'c', 'a']),
+      );
+    });
+
+    it('should remove the sort when sorting fails', () => {
+      const state = reducer(
+        fromJS({ sort: { posts: { key: 'title', direction: SORT_DIRECTION_ASCENDING } } }),
+        actions.sortEntriesFailure(collection, 'title', SORT_DIRECTION_ASCENDING, new Error()),
+      );
+      expect(state.get('sort')).toEqual(Map());
+      expect(state.getIn(['pages', 'posts', 'isFetching'])).toBe(false);
+    });
+  });
+
+  describe('view filters and groups', () => {
+    const collection = Map({ name: 'posts' });
+    const entries = [
+      { slug: 'a', data: { title: 'A', date: '2019-10-01', draft: true } },
+      { slug: 'b', data: { title: 'B', date: '2020-01-01', draft: false } },
+      { slug: 'c', data: { title: 'C', date: '2019-02-01' } },
+    ];
+    const loaded = reducer(
+      Map(),
+      actions.filterEntriesSuccess(collection, Map({ id: 'draft__true' }), entries),
+    );
+    const slugs = list => list.map(entry => entry.get('slug')).toArray();
+
+    it('should toggle filters', () => {
+      const filter = fromJS({ id: 'draft__true', field: 'draft', pattern: true });
+      let state = reducer(loaded, actions.filterEntriesRequest(collection, filter));
+      expect(state.getIn(['filter', 'posts', 'draft__true', 'active'])).toBe(true);
+      expect(slugs(selectEntries(state, 'posts'))).toEqual(['a']);
+
+      state = reducer(state, actions.filterEntriesRequest(collection, filter));
+      expect(state.getIn(['filter', 'posts', 'draft__true', 'active'])).toBe(false);
+      expect(slugs(selectEntries(state, 'posts'))).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should only mark listings without a next page as complete', () => {
+      const paginated = reducer(
+        Map(),
+        actions.entriesLoaded(collection, entries, 0, { actions: ['next'] }, false),
+      );
+      expect(paginated.getIn(['pages', 'posts', 'complete'])).toBe(false);
+      expect(loaded.getIn(['pages', 'posts', 'complete'])).toBe(true);
+    });
+
+    it('should keep the complete listing when filtering it again', () => {
+      const filter = fromJS({ id: 'draft__true', field: 'draft', pattern: true });
+      let state = reducer(loaded, actions.filterEntriesRequest(collection, filter));
+      expect(state.getIn(['pages', 'posts', 'isFetching'])).toBe(true);
+
+      state = reducer(state, actions.filterEntriesSuccess(collection, filter));
+      expect(state.getIn(['pages', 'posts', 'isFetching'])).toBe(false);
+      expect(slugs(selectEntries(state, 'posts'))).toEqual(['a']);
+    });
+
+    it('should only show entries matching every active filter', () => {
+      let state = reducer(
+        loaded,
+        actions.filterEntriesRequest(
+          collection,
+          fromJS({ id: 'f1', field: 'date', pattern: '^2019' }),
+        ),
+      );
+      expect(slugs(selectEntries(state, 'posts'))).toEqual(['a', 'c']);
+      state = reducer(
+        state,
+        actions.filterEntriesRequest(
+          collection,
+          fromJS({ id: 'f2', field: 'title', pattern: 'C' }),
+        ),
+      );
+      expect(slugs(selectEntries(state, 'posts'))).toEqual(['c']);
+    });
+
+    it('should group entries by the pattern match', () => {
+      const group = fromJS({ id: 'date__\\d{4}', label: 'Year', field: 'date', pattern: '\\d{4}' });
+      const state = reducer(loaded, actions.groupEntriesRequest(collection, group));
+      expect(
+        selectGroups(state, 'posts').map(({ value, entries }) => [value, slugs(entries)]),
+      ).toEqual([['2019', ['a', 'c']], ['2020', ['b']]]);
+    });
+
+    it('should group entries by value and put missing values last', () => {
+      const group = fromJS({ id: 'draft__', label: 'Drafts', field: 'draft' });
+      const state = reducer(loaded, actions.groupEntriesRequest(collection, group));
+      expect(
+        selectGroups(state, 'posts').map(({ value, entries }) => [value, slugs(entries)]),
+      ).toEqual([['true', ['a']], ['false', ['b']], [undefined, ['c']]]);
+    });
+
+    it('should only keep one group active', () => {
+      const year = fromJS({ id: 'year', label: 'Year', field: 'date', pattern: '\\d{4}' });
+      const draft = fromJS({ id: 'draft', label: 'Drafts', field: 'draft' });
+      let state = reducer(loaded, actions.groupEntriesRequest(collection, year));
+      state = reducer(state, actions.groupEntriesRequest(collection, draft));
+      expect(state.getIn(['group', 'posts', 'year', 'active'])).toBe(false);
+      expect(state.getIn(['group', 'posts', 'draft', 'active'])).toBe(true);
+      state = reducer(state, actions.groupEntriesRequest(collection, draft));
+      expect(selectGroups(state, 'posts')).toBeUndefined();
+    });
+
+    it('should select the same entries and groups until they change', () => {
+      const group = fromJS({ id: 'draft__', label: 'Drafts', field: 'draft' });
+      let state = reducer(loaded, actions.groupEntriesRequest(collection, group));
+      const selectedEntries = selectEntries(state, 'posts');
+      const groups = selectGroups(state, 'posts');
+
+      state = reducer(state, actions.entriesLoading(Map({ name: 'pages' })));
+      expect(selectEntries(state, 'posts')).toBe(selectedEntries);
+      expect(selectGroups(state, 'posts')).toBe(groups);
+
+      state = reducer(
+        state,
+        actions.sortEntriesRequest(collection, 'title', SORT_DIRECTION_DESCENDING),
+      );
+      expect(slugs(selectEntries(state, 'posts'))).toEqual(['c', 'b', 'a']);
+      expect(selectGroups(state, 'posts')).not.toBe(groups);
+    });
+  });
 });
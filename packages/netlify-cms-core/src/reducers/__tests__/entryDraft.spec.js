@@ -1,5 +1,6 @@
 import { Map, List, fromJS } from 'immutable';
 import * as actions from 'Actions/entries';
+import { restoreDraftRevision } from 'Actions/history';
 import reducer from '../entryDraft';
 
 let initialState = Map({
@@ -55,6 +56,65 @@ describe('entryDraft reducer', () => {
     });
   });
 
+  describe('DRAFT_CHANGE_FIELD', () => {
+    it('should change a field of the entry', () => {
+      const state = reducer(initialState, actions.emptyDraftCreated(fromJS(entry)));
+      const newState = reducer(state, actions.changeDraftField('title', 'Hello', {}));
+      expect(newState.getIn(['entry', 'data', 'title'])).toBe('Hello');
+      expect(newState.get('hasChanged')).toBe(true);
+    });
+
+    it('should change a field of a translation', () => {
+      const state = reducer(initialState, actions.emptyDraftCreated(fromJS(entry)));
+      const newState = reducer(state, actions.changeDraftField('title', 'Hallo', {}, 'de'));
+      expect(newState.getIn(['entry', 'i18n', 'de', 'data', 'title'])).toBe('Hallo');
+      expect(newState.getIn(['entry', 'data', 'title'])).toBeUndefined();
+    });
+
+    it('should mark edited translations of new entries', () => {
+      const state = reducer(
+        initialState,
+        actions.emptyDraftCreated(
+          fromJS({
+            ...entry,
+            i18n: { de: { data: {}, pristine: true }, fr: { data: {}, pristine: true } },
+          }),
+        ),
+      );
+      const newState = reducer(state, actions.changeDraftField('title', 'Hallo', {}, 'de'));
+      expect(newState.getIn(['entry', 'i18n', 'de', 'pristine'])).toBeUndefined();
+      expect(newState.getIn(['entry', 'i18n', 'fr', 'pristine'])).toBe(true);
+    });
+  });
+
+  describe('DRAFT_RESTORE_REVISION', () => {
+    it('should replace the data of the draft and keep its path', () => {
+      const state = reducer(
+        initialState,
+        actions.createDraftFromEntry(fromJS({ ...entry, data: { title: 'New' } })),
+      );
+      const revision = fromJS({ ...entry, path: 'old/path.md', data: { title: 'Old' } });
+      const newState = reducer(state, restoreDraftRevision(revision));
+      expect(newState.getIn(['entry', 'data'])).toEqual(Map({ title: 'Old' }));
+      expect(newState.getIn(['entry', 'path'])).toBe(entry.path);
+      expect(newState.get('hasChanged')).toBe(true);
+    });
+  });
+
+  describe('DRAFT_ENTRY_VALIDATION_ERRORS', () => {
+    it('should replace the errors of the entry validation rules', () => {
+      const error = { type: 'CUSTOM', message: 'error' };
+      const state = initialState.set(
+        'fieldsErrors',
+        Map({ 'title-field-1': [error], 'entry.body': [error] }),
+      );
+      const newState = reducer(state, actions.changeDraftEntryValidation({ date: [error] }));
+      expect(newState.get('fieldsErrors')).toEqual(
+        Map({ 'title-field-1': [error], 'entry.date': [error] }),
+      );
+    });
+  });
+
   describe('DRAFT_DISCARD', () => {
     it('should discard the draft and return initial state', () => {
       expect(reducer(initialState, actions.discardDraft())).toEqual(initialState);
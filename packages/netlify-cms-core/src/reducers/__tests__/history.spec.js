@@ -0,0 +1,49 @@
+import { Map, fromJS } from 'immutable';
+import * as actions from 'Actions/history';
+import reducer, { selectEntryHistory, selectEntryRevision } from '../history';
+
+const collection = Map({ name: 'posts' });
+
+describe('history reducer', () => {
+  it('should handle history loading', () => {
+    const state = reducer(undefined, actions.entryHistoryLoading(collection, 'slug'));
+    expect(selectEntryHistory(state, 'posts', 'slug')).toEqual(Map({ isFetching: true }));
+  });
+
+  it('should handle history loaded', () => {
+    const revisions = [{ sha: 'abc', message: 'Update', author: 'Jane', date: '2020-01-01' }];
+    const state = reducer(undefined, actions.entryHistoryLoaded(collection, 'slug', revisions));
+    expect(selectEntryHistory(state, 'posts', 'slug')).toEqual(
+      fromJS({ isFetching: false, revisions }),
+    );
+  });
+
+  it('should handle history error', () => {
+    const state = reducer(undefined, actions.entryHistoryError(collection, 'slug', 'Oops'));
+    expect(selectEntryHistory(state, 'posts', 'slug')).toEqual(
+      Map({ isFetching: false, error: 'Oops' }),
+    );
+  });
+
+  it('should handle revision loading and loaded', () => {
+    const entry = fromJS({ slug: 'slug', data: { title: 'Old' } });
+    let state = reducer(undefined, actions.entryRevisionLoading(collection, 'slug', 'abc'));
+    expect(selectEntryRevision(state, 'posts', 'slug', 'abc').get('isFetching')).toBe(true);
+
+    state = reducer(state, actions.entryRevisionLoaded(collection, 'slug', 'abc', entry));
+    expect(selectEntryRevision(state, 'posts', 'slug', 'abc')).toEqual(
+      Map({ isFetching: false, entry }),
+    );
+    expect(selectEntryRevision(state, 'posts', 'slug', 'def')).toBeUndefined();
+  });
+
+  it('should handle revision error', () => {
+    const state = reducer(
+      undefined,
+      actions.entryRevisionError(collection, 'slug', 'abc', 'Not found'),
+    );
+    expect(selectEntryRevision(state, 'posts', 'slug', 'abc')).toEqual(
+      Map({ isFetching: false, error: 'Not found' }),
+    );
+  });
+});
@@ -1,10 +1,11 @@
 import { List } from 'immutable';
-import { get, escapeRegExp } from 'lodash';
+import { get, escapeRegExp, uniq } from 'lodash';
 import consoleError from 'Lib/consoleError';
 import { CONFIG_SUCCESS } from 'Actions/config';
 import { FILES, FOLDER } from 'Constants/collectionTypes';
 import { INFERABLE_FIELDS, IDENTIFIER_FIELDS } from 'Constants/fieldInference';
 import { formatExtensions } from 'Formats/formats';
+import { hasI18n, getI18nInfo, getLocalePath, getSlugWithoutLocale } from 'Lib/i18n';
 
 const collections = (state = null, action) => {
   switch (action.type) {
@@ -44,10 +45,15 @@ const selectors = {
       )}`;
     },
     entrySlug(collection, path) {
-      return path
-        .split('/')
-        .pop()
-        .replace(new RegExp(`\\.${escapeRegExp(this.entryExtension(collection))}$`), '');
+      // slugs of nested entries include their path below the collection folder
+      const folder = collection.get('folder').replace(/\/$/, '');
+      const fileName = collection.has('nested')
+        ? path.replace(new RegExp(`^${escapeRegExp(folder)}/`), '')
+        : path.split('/').pop();
+      return fileName.replace(
+        new RegExp(`\\.${escapeRegExp(this.entryExtension(collection))}$`),
+        '',
+      );
     },
     listMethod() {
       return 'entriesByFolder';
@@ -108,10 +114,38 @@ export const selectFolderEntryExtension = collection =>
   selectors[FOLDER].entryExtension(collection);
 export const selectFileEntryLabel = (collection, slug) =>
   selectors[FILES].entryLabel(collection, slug);
-export const selectEntryPath = (collection, slug) =>
-  selectors[collection.get('type')].entryPath(collection, slug);
-export const selectEntrySlug = (collection, path) =>
-  selectors[collection.get('type')].entrySlug(collection, path);
+
+/**
+ * For translated collections, paths and slugs refer to the default locale
+ * file unless another `locale` is requested.
+ */
+export const selectEntryPath = (collection, slug, locale) => {
+  const path = selectors[collection.get('type')].entryPath(collection, slug);
+  if (!path || !hasI18n(collection)) {
+    return path;
+  }
+  const { structure, defaultLocale } = getI18nInfo(collection);
+  return getLocalePath(structure, path, locale || defaultLocale);
+};
+export const selectEntrySlug = (collection, path) => {
+  if (!hasI18n(collection)) {
+    return selectors[collection.get('type')].entrySlug(collection, path);
+  }
+  const { structure, defaultLocale } = getI18nInfo(collection);
+  if (collection.get('type') === FILES) {
+    const file = collection
+      .get('files')
+      .find(f => getLocalePath(structure, f.get('file'), defaultLocale) === path);
+    return file && file.get('name');
+  }
+  const folder = collection.get('folder').replace(/\/$/, '');
+  const extension = selectors[FOLDER].entryExtension(collection);
+  const slug = path
+    .replace(new RegExp(`^${escapeRegExp(folder)}/`), '')
+    .replace(new RegExp(`\\.${escapeRegExp(extension)}$`), '');
+  return getSlugWithoutLocale(structure, slug, defaultLocale);
+};
+export const selectNestedDepth = collection => collection.getIn(['nested', 'depth'], 1);
 export const selectListMethod = collection => selectors[collection.get('type')].listMethod();
 export const selectAllowNewEntries = collection =>
   selectors[collection.get('type')].allowNewEntries(collection);
@@ -127,6 +161,41 @@ export const selectIdentifier = collection => {
     fieldNames.find(name => name.toLowerCase().trim() === id.toLowerCase().trim()),
   );
 };
+const selectField = (collection, key) => {
+  const findField = (fields, names) => {
+    const field = fields && fields.find(f => f.get('name') === names[0]);
+    return field && names.length > 1 ? findField(field.get('fields'), names.slice(1)) : field;
+  };
+  return findField(collection.get('fields'), key.split('.'));
+};
+
+/**
+ * Returns the fields entries of a folder collection can be sorted by, as
+ * `{ key, label }` objects. Defaults to the inferred title and date fields.
+ */
+export const selectSortableFields = collection => {
+  if (collection.get('type') !== FOLDER) {
+    return [];
+  }
+  const keys = collection.has('sortable_fields')
+    ? collection.get('sortable_fields').toArray()
+    : [selectInferedField(collection, 'title'), selectInferedField(collection, 'date')];
+  return uniq(keys.filter(Boolean)).map(key => {
+    const field = selectField(collection, key);
+    return { key, label: (field && field.get('label')) || key };
+  });
+};
+
+/**
+ * View filters and groups are identified by their field and pattern, so they
+ * can be toggled and stored independently of their position in the config.
+ */
+const withViewIds = views =>
+  views.map(view => view.set('id', `${view.get('field')}__${view.get('pattern', '')}`));
+
+export const selectViewFilters = collection => withViewIds(collection.get('view_filters', List()));
+export const selectViewGroups = collection => withViewIds(collection.get('view_groups', List()));
+
 export const selectInferedField = (collection, fieldName) => {
   if (fieldName === 'title' && collection.get('identifier_field')) {
     return selectIdentifier(collection);
@@ -0,0 +1,94 @@
+import { Map, List, fromJS } from 'immutable';
+import {
+  ENTRY_COMMENTS_REQUEST,
+  ENTRY_COMMENTS_SUCCESS,
+  ENTRY_COMMENTS_FAILURE,
+  ENTRY_COMMENT_ADD_REQUEST,
+  ENTRY_COMMENT_ADD_SUCCESS,
+  ENTRY_COMMENT_ADD_FAILURE,
+  ENTRY_COMMENT_RESOLVE_REQUEST,
+  ENTRY_COMMENT_RESOLVE_SUCCESS,
+  ENTRY_COMMENT_RESOLVE_FAILURE,
+} from 'Actions/comments';
+import {
+  UNPUBLISHED_ENTRY_PUBLISH_SUCCESS,
+  UNPUBLISHED_ENTRY_DELETE_SUCCESS,
+} from 'Actions/editorialWorkflow';
+
+const comments = (state = Map(), action) => {
+  switch (action.type) {
+    case ENTRY_COMMENTS_REQUEST: {
+      const { collection, slug } = action.payload;
+      return state.setIn([`${collection}.${slug}`, 'isFetching'], true);
+    }
+
+    case ENTRY_COMMENTS_SUCCESS: {
+      const { collection, slug, comments } = action.payload;
+      return state.set(`${collection}.${slug}`, fromJS({ isFetching: false, comments }));
+    }
+
+    case ENTRY_COMMENTS_FAILURE: {
+      const { collection, slug, error } = action.payload;
+      return state.set(`${collection}.${slug}`, fromJS({ isFetching: false, error }));
+    }
+
+    case ENTRY_COMMENT_ADD_REQUEST: {
+      const { collection, slug } = action.payload;
+      return state.setIn([`${collection}.${slug}`, 'isPosting'], true);
+    }
+
+    case ENTRY_COMMENT_ADD_SUCCESS: {
+      const { collection, slug, comment } = action.payload;
+      return state.update(`${collection}.${slug}`, Map(), entryComments =>
+        entryComments
+          .set('isPosting', false)
+          .update('comments', List(), comments => comments.push(fromJS(comment))),
+      );
+    }
+
+    case ENTRY_COMMENT_ADD_FAILURE: {
+      const { collection, slug } = action.payload;
+      return state.setIn([`${collection}.${slug}`, 'isPosting'], false);
+    }
+
+    case ENTRY_COMMENT_RESOLVE_REQUEST:
+    case ENTRY_COMMENT_RESOLVE_SUCCESS:
+    case ENTRY_COMMENT_RESOLVE_FAILURE: {
+      const { collection, slug, commentId } = action.payload;
+      return state.updateIn([`${collection}.${slug}`, 'comments'], List(), comments =>
+        comments.map(comment => {
+          if (comment.get('id') !== commentId) {
+            return comment;
+          }
+          return comment.withMutations(map => {
+            map.set('isResolving', action.type === ENTRY_COMMENT_RESOLVE_REQUEST);
+            if (action.type === ENTRY_COMMENT_RESOLVE_SUCCESS) {
+              map.set('resolved', true);
+            }
+          });
+        }),
+      );
+    }
+
+    case UNPUBLISHED_ENTRY_PUBLISH_SUCCESS:
+    case UNPUBLISHED_ENTRY_DELETE_SUCCESS: {
+      const { collection, slug } = action.payload;
+      return state.delete(`${collection}.${slug}`);
+    }
+
+    default:
+      return state;
+  }
+};
+
+export const selectEntryComments = (state, collection, slug) => state.get(`${collection}.${slug}`);
+
+/**
+ * Counts the comments which are not resolved yet, by entry.
+ */
+export const selectOpenCommentCounts = state =>
+  state
+    .filter(entryComments => entryComments.has('comments'))
+    .map(entryComments => entryComments.get('comments').count(comment => !comment.get('resolved')));
+
+export default comments;
@@ -1,6 +1,11 @@
 import { fromJS } from 'immutable';
 import { Cursor } from 'netlify-cms-lib-util';
-import { ENTRIES_SUCCESS } from 'Actions/entries';
+import {
+  ENTRIES_SUCCESS,
+  SORT_ENTRIES_SUCCESS,
+  FILTER_ENTRIES_SUCCESS,
+  GROUP_ENTRIES_SUCCESS,
+} from 'Actions/entries';
 
 // Since pagination can be used for a variety of views (collections
 // and searches are the most common examples), we namespace cursors by
@@ -17,6 +22,17 @@ const cursors = (state = fromJS({ cursorsByType: { collectionEntries: {} } }), a
       );
     }
 
+    // sorted, filtered and grouped collections are listed in full, so there
+    // are no more pages to load
+    case SORT_ENTRIES_SUCCESS:
+    case FILTER_ENTRIES_SUCCESS:
+    case GROUP_ENTRIES_SUCCESS: {
+      return state.setIn(
+        ['cursorsByType', 'collectionEntries', action.payload.collection],
+        Cursor.create().store,
+      );
+    }
+
     default:
       return state;
   }
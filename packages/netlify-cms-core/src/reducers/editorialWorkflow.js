@@ -12,11 +12,15 @@ import {
   UNPUBLISHED_ENTRY_STATUS_CHANGE_REQUEST,
   UNPUBLISHED_ENTRY_STATUS_CHANGE_SUCCESS,
   UNPUBLISHED_ENTRY_STATUS_CHANGE_FAILURE,
+  UNPUBLISHED_ENTRY_SCHEDULE_REQUEST,
+  UNPUBLISHED_ENTRY_SCHEDULE_SUCCESS,
+  UNPUBLISHED_ENTRY_SCHEDULE_FAILURE,
   UNPUBLISHED_ENTRY_PUBLISH_REQUEST,
   UNPUBLISHED_ENTRY_PUBLISH_SUCCESS,
   UNPUBLISHED_ENTRY_PUBLISH_FAILURE,
   UNPUBLISHED_ENTRY_DELETE_SUCCESS,
 } from 'Actions/editorialWorkflow';
+import { ENTRY_RENAME_SUCCESS } from 'Actions/entries';
 import { CONFIG_SUCCESS } from 'Actions/config';
 
 const unpublishedEntries = (state = Map(), action) => {
@@ -110,6 +114,31 @@ const unpublishedEntries = (state = Map(), action) => {
         false,
       );
 
+    case UNPUBLISHED_ENTRY_SCHEDULE_REQUEST:
+      // Update Optimistically
+      return state.withMutations(map => {
+        map.setIn(
+          [
+            'entities',
+            `${action.payload.collection}.${action.payload.slug}`,
+            'metaData',
+            'publish_at',
+          ],
+          action.payload.publishAt,
+        );
+        map.setIn(
+          ['entities', `${action.payload.collection}.${action.payload.slug}`, 'isUpdatingStatus'],
+          true,
+        );
+      });
+
+    case UNPUBLISHED_ENTRY_SCHEDULE_SUCCESS:
+    case UNPUBLISHED_ENTRY_SCHEDULE_FAILURE:
+      return state.setIn(
+        ['entities', `${action.payload.collection}.${action.payload.slug}`, 'isUpdatingStatus'],
+        false,
+      );
+
     case UNPUBLISHED_ENTRY_PUBLISH_REQUEST:
       return state.setIn(
         ['entities', `${action.payload.collection}.${action.payload.slug}`, 'isPublishing'],
@@ -125,6 +154,11 @@ const unpublishedEntries = (state = Map(), action) => {
     case UNPUBLISHED_ENTRY_DELETE_SUCCESS:
       return state.deleteIn(['entities', `${action.payload.collection}.${action.payload.slug}`]);
 
+    case ENTRY_RENAME_SUCCESS: {
+      const { collectionName, entrySlug, unpublished } = action.payload;
+      return unpublished ? state.deleteIn(['entities', `${collectionName}.${entrySlug}`]) : state;
+    }
+
     default:
       return state;
   }
@@ -141,6 +175,18 @@ export const selectUnpublishedEntriesByStatus = (state, status) => {
     .valueSeq();
 };
 
+/**
+ * Selects the entries with a status which isn't one of `statuses`, such as a
+ * status which was removed from `workflow.statuses` in the config.
+ */
+export const selectUnpublishedEntriesWithOtherStatuses = (state, statuses) => {
+  if (!state) return null;
+  return state
+    .get('entities')
+    .filterNot(entry => statuses.includes(entry.getIn(['metaData', 'status'])))
+    .valueSeq();
+};
+
 export const selectUnpublishedSlugs = (state, collection) => {
   if (!state.get('entities')) return null;
   return state
@@ -1,4 +1,5 @@
 import { Map, List, fromJS } from 'immutable';
+import { isString, orderBy } from 'lodash';
 import {
   ENTRY_REQUEST,
   ENTRY_SUCCESS,
@@ -7,9 +8,35 @@ import {
   ENTRIES_SUCCESS,
   ENTRIES_FAILURE,
   ENTRY_DELETE_SUCCESS,
+  ENTRY_RENAME_SUCCESS,
+  SORT_ENTRIES_REQUEST,
+  SORT_ENTRIES_SUCCESS,
+  SORT_ENTRIES_FAILURE,
+  SORT_ENTRIES_LOAD,
+  FILTER_ENTRIES_REQUEST,
+  FILTER_ENTRIES_SUCCESS,
+  FILTER_ENTRIES_FAILURE,
+  GROUP_ENTRIES_REQUEST,
+  GROUP_ENTRIES_SUCCESS,
+  GROUP_ENTRIES_FAILURE,
 } from 'Actions/entries';
 
 import { SEARCH_ENTRIES_SUCCESS } from 'Actions/search';
+import { SORT_DIRECTION_DESCENDING, SORT_DIRECTION_NONE } from 'Constants/sortDirections';
+
+// Stores the complete listing of a collection, loaded to sort, filter or group it
+const setAllEntries = (map, collection, allEntries) => {
+  allEntries.forEach(entry =>
+    map.setIn(['entities', `${collection}.${entry.slug}`], fromJS(entry).set('isFetching', false)),
+  );
+  map.setIn(
+    ['pages', collection],
+    Map({ page: 0, ids: List(allEntries.map(entry => entry.slug)), complete: true }),
+  );
+};
+
+const toggleView = (views, view) =>
+  views.set(view.get('id'), view.set('active', !views.getIn([view.get('id'), 'active'], false)));
 
 let collection;
 let loadedEntries;
@@ -17,7 +44,7 @@ let append;
 let page;
 let slug;
 
-const entries = (state = Map({ entities: Map(), pages: Map() }), action) => {
+const entries = (state = Map({ entities: Map(), pages: Map(), sort: Map() }), action) => {
   switch (action.type) {
     case ENTRY_REQUEST:
       return state.setIn(
@@ -58,6 +85,8 @@ const entries = (state = Map({ entities: Map(), pages: Map() }), action) => {
           Map({
             page,
             ids: append ? map.getIn(['pages', collection, 'ids'], List()).concat(ids) : ids,
+            // the listing is complete once there is no next page to load
+            complete: !action.payload.cursor.actions.has('next'),
           }),
         );
       });
@@ -65,6 +94,67 @@ const entries = (state = Map({ entities: Map(), pages: Map() }), action) => {
     case ENTRIES_FAILURE:
       return state.setIn(['pages', action.meta.collection, 'isFetching'], false);
 
+    case SORT_ENTRIES_REQUEST: {
+      const { collection, key, direction } = action.payload;
+      return state.withMutations(map => {
+        const sort = map.get('sort', Map());
+        map.set(
+          'sort',
+          direction === SORT_DIRECTION_NONE
+            ? sort.delete(collection)
+            : sort.set(collection, Map({ key, direction })),
+        );
+        if (direction !== SORT_DIRECTION_NONE) {
+          map.setIn(['pages', collection, 'isFetching'], true);
+        }
+      });
+    }
+
+    case SORT_ENTRIES_SUCCESS:
+    case FILTER_ENTRIES_SUCCESS:
+    case GROUP_ENTRIES_SUCCESS: {
+      // without entries, the complete listing was loaded already
+      const { collection, entries: allEntries } = action.payload;
+      return allEntries
+        ? state.withMutations(map => setAllEntries(map, collection, allEntries))
+        : state.setIn(['pages', collection, 'isFetching'], false);
+    }
+
+    case SORT_ENTRIES_LOAD:
+      return state.set('sort', fromJS(action.payload.sort));
+
+    case SORT_ENTRIES_FAILURE: {
+      const { collection } = action.payload;
+      return state.withMutations(map => {
+        map.deleteIn(['sort', collection]);
+        map.setIn(['pages', collection, 'isFetching'], false);
+      });
+    }
+
+    case FILTER_ENTRIES_REQUEST:
+    case FILTER_ENTRIES_FAILURE: {
+      // failing to load the entries reverts the toggle of the request
+      const { collection, filter } = action.payload;
+      return state.withMutations(map => {
+        map.updateIn(['filter', collection], Map(), filters => toggleView(filters, filter));
+        map.setIn(['pages', collection, 'isFetching'], action.type === FILTER_ENTRIES_REQUEST);
+      });
+    }
+
+    case GROUP_ENTRIES_REQUEST:
+    case GROUP_ENTRIES_FAILURE: {
+      const { collection, group } = action.payload;
+      return state.withMutations(map => {
+        map.updateIn(['group', collection], Map(), groups =>
+          toggleView(
+            groups.map(g => (g.get('id') === group.get('id') ? g : g.set('active', false))),
+            group,
+          ),
+        );
+        map.setIn(['pages', collection, 'isFetching'], action.type === GROUP_ENTRIES_REQUEST);
+      });
+    }
+
     case ENTRY_FAILURE:
       return state.withMutations(map => {
         map.setIn(
@@ -96,6 +186,18 @@ const entries = (state = Map({ entities: Map(), pages: Map() }), action) => {
         );
       });
 
+    case ENTRY_RENAME_SUCCESS: {
+      // with the editorial workflow, published entries only move once the rename is published
+      const { collectionName, entrySlug, useWorkflow } = action.payload;
+      if (useWorkflow) {
+        return state;
+      }
+      return state.withMutations(map => {
+        map.deleteIn(['entities', `${collectionName}.${entrySlug}`]);
+        map.updateIn(['pages', collectionName, 'ids'], ids => ids.filter(id => id !== entrySlug));
+      });
+    }
+
     default:
       return state;
   }
@@ -107,9 +209,115 @@ export const selectEntry = (state, collection, slug) =>
 export const selectPublishedSlugs = (state, collection) =>
   state.getIn(['pages', collection, 'ids'], List());
 
+export const selectEntriesSort = (state, collection) => state.getIn(['sort', collection]);
+
+export const selectEntriesLoadedInFull = (state, collection) =>
+  state.getIn(['pages', collection, 'complete'], false);
+
+const sortEntries = (entries, key, direction) => {
+  const path = ['data', ...key.split('.')];
+  const getValue = entry => {
+    const value = entry && entry.getIn(path);
+    return isString(value) ? value.toLowerCase() : value;
+  };
+  const order = direction === SORT_DIRECTION_DESCENDING ? 'desc' : 'asc';
+  return List(orderBy(entries.toArray(), [getValue], [order]));
+};
+
+export const selectEntriesFilter = (state, collection) =>
+  state.getIn(['filter', collection], Map());
+
+export const selectEntriesGroup = (state, collection) => state.getIn(['group', collection], Map());
+
+const getFieldValue = (entry, field) => entry.getIn(['data', ...field.split('.')]);
+
+// Entries are shown when they match every active filter
+const filterEntries = (entries, filters) =>
+  entries.filter(
+    entry =>
+      entry &&
+      filters.every(filter => {
+        const value = getFieldValue(entry, filter.get('field'));
+        return value !== undefined && new RegExp(String(filter.get('pattern'))).test(String(value));
+      }),
+  );
+
+/**
+ * Caches a result for each collection until one of its dependencies changes,
+ * so that components get the same lists again while other state changes.
+ */
+const createCollectionCache = () => {
+  const cache = {};
+  return (collection, dependencies, compute) => {
+    const cached = cache[collection];
+    if (cached && cached.dependencies.every((dependency, i) => dependency === dependencies[i])) {
+      return cached.result;
+    }
+    const result = compute();
+    cache[collection] = { dependencies, result };
+    return result;
+  };
+};
+
+const cachedEntries = createCollectionCache();
+
 export const selectEntries = (state, collection) => {
   const slugs = selectPublishedSlugs(state, collection);
-  return slugs && slugs.map(slug => selectEntry(state, collection, slug));
+  const entities = state.get('entities');
+  const sort = selectEntriesSort(state, collection);
+  const entriesFilter = selectEntriesFilter(state, collection);
+  return cachedEntries(collection, [slugs, entities, sort, entriesFilter], () => {
+    let entries = slugs && slugs.map(slug => selectEntry(state, collection, slug));
+    if (entries && sort) {
+      entries = sortEntries(entries, sort.get('key'), sort.get('direction'));
+    }
+    const filters = entriesFilter.filter(filter => filter.get('active'));
+    return entries && filters.size > 0 ? filterEntries(entries, filters) : entries;
+  });
+};
+
+/**
+ * Returns the value an entry is grouped by: the part of the field value
+ * matching the group `pattern`, or the whole value without one.
+ */
+const getGroupValue = (entry, group) => {
+  const value = getFieldValue(entry, group.get('field'));
+  if (value === undefined || value === null || value === '') {
+    return;
+  }
+  if (!group.has('pattern')) {
+    return String(value);
+  }
+  const matched = String(value).match(new RegExp(group.get('pattern')));
+  return matched ? matched[0] : undefined;
+};
+
+/**
+ * Groups the entries of a collection by the active view group, keeping the
+ * order of the entries. Returns `undefined` when no group is active.
+ */
+const cachedGroups = createCollectionCache();
+
+export const selectGroups = (state, collection) => {
+  const group = selectEntriesGroup(state, collection).find(g => g.get('active'));
+  const entries = selectEntries(state, collection);
+  if (!group || !entries) {
+    return;
+  }
+  return cachedGroups(collection, [entries, group], () =>
+    entries
+      .filter(Boolean)
+      .groupBy(entry => getGroupValue(entry, group))
+      .map((groupEntries, value) => ({
+        id: `${group.get('id')}__${value}`,
+        label: group.get('label'),
+        value,
+        entries: groupEntries.toList(),
+      }))
+      .toList()
+      .sortBy(({ value }) => value === undefined)
+      .toArray(),
+  );
 };
 
 export default entries;
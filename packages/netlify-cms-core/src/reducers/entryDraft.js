@@ -5,6 +5,7 @@ import {
   DRAFT_DISCARD,
   DRAFT_CHANGE_FIELD,
   DRAFT_VALIDATION_ERRORS,
+  DRAFT_ENTRY_VALIDATION_ERRORS,
   DRAFT_CLEAR_ERRORS,
   DRAFT_LOCAL_BACKUP_RETRIEVED,
   DRAFT_CREATE_FROM_LOCAL_BACKUP,
@@ -12,13 +13,18 @@ import {
   ENTRY_PERSIST_SUCCESS,
   ENTRY_PERSIST_FAILURE,
   ENTRY_DELETE_SUCCESS,
+  ENTRY_RENAME_REQUEST,
+  ENTRY_RENAME_SUCCESS,
+  ENTRY_RENAME_FAILURE,
 } from 'Actions/entries';
 import {
   UNPUBLISHED_ENTRY_PERSIST_REQUEST,
   UNPUBLISHED_ENTRY_PERSIST_SUCCESS,
   UNPUBLISHED_ENTRY_PERSIST_FAILURE,
 } from 'Actions/editorialWorkflow';
+import { DRAFT_RESTORE_REVISION } from 'Actions/history';
 import { ADD_ASSET, REMOVE_ASSET } from 'Actions/media';
+import { getEntryErrorsKey, isEntryErrorsKey } from 'Lib/entryValidation';
 
 const initialState = Map({
   entry: Map(),
@@ -65,13 +71,29 @@ const entryDraftReducer = (state = Map(), action) => {
         state.set('fieldsErrors', Map());
         state.set('hasChanged', true);
       });
+    case DRAFT_RESTORE_REVISION:
+      // Revision of an existing entry, saved like any other change
+      return state.withMutations(state => {
+        const { entry } = action.payload;
+        state.setIn(['entry', 'data'], entry.get('data'));
+        if (entry.has('i18n')) {
+          state.setIn(['entry', 'i18n'], entry.get('i18n'));
+        }
+        state.set('fieldsErrors', Map());
+        state.set('hasChanged', true);
+      });
     case DRAFT_DISCARD:
       return initialState;
     case DRAFT_LOCAL_BACKUP_RETRIEVED:
       return state.set('localBackup', fromJS(action.payload.entry));
     case DRAFT_CHANGE_FIELD:
       return state.withMutations(state => {
-        state.setIn(['entry', 'data', action.payload.field], action.payload.value);
+        const { field, value, locale } = action.payload;
+        const dataPath = locale ? ['entry', 'i18n', locale, 'data'] : ['entry', 'data'];
+        state.setIn([...dataPath, field], value);
+        if (locale) {
+          state.deleteIn(['entry', 'i18n', locale, 'pristine']);
+        }
         state.mergeDeepIn(['fieldsMetaData'], fromJS(action.payload.metadata));
         state.set('hasChanged', true);
       });
@@ -83,16 +105,33 @@ const entryDraftReducer = (state = Map(), action) => {
         return state.setIn(['fieldsErrors', action.payload.uniquefieldId], action.payload.errors);
       }
 
+    case DRAFT_ENTRY_VALIDATION_ERRORS: {
+      const fieldsErrors = state
+        .get('fieldsErrors')
+        .filterNot((errors, key) => isEntryErrorsKey(key))
+        .merge(
+          Map(
+            Object.entries(action.payload.errors).map(([fieldName, errors]) => [
+              getEntryErrorsKey(fieldName),
+              errors,
+            ]),
+          ),
+        );
+      return state.set('fieldsErrors', fieldsErrors);
+    }
+
     case DRAFT_CLEAR_ERRORS: {
       return state.set('fieldsErrors', Map());
     }
 
     case ENTRY_PERSIST_REQUEST:
+    case ENTRY_RENAME_REQUEST:
     case UNPUBLISHED_ENTRY_PERSIST_REQUEST: {
       return state.setIn(['entry', 'isPersisting'], true);
     }
 
     case ENTRY_PERSIST_FAILURE:
+    case ENTRY_RENAME_FAILURE:
     case UNPUBLISHED_ENTRY_PERSIST_FAILURE: {
       return state.deleteIn(['entry', 'isPersisting']);
     }
@@ -107,6 +146,12 @@ const entryDraftReducer = (state = Map(), action) => {
         }
       });
 
+    case ENTRY_RENAME_SUCCESS:
+      return state.withMutations(state => {
+        state.deleteIn(['entry', 'isPersisting']);
+        state.setIn(['entry', 'slug'], action.payload.newSlug);
+      });
+
     case ENTRY_DELETE_SUCCESS:
       return state.withMutations(state => {
         state.deleteIn(['entry', 'isPersisting']);
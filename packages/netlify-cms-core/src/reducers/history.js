@@ -0,0 +1,66 @@
+import { Map, fromJS } from 'immutable';
+import {
+  ENTRY_HISTORY_REQUEST,
+  ENTRY_HISTORY_SUCCESS,
+  ENTRY_HISTORY_FAILURE,
+  ENTRY_REVISION_REQUEST,
+  ENTRY_REVISION_SUCCESS,
+  ENTRY_REVISION_FAILURE,
+} from 'Actions/history';
+
+const history = (state = Map({ entries: Map(), revisions: Map() }), action) => {
+  switch (action.type) {
+    case ENTRY_HISTORY_REQUEST: {
+      const { collection, slug } = action.payload;
+      return state.setIn(['entries', `${collection}.${slug}`, 'isFetching'], true);
+    }
+
+    case ENTRY_HISTORY_SUCCESS: {
+      const { collection, slug, revisions } = action.payload;
+      return state.setIn(
+        ['entries', `${collection}.${slug}`],
+        fromJS({ isFetching: false, revisions }),
+      );
+    }
+
+    case ENTRY_HISTORY_FAILURE: {
+      const { collection, slug, error } = action.payload;
+      return state.setIn(
+        ['entries', `${collection}.${slug}`],
+        fromJS({ isFetching: false, error }),
+      );
+    }
+
+    case ENTRY_REVISION_REQUEST: {
+      const { collection, slug, sha } = action.payload;
+      return state.setIn(['revisions', `${collection}.${slug}.${sha}`, 'isFetching'], true);
+    }
+
+    case ENTRY_REVISION_SUCCESS: {
+      const { collection, slug, sha, entry } = action.payload;
+      return state.setIn(
+        ['revisions', `${collection}.${slug}.${sha}`],
+        Map({ isFetching: false, entry }),
+      );
+    }
+
+    case ENTRY_REVISION_FAILURE: {
+      const { collection, slug, sha, error } = action.payload;
+      return state.setIn(
+        ['revisions', `${collection}.${slug}.${sha}`],
+        Map({ isFetching: false, error }),
+      );
+    }
+
+    default:
+      return state;
+  }
+};
+
+export const selectEntryHistory = (state, collection, slug) =>
+  state.getIn(['entries', `${collection}.${slug}`]);
+
+export const selectEntryRevision = (state, collection, slug, sha) =>
+  state.getIn(['revisions', `${collection}.${slug}.${sha}`]);
+
+export default history;
@@ -10,6 +10,8 @@ import search from './search';
 import mediaLibrary from './mediaLibrary';
 import medias, * as fromMedias from './medias';
 import deploys, * as fromDeploys from './deploys';
+import history, * as fromHistory from './history';
+import comments, * as fromComments from './comments';
 import globalUI from './globalUI';
 
 const reducers = {
@@ -25,6 +27,8 @@ const reducers = {
   mediaLibrary,
   medias,
   deploys,
+  history,
+  comments,
   globalUI,
 };
 
@@ -39,6 +43,21 @@ export const selectEntry = (state, collection, slug) =>
 export const selectEntries = (state, collection) =>
   fromEntries.selectEntries(state.entries, collection);
 
+export const selectEntriesSort = (state, collection) =>
+  fromEntries.selectEntriesSort(state.entries, collection);
+
+export const selectEntriesLoadedInFull = (state, collection) =>
+  fromEntries.selectEntriesLoadedInFull(state.entries, collection);
+
+export const selectEntriesFilter = (state, collection) =>
+  fromEntries.selectEntriesFilter(state.entries, collection);
+
+export const selectEntriesGroup = (state, collection) =>
+  fromEntries.selectEntriesGroup(state.entries, collection);
+
+export const selectGroups = (state, collection) =>
+  fromEntries.selectGroups(state.entries, collection);
+
 export const selectPublishedSlugs = (state, collection) =>
   fromEntries.selectPublishedSlugs(state.entries, collection);
 
@@ -55,12 +74,30 @@ export const selectSearchedEntries = state => {
 export const selectDeployPreview = (state, collection, slug) =>
   fromDeploys.selectDeployPreview(state.deploys, collection, slug);
 
+export const selectEntryHistory = (state, collection, slug) =>
+  fromHistory.selectEntryHistory(state.history, collection, slug);
+
+export const selectEntryRevision = (state, collection, slug, sha) =>
+  fromHistory.selectEntryRevision(state.history, collection, slug, sha);
+
+export const selectEntryComments = (state, collection, slug) =>
+  fromComments.selectEntryComments(state.comments, collection, slug);
+
+export const selectOpenCommentCounts = state =>
+  fromComments.selectOpenCommentCounts(state.comments);
+
 export const selectUnpublishedEntry = (state, collection, slug) =>
   fromEditorialWorkflow.selectUnpublishedEntry(state.editorialWorkflow, collection, slug);
 
 export const selectUnpublishedEntriesByStatus = (state, status) =>
   fromEditorialWorkflow.selectUnpublishedEntriesByStatus(state.editorialWorkflow, status);
 
+export const selectUnpublishedEntriesWithOtherStatuses = (state, statuses) =>
+  fromEditorialWorkflow.selectUnpublishedEntriesWithOtherStatuses(
+    state.editorialWorkflow,
+    statuses,
+  );
+
 export const selectUnpublishedSlugs = (state, collection) =>
   fromEditorialWorkflow.selectUnpublishedSlugs(state.editorialWorkflow, collection);
 
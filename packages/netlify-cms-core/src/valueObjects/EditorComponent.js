@@ -2,9 +2,19 @@ import { Record, fromJS } from 'immutable';
 import { isFunction } from 'lodash';
 
 const catchesNothing = /.^/;
+
+/**
+ * Block components replace a whole paragraph matching their `pattern`, inline
+ * components are matched anywhere in a paragraph and may appear mid-sentence.
+ * A `code-block` component takes over the editing of fenced code blocks, which
+ * it receives as `{ code, lang }`, so it has no `pattern` of its own.
+ */
+export const EDITOR_COMPONENT_TYPES = ['block', 'inline', 'code-block'];
+
 /* eslint-disable no-unused-vars */
 const EditorComponent = Record({
   id: null,
+  type: 'block',
   label: 'unnamed component',
   icon: 'exclamation-triangle',
   fields: [],
@@ -22,8 +32,16 @@ const EditorComponent = Record({
 /* eslint-enable */
 
 export default function createEditorComponent(config) {
+  const type = config.type || 'block';
+  if (!EDITOR_COMPONENT_TYPES.includes(type)) {
+    throw new Error(
+      `Editor component type must be one of ${EDITOR_COMPONENT_TYPES.join(', ')}, got "${type}"`,
+    );
+  }
+
   const configObj = new EditorComponent({
     id: config.id || config.label.replace(/[^A-Z0-9]+/gi, '_'),
+    type,
     label: config.label,
     icon: config.icon,
     fields: fromJS(config.fields),
@@ -8,8 +8,10 @@ export function createEntry(collection, slug = '', path = '', options = {}) {
   returnObj.partial = options.partial || false;
   returnObj.raw = options.raw || '';
   returnObj.data = options.data || {};
+  returnObj.i18n = options.i18n || null;
   returnObj.label = options.label || null;
   returnObj.metaData = options.metaData || null;
+  returnObj.meta = options.meta || {};
   returnObj.isModification = isBoolean(options.isModification) ? options.isModification : null;
   return returnObj;
 }
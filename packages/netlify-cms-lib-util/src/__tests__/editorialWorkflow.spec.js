@@ -0,0 +1,33 @@
+import {
+  branchFromContentKey,
+  contentKeyFromBranch,
+  generateContentKey,
+  isCMSLabel,
+  labelToStatus,
+  parseContentKey,
+  statusToLabel,
+} from '../editorialWorkflow';
+
+describe('editorialWorkflow', () => {
+  it('should map content keys to branches and back', () => {
+    const contentKey = generateContentKey('posts', 'hello-world');
+    expect(contentKey).toEqual('posts/hello-world');
+    expect(branchFromContentKey(contentKey)).toEqual('cms/posts/hello-world');
+    expect(contentKeyFromBranch('cms/posts/hello-world')).toEqual(contentKey);
+  });
+
+  it('should parse content keys with nested slugs', () => {
+    expect(parseContentKey('posts/2019/hello-world')).toEqual({
+      collection: 'posts',
+      slug: '2019/hello-world',
+    });
+  });
+
+  it('should map statuses to labels and back', () => {
+    expect(statusToLabel('pending_review')).toEqual('netlify-cms/pending_review');
+    expect(labelToStatus('netlify-cms/pending_review')).toEqual('pending_review');
+    expect(isCMSLabel('netlify-cms/draft')).toBe(true);
+    expect(isCMSLabel('bug')).toBe(false);
+    expect(isCMSLabel(undefined)).toBe(false);
+  });
+});
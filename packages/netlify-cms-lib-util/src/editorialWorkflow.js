@@ -0,0 +1,23 @@
+// Helpers shared by backends that implement the editorial workflow with one
+// `cms/<collection>/<slug>` branch and one pull/merge request per entry, and
+// which store the workflow status alongside the request as a label.
+export const CMS_BRANCH_PREFIX = 'cms';
+export const DEFAULT_PR_BODY = 'Automatically generated by Netlify CMS';
+export const MERGE_COMMIT_MESSAGE = 'Automatically generated. Merged on Netlify CMS.';
+
+const CMS_WORKFLOW_LABEL_PREFIX = 'netlify-cms/';
+
+export const isCMSLabel = label => !!label && label.startsWith(CMS_WORKFLOW_LABEL_PREFIX);
+export const labelToStatus = label => label.substring(CMS_WORKFLOW_LABEL_PREFIX.length);
+export const statusToLabel = status => `${CMS_WORKFLOW_LABEL_PREFIX}${status}`;
+
+export const generateContentKey = (collectionName, slug) => `${collectionName}/${slug}`;
+
+export const parseContentKey = contentKey => {
+  const index = contentKey.indexOf('/');
+  return { collection: contentKey.substring(0, index), slug: contentKey.substring(index + 1) };
+};
+
+export const branchFromContentKey = contentKey => `${CMS_BRANCH_PREFIX}/${contentKey}`;
+
+export const contentKeyFromBranch = branch => branch.substring(`${CMS_BRANCH_PREFIX}/`.length);
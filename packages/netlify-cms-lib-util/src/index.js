@@ -27,6 +27,18 @@ import {
 import loadScript from './loadScript';
 import getBlobSHA from './getBlobSHA';
 import { asyncLock } from './asyncLock';
+import {
+  CMS_BRANCH_PREFIX,
+  DEFAULT_PR_BODY,
+  MERGE_COMMIT_MESSAGE,
+  isCMSLabel,
+  labelToStatus,
+  statusToLabel,
+  generateContentKey,
+  parseContentKey,
+  branchFromContentKey,
+  contentKeyFromBranch,
+} from './editorialWorkflow';
 
 export const NetlifyCmsLibUtil = {
   APIError,
@@ -52,6 +64,16 @@ export const NetlifyCmsLibUtil = {
   responseParser,
   loadScript,
   getBlobSHA,
+  CMS_BRANCH_PREFIX,
+  DEFAULT_PR_BODY,
+  MERGE_COMMIT_MESSAGE,
+  isCMSLabel,
+  labelToStatus,
+  statusToLabel,
+  generateContentKey,
+  parseContentKey,
+  branchFromContentKey,
+  contentKeyFromBranch,
 };
 export {
   APIError,
@@ -79,4 +101,14 @@ export {
   loadScript,
   getBlobSHA,
   asyncLock,
+  CMS_BRANCH_PREFIX,
+  DEFAULT_PR_BODY,
+  MERGE_COMMIT_MESSAGE,
+  isCMSLabel,
+  labelToStatus,
+  statusToLabel,
+  generateContentKey,
+  parseContentKey,
+  branchFromContentKey,
+  contentKeyFromBranch,
 };
@@ -23,6 +23,8 @@ const de = {
       searchAll: 'Alles durchsuchen',
     },
     collectionTop: {
+      groupBy: 'Gruppieren nach',
+      sortBy: 'Sortieren nach',
       viewAs: 'Anzeigen als',
       newButton: 'Neuer %{collectionLabel}',
     },
@@ -30,6 +32,7 @@ const de = {
       loadingEntries: 'Beiträge laden',
       cachingEntries: 'Beiträge zwischenspeichern',
       longerLoading: 'Diese Aktion kann einige Minuten in Anspruch nehmen',
+      groupOther: 'Andere',
     },
   },
   editor: {
@@ -38,13 +41,20 @@ const de = {
         required: '%{fieldLabel} ist erforderlich.',
         regexPattern: '%{fieldLabel} entspricht nicht dem Muster: %{pattern}.',
         processing: '%{fieldLabel} wird verarbeitet.',
+        invalid: '%{fieldLabel} ist ungültig.',
         range: '%{fieldLabel} muss zwischen %{minValue} und %{maxValue} liegen.',
         min: '%{fieldLabel} muss größer als %{minValue} sein.',
         max: '%{fieldLabel} darf nicht größer als %{maxValue} sein.',
+        rangeCount: '%{fieldLabel} muss zwischen %{minCount} und %{maxCount} Element(e) enthalten.',
+        rangeMin: '%{fieldLabel} muss mindestens %{minCount} Element(e) enthalten.',
+        rangeMax: '%{fieldLabel} darf höchstens %{maxCount} Element(e) enthalten.',
       },
     },
     editor: {
       onLeavePage: 'Möchten Sie diese Seite wirklich verlassen?',
+      onChangeSlug: 'Neuen Slug für diesen Beitrag eingeben:',
+      onChangeSlugWithUnsavedChanges:
+        'Es sind noch ungespeicherte Änderungen vorhanden. Bitte speichern Sie, bevor Sie den Slug ändern.',
       onUpdatingWithUnsavedChanges:
         'Es sind noch ungespeicherte Änderungen vorhanden. Bitte speichern Sie diese, bevor Sie den Status aktualisieren.',
       onPublishingNotReady:
@@ -87,6 +97,51 @@ const de = {
       deployPreviewPendingButtonLabel: 'Überprüfen ob eine Vorschau vorhanden ist',
       deployPreviewButtonLabel: 'Vorschau anzeigen',
       deployButtonLabel: 'Live ansehen',
+      history: 'Verlauf',
+      comments: 'Kommentare',
+      reviewChanges: 'Änderungen prüfen',
+      hideChanges: 'Änderungen ausblenden',
+      changeSlug: 'Slug ändern',
+      schedulePublishing: 'Veröffentlichung planen',
+      publishAt: 'Veröffentlichen am %{date}',
+      schedule: 'Planen',
+      unschedule: 'Planung aufheben',
+    },
+    editorReview: {
+      title: 'Änderungen an der veröffentlichten Version',
+      loading: 'Veröffentlichte Version wird geladen...',
+      published: 'Veröffentlicht',
+      unpublished: 'Unveröffentlichte Änderungen',
+      noChanges: 'Es wurden keine Felder geändert.',
+    },
+    editorHistory: {
+      title: 'Verlauf',
+      loading: 'Verlauf wird geladen...',
+      loadingRevision: 'Version wird geladen...',
+      noHistory: 'Es wurden keine früheren Versionen dieses Beitrags gefunden.',
+      selectRevision: 'Wählen Sie eine Version, um sie mit dem aktuellen Entwurf zu vergleichen.',
+      revisionMeta: '%{author} am %{date}',
+      noChanges: 'Diese Version ist identisch mit dem aktuellen Entwurf.',
+      thisVersion: 'Diese Version',
+      currentDraft: 'Aktueller Entwurf',
+      restore: 'Diese Version wiederherstellen',
+      onRestoreWithUnsavedChanges:
+        'Es sind noch ungespeicherte Änderungen vorhanden. Sollen diese durch diese Version ersetzt werden?',
+    },
+    editorComments: {
+      title: 'Kommentare',
+      loading: 'Kommentare werden geladen...',
+      noComments: 'Zu diesem Beitrag gibt es noch keine Kommentare.',
+      commentMeta: '%{author} am %{date}',
+      commentMetaNoAuthor: '%{date}',
+      resolved: 'Erledigt',
+      resolve: 'Als erledigt markieren',
+      placeholder: 'Hinterlasse einen Kommentar für den Autor oder andere Prüfer',
+      addComment: 'Kommentieren',
+      adding: 'Wird kommentiert...',
+      noFieldComments: 'Zu diesem Feld gibt es noch keine Kommentare.',
+      fieldComments: 'Kommentare zu diesem Feld',
+      onField: 'Zu %{field}',
     },
     editorWidgets: {
       unknownControl: {
@@ -95,6 +150,10 @@ const de = {
       unknownPreview: {
         noPreview: "Keine Vorschau für Widget '%{widget}'.",
       },
+      object: {
+        selectType: '%{label}-Typ auswählen',
+        illegalType: "Fehler: Objekt hat ungültige '%{typeKey}'-Eigenschaft: '%{type}'",
+      },
     },
   },
   mediaLibrary: {
@@ -135,11 +194,23 @@ const de = {
     toast: {
       onFailToLoadEntries: 'Beitrag konnte nicht geladen werden: %{details}',
       onFailToLoadDeployPreview: 'Vorschau konnte nicht geladen werden: %{details}',
+      onFailToLoadEntryHistory: 'Verlauf konnte nicht geladen werden: %{details}',
+      onFailToLoadEntryRevision: 'Version konnte nicht geladen werden: %{details}',
       onFailToPersist: 'Beitrag speichern fehlgeschlagen: %{details}',
       onFailToDelete: 'Beitrag löschen fehlgeschlagen: %{details}',
       onFailToUpdateStatus: 'Status aktualisieren fehlgeschlagen: %{details}',
+      onStatusTransitionNotAllowed:
+        'Beiträge können nicht zwischen diesen Status verschoben werden: %{details}',
       missingRequiredField: 'Oops, einige zwingend erforderliche Felder sind nicht ausgefüllt.',
       entrySaved: 'Beitrag gespeichert',
+      entryRenamed: 'Beitrag umbenannt',
+      entryScheduled: 'Veröffentlichung geplant',
+      entryUnscheduled: 'Geplante Veröffentlichung aufgehoben',
+      onFailToUpdateSchedule: 'Veröffentlichung planen fehlgeschlagen: %{details}',
+      onFailToAddComment: 'Kommentar hinzufügen fehlgeschlagen: %{details}',
+      onFailToResolveComment: 'Kommentar als erledigt markieren fehlgeschlagen: %{details}',
+      onPermissionDenied: 'Dir fehlt die Berechtigung %{details} für diese Sammlung.',
+      onFailToRename: 'Beitrag umbenennen fehlgeschlagen: %{details}',
       entryPublished: 'Beitrag veröffentlicht',
       onFailToPublishEntry: 'Veröffentlichen fehlgeschlagen: %{details}',
       entryUpdated: 'Beitragsstatus aktualisiert',
@@ -163,12 +234,18 @@ const de = {
       deleteNewEntry: 'Lösche neuen Beitrag',
       publishChanges: 'Veröffentliche Änderungen',
       publishNewEntry: 'Veröffentliche neuen Beitrag',
+      publishAt: 'Wird am %{date} veröffentlicht',
+      openComments: '%{smart_count} offener Kommentar |||| %{smart_count} offene Kommentare',
     },
     workflowList: {
       onDeleteEntry: 'Soll dieser Beitrag wirklich gelöscht werden?',
       onPublishingNotReadyEntry:
         'Nur Beiträge im Status "Abgeschlossen" können veröffentlicht werden. Bitte ziehen Sie den Beitrag in die "Abgeschlossen" Spalte um die Veröffentlichung zu aktivieren.',
       onPublishEntry: 'Soll dieser Beitrag wirklich veröffentlicht werden soll?',
+      onStatusTransitionNotAllowed:
+        'Beiträge können nicht von "%{from}" nach "%{to}" verschoben werden.',
+      onPermissionDenied:
+        'Dir fehlt die Berechtigung, Beiträge dieser Sammlung dorthin zu verschieben.',
       draftHeader: 'Entwurf',
       inReviewHeader: 'Zur Überprüfung',
       readyHeader: 'Abgeschlossen',
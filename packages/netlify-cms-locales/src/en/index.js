@@ -23,6 +23,8 @@ const en = {
       searchAll: 'Search all',
     },
     collectionTop: {
+      groupBy: 'Group by',
+      sortBy: 'Sort by',
       viewAs: 'View as',
       newButton: 'New %{collectionLabel}',
     },
@@ -30,6 +32,7 @@ const en = {
       loadingEntries: 'Loading Entries',
       cachingEntries: 'Caching Entries',
       longerLoading: 'This might take several minutes',
+      groupOther: 'Other',
     },
   },
   editor: {
@@ -38,13 +41,20 @@ const en = {
         required: '%{fieldLabel} is required.',
         regexPattern: "%{fieldLabel} didn't match the pattern: %{pattern}.",
         processing: '%{fieldLabel} is processing.',
+        invalid: '%{fieldLabel} is invalid.',
         range: '%{fieldLabel} must be between %{minValue} and %{maxValue}.',
         min: '%{fieldLabel} must be at least %{minValue}.',
         max: '%{fieldLabel} must be %{maxValue} or less.',
+        rangeCount: '%{fieldLabel} must have between %{minCount} and %{maxCount} item(s).',
+        rangeMin: '%{fieldLabel} must have at least %{minCount} item(s).',
+        rangeMax: '%{fieldLabel} must have %{maxCount} or less item(s).',
       },
     },
     editor: {
       onLeavePage: 'Are you sure you want to leave this page?',
+      onChangeSlug: 'Enter the new slug of this entry:',
+      onChangeSlugWithUnsavedChanges:
+        'You have unsaved changes, please save before changing the slug.',
       onUpdatingWithUnsavedChanges: 'You have unsaved changes, please save before updating status.',
       onPublishingNotReady: 'Please update status to "Ready" before publishing.',
       onPublishingWithUnsavedChanges: 'You have unsaved changes, please save before publishing.',
@@ -83,6 +93,51 @@ const en = {
       deployPreviewPendingButtonLabel: 'Check for Preview',
       deployPreviewButtonLabel: 'View Preview',
       deployButtonLabel: 'View Live',
+      history: 'History',
+      comments: 'Comments',
+      reviewChanges: 'Review Changes',
+      hideChanges: 'Hide Changes',
+      changeSlug: 'Change Slug',
+      schedulePublishing: 'Schedule publishing',
+      publishAt: 'Publish on %{date}',
+      schedule: 'Schedule',
+      unschedule: 'Unschedule',
+    },
+    editorReview: {
+      title: 'Changes to the published version',
+      loading: 'Loading published version...',
+      published: 'Published',
+      unpublished: 'Unpublished changes',
+      noChanges: 'No fields were changed.',
+    },
+    editorHistory: {
+      title: 'History',
+      loading: 'Loading history...',
+      loadingRevision: 'Loading version...',
+      noHistory: 'No previous versions of this entry were found.',
+      selectRevision: 'Select a version to compare it with the current draft.',
+      revisionMeta: '%{author} on %{date}',
+      noChanges: 'This version is identical to the current draft.',
+      thisVersion: 'This version',
+      currentDraft: 'Current draft',
+      restore: 'Restore this version',
+      onRestoreWithUnsavedChanges:
+        'You have unsaved changes, are you sure you want to replace them with this version?',
+    },
+    editorComments: {
+      title: 'Comments',
+      loading: 'Loading comments...',
+      noComments: 'There are no comments on this entry yet.',
+      commentMeta: '%{author} on %{date}',
+      commentMetaNoAuthor: '%{date}',
+      resolved: 'Resolved',
+      resolve: 'Resolve',
+      placeholder: 'Leave a comment for the author or other reviewers',
+      addComment: 'Comment',
+      adding: 'Commenting...',
+      noFieldComments: 'There are no comments on this field yet.',
+      fieldComments: 'Comments on this field',
+      onField: 'On %{field}',
     },
     editorWidgets: {
       unknownControl: {
@@ -91,6 +146,10 @@ const en = {
       unknownPreview: {
         noPreview: "No preview for widget '%{widget}'.",
       },
+      object: {
+        selectType: 'Select %{label} type',
+        illegalType: "Error: object has illegal '%{typeKey}' property: '%{type}'",
+      },
     },
   },
   mediaLibrary: {
@@ -131,11 +190,22 @@ const en = {
     toast: {
       onFailToLoadEntries: 'Failed to load entry: %{details}',
       onFailToLoadDeployPreview: 'Failed to load preview: %{details}',
+      onFailToLoadEntryHistory: 'Failed to load history: %{details}',
+      onFailToLoadEntryRevision: 'Failed to load version: %{details}',
       onFailToPersist: 'Failed to persist entry: %{details}',
       onFailToDelete: 'Failed to delete entry: %{details}',
       onFailToUpdateStatus: 'Failed to update status: %{details}',
+      onStatusTransitionNotAllowed: "Entries can't be moved between these statuses: %{details}",
       missingRequiredField: "Oops, you've missed a required field. Please complete before saving.",
       entrySaved: 'Entry saved',
+      entryRenamed: 'Entry renamed',
+      entryScheduled: 'Entry scheduled',
+      entryUnscheduled: 'Entry unscheduled',
+      onFailToUpdateSchedule: 'Failed to schedule entry: %{details}',
+      onFailToAddComment: 'Failed to add comment: %{details}',
+      onFailToResolveComment: 'Failed to resolve comment: %{details}',
+      onPermissionDenied: "You don't have the %{details} permission on this collection.",
+      onFailToRename: 'Failed to rename entry: %{details}',
       entryPublished: 'Entry published',
       onFailToPublishEntry: 'Failed to publish: %{details}',
       entryUpdated: 'Entry status updated',
@@ -159,12 +229,16 @@ const en = {
       deleteNewEntry: 'Delete new entry',
       publishChanges: 'Publish changes',
       publishNewEntry: 'Publish new entry',
+      publishAt: 'Publishing on %{date}',
+      openComments: '%{smart_count} open comment |||| %{smart_count} open comments',
     },
     workflowList: {
       onDeleteEntry: 'Are you sure you want to delete this entry?',
       onPublishingNotReadyEntry:
         'Only items with a "Ready" status can be published. Please drag the card to the "Ready" column to enable publishing.',
       onPublishEntry: 'Are you sure you want to publish this entry?',
+      onStatusTransitionNotAllowed: 'Entries can\'t be moved from "%{from}" to "%{to}".',
+      onPermissionDenied: "You don't have permission to move entries of this collection there.",
       draftHeader: 'Drafts',
       inReviewHeader: 'In Review',
       readyHeader: 'Ready',
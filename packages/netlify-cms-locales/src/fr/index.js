@@ -23,6 +23,8 @@ const fr = {
       searchAll: 'Tout rechercher',
     },
     collectionTop: {
+      groupBy: 'Grouper par',
+      sortBy: 'Trier par',
       viewAs: 'Voir comme',
       newButton: 'Créer une entrée de type %{collectionLabel}',
     },
@@ -30,6 +32,7 @@ const fr = {
       loadingEntries: 'Chargement des entrées',
       cachingEntries: 'Mise en cache des entrées',
       longerLoading: 'Cela peut prendre quelques minutes',
+      groupOther: 'Autre',
     },
   },
   editor: {
@@ -38,13 +41,21 @@ const fr = {
         required: 'Le champ %{fieldLabel} est requis.',
         regexPattern: 'Le champ %{fieldLabel} ne correspond pas au schéma: %{pattern}.',
         processing: 'Le champ %{fieldLabel} est en cours de traitement.',
+        invalid: 'Le champ %{fieldLabel} est invalide.',
         range: 'Le champ %{fieldLabel} doit être compris entre %{minValue} et %{maxValue}.',
         min: 'Le champ %{fieldLabel} doit avoir une valeur de %{minValue} ou plus.',
         max: 'Le champ %{fieldLabel} doit avoir une valeur de %{maxValue} ou moins.',
+        rangeCount:
+          'Le champ %{fieldLabel} doit contenir entre %{minCount} et %{maxCount} élément(s).',
+        rangeMin: 'Le champ %{fieldLabel} doit contenir au moins %{minCount} élément(s).',
+        rangeMax: 'Le champ %{fieldLabel} doit contenir %{maxCount} élément(s) ou moins.',
       },
     },
     editor: {
       onLeavePage: 'Voulez-vous vraiment quitter cette page ?',
+      onChangeSlug: 'Saisissez le nouveau slug de cette entrée :',
+      onChangeSlugWithUnsavedChanges:
+        'Veuillez enregistrer vos modifications avant de changer le slug.',
       onUpdatingWithUnsavedChanges:
         'Veuillez enregistrer vos modifications avant de mettre à jour le statut.',
       onPublishingNotReady: 'Veuillez mettre à jour le statut à "Prêt" avant de publier.',
@@ -85,6 +96,51 @@ const fr = {
       deployPreviewPendingButtonLabel: "Vérifier l'aperçu",
       deployPreviewButtonLabel: "Voir l'aperçu",
       deployButtonLabel: 'Voir en direct',
+      history: 'Historique',
+      comments: 'Commentaires',
+      reviewChanges: 'Voir les modifications',
+      hideChanges: 'Masquer les modifications',
+      changeSlug: 'Changer le slug',
+      schedulePublishing: 'Programmer la publication',
+      publishAt: 'Publier le %{date}',
+      schedule: 'Programmer',
+      unschedule: 'Déprogrammer',
+    },
+    editorReview: {
+      title: 'Modifications de la version publiée',
+      loading: 'Chargement de la version publiée...',
+      published: 'Publiée',
+      unpublished: 'Modifications non publiées',
+      noChanges: "Aucun champ n'a été modifié.",
+    },
+    editorHistory: {
+      title: 'Historique',
+      loading: "Chargement de l'historique...",
+      loadingRevision: 'Chargement de la version...',
+      noHistory: "Aucune version précédente de cette entrée n'a été trouvée.",
+      selectRevision: 'Sélectionnez une version pour la comparer au brouillon actuel.',
+      revisionMeta: '%{author} le %{date}',
+      noChanges: 'Cette version est identique au brouillon actuel.',
+      thisVersion: 'Cette version',
+      currentDraft: 'Brouillon actuel',
+      restore: 'Restaurer cette version',
+      onRestoreWithUnsavedChanges:
+        'Vous avez des modifications non enregistrées, voulez-vous vraiment les remplacer par cette version ?',
+    },
+    editorComments: {
+      title: 'Commentaires',
+      loading: 'Chargement des commentaires...',
+      noComments: "Il n'y a pas encore de commentaires sur cette entrée.",
+      commentMeta: '%{author} le %{date}',
+      commentMetaNoAuthor: '%{date}',
+      resolved: 'Résolu',
+      resolve: 'Résoudre',
+      placeholder: "Laissez un commentaire pour l'auteur ou les autres relecteurs",
+      addComment: 'Commenter',
+      adding: 'Envoi du commentaire...',
+      noFieldComments: "Il n'y a pas encore de commentaires sur ce champ.",
+      fieldComments: 'Commentaires sur ce champ',
+      onField: 'Sur %{field}',
     },
     editorWidgets: {
       unknownControl: {
@@ -93,6 +149,10 @@ const fr = {
       unknownPreview: {
         noPreview: "Pas d'aperçu pour le gadget '%{widget}'.",
       },
+      object: {
+        selectType: 'Choisir le type de %{label}',
+        illegalType: "Erreur : l'objet a une propriété '%{typeKey}' invalide : '%{type}'",
+      },
     },
   },
   mediaLibrary: {
@@ -133,12 +193,24 @@ const fr = {
     toast: {
       onFailToLoadEntries: "Échec du chargement de l'entrée: %{details}",
       onFailToLoadDeployPreview: "Échec du chargement de l'aperçu: %{details}",
+      onFailToLoadEntryHistory: "Échec du chargement de l'historique: %{details}",
+      onFailToLoadEntryRevision: 'Échec du chargement de la version: %{details}',
       onFailToPersist: "Échec de l'enregistrement de l'entrée: %{details}",
       onFailToDelete: "Échec de la suppression de l'entrée: %{details}",
       onFailToUpdateStatus: 'Échec de la mise à jour du statut: %{details}',
+      onStatusTransitionNotAllowed:
+        'Les entrées ne peuvent pas être déplacées entre ces statuts : %{details}',
       missingRequiredField:
         'Oops, il manque un champ requis. Veuillez le renseigner avant de soumettre.',
       entrySaved: 'Entrée enregistrée',
+      entryRenamed: 'Entrée renommée',
+      entryScheduled: 'Entrée programmée',
+      entryUnscheduled: 'Programmation annulée',
+      onFailToUpdateSchedule: 'Échec de la programmation: %{details}',
+      onFailToAddComment: "Échec de l'ajout du commentaire: %{details}",
+      onFailToResolveComment: 'Échec de la résolution du commentaire: %{details}',
+      onPermissionDenied: "Vous n'avez pas la permission %{details} sur cette collection.",
+      onFailToRename: "Échec du renommage de l'entrée: %{details}",
       entryPublished: 'Entrée publiée',
       onFailToPublishEntry: 'Échec de la publication: %{details}',
       entryUpdated: "Statut de l'entrée mis à jour",
@@ -162,12 +234,17 @@ const fr = {
       deleteNewEntry: 'Supprimer la nouvelle entrée',
       publishChanges: 'Publier les modifications',
       publishNewEntry: 'Publier la nouvelle entrée',
+      publishAt: 'Publication le %{date}',
+      openComments: '%{smart_count} commentaire ouvert |||| %{smart_count} commentaires ouverts',
     },
     workflowList: {
       onDeleteEntry: 'Voulez-vous vraiment supprimer cette entrée ?',
       onPublishingNotReadyEntry:
         'Seul les éléments ayant le statut "Prêt" peuvent être publiés. Veuillez glisser/déposer la carte dans la colonne "Prêt" pour activer la publication',
       onPublishEntry: 'Voulez-vous vraiment publier cette entrée ?',
+      onStatusTransitionNotAllowed: 'Les entrées ne peuvent pas passer de "%{from}" à "%{to}".',
+      onPermissionDenied:
+        "Vous n'avez pas la permission de déplacer les entrées de cette collection ici.",
       draftHeader: 'Brouillons',
       inReviewHeader: 'En cours de révision',
       readyHeader: 'Prêt',
@@ -0,0 +1,21 @@
+const { generateBranchName, parseBranchName } = require('../git');
+
+describe('git', () => {
+  it('should generate branch names for entries', () => {
+    expect(generateBranchName('posts', '2019/hello')).toBe('cms/posts/2019/hello');
+  });
+
+  it('should parse branch names of entries', () => {
+    expect(parseBranchName('cms/posts/hello')).toEqual({ collection: 'posts', slug: 'hello' });
+    expect(parseBranchName('cms/posts/2019/hello')).toEqual({
+      collection: 'posts',
+      slug: '2019/hello',
+    });
+  });
+
+  it('should ignore other branches', () => {
+    expect(parseBranchName('master')).toBeNull();
+    expect(parseBranchName('cms/posts')).toBeNull();
+    expect(parseBranchName('feature/posts/hello')).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { promises: fs } = require('fs');
+const { isDue, publishScheduled } = require('../publishScheduled');
+
+describe('publishScheduled', () => {
+  const now = new Date('2020-03-01T12:00:00Z');
+
+  it('should find ready entries whose date has passed', () => {
+    expect(isDue({ status: 'pending_publish', publish_at: '2020-03-01T11:59:00.000Z' }, now)).toBe(
+      true,
+    );
+    expect(isDue({ status: 'pending_publish', publish_at: '2020-03-01T12:00:00.000Z' }, now)).toBe(
+      true,
+    );
+  });
+
+  it('should skip entries scheduled later', () => {
+    expect(isDue({ status: 'pending_publish', publish_at: '2020-03-01T12:01:00.000Z' }, now)).toBe(
+      false,
+    );
+  });
+
+  it('should skip entries which are not ready', () => {
+    expect(isDue({ status: 'pending_review', publish_at: '2020-02-01T00:00:00.000Z' }, now)).toBe(
+      false,
+    );
+  });
+
+  it('should find entries in custom statuses', () => {
+    const metaData = { status: 'approved', publish_at: '2020-02-01T00:00:00.000Z' };
+    expect(isDue(metaData, now, ['approved'])).toBe(true);
+    expect(isDue(metaData, now)).toBe(false);
+  });
+
+  it('should skip unscheduled entries and invalid dates', () => {
+    expect(isDue({ status: 'pending_publish' }, now)).toBe(false);
+    expect(isDue({ status: 'pending_publish', publish_at: null }, now)).toBe(false);
+    expect(isDue({ status: 'pending_publish', publish_at: 'tomorrow' }, now)).toBe(false);
+    expect(isDue(null, now)).toBe(false);
+  });
+
+  describe('remote', () => {
+    const identity = {
+      GIT_AUTHOR_NAME: 'CMS',
+      GIT_AUTHOR_EMAIL: 'cms@example.com',
+      GIT_COMMITTER_NAME: 'CMS',
+      GIT_COMMITTER_EMAIL: 'cms@example.com',
+    };
+    const env = { ...process.env, ...identity };
+    const processEnv = process.env;
+    let tmpDir;
+    let remotePath;
+    let repoPath;
+
+    const run = (cwd, args, input) =>
+      execFileSync('git', args, { cwd, env, input })
+        .toString()
+        .trim();
+
+    const commitFile = async (cwd, file, content, message) => {
+      await fs.mkdir(path.dirname(path.join(cwd, file)), { recursive: true });
+      await fs.writeFile(path.join(cwd, file), content);
+      run(cwd, ['add', file]);
+      run(cwd, ['commit', '-q', '-m', message]);
+    };
+
+    // stores the metadata like the GitHub backend, as a commit of json files
+    const pushMetaData = (cwd, entries) => {
+      const tree = run(
+        cwd,
+        ['mktree'],
+        Object.keys(entries)
+          .map(key => {
+            const sha = run(cwd, ['hash-object', '-w', '--stdin'], JSON.stringify(entries[key]));
+            return `100644 blob ${sha}\t${key}.json\n`;
+          })
+          .join(''),
+      );
+      const commit = run(cwd, ['commit-tree', tree, '-m', 'metadata']);
+      run(cwd, ['push', '-q', 'origin', `${commit}:refs/meta/_netlify_cms`]);
+    };
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'netlify-cms-publish-'));
+      remotePath = path.join(tmpDir, 'remote.git');
+      repoPath = path.join(tmpDir, 'repo');
+      const editorPath = path.join(tmpDir, 'editor');
+      process.env = env;
+      run(tmpDir, ['init', '-q', '--bare', remotePath]);
+      run(remotePath, ['symbolic-ref', 'HEAD', 'refs/heads/master']);
+      run(tmpDir, ['clone', '-q', remotePath, editorPath]);
+      run(editorPath, ['checkout', '-q', '-b', 'master']);
+      await commitFile(editorPath, 'README.md', 'readme', 'Initial commit');
+      run(editorPath, ['push', '-q', 'origin', 'master']);
+      run(tmpDir, ['clone', '-q', remotePath, repoPath]);
+
+      run(editorPath, ['checkout', '-q', '-b', 'cms/due']);
+      await commitFile(editorPath, 'posts/due.md', 'due', 'Create post "due"');
+      run(editorPath, ['checkout', '-q', '-b', 'cms/later', 'master']);
+      await commitFile(editorPath, 'posts/later.md', 'later', 'Create post "later"');
+      run(editorPath, ['push', '-q', 'origin', 'cms/due', 'cms/later']);
+      pushMetaData(editorPath, {
+        due: {
+          collection: 'posts',
+          branch: 'cms/due',
+          status: 'pending_publish',
+          publish_at: '2020-03-01T11:00:00.000Z',
+        },
+        later: {
+          collection: 'posts',
+          branch: 'cms/later',
+          status: 'pending_publish',
+          publish_at: '2020-03-02T11:00:00.000Z',
+        },
+        published: {
+          collection: 'posts',
+          branch: 'cms/published',
+          status: 'pending_publish',
+          publish_at: '2020-02-01T11:00:00.000Z',
+        },
+      });
+      // the checked out branch is behind the remote
+      run(editorPath, ['checkout', '-q', 'master']);
+      await commitFile(editorPath, 'posts/other.md', 'other', 'Create post "other"');
+      run(editorPath, ['push', '-q', 'origin', 'master']);
+    });
+
+    afterEach(() => {
+      process.env = processEnv;
+      return fs.rmdir(tmpDir, { recursive: true });
+    });
+
+    it('should merge due entries and push them to the remote', async () => {
+      await expect(publishScheduled(repoPath, { now, remote: 'origin' })).resolves.toEqual([
+        { collection: 'posts', slug: 'due' },
+      ]);
+
+      expect(run(remotePath, ['show', 'master:posts/due.md'])).toBe('due');
+      expect(run(remotePath, ['show', 'master:posts/other.md'])).toBe('other');
+      expect(run(remotePath, ['log', '-1', '--format=%s', 'master'])).toBe(
+        'Publish scheduled posts "due"',
+      );
+      expect(
+        run(remotePath, ['for-each-ref', '--format=%(refname:short)', 'refs/heads/cms/']),
+      ).toBe('cms/later');
+    });
+
+    it('should delete the metadata of published entries from the remote', async () => {
+      const metaRef = run(remotePath, ['rev-parse', 'refs/meta/_netlify_cms']);
+      await publishScheduled(repoPath, { now, remote: 'origin' });
+
+      expect(run(remotePath, ['rev-parse', 'refs/meta/_netlify_cms^'])).toBe(metaRef);
+      expect(
+        run(remotePath, ['ls-tree', '--name-only', 'refs/meta/_netlify_cms']).split('\n'),
+      ).toEqual(['later.json', 'published.json']);
+
+      // published entries aren't published again
+      await expect(
+        publishScheduled(repoPath, { now: new Date('2020-03-03T00:00:00Z'), remote: 'origin' }),
+      ).resolves.toEqual([{ collection: 'posts', slug: 'later' }]);
+      expect(run(remotePath, ['ls-tree', '--name-only', 'refs/meta/_netlify_cms'])).toBe(
+        'published.json',
+      );
+    });
+
+    it('should not push without due entries', async () => {
+      const head = run(remotePath, ['rev-parse', 'master']);
+      const metaRef = run(remotePath, ['rev-parse', 'refs/meta/_netlify_cms']);
+      await expect(
+        publishScheduled(repoPath, { now: new Date('2020-01-01T00:00:00Z'), remote: 'origin' }),
+      ).resolves.toEqual([]);
+      expect(run(remotePath, ['rev-parse', 'master'])).toBe(head);
+      expect(run(remotePath, ['rev-parse', 'refs/meta/_netlify_cms'])).toBe(metaRef);
+    });
+  });
+});
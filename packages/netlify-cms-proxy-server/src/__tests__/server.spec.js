@@ -0,0 +1,120 @@
+const os = require('os');
+const path = require('path');
+const {
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  readFileSync,
+  existsSync,
+  rmdirSync,
+} = require('fs');
+const { resolveRepoPath, listFiles } = require('../fs');
+const { createActions, isLocalOrigin } = require('../app');
+
+const createRepo = () => {
+  const repoPath = mkdtempSync(path.join(os.tmpdir(), 'netlify-cms-proxy-'));
+  mkdirSync(path.join(repoPath, 'posts/2019'), { recursive: true });
+  writeFileSync(path.join(repoPath, 'posts/first.md'), 'first');
+  writeFileSync(path.join(repoPath, 'posts/notes.txt'), 'notes');
+  writeFileSync(path.join(repoPath, 'posts/2019/second.md'), 'second');
+  return repoPath;
+};
+
+describe('proxy server', () => {
+  let repoPath;
+
+  beforeEach(() => {
+    repoPath = createRepo();
+  });
+
+  afterEach(() => {
+    rmdirSync(repoPath, { recursive: true });
+  });
+
+  describe('resolveRepoPath', () => {
+    it('should resolve paths in the repository', () => {
+      expect(resolveRepoPath(repoPath, 'posts/first.md')).toBe(
+        path.join(repoPath, 'posts/first.md'),
+      );
+    });
+
+    it('should refuse paths outside of the repository', () => {
+      expect(() => resolveRepoPath(repoPath, '../secret.md')).toThrow(
+        'Path "../secret.md" is outside of the repository',
+      );
+      expect(() => resolveRepoPath(repoPath, '/etc/passwd')).toThrow();
+    });
+  });
+
+  describe('listFiles', () => {
+    it('should list files with the extension', async () => {
+      await expect(listFiles(repoPath, 'posts', 'md')).resolves.toEqual(['posts/first.md']);
+    });
+
+    it('should list files of sub folders up to depth', async () => {
+      await expect(listFiles(repoPath, 'posts', 'md', 2)).resolves.toEqual([
+        'posts/2019/second.md',
+        'posts/first.md',
+      ]);
+    });
+
+    it('should return no files for missing folders', async () => {
+      await expect(listFiles(repoPath, 'missing', 'md')).resolves.toEqual([]);
+    });
+  });
+
+  describe('isLocalOrigin', () => {
+    it('should only allow local origins', () => {
+      expect(isLocalOrigin('http://localhost:8080')).toBe(true);
+      expect(isLocalOrigin('http://127.0.0.1:3000')).toBe(true);
+      expect(isLocalOrigin('https://example.com')).toBe(false);
+      expect(isLocalOrigin('http://localhost.example.com')).toBe(false);
+      expect(isLocalOrigin('null')).toBe(false);
+    });
+
+    it('should allow the origins of allowed hosts', () => {
+      expect(isLocalOrigin('http://192.168.0.1:8080', ['192.168.0.1'])).toBe(true);
+      expect(isLocalOrigin('http://localhost:8080', ['192.168.0.1'])).toBe(true);
+      expect(isLocalOrigin('http://192.168.0.2:8080', ['192.168.0.1'])).toBe(false);
+    });
+  });
+
+  describe('actions', () => {
+    it('should write entries to the working directory', async () => {
+      const actions = createActions(repoPath);
+      await actions.persistEntry({
+        entry: { path: 'posts/new/third.md', raw: 'third', slug: 'new/third' },
+        files: [{ path: 'static/image.png', content: 'aW1hZ2U=', encoding: 'base64' }],
+      });
+
+      expect(readFileSync(path.join(repoPath, 'posts/new/third.md'), 'utf8')).toBe('third');
+      expect(readFileSync(path.join(repoPath, 'static/image.png'), 'utf8')).toBe('image');
+      await expect(actions.getEntry({ path: 'posts/new/third.md' })).resolves.toEqual({
+        file: { path: 'posts/new/third.md' },
+        data: 'third',
+      });
+    });
+
+    it('should delete the previous file of a renamed entry', async () => {
+      await createActions(repoPath).persistEntry({
+        entry: { path: 'posts/renamed.md', raw: 'renamed', slug: 'renamed' },
+        options: { renamedFrom: { slug: 'first', paths: ['posts/first.md'] } },
+      });
+
+      expect(readFileSync(path.join(repoPath, 'posts/renamed.md'), 'utf8')).toBe('renamed');
+      expect(existsSync(path.join(repoPath, 'posts/first.md'))).toBe(false);
+    });
+
+    it('should require a git repository for the editorial workflow', async () => {
+      await expect(createActions(repoPath).unpublishedEntries()).rejects.toThrow(
+        'The editorial workflow requires the repository to be a git repository',
+      );
+    });
+
+    it('should not list entry history outside of a git repository', async () => {
+      await expect(
+        createActions(repoPath).getEntryHistory({ path: 'posts/first.md' }),
+      ).resolves.toEqual([]);
+    });
+  });
+});
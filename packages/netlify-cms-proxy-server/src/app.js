@@ -0,0 +1,285 @@
+const express = require('express');
+const fs = require('./fs');
+const git = require('./git');
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Origins are allowed on local hostnames, and on the `allowedHosts` the CMS is
+ * also served from, matching the `local_backend.allowed_hosts` of its config.
+ */
+function isLocalOrigin(origin, allowedHosts = []) {
+  try {
+    return [...LOCAL_HOSTNAMES, ...allowedHosts].includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+const readEntry = (repoPath, filePath) =>
+  fs.readFile(repoPath, filePath).then(data => ({ file: { path: filePath }, data }));
+
+/**
+ * Creates the actions the proxy backend calls, keyed by name. Published
+ * content is read from and written to the working directory, entries under
+ * editorial workflow are kept on `cms/<collection>/<slug>` branches.
+ */
+function createActions(repoPath) {
+  const requireGit = async (feature = 'The editorial workflow') => {
+    if (!(await git.isGitRepository(repoPath))) {
+      throw new Error(`${feature} requires the repository to be a git repository`);
+    }
+  };
+
+  const getUnpublishedEntry = async (collection, slug) => {
+    await requireGit();
+    const branch = git.generateBranchName(collection, slug);
+    const metaData = await git.readMetaData(repoPath, branch);
+    if (!metaData || !(await git.branchExists(repoPath, branch))) {
+      throw new NotFoundError(`No unpublished entry found for ${collection}/${slug}`);
+    }
+    const filePath = metaData.objects.entry.path;
+    const [data, published] = await Promise.all([
+      git.readBranchFile(repoPath, branch, filePath),
+      fs.readFileIfExists(repoPath, filePath),
+    ]);
+    return {
+      slug,
+      file: { path: filePath },
+      data,
+      metaData,
+      isModification: published !== undefined,
+    };
+  };
+
+  const writeFiles = files =>
+    Promise.all(
+      files.map(({ path, content, encoding }) =>
+        fs.writeFile(repoPath, path, Buffer.from(content, encoding || 'utf8')),
+      ),
+    );
+
+  const deleteFiles = paths =>
+    Promise.all(
+      paths.map(path =>
+        fs.deleteFile(repoPath, path).catch(error => {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }),
+      ),
+    );
+
+  return {
+    info: async () => ({
+      repo: repoPath,
+      type: (await git.isGitRepository(repoPath)) ? 'local_git' : 'local_fs',
+    }),
+
+    entriesByFolder: async ({ folder, extension, depth }) => {
+      const files = await fs.listFiles(repoPath, folder, extension, depth);
+      return Promise.all(files.map(file => readEntry(repoPath, file)));
+    },
+
+    entriesByFiles: ({ files }) =>
+      Promise.all(
+        files.map(file => fs.readFileIfExists(repoPath, file.path).then(data => ({ file, data }))),
+      ).then(entries => entries.filter(entry => entry.data !== undefined)),
+
+    getEntry: ({ path }) => readEntry(repoPath, path),
+
+    getEntryHistory: async ({ path }) => {
+      fs.resolveRepoPath(repoPath, path);
+      if (!(await git.isGitRepository(repoPath))) {
+        return [];
+      }
+      return git.listFileCommits(repoPath, path);
+    },
+
+    getEntryAtRevision: async ({ path, sha }) => {
+      await requireGit('Entry history');
+      fs.resolveRepoPath(repoPath, path);
+      return git.readBranchFile(repoPath, sha, path);
+    },
+
+    unpublishedEntries: async () => {
+      await requireGit();
+      const branches = await git.listCmsBranches(repoPath);
+      const entries = await Promise.all(
+        branches
+          .map(git.parseBranchName)
+          .map(branch =>
+            branch ? getUnpublishedEntry(branch.collection, branch.slug).catch(() => null) : null,
+          ),
+      );
+      return entries.filter(Boolean);
+    },
+
+    unpublishedEntry: ({ collection, slug }) => getUnpublishedEntry(collection, slug),
+
+    unpublishedEntryFile: async ({ collection, slug, path }) => {
+      await requireGit();
+      const branch = git.generateBranchName(collection, slug);
+      fs.resolveRepoPath(repoPath, path);
+      return git.readBranchFile(repoPath, branch, path).catch(() => null);
+    },
+
+    persistEntry: async ({ entry, files = [], options = {} }) => {
+      const entryFile = { path: entry.path, content: entry.raw };
+      const allFiles = [entryFile, ...files];
+      // the previous files of a renamed entry are deleted along with the update
+      const { renamedFrom } = options;
+      const deletedPaths = (renamedFrom && renamedFrom.paths) || [];
+      [...allFiles.map(file => file.path), ...deletedPaths].forEach(filePath =>
+        fs.resolveRepoPath(repoPath, filePath),
+      );
+      if (!options.useWorkflow) {
+        await writeFiles(allFiles);
+        return deleteFiles(deletedPaths);
+      }
+
+      await requireGit();
+      const branch = git.generateBranchName(options.collectionName, entry.slug);
+      // an unpublished entry keeps its changes and metadata when renamed
+      const previousBranch =
+        renamedFrom && options.unpublished
+          ? git.generateBranchName(options.collectionName, renamedFrom.slug)
+          : branch;
+      const existingMetaData = await git.readMetaData(repoPath, previousBranch);
+      await git.commitFiles(repoPath, branch, allFiles, options.commitMessage, {
+        deletedPaths,
+        ...(previousBranch !== branch && { startPoint: `refs/heads/${previousBranch}` }),
+      });
+      if (previousBranch !== branch) {
+        await git.deleteBranch(repoPath, previousBranch);
+      }
+      const parsedData = options.parsedData || {};
+      return git.writeMetaData(repoPath, branch, {
+        ...existingMetaData,
+        collection: options.collectionName,
+        status: (existingMetaData && existingMetaData.status) || options.status,
+        title: parsedData.title,
+        description: parsedData.description,
+        timeStamp: new Date().toISOString(),
+        objects: { entry: { path: entry.path } },
+      });
+    },
+
+    updateUnpublishedEntryStatus: async ({ collection, slug, newStatus }) => {
+      const { metaData } = await getUnpublishedEntry(collection, slug);
+      const branch = git.generateBranchName(collection, slug);
+      return git.writeMetaData(repoPath, branch, { ...metaData, status: newStatus });
+    },
+
+    updateUnpublishedEntryPublishAt: async ({ collection, slug, publishAt }) => {
+      const { metaData } = await getUnpublishedEntry(collection, slug);
+      const branch = git.generateBranchName(collection, slug);
+      return git.writeMetaData(repoPath, branch, { ...metaData, publish_at: publishAt });
+    },
+
+    deleteUnpublishedEntry: async ({ collection, slug }) => {
+      await getUnpublishedEntry(collection, slug);
+      return git.deleteBranch(repoPath, git.generateBranchName(collection, slug));
+    },
+
+    /**
+     * Publishing copies the files of the entry branch to the working
+     * directory and deletes the files it removed, leaving it to the developer
+     * to commit them along with their other changes. Resolves to the paths of
+     * the written and deleted files.
+     */
+    publishUnpublishedEntry: async ({ collection, slug }) => {
+      await getUnpublishedEntry(collection, slug);
+      const branch = git.generateBranchName(collection, slug);
+      const [paths, deletedPaths] = await Promise.all([
+        git.listBranchFiles(repoPath, branch),
+        git.listBranchFiles(repoPath, branch, { deleted: true }),
+      ]);
+      const files = await Promise.all(
+        paths.map(path =>
+          git
+            .readBranchFile(repoPath, branch, path, 'base64')
+            .then(content => ({ path, content, encoding: 'base64' })),
+        ),
+      );
+      await writeFiles(files);
+      await deleteFiles(deletedPaths);
+      await git.deleteBranch(repoPath, branch);
+      return { paths, deletedPaths };
+    },
+
+    getMedia: async ({ mediaFolder }) => {
+      const files = await fs.listFiles(repoPath, mediaFolder);
+      return Promise.all(files.map(file => fs.fileStats(repoPath, file)));
+    },
+
+    getMediaFile: async ({ path }) => {
+      const [stats, content] = await Promise.all([
+        fs.fileStats(repoPath, path),
+        fs.readFile(repoPath, path, 'base64'),
+      ]);
+      return { ...stats, content, encoding: 'base64' };
+    },
+
+    persistMedia: async ({ asset }) => {
+      await writeFiles([asset]);
+      return fs.fileStats(repoPath, asset.path);
+    },
+
+    deleteFile: ({ path }) => fs.deleteFile(repoPath, path),
+  };
+}
+
+/**
+ * Creates the express app serving the actions. Every request is a `POST` of
+ * `{ action, params }` to `/api/v1`, responding with the result as JSON.
+ */
+function createApp(repoPath, { allowedHosts = [] } = {}) {
+  const actions = createActions(repoPath);
+  const app = express();
+
+  app.use(express.json({ limit: '50mb' }));
+
+  app.use((req, res, next) => {
+    // the CMS is usually served by a development server on a different port,
+    // any other site must not be able to access the local files
+    const { origin } = req.headers;
+    if (origin && !isLocalOrigin(origin, allowedHosts)) {
+      res.status(403).json({ error: `Origin ${origin} is not allowed` });
+      return;
+    }
+    if (origin) {
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Access-Control-Allow-Headers', 'Content-Type');
+    }
+    next();
+  });
+
+  app.options('/api/v1', (req, res) => res.sendStatus(204));
+
+  app.post('/api/v1', async (req, res) => {
+    const { action, params = {} } = req.body || {};
+    if (!Object.prototype.hasOwnProperty.call(actions, action)) {
+      res.status(422).json({ error: `Unknown action "${action}"` });
+      return;
+    }
+    try {
+      const result = await actions[action](params);
+      res.json(result === undefined ? null : result);
+    } catch (error) {
+      console.error(`Error running action "${action}":`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return app;
+}
+
+module.exports = { createApp, createActions, isLocalOrigin };
@@ -0,0 +1,82 @@
+const path = require('path');
+const { promises: fs } = require('fs');
+
+/**
+ * Resolves a repository relative path, refusing paths which point outside of
+ * the repository, such as `../secret` or absolute paths.
+ */
+function resolveRepoPath(repoPath, filePath) {
+  const root = path.resolve(repoPath);
+  const resolved = path.resolve(root, filePath || '');
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Path "${filePath}" is outside of the repository`);
+  }
+  return resolved;
+}
+
+/**
+ * Lists the files of a folder ending with `extension`, including the files of
+ * sub folders up to `depth` levels. Missing folders contain no files.
+ */
+async function listFiles(repoPath, folder, extension, depth = 1) {
+  const dir = resolveRepoPath(repoPath, folder);
+  const dirents = await fs.readdir(dir, { withFileTypes: true }).catch(error => {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  });
+  const files = await Promise.all(
+    dirents.map(dirent => {
+      const filePath = `${folder}/${dirent.name}`;
+      if (dirent.isDirectory()) {
+        return depth > 1 && dirent.name !== '.git'
+          ? listFiles(repoPath, filePath, extension, depth - 1)
+          : [];
+      }
+      return !extension || dirent.name.endsWith(`.${extension}`) ? [filePath] : [];
+    }),
+  );
+  return [].concat(...files).sort();
+}
+
+function readFile(repoPath, filePath, encoding = 'utf8') {
+  return fs.readFile(resolveRepoPath(repoPath, filePath), encoding);
+}
+
+/**
+ * Reads a file which may not exist, resolving to `undefined` in that case.
+ */
+function readFileIfExists(repoPath, filePath, encoding) {
+  return readFile(repoPath, filePath, encoding).catch(error => {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  });
+}
+
+async function writeFile(repoPath, filePath, content, encoding = 'utf8') {
+  const absolutePath = resolveRepoPath(repoPath, filePath);
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  return fs.writeFile(absolutePath, content, encoding);
+}
+
+function deleteFile(repoPath, filePath) {
+  return fs.unlink(resolveRepoPath(repoPath, filePath));
+}
+
+async function fileStats(repoPath, filePath) {
+  const stats = await fs.stat(resolveRepoPath(repoPath, filePath));
+  return { name: path.basename(filePath), size: stats.size, path: filePath };
+}
+
+module.exports = {
+  resolveRepoPath,
+  listFiles,
+  readFile,
+  readFileIfExists,
+  writeFile,
+  deleteFile,
+  fileStats,
+};
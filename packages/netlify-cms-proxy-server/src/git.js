@@ -0,0 +1,285 @@
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { promises: fs } = require('fs');
+
+const CMS_BRANCH_PREFIX = 'cms';
+const META_CONFIG_KEY = 'netlify-cms-meta';
+
+/**
+ * Runs a git command in the repository, resolving to its output as a Buffer.
+ * `input` is written to the command's stdin.
+ */
+function runGit(repoPath, args, { input, env } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd: repoPath, env: { ...process.env, ...env } });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', data => stdout.push(data));
+    child.stderr.on('data', data => stderr.push(data));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        const message = Buffer.concat(stderr)
+          .toString()
+          .trim();
+        reject(new Error(message || `git ${args[0]} exited with code ${code}`));
+      }
+    });
+    child.stdin.end(input);
+  });
+}
+
+const git = (repoPath, args, options) =>
+  runGit(repoPath, args, options).then(output => output.toString().trim());
+
+const generateBranchName = (collection, slug) => `${CMS_BRANCH_PREFIX}/${collection}/${slug}`;
+
+/**
+ * Slugs of nested collections contain slashes, collection names don't.
+ */
+function parseBranchName(branch) {
+  const [prefix, collection, ...slug] = branch.split('/');
+  if (prefix !== CMS_BRANCH_PREFIX || !collection || slug.length === 0) {
+    return null;
+  }
+  return { collection, slug: slug.join('/') };
+}
+
+const metaConfigKey = branch => `branch.${branch}.${META_CONFIG_KEY}`;
+
+function isGitRepository(repoPath) {
+  return git(repoPath, ['rev-parse', '--is-inside-work-tree']).then(
+    output => output === 'true',
+    () => false,
+  );
+}
+
+function listCmsBranches(repoPath) {
+  return git(repoPath, [
+    'for-each-ref',
+    '--format=%(refname:short)',
+    `refs/heads/${CMS_BRANCH_PREFIX}/`,
+  ]).then(output => output.split('\n').filter(Boolean));
+}
+
+function refExists(repoPath, ref) {
+  return git(repoPath, ['rev-parse', '--verify', '--quiet', ref]).then(() => true, () => false);
+}
+
+const branchExists = (repoPath, branch) => refExists(repoPath, `refs/heads/${branch}`);
+
+function currentBranch(repoPath) {
+  return git(repoPath, ['symbolic-ref', '--short', 'HEAD']);
+}
+
+async function readMetaData(repoPath, branch) {
+  const meta = await git(repoPath, ['config', '--get', metaConfigKey(branch)]).catch(() => null);
+  return meta ? JSON.parse(meta) : null;
+}
+
+function writeMetaData(repoPath, branch, metaData) {
+  return git(repoPath, ['config', metaConfigKey(branch), JSON.stringify(metaData)]);
+}
+
+/**
+ * Reads a file at a branch or commit.
+ */
+function readBranchFile(repoPath, ref, filePath, encoding = 'utf8') {
+  return runGit(repoPath, ['cat-file', 'blob', `${ref}:${filePath}`]).then(output =>
+    output.toString(encoding),
+  );
+}
+
+const LOG_FIELD_SEPARATOR = '\x1f';
+
+/**
+ * Lists the commits of the checked out branch which changed a file, newest
+ * first.
+ */
+function listFileCommits(repoPath, filePath) {
+  return git(repoPath, [
+    'log',
+    `--format=%H${LOG_FIELD_SEPARATOR}%an${LOG_FIELD_SEPARATOR}%aI${LOG_FIELD_SEPARATOR}%s`,
+    '--',
+    filePath,
+  ]).then(output =>
+    output
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [sha, author, date, message] = line.split(LOG_FIELD_SEPARATOR);
+        return { sha, message, author, date };
+      }),
+  );
+}
+
+/**
+ * Lists the files added or modified on a branch since it forked from the
+ * checked out branch, or the deleted files when `deleted` is set.
+ */
+function listBranchFiles(repoPath, branch, { deleted = false } = {}) {
+  return git(repoPath, [
+    'diff',
+    '--name-only',
+    `--diff-filter=${deleted ? 'D' : 'd'}`,
+    `HEAD...${branch}`,
+  ]).then(output => output.split('\n').filter(Boolean));
+}
+
+/**
+ * Runs `func` with the environment of a temporary index file, which is
+ * removed afterwards.
+ */
+async function withTemporaryIndex(func) {
+  const indexFile = path.join(
+    os.tmpdir(),
+    `netlify-cms-index-${process.pid}-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2)}`,
+  );
+  try {
+    return await func({ GIT_INDEX_FILE: indexFile });
+  } finally {
+    await fs.unlink(indexFile).catch(() => {});
+  }
+}
+
+/**
+ * Commits files to a branch without touching the working directory or the
+ * index, by building the tree in a temporary index file, deleting
+ * `deletedPaths` in the same commit. New branches start from `startPoint`,
+ * the checked out commit by default.
+ */
+async function commitFiles(
+  repoPath,
+  branch,
+  files,
+  message,
+  { deletedPaths = [], startPoint = 'HEAD' } = {},
+) {
+  const parent = await git(repoPath, [
+    'rev-parse',
+    (await branchExists(repoPath, branch)) ? `refs/heads/${branch}` : startPoint,
+  ]);
+  return withTemporaryIndex(async env => {
+    await git(repoPath, ['read-tree', parent], { env });
+    for (const file of files) {
+      const content = Buffer.from(file.content, file.encoding || 'utf8');
+      const sha = await git(repoPath, ['hash-object', '-w', '--stdin'], { input: content });
+      await git(repoPath, ['update-index', '--add', '--cacheinfo', `100644,${sha},${file.path}`], {
+        env,
+      });
+    }
+    for (const deletedPath of deletedPaths) {
+      await git(repoPath, ['update-index', '--force-remove', deletedPath], { env });
+    }
+    const tree = await git(repoPath, ['write-tree'], { env });
+    const commit = await git(repoPath, ['commit-tree', tree, '-p', parent, '-m', message]);
+    await git(repoPath, ['update-ref', `refs/heads/${branch}`, commit]);
+  });
+}
+
+/**
+ * Commits the working directory state of files, including their deletion,
+ * to the checked out branch. Other changes are left as they are.
+ */
+async function commitWorkingFiles(repoPath, paths, message) {
+  await git(repoPath, ['add', '--all', '--', ...paths]);
+  return git(repoPath, ['commit', '-m', message, '--', ...paths]);
+}
+
+/**
+ * Merges a ref into the checked out branch with a merge commit, aborting the
+ * merge on conflicts. `fastForwardOnly` only updates the branch to the ref.
+ */
+async function mergeRef(repoPath, ref, { message, fastForwardOnly = false } = {}) {
+  if (fastForwardOnly) {
+    return git(repoPath, ['merge', '--ff-only', ref]);
+  }
+  try {
+    return await git(repoPath, ['merge', '--no-ff', '-m', message, ref]);
+  } catch (error) {
+    await git(repoPath, ['merge', '--abort']).catch(() => {});
+    throw error;
+  }
+}
+
+function fetchRefs(repoPath, remote, refspecs) {
+  return git(repoPath, ['fetch', '--quiet', remote, ...refspecs]);
+}
+
+function pushRefs(repoPath, remote, refspecs) {
+  return git(repoPath, ['push', '--quiet', remote, ...refspecs]);
+}
+
+/**
+ * Reads the metadata the GitHub backend keeps as `<key>.json` files in the
+ * tree of a ref, skipping files which aren't valid JSON.
+ */
+async function readMetaRefEntries(repoPath, ref) {
+  const names = await git(repoPath, ['ls-tree', '--name-only', ref]).then(output =>
+    output.split('\n').filter(name => name.endsWith('.json')),
+  );
+  const entries = await Promise.all(
+    names.map(async name => {
+      try {
+        const metaData = JSON.parse(await readBranchFile(repoPath, ref, name));
+        return { key: name.slice(0, -'.json'.length), metaData };
+      } catch (error) {
+        return null;
+      }
+    }),
+  );
+  return entries.filter(Boolean);
+}
+
+/**
+ * Commits the removal of files from the tree of a ref, such as the metadata
+ * ref of the GitHub backend, without touching the working directory or the
+ * index.
+ */
+function removeRefFiles(repoPath, ref, paths, message) {
+  return withTemporaryIndex(async env => {
+    const parent = await git(repoPath, ['rev-parse', ref]);
+    await git(repoPath, ['read-tree', parent], { env });
+    for (const removedPath of paths) {
+      await git(repoPath, ['update-index', '--force-remove', removedPath], { env });
+    }
+    const tree = await git(repoPath, ['write-tree'], { env });
+    const commit = await git(repoPath, ['commit-tree', tree, '-p', parent, '-m', message]);
+    await git(repoPath, ['update-ref', ref, commit]);
+  });
+}
+
+/**
+ * Deleting a branch also removes its config section, including the metadata.
+ */
+function deleteBranch(repoPath, branch) {
+  return git(repoPath, ['branch', '-D', branch]);
+}
+
+module.exports = {
+  generateBranchName,
+  parseBranchName,
+  isGitRepository,
+  listCmsBranches,
+  refExists,
+  branchExists,
+  currentBranch,
+  readMetaData,
+  writeMetaData,
+  readBranchFile,
+  listBranchFiles,
+  listFileCommits,
+  commitFiles,
+  commitWorkingFiles,
+  mergeRef,
+  fetchRefs,
+  pushRefs,
+  readMetaRefEntries,
+  removeRefFiles,
+  deleteBranch,
+};
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+const path = require('path');
+const { createApp } = require('./app');
+
+const port = process.env.PORT || 8081;
+const repoPath = path.resolve(process.env.GIT_REPO_DIRECTORY || process.cwd());
+// hosts other than localhost the CMS is served from, as in `local_backend.allowed_hosts`
+const allowedHosts = (process.env.ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim())
+  .filter(Boolean);
+
+// only listen on the loopback interface, the server has no authentication
+createApp(repoPath, { allowedHosts }).listen(port, 'localhost', () => {
+  console.log(`Netlify CMS proxy server listening on http://localhost:${port}/api/v1`);
+  console.log(`Serving files of ${repoPath}`);
+});
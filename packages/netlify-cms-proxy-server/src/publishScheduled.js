@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+const path = require('path');
+const { createActions } = require('./app');
+const git = require('./git');
+
+const READY_STATUS = 'pending_publish';
+const META_REF = 'refs/meta/_netlify_cms';
+
+/**
+ * An unpublished entry is due once the date of its `publish_at` metadata has
+ * passed, as long as it is still in a status it can be published from, the
+ * "Ready" status by default.
+ */
+function isDue(metaData, now = new Date(), statuses = [READY_STATUS]) {
+  if (!metaData || !statuses.includes(metaData.status) || !metaData.publish_at) {
+    return false;
+  }
+  const publishAt = new Date(metaData.publish_at);
+  return !isNaN(publishAt.getTime()) && publishAt <= now;
+}
+
+/**
+ * Publishes the due entries of the editorial workflow of the proxy server,
+ * committing the published files to the checked out branch unless `commit`
+ * is false. Nothing is pushed.
+ */
+async function publishLocalEntries(repoPath, { now, commit, statuses }) {
+  const actions = createActions(repoPath);
+  const entries = await actions.unpublishedEntries();
+  const published = [];
+  for (const { slug, metaData } of entries.filter(entry => isDue(entry.metaData, now, statuses))) {
+    const { collection } = metaData;
+    const { paths, deletedPaths } = await actions.publishUnpublishedEntry({ collection, slug });
+    const changedPaths = [...paths, ...deletedPaths];
+    if (commit && changedPaths.length > 0) {
+      await git.commitWorkingFiles(
+        repoPath,
+        changedPaths,
+        `Publish scheduled ${collection} "${slug}"`,
+      );
+    }
+    published.push({ collection, slug });
+  }
+  return published;
+}
+
+/**
+ * Publishes the due entries of the GitHub and Git Gateway backends, which keep
+ * entries on `cms/<slug>` branches of the remote and their metadata in
+ * `refs/meta/_netlify_cms`. Due branches are merged into the checked out
+ * branch, which is pushed before the branches and the metadata of the
+ * published entries are deleted from the remote. GitHub closes the pull requests of the entries as merged once their commits
+ * are pushed. Entries which don't merge cleanly are left unpublished.
+ */
+async function publishRemoteEntries(repoPath, remote, { now, statuses }) {
+  const base = await git.currentBranch(repoPath);
+  await git.fetchRefs(repoPath, remote, [
+    `+${META_REF}:${META_REF}`,
+    `+refs/heads/*:refs/remotes/${remote}/*`,
+  ]);
+  await git.mergeRef(repoPath, `refs/remotes/${remote}/${base}`, { fastForwardOnly: true });
+
+  const entries = await git.readMetaRefEntries(repoPath, META_REF);
+  const published = [];
+  const failed = [];
+  for (const { key, metaData } of entries.filter(entry => isDue(entry.metaData, now, statuses))) {
+    const { collection } = metaData;
+    const branch = metaData.branch || `cms/${key}`;
+    const ref = `refs/remotes/${remote}/${branch}`;
+    // published entries keep their metadata once their branch is deleted
+    if (!(await git.refExists(repoPath, ref))) {
+      continue;
+    }
+    try {
+      await git.mergeRef(repoPath, ref, { message: `Publish scheduled ${collection} "${key}"` });
+      published.push({ collection, slug: key, branch });
+    } catch (error) {
+      failed.push(`${collection}/${key}`);
+    }
+  }
+
+  if (published.length > 0) {
+    await git.pushRefs(repoPath, remote, [`HEAD:refs/heads/${base}`]);
+    await git.removeRefFiles(
+      repoPath,
+      META_REF,
+      published.map(({ slug }) => `${slug}.json`),
+      'Publish scheduled entries',
+    );
+    await git.pushRefs(repoPath, remote, [
+      `${META_REF}:${META_REF}`,
+      ...published.map(({ branch }) => `:refs/heads/${branch}`),
+    ]);
+  }
+  if (failed.length > 0) {
+    throw new Error(`Could not merge the scheduled entries ${failed.join(', ')}`);
+  }
+  return published.map(({ collection, slug }) => ({ collection, slug }));
+}
+
+/**
+ * Publishes the due entries of a repository, resolving to the published
+ * entries. Entries of the proxy server are published locally, entries of the
+ * GitHub and Git Gateway backends are published to `remote` when it is set.
+ */
+function publishScheduled(
+  repoPath,
+  { now = new Date(), commit = true, statuses = [READY_STATUS], remote } = {},
+) {
+  return remote
+    ? publishRemoteEntries(repoPath, remote, { now, statuses })
+    : publishLocalEntries(repoPath, { now, commit, statuses });
+}
+
+if (require.main === module) {
+  const repoPath = path.resolve(process.env.GIT_REPO_DIRECTORY || process.cwd());
+  const args = process.argv.slice(2);
+  const commit = !args.includes('--no-commit');
+  const remoteIndex = args.indexOf('--remote');
+  const remote = remoteIndex === -1 ? undefined : args[remoteIndex + 1];
+  // custom workflow statuses entries are published from are passed as `--status <name>`
+  const statuses = args.reduce(
+    (acc, arg, index) => (arg === '--status' && args[index + 1] ? [...acc, args[index + 1]] : acc),
+    [],
+  );
+  publishScheduled(repoPath, { commit, remote, ...(statuses.length > 0 && { statuses }) }).then(
+    published => {
+      published.forEach(({ collection, slug }) => console.log(`Published ${collection}/${slug}`));
+      console.log(
+        remote
+          ? `Published ${published.length} scheduled entries to ${remote}`
+          : `Published ${published.length} scheduled entries in ${repoPath}, nothing was pushed`,
+      );
+    },
+    error => {
+      console.error('Failed to publish scheduled entries:', error.message);
+      process.exitCode = 1;
+    },
+  );
+}
+
+module.exports = { isDue, publishScheduled };
@@ -0,0 +1,196 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { ClassNames } from '@emotion/core';
+import { Controlled as ReactCodeMirror } from 'react-codemirror2';
+import 'codemirror/keymap/sublime';
+import 'codemirror/keymap/vim';
+import 'codemirror/keymap/emacs';
+import {
+  Dropdown,
+  DropdownItem,
+  StyledDropdownButton,
+  buttons,
+  colors,
+  lengths,
+} from 'netlify-cms-ui-default';
+import languages, { findLanguage } from './languages';
+import { parseValue, serializeValue } from './codeValue';
+import './modes';
+
+const KEYMAP_STORAGE_KEY = 'cms.code-keymap';
+
+const keyMaps = [
+  { name: 'default', label: 'Default' },
+  { name: 'sublime', label: 'Sublime' },
+  { name: 'vim', label: 'Vim' },
+  { name: 'emacs', label: 'Emacs' },
+];
+
+const CodeToolbar = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  background-color: ${colors.textFieldBorder};
+  border-top-right-radius: ${lengths.borderRadius};
+  padding: 8px 14px;
+
+  ul {
+    max-height: 300px;
+    overflow-y: auto;
+  }
+`;
+
+const CodeToolbarButton = styled(StyledDropdownButton)`
+  ${buttons.small};
+  background-color: ${colors.button};
+  color: ${colors.buttonText};
+  padding-left: 12px;
+  padding-right: 32px;
+
+  &:after {
+    top: 9px;
+    right: 12px;
+  }
+`;
+
+export default class CodeControl extends React.Component {
+  static propTypes = {
+    field: ImmutablePropTypes.map.isRequired,
+    onChange: PropTypes.func.isRequired,
+    value: PropTypes.oneOfType([PropTypes.string, ImmutablePropTypes.map]),
+    classNameWrapper: PropTypes.string.isRequired,
+    setActiveStyle: PropTypes.func.isRequired,
+    setInactiveStyle: PropTypes.func.isRequired,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      /**
+       * A key binding picked by the user is kept across entries and widgets,
+       * the `keymap` option only sets the initial one.
+       */
+      keyMap: localStorage.getItem(KEYMAP_STORAGE_KEY) || props.field.get('keymap') || 'default',
+    };
+  }
+
+  handleChange = changes => {
+    const { field, value, onChange } = this.props;
+    onChange(serializeValue(field, { ...parseValue(field, value), ...changes }));
+  };
+
+  handleCodeChange = (editor, data, code) => {
+    this.handleChange({ code });
+  };
+
+  handleKeyMapChange = keyMap => {
+    this.setState({ keyMap });
+    localStorage.setItem(KEYMAP_STORAGE_KEY, keyMap);
+  };
+
+  renderLanguageDropdown(lang) {
+    const language = findLanguage(lang);
+    /**
+     * Languages missing from the list, e.g. read from a fenced code block, are
+     * kept as they are and shown by their identifier.
+     */
+    const label = language ? language.label : lang || languages[0].label;
+    return (
+      <Dropdown
+        renderButton={() => <CodeToolbarButton>{label}</CodeToolbarButton>}
+        dropdownTopOverlap="30px"
+        dropdownWidth="160px"
+        dropdownPosition="left"
+      >
+        {languages.map(option => (
+          <DropdownItem
+            key={option.identifiers[0]}
+            label={option.label}
+            onClick={() => this.handleChange({ lang: option.identifiers[0] })}
+            icon={option === language ? 'check' : undefined}
+          />
+        ))}
+      </Dropdown>
+    );
+  }
+
+  renderKeyMapDropdown() {
+    const { keyMap } = this.state;
+    const current = keyMaps.find(({ name }) => name === keyMap) || keyMaps[0];
+    return (
+      <Dropdown
+        renderButton={() => <CodeToolbarButton>{`Keys: ${current.label}`}</CodeToolbarButton>}
+        dropdownTopOverlap="30px"
+        dropdownWidth="120px"
+        dropdownPosition="right"
+      >
+        {keyMaps.map(({ name, label }) => (
+          <DropdownItem
+            key={name}
+            label={label}
+            onClick={() => this.handleKeyMapChange(name)}
+            icon={name === current.name ? 'check' : undefined}
+          />
+        ))}
+      </Dropdown>
+    );
+  }
+
+  render() {
+    const { field, value, classNameWrapper, setActiveStyle, setInactiveStyle } = this.props;
+    const { keyMap } = this.state;
+    const { code, lang } = parseValue(field, value);
+    const language = findLanguage(lang);
+    const allowLanguageSelection = field.get('allow_language_selection', true);
+
+    const options = {
+      mode: language ? language.mimeType : null,
+      keyMap,
+      lineNumbers: true,
+      lineWrapping: true,
+      viewportMargin: Infinity,
+    };
+
+    return (
+      <ClassNames>
+        {({ css, cx }) => (
+          <div
+            className={cx(
+              classNameWrapper,
+              css`
+                padding: 0;
+              `,
+            )}
+          >
+            <CodeToolbar>
+              <div>{allowLanguageSelection && this.renderLanguageDropdown(lang)}</div>
+              {this.renderKeyMapDropdown()}
+            </CodeToolbar>
+            <ReactCodeMirror
+              value={code}
+              options={options}
+              onBeforeChange={this.handleCodeChange}
+              onFocus={setActiveStyle}
+              onBlur={setInactiveStyle}
+              className={css`
+                .CodeMirror {
+                  height: auto;
+                  min-height: 140px;
+                  font-size: 14px;
+                  border-bottom-left-radius: ${lengths.borderRadius};
+                  border-bottom-right-radius: ${lengths.borderRadius};
+                }
+
+                .CodeMirror-scroll {
+                  min-height: 140px;
+                }
+              `}
+            />
+          </div>
+        )}
+      </ClassNames>
+    );
+  }
+}
@@ -0,0 +1,23 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import { WidgetPreviewContainer } from 'netlify-cms-ui-default';
+import { parseValue } from './codeValue';
+
+const CodePreview = ({ field, value }) => {
+  const { code, lang } = parseValue(field, value);
+  return (
+    <WidgetPreviewContainer>
+      <pre>
+        <code className={lang ? `language-${lang}` : undefined}>{code}</code>
+      </pre>
+    </WidgetPreviewContainer>
+  );
+};
+
+CodePreview.propTypes = {
+  field: ImmutablePropTypes.map.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, ImmutablePropTypes.map]),
+};
+
+export default CodePreview;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { fromJS } from 'immutable';
+import { render, fireEvent } from 'react-testing-library';
+import 'react-testing-library/cleanup-after-each';
+import 'jest-dom/extend-expect';
+
+/**
+ * CodeMirror measures text with ranges, which jsdom doesn't implement. They
+ * are looked up when CodeMirror loads, so the control is required afterwards.
+ */
+document.createRange = () => ({
+  setStart: () => {},
+  setEnd: () => {},
+  getBoundingClientRect: () => ({ right: 0 }),
+  getClientRects: () => ({ length: 0, left: 0, right: 0 }),
+});
+const CodeControl = require('../CodeControl').default;
+
+function setup({ field = fromJS({ name: 'code', widget: 'code' }), value } = {}) {
+  const onChange = jest.fn();
+  const helpers = render(
+    <CodeControl
+      field={field}
+      value={value}
+      onChange={onChange}
+      classNameWrapper=""
+      setActiveStyle={jest.fn()}
+      setInactiveStyle={jest.fn()}
+    />,
+  );
+  return { ...helpers, onChange };
+}
+
+describe('Code widget', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should render the code in an editor', () => {
+    const { container } = setup({ value: fromJS({ code: 'const a = 1;', lang: 'javascript' }) });
+    expect(container.querySelector('.CodeMirror')).toBeInTheDocument();
+    expect(container).toHaveTextContent('const a = 1;');
+  });
+
+  it('should show the language of the value', () => {
+    const { getByText } = setup({ value: fromJS({ code: '', lang: 'javascript' }) });
+    expect(getByText('JavaScript')).toBeInTheDocument();
+  });
+
+  it('should hide the language selection when disabled', () => {
+    const field = fromJS({ name: 'code', widget: 'code', allow_language_selection: false });
+    const { queryByText } = setup({ field, value: fromJS({ code: '', lang: 'javascript' }) });
+    expect(queryByText('JavaScript')).toBeNull();
+  });
+
+  it('should keep the picked key binding', () => {
+    const { getByText } = setup();
+    fireEvent.click(getByText('Keys: Default'));
+    fireEvent.click(getByText('Vim'));
+    expect(getByText('Keys: Vim')).toBeInTheDocument();
+    expect(localStorage.getItem('cms.code-keymap')).toBe('vim');
+  });
+});
@@ -0,0 +1,14 @@
+import codeBlock from '../codeBlock';
+
+describe('codeBlock', () => {
+  it('should write the language as the info string of the fence', () => {
+    expect(codeBlock.toBlock({ code: 'let a;', lang: 'js' })).toBe('```js\nlet a;\n```');
+    expect(codeBlock.toBlock({ code: 'plain' })).toBe('```\nplain\n```');
+  });
+
+  it('should use a fence longer than the backticks in the code', () => {
+    expect(codeBlock.toBlock({ code: '```\nnested\n```', lang: 'md' })).toBe(
+      '````md\n```\nnested\n```\n````',
+    );
+  });
+});
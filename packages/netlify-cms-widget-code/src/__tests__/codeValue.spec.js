@@ -0,0 +1,54 @@
+import { Map, fromJS } from 'immutable';
+import { getKeys, parseValue, serializeValue } from '../codeValue';
+
+describe('codeValue', () => {
+  describe('getKeys', () => {
+    it('should default to code and lang', () => {
+      expect(getKeys(Map())).toEqual({ code: 'code', lang: 'lang' });
+    });
+
+    it('should use the configured keys', () => {
+      expect(getKeys(fromJS({ keys: { lang: 'language' } }))).toEqual({
+        code: 'code',
+        lang: 'language',
+      });
+    });
+  });
+
+  describe('parseValue', () => {
+    it('should read an object value', () => {
+      const field = fromJS({ keys: { code: 'source', lang: 'language' } });
+      expect(parseValue(field, Map({ source: 'a = 1', language: 'python' }))).toEqual({
+        code: 'a = 1',
+        lang: 'python',
+      });
+    });
+
+    it('should read a string value with the default language', () => {
+      const field = fromJS({ output_code_only: true, default_language: 'js' });
+      expect(parseValue(field, 'let a;')).toEqual({ code: 'let a;', lang: 'js' });
+    });
+
+    it('should read a missing value as empty code', () => {
+      expect(parseValue(Map(), undefined)).toEqual({ code: '', lang: '' });
+      expect(parseValue(fromJS({ default_language: 'css' }), Map())).toEqual({
+        code: '',
+        lang: 'css',
+      });
+    });
+  });
+
+  describe('serializeValue', () => {
+    it('should output an object with the configured keys', () => {
+      const field = fromJS({ keys: { code: 'source' } });
+      expect(serializeValue(field, { code: 'let a;', lang: 'js' })).toEqual(
+        Map({ source: 'let a;', lang: 'js' }),
+      );
+    });
+
+    it('should output the code only', () => {
+      const field = fromJS({ output_code_only: true });
+      expect(serializeValue(field, { code: 'let a;', lang: 'js' })).toBe('let a;');
+    });
+  });
+});
@@ -0,0 +1,20 @@
+import languages, { findLanguage } from '../languages';
+
+describe('languages', () => {
+  it('should find languages by any identifier, ignoring case', () => {
+    expect(findLanguage('js').label).toBe('JavaScript');
+    expect(findLanguage('JavaScript').label).toBe('JavaScript');
+    expect(findLanguage(' YML ').label).toBe('YAML');
+  });
+
+  it('should not find unknown languages', () => {
+    expect(findLanguage('brainfuck')).toBeUndefined();
+    expect(findLanguage('')).toBeUndefined();
+    expect(findLanguage(undefined)).toBeUndefined();
+  });
+
+  it('should not share identifiers between languages', () => {
+    const identifiers = languages.reduce((acc, { identifiers }) => [...acc, ...identifiers], []);
+    expect(new Set(identifiers).size).toBe(identifiers.length);
+  });
+});
@@ -0,0 +1,43 @@
+import React from 'react';
+
+/**
+ * Build a fence longer than any run of backticks in the code, so that the
+ * code can't close the block early.
+ */
+function getFence(code) {
+  const longestRun = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 2);
+  return '`'.repeat(longestRun + 1);
+}
+
+/**
+ * Editor component used by the markdown widget to edit its fenced code blocks
+ * with the code widget. The language is written as the info string of the
+ * fence.
+ */
+const codeBlock = {
+  id: 'code-block',
+  label: 'Code Block',
+  type: 'code-block',
+  icon: 'code-block',
+  fields: [
+    {
+      label: 'Code',
+      name: 'code',
+      widget: 'code',
+      allow_language_selection: true,
+      keys: { code: 'code', lang: 'lang' },
+    },
+  ],
+  toBlock: ({ code = '', lang = '' }) => {
+    const fence = getFence(code);
+    return `${fence}${lang || ''}\n${code}\n${fence}`;
+  },
+  // eslint-disable-next-line react/display-name
+  toPreview: ({ code = '', lang = '' }) => (
+    <pre>
+      <code className={lang ? `language-${lang}` : undefined}>{code}</code>
+    </pre>
+  ),
+};
+
+export default codeBlock;
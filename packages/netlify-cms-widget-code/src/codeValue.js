@@ -0,0 +1,43 @@
+import { Map } from 'immutable';
+
+const DEFAULT_KEYS = { code: 'code', lang: 'lang' };
+
+/**
+ * Names of the properties holding the code and its language when the widget
+ * outputs an object, configurable through the `keys` option.
+ */
+export function getKeys(field) {
+  const keys = field.get('keys');
+  return { ...DEFAULT_KEYS, ...(keys ? keys.toJS() : {}) };
+}
+
+/**
+ * Read the code and its language from a widget value, which is the code string
+ * itself when `output_code_only` is set, or an object otherwise. A value of the
+ * other shape, e.g. left by a previous configuration, is read as well.
+ */
+export function parseValue(field, value) {
+  const defaultLanguage = field.get('default_language') || '';
+
+  if (Map.isMap(value)) {
+    const keys = getKeys(field);
+    return {
+      code: value.get(keys.code) || '',
+      lang: value.get(keys.lang) || defaultLanguage,
+    };
+  }
+
+  return { code: typeof value === 'string' ? value : '', lang: defaultLanguage };
+}
+
+/**
+ * Build the widget value for the given code and language.
+ */
+export function serializeValue(field, { code, lang }) {
+  if (field.get('output_code_only')) {
+    return code;
+  }
+
+  const keys = getKeys(field);
+  return Map({ [keys.code]: code, [keys.lang]: lang });
+}
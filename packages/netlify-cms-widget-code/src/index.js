@@ -0,0 +1,22 @@
+import codeMirrorStyles from 'codemirror/lib/codemirror.css';
+import controlComponent from './CodeControl';
+import previewComponent from './CodePreview';
+import codeBlock from './codeBlock';
+import languages from './languages';
+
+const Widget = (opts = {}) => ({
+  name: 'code',
+  controlComponent,
+  previewComponent,
+  globalStyles: codeMirrorStyles,
+  ...opts,
+});
+
+export const NetlifyCmsWidgetCode = {
+  Widget,
+  controlComponent,
+  previewComponent,
+  codeBlock,
+  languages,
+};
+export default NetlifyCmsWidgetCode;
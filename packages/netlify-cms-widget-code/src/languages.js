@@ -0,0 +1,83 @@
+/**
+ * Languages offered by the language dropdown. The first identifier is the one
+ * saved with the code, the others are accepted as aliases, e.g. in the info
+ * string of a fenced code block. `mode` is the CodeMirror mode providing the
+ * syntax highlighting, `mimeType` selects the dialect within that mode.
+ */
+const languages = [
+  { label: 'Plain Text', identifiers: ['text', 'plaintext', 'txt'], mode: null, mimeType: null },
+  {
+    label: 'Bash',
+    identifiers: ['bash', 'sh', 'shell', 'zsh'],
+    mode: 'shell',
+    mimeType: 'text/x-sh',
+  },
+  { label: 'C', identifiers: ['c', 'h'], mode: 'clike', mimeType: 'text/x-csrc' },
+  {
+    label: 'C++',
+    identifiers: ['cpp', 'c++', 'cc', 'hpp'],
+    mode: 'clike',
+    mimeType: 'text/x-c++src',
+  },
+  { label: 'C#', identifiers: ['csharp', 'cs'], mode: 'clike', mimeType: 'text/x-csharp' },
+  { label: 'CSS', identifiers: ['css'], mode: 'css', mimeType: 'text/css' },
+  { label: 'Diff', identifiers: ['diff', 'patch'], mode: 'diff', mimeType: 'text/x-diff' },
+  {
+    label: 'Dockerfile',
+    identifiers: ['dockerfile', 'docker'],
+    mode: 'dockerfile',
+    mimeType: 'text/x-dockerfile',
+  },
+  { label: 'Go', identifiers: ['go', 'golang'], mode: 'go', mimeType: 'text/x-go' },
+  {
+    label: 'HTML',
+    identifiers: ['html', 'xhtml', 'htm'],
+    mode: 'htmlmixed',
+    mimeType: 'text/html',
+  },
+  { label: 'Java', identifiers: ['java'], mode: 'clike', mimeType: 'text/x-java' },
+  {
+    label: 'JavaScript',
+    identifiers: ['javascript', 'js', 'jsx', 'mjs'],
+    mode: 'javascript',
+    mimeType: 'text/javascript',
+  },
+  { label: 'JSON', identifiers: ['json'], mode: 'javascript', mimeType: 'application/json' },
+  { label: 'Kotlin', identifiers: ['kotlin', 'kt'], mode: 'clike', mimeType: 'text/x-kotlin' },
+  {
+    label: 'Markdown',
+    identifiers: ['markdown', 'md'],
+    mode: 'markdown',
+    mimeType: 'text/x-markdown',
+  },
+  { label: 'PHP', identifiers: ['php'], mode: 'php', mimeType: 'application/x-httpd-php' },
+  { label: 'Python', identifiers: ['python', 'py'], mode: 'python', mimeType: 'text/x-python' },
+  { label: 'Ruby', identifiers: ['ruby', 'rb'], mode: 'ruby', mimeType: 'text/x-ruby' },
+  { label: 'Rust', identifiers: ['rust', 'rs'], mode: 'rust', mimeType: 'text/x-rustsrc' },
+  { label: 'Sass', identifiers: ['sass'], mode: 'sass', mimeType: 'text/x-sass' },
+  { label: 'SCSS', identifiers: ['scss'], mode: 'css', mimeType: 'text/x-scss' },
+  { label: 'SQL', identifiers: ['sql'], mode: 'sql', mimeType: 'text/x-sql' },
+  { label: 'Swift', identifiers: ['swift'], mode: 'swift', mimeType: 'text/x-swift' },
+  { label: 'TOML', identifiers: ['toml'], mode: 'toml', mimeType: 'text/x-toml' },
+  {
+    label: 'TypeScript',
+    identifiers: ['typescript', 'ts', 'tsx'],
+    mode: 'javascript',
+    mimeType: 'application/typescript',
+  },
+  { label: 'XML', identifiers: ['xml', 'svg'], mode: 'xml', mimeType: 'application/xml' },
+  { label: 'YAML', identifiers: ['yaml', 'yml'], mode: 'yaml', mimeType: 'text/x-yaml' },
+];
+
+/**
+ * Find a language by any of its identifiers, ignoring case.
+ */
+export function findLanguage(identifier) {
+  if (!identifier) {
+    return undefined;
+  }
+  const normalized = identifier.trim().toLowerCase();
+  return languages.find(language => language.identifiers.includes(normalized));
+}
+
+export default languages;
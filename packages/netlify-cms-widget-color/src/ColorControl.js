@@ -0,0 +1,181 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import styled from '@emotion/styled';
+import { ClassNames } from '@emotion/core';
+import { SketchPicker } from 'react-color';
+import { Icon, colors, lengths } from 'netlify-cms-ui-default';
+import { formatColor, COLOR_FORMATS } from './colorFormat';
+
+const ColorControlContainer = styled.div`
+  position: relative;
+`;
+
+const checkerboard = `
+  background-color: ${colors.inputBackground};
+  background-image: linear-gradient(45deg, #ddd 25%, transparent 25%),
+    linear-gradient(-45deg, #ddd 25%, transparent 25%),
+    linear-gradient(45deg, transparent 75%, #ddd 75%),
+    linear-gradient(-45deg, transparent 75%, #ddd 75%);
+  background-size: 16px 16px;
+  background-position: 0 0, 0 8px, 8px -8px, -8px 0;
+`;
+
+/**
+ * The swatch is drawn over a checkerboard so that transparent colors are
+ * recognizable.
+ */
+const SwatchButton = styled.button`
+  ${checkerboard};
+  position: absolute;
+  top: 8px;
+  left: 8px;
+  width: 48px;
+  height: calc(100% - 16px);
+  padding: 0;
+  border: 2px solid ${colors.textFieldBorder};
+  border-radius: ${lengths.borderRadius};
+  cursor: pointer;
+  overflow: hidden;
+
+  &:after {
+    content: '';
+    position: absolute;
+    top: 0;
+    right: 0;
+    bottom: 0;
+    left: 0;
+    background: ${props => props.color};
+  }
+`;
+
+const ClearButton = styled.button`
+  position: absolute;
+  top: 50%;
+  right: 12px;
+  transform: translateY(-50%);
+  padding: 0;
+  border: none;
+  background: none;
+  color: ${colors.controlLabel};
+  cursor: pointer;
+`;
+
+const PickerPopover = styled.div`
+  position: absolute;
+  top: calc(100% + 4px);
+  left: 0;
+  z-index: 2;
+`;
+
+/**
+ * Covers the page behind the picker, closing it when clicked.
+ */
+const PickerCover = styled.div`
+  position: fixed;
+  top: 0;
+  right: 0;
+  bottom: 0;
+  left: 0;
+  z-index: 1;
+`;
+
+export default class ColorControl extends React.Component {
+  static propTypes = {
+    field: ImmutablePropTypes.map.isRequired,
+    onChange: PropTypes.func.isRequired,
+    forID: PropTypes.string,
+    value: PropTypes.string,
+    classNameWrapper: PropTypes.string.isRequired,
+    setActiveStyle: PropTypes.func.isRequired,
+    setInactiveStyle: PropTypes.func.isRequired,
+  };
+
+  static defaultProps = {
+    value: '',
+  };
+
+  state = {
+    showPicker: false,
+  };
+
+  handlePickerToggle = () => {
+    this.setState({ showPicker: !this.state.showPicker });
+  };
+
+  handlePickerClose = () => {
+    this.setState({ showPicker: false });
+  };
+
+  handlePickerChange = color => {
+    const { field, onChange } = this.props;
+    const format = COLOR_FORMATS.includes(field.get('format')) ? field.get('format') : 'hex';
+    onChange(formatColor(color, { format, enableAlpha: field.get('enableAlpha', false) }));
+  };
+
+  handleInputChange = event => {
+    this.props.onChange(event.target.value);
+  };
+
+  handleClear = () => {
+    this.props.onChange('');
+  };
+
+  render() {
+    const { field, forID, value, classNameWrapper, setActiveStyle, setInactiveStyle } = this.props;
+    const { showPicker } = this.state;
+    /**
+     * Without `allowInput`, the text input only displays the value and opens
+     * the picker when clicked.
+     */
+    const allowInput = field.get('allowInput', false);
+
+    return (
+      <ColorControlContainer>
+        <ClassNames>
+          {({ css, cx }) => (
+            <input
+              type="text"
+              id={forID}
+              className={cx(
+                classNameWrapper,
+                css`
+                  padding-left: 72px;
+                  padding-right: 48px;
+                  cursor: ${allowInput ? 'text' : 'pointer'};
+                `,
+              )}
+              value={value || ''}
+              readOnly={!allowInput}
+              onClick={allowInput ? undefined : this.handlePickerToggle}
+              onChange={this.handleInputChange}
+              onFocus={setActiveStyle}
+              onBlur={setInactiveStyle}
+            />
+          )}
+        </ClassNames>
+        <SwatchButton
+          type="button"
+          color={value}
+          aria-label="Pick a color"
+          onClick={this.handlePickerToggle}
+        />
+        {value && (
+          <ClearButton type="button" aria-label="Clear" onClick={this.handleClear}>
+            <Icon type="close" size="small" />
+          </ClearButton>
+        )}
+        {showPicker && <PickerCover onClick={this.handlePickerClose} />}
+        {showPicker && (
+          <PickerPopover>
+            <SketchPicker
+              color={value || undefined}
+              disableAlpha={!field.get('enableAlpha', false)}
+              onChange={this.handlePickerChange}
+            />
+          </PickerPopover>
+        )}
+      </ColorControlContainer>
+    );
+  }
+}
@@ -0,0 +1,27 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styled from '@emotion/styled';
+import { WidgetPreviewContainer } from 'netlify-cms-ui-default';
+
+const Swatch = styled.span`
+  display: inline-block;
+  width: 1em;
+  height: 1em;
+  margin-right: 0.5em;
+  vertical-align: middle;
+  border: 1px solid rgba(0, 0, 0, 0.2);
+  background: ${props => props.color};
+`;
+
+const ColorPreview = ({ value }) => (
+  <WidgetPreviewContainer>
+    {value && <Swatch color={value} />}
+    {value}
+  </WidgetPreviewContainer>
+);
+
+ColorPreview.propTypes = {
+  value: PropTypes.string,
+};
+
+export default ColorPreview;
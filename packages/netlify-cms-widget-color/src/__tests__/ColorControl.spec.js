@@ -0,0 +1,51 @@
+import React from 'react';
+import { fromJS } from 'immutable';
+import { render, fireEvent } from 'react-testing-library';
+import 'react-testing-library/cleanup-after-each';
+import 'jest-dom/extend-expect';
+import ColorControl from '../ColorControl';
+
+function setup({ field = fromJS({ name: 'color', widget: 'color' }), value } = {}) {
+  const onChange = jest.fn();
+  const helpers = render(
+    <ColorControl
+      field={field}
+      value={value}
+      onChange={onChange}
+      forID="color-input"
+      classNameWrapper=""
+      setActiveStyle={jest.fn()}
+      setInactiveStyle={jest.fn()}
+    />,
+  );
+  return { ...helpers, input: helpers.container.querySelector('input'), onChange };
+}
+
+describe('Color widget', () => {
+  it('should display the value in a read-only input', () => {
+    const { input } = setup({ value: '#ff0000' });
+    expect(input).toHaveValue('#ff0000');
+    expect(input).toHaveAttribute('readonly');
+  });
+
+  it('should open the picker from the swatch', () => {
+    const { container, getByLabelText } = setup({ value: '#ff0000' });
+    expect(container.querySelector('.sketch-picker')).toBeNull();
+    fireEvent.click(getByLabelText('Pick a color'));
+    expect(container.querySelector('.sketch-picker')).toBeInTheDocument();
+  });
+
+  it('should accept typed values with allowInput', () => {
+    const field = fromJS({ name: 'color', widget: 'color', allowInput: true });
+    const { input, onChange } = setup({ field, value: '' });
+    expect(input).not.toHaveAttribute('readonly');
+    fireEvent.change(input, { target: { value: '#00ff00' } });
+    expect(onChange).toHaveBeenCalledWith('#00ff00');
+  });
+
+  it('should clear the value', () => {
+    const { getByLabelText, onChange } = setup({ value: '#ff0000' });
+    fireEvent.click(getByLabelText('Clear'));
+    expect(onChange).toHaveBeenCalledWith('');
+  });
+});
@@ -0,0 +1,34 @@
+import { formatColor } from '../colorFormat';
+
+const color = {
+  rgb: { r: 255, g: 128, b: 0, a: 0.5 },
+  hsl: { h: 30.117, s: 1, l: 0.5, a: 0.5 },
+};
+const opaque = {
+  rgb: { ...color.rgb, a: 1 },
+  hsl: { ...color.hsl, a: 1 },
+};
+
+describe('formatColor', () => {
+  it('should format colors as hex by default', () => {
+    expect(formatColor(color)).toBe('#ff8000');
+    expect(formatColor(color, { enableAlpha: true })).toBe('#ff800080');
+  });
+
+  it('should format colors as rgb', () => {
+    expect(formatColor(color, { format: 'rgb' })).toBe('rgb(255, 128, 0)');
+    expect(formatColor(color, { format: 'rgb', enableAlpha: true })).toBe('rgba(255, 128, 0, 0.5)');
+  });
+
+  it('should format colors as hsl', () => {
+    expect(formatColor(color, { format: 'hsl' })).toBe('hsl(30, 100%, 50%)');
+    expect(formatColor(color, { format: 'hsl', enableAlpha: true })).toBe(
+      'hsla(30, 100%, 50%, 0.5)',
+    );
+  });
+
+  it('should omit the alpha channel of opaque colors', () => {
+    expect(formatColor(opaque, { enableAlpha: true })).toBe('#ff8000');
+    expect(formatColor(opaque, { format: 'rgb', enableAlpha: true })).toBe('rgb(255, 128, 0)');
+  });
+});
@@ -0,0 +1,40 @@
+export const COLOR_FORMATS = ['hex', 'rgb', 'hsl'];
+
+const toHex = number =>
+  Math.round(number)
+    .toString(16)
+    .padStart(2, '0');
+
+const round = (number, precision = 0) => {
+  const factor = 10 ** precision;
+  return Math.round(number * factor) / factor;
+};
+
+/**
+ * Format a color received from the picker, which provides it as `rgb` and
+ * `hsl` objects with an `a` alpha channel between 0 and 1. The alpha channel
+ * is only written when `enableAlpha` is set and the color isn't opaque.
+ */
+export function formatColor({ rgb, hsl }, { format = 'hex', enableAlpha = false } = {}) {
+  const alpha = enableAlpha && rgb.a !== undefined && rgb.a < 1 ? round(rgb.a, 2) : null;
+  const hasAlpha = alpha !== null;
+
+  switch (format) {
+    case 'rgb': {
+      const channels = [rgb.r, rgb.g, rgb.b].map(channel => Math.round(channel));
+      return hasAlpha ? `rgba(${[...channels, alpha].join(', ')})` : `rgb(${channels.join(', ')})`;
+    }
+    case 'hsl': {
+      const channels = [
+        Math.round(hsl.h),
+        `${Math.round(hsl.s * 100)}%`,
+        `${Math.round(hsl.l * 100)}%`,
+      ];
+      return hasAlpha ? `hsla(${[...channels, alpha].join(', ')})` : `hsl(${channels.join(', ')})`;
+    }
+    default: {
+      const hex = `#${[rgb.r, rgb.g, rgb.b].map(toHex).join('')}`;
+      return hasAlpha ? `${hex}${toHex(alpha * 255)}` : hex;
+    }
+  }
+}
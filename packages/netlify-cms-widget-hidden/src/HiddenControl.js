@@ -0,0 +1,11 @@
+import React from 'react';
+
+/**
+ * Hidden fields keep the value set when the entry was created, usually from
+ * the field's `default`, and are never shown to editors.
+ */
+export default class HiddenControl extends React.Component {
+  render() {
+    return null;
+  }
+}
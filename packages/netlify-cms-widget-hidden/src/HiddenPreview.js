@@ -0,0 +1,3 @@
+const HiddenPreview = () => null;
+
+export default HiddenPreview;
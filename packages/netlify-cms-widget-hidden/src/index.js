@@ -0,0 +1,12 @@
+import controlComponent from './HiddenControl';
+import previewComponent from './HiddenPreview';
+
+const Widget = (opts = {}) => ({
+  name: 'hidden',
+  controlComponent,
+  previewComponent,
+  ...opts,
+});
+
+export const NetlifyCmsWidgetHidden = { Widget, controlComponent, previewComponent };
+export default NetlifyCmsWidgetHidden;
@@ -81,6 +81,7 @@ export default class ListControl extends React.Component {
     onValidateObject: PropTypes.func.isRequired,
     value: ImmutablePropTypes.list,
     field: PropTypes.object,
+    fieldPath: PropTypes.string,
     forID: PropTypes.string,
     controlRef: PropTypes.func,
     mediaPaths: ImmutablePropTypes.map.isRequired,
@@ -93,8 +94,10 @@ export default class ListControl extends React.Component {
     setInactiveStyle: PropTypes.func.isRequired,
     editorControl: PropTypes.func.isRequired,
     resolveWidget: PropTypes.func.isRequired,
+    isFieldHidden: PropTypes.func.isRequired,
     clearFieldErrors: PropTypes.func.isRequired,
     fieldsErrors: ImmutablePropTypes.map.isRequired,
+    t: PropTypes.func.isRequired,
   };
 
   static defaultProps = {
@@ -331,6 +334,7 @@ export default class ListControl extends React.Component {
   renderItem = (item, index) => {
     const {
       classNameWrapper,
+      fieldPath,
       editorControl,
       onValidateObject,
       metadata,
@@ -338,6 +342,8 @@ export default class ListControl extends React.Component {
       fieldsErrors,
       controlRef,
       resolveWidget,
+      isFieldHidden,
+      t,
     } = this.props;
 
     const { itemsCollapsed } = this.state;
@@ -374,9 +380,13 @@ export default class ListControl extends React.Component {
               })}
               value={item}
               field={field}
+              // items have no identity in the entry data, so comments on them
+              // follow the position rather than the item when it moves
+              fieldPath={fieldPath && `${fieldPath}.${index}`}
               onChangeObject={this.handleChangeFor(index)}
               editorControl={editorControl}
               resolveWidget={resolveWidget}
+              isFieldHidden={isFieldHidden}
               metadata={metadata}
               forList
               onValidateObject={onValidateObject}
@@ -384,6 +394,7 @@ export default class ListControl extends React.Component {
               fieldsErrors={fieldsErrors}
               ref={this.processControlRef}
               controlRef={controlRef}
+              t={t}
             />
           )}
         </ClassNames>
@@ -1,6 +1,12 @@
-export const TYPES_KEY = 'types';
-export const TYPE_KEY = 'typeKey';
-export const DEFAULT_TYPE_KEY = 'type';
+import { TYPES_KEY, resolveFieldKeyType } from 'netlify-cms-widget-object';
+
+// typed lists share the `types` and `typeKey` options of typed objects
+export {
+  TYPES_KEY,
+  TYPE_KEY,
+  DEFAULT_TYPE_KEY,
+  resolveFieldKeyType,
+} from 'netlify-cms-widget-object';
 
 export function getTypedFieldForValue(field, value) {
   const typeKey = resolveFieldKeyType(field);
@@ -18,10 +24,6 @@ export function resolveFunctionForTypedField(field) {
   };
 }
 
-export function resolveFieldKeyType(field) {
-  return field.get(TYPE_KEY, DEFAULT_TYPE_KEY);
-}
-
 export function getErrorMessageForTypedFieldAndValue(field, value) {
   const keyType = resolveFieldKeyType(field);
   const type = value.get(keyType);
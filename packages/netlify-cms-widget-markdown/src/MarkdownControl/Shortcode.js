@@ -21,6 +21,15 @@ const ShortcodeContainer = styled.div`
       background-color: ${colors.textFieldBorder};
       cursor: pointer;
     `};
+
+  ${props =>
+    props.inline &&
+    css`
+      display: inline-block;
+      vertical-align: top;
+      margin: 0 2px;
+      padding: ${props.collapsed ? '0' : '14px'};
+    `};
 `;
 
 const ShortcodeTopBar = styled(ListItemTopBar)`
@@ -32,8 +41,18 @@ const ShortcodeTopBar = styled(ListItemTopBar)`
 const ShortcodeTitle = styled.div`
   padding: 8px;
   color: ${colors.controlLabel};
+
+  ${props =>
+    props.inline &&
+    css`
+      padding: 0 6px;
+      font-size: 14px;
+    `};
 `;
 
+const isCodeBlock = node =>
+  getEditorComponents().getIn([node.data.get('shortcode'), 'type']) === 'code-block';
+
 export default class Shortcode extends React.Component {
   constructor(props) {
     super(props);
@@ -41,9 +60,10 @@ export default class Shortcode extends React.Component {
       /**
        * The `shortcodeNew` prop is set to `true` when creating a new Shortcode,
        * so that the form is immediately open for editing. Otherwise all
-       * shortcodes are collapsed by default.
+       * shortcodes are collapsed by default, except code blocks, which are
+       * always shown in their editor.
        */
-      collapsed: !props.node.data.get('shortcodeNew'),
+      collapsed: !props.node.data.get('shortcodeNew') && !isCodeBlock(props.node),
     };
   }
 
@@ -54,6 +74,16 @@ export default class Shortcode extends React.Component {
     editor.change(c => c.setNodeByKey(node.key, { data }));
   };
 
+  /**
+   * Code blocks are edited as a whole by the widget of their single field,
+   * which outputs both the code and its language.
+   */
+  handleCodeBlockChange = (fieldName, value) => {
+    const { editor, node } = this.props;
+    const data = node.data.set('shortcodeData', value);
+    editor.change(c => c.setNodeByKey(node.key, { data }));
+  };
+
   handleCollapseToggle = () => {
     this.setState({ collapsed: !this.state.collapsed });
   };
@@ -94,23 +124,47 @@ export default class Shortcode extends React.Component {
     );
   };
 
+  renderControls = (shortcodeData, plugin) => {
+    if (plugin.get('type') === 'code-block') {
+      const Control = getEditorControl();
+      const field = plugin.get('fields').first();
+      return <Control field={field} value={shortcodeData} onChange={this.handleCodeBlockChange} />;
+    }
+    return plugin.get('fields').map(partial(this.renderControl, shortcodeData));
+  };
+
   render() {
     const { attributes, node } = this.props;
     const { collapsed } = this.state;
     const pluginId = node.data.get('shortcode');
     const shortcodeData = Map(this.props.node.data.get('shortcodeData'));
     const plugin = getEditorComponents().get(pluginId);
+    /**
+     * Inline shortcodes are rendered within the text of their block, and
+     * show only their title when collapsed.
+     */
+    const inline = node.object === 'inline';
     return (
-      <ShortcodeContainer collapsed={collapsed} {...attributes} onClick={this.handleClick}>
-        <ShortcodeTopBar
-          collapsed={collapsed}
-          onCollapseToggle={this.handleCollapseToggle}
-          onRemove={this.handleRemove}
-        />
+      <ShortcodeContainer
+        as={inline ? 'span' : 'div'}
+        inline={inline}
+        collapsed={collapsed}
+        {...attributes}
+        onClick={this.handleClick}
+      >
+        {(!inline || !collapsed) && (
+          <ShortcodeTopBar
+            collapsed={collapsed}
+            onCollapseToggle={isCodeBlock(node) ? undefined : this.handleCollapseToggle}
+            onRemove={this.handleRemove}
+          />
+        )}
         {collapsed ? (
-          <ShortcodeTitle>{capitalize(pluginId)}</ShortcodeTitle>
+          <ShortcodeTitle as={inline ? 'span' : 'div'} inline={inline}>
+            {capitalize(pluginId)}
+          </ShortcodeTitle>
         ) : (
-          plugin.get('fields').map(partial(this.renderControl, shortcodeData))
+          this.renderControls(shortcodeData, plugin)
         )}
       </ShortcodeContainer>
     );
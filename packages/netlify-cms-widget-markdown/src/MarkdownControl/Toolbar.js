@@ -206,6 +206,7 @@ export default class Toolbar extends React.Component {
               {plugins &&
                 plugins
                   .toList()
+                  .filter(plugin => plugin.get('type') !== 'code-block')
                   .map((plugin, idx) => (
                     <DropdownItem
                       key={idx}
@@ -113,6 +113,19 @@ export default class Editor extends React.Component {
 
   handleBlockClick = (event, type) => {
     event.preventDefault();
+
+    /**
+     * Code blocks are inserted as the registered code block component, if any,
+     * so they are edited with its widget.
+     */
+    const codeBlock = this.props
+      .getEditorComponents()
+      .find(plugin => plugin.get('type') === 'code-block');
+    if (type === 'code' && codeBlock) {
+      this.handlePluginAdd(codeBlock.get('id'));
+      return;
+    }
+
     let { value } = this.state;
     const { document: doc } = value;
     const { unwrapList, wrapInList } = EditListConfigured.changes;
@@ -190,28 +203,45 @@ export default class Editor extends React.Component {
       .filter(field => field.has('default'))
       .map(field => field.get('default'));
 
-    /**
-     * Create new shortcode block with default values set.
-     */
-    const block = {
-      object: 'block',
-      type: 'shortcode',
-      data: {
-        shortcode: pluginId,
-        shortcodeNew: true,
-        shortcodeData: defaultValues,
-      },
-      isVoid: true,
-      nodes,
+    const data = {
+      shortcode: pluginId,
+      shortcodeNew: true,
+      shortcodeData: defaultValues,
     };
 
     let change = value.change();
-    const { focusBlock } = change.value;
 
-    if (focusBlock.text === '' && focusBlock.type === 'paragraph') {
-      change = change.setNodeByKey(focusBlock.key, block);
+    if (getEditorComponents().getIn([pluginId, 'type']) === 'inline') {
+      /**
+       * Insert new inline shortcode at the cursor, within the current block.
+       */
+      const inline = {
+        object: 'inline',
+        type: 'inline-shortcode',
+        data,
+        isVoid: true,
+        nodes,
+      };
+      change = change.insertInline(inline);
     } else {
-      change = change.insertBlock(block);
+      /**
+       * Create new shortcode block with default values set.
+       */
+      const block = {
+        object: 'block',
+        type: 'shortcode',
+        data,
+        isVoid: true,
+        nodes,
+      };
+
+      const { focusBlock } = change.value;
+
+      if (focusBlock.text === '' && focusBlock.type === 'paragraph') {
+        change = change.setNodeByKey(focusBlock.key, block);
+      } else {
+        change = change.insertBlock(block);
+      }
     }
 
     change = change.focus();
@@ -132,6 +132,7 @@ export const renderNode = props => {
     case 'image':
       return <Image {...props} />;
     case 'shortcode':
+    case 'inline-shortcode':
       return <Shortcode {...props} />;
   }
 };
@@ -0,0 +1,52 @@
+import { flow } from 'lodash';
+import { markdownToSlate, slateToMarkdown, markdownToHtml } from '../index';
+
+jest.mock('../../MarkdownControl', () => {
+  const { Map } = require('immutable');
+  const plugins = Map({
+    'code-block': {
+      id: 'code-block',
+      type: 'code-block',
+      toBlock: ({ code, lang }) => `\`\`\`${lang}\n${code}\n\`\`\``,
+      toPreview: ({ code }) => `<pre>${code}</pre>`,
+    },
+  });
+  return { getEditorComponents: () => plugins };
+});
+
+const process = flow([markdownToSlate, slateToMarkdown]);
+
+describe('remarkCodeBlocks', () => {
+  it('should parse top level code blocks as code block shortcodes', () => {
+    const slate = markdownToSlate('```js title="a"\nlet a;\n```');
+
+    expect(slate.nodes[0]).toEqual(
+      expect.objectContaining({
+        type: 'shortcode',
+        isVoid: true,
+        data: {
+          shortcode: 'code-block',
+          shortcodeData: { code: 'let a;', lang: 'js title="a"' },
+        },
+      }),
+    );
+  });
+
+  it('should keep code blocks nested in other blocks', () => {
+    const slate = markdownToSlate('* item\n\n  ```\n  code\n  ```');
+    expect(JSON.stringify(slate)).not.toContain('shortcode');
+  });
+
+  it('should keep the language of code blocks', () => {
+    expect(process('text\n\n```yaml\na: 1\n```\n\ntext')).toEqual(
+      'text\n\n```yaml\na: 1\n```\n\ntext',
+    );
+    expect(process('```\nplain\n```')).toEqual('```\nplain\n```');
+  });
+
+  it('should not change the html preview of code blocks', () => {
+    expect(markdownToHtml('```js\nlet a;\n```')).toEqual(
+      '<pre><code class="language-js">let a;\n</code></pre>',
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import { flow } from 'lodash';
+import { markdownToSlate, slateToMarkdown, markdownToHtml } from '../index';
+
+jest.mock('../../MarkdownControl', () => {
+  const { Map } = require('immutable');
+  const plugins = Map({
+    youtube: {
+      id: 'youtube',
+      type: 'block',
+      pattern: /^{{<\s?youtube (\S+)\s?>}}$/,
+      fromBlock: match => ({ id: match[1] }),
+      toBlock: ({ id }) => `{{< youtube ${id} >}}`,
+      toPreview: ({ id }) => `<iframe src="https://www.youtube.com/embed/${id}"></iframe>`,
+    },
+    abbr: {
+      id: 'abbr',
+      type: 'inline',
+      pattern: /{{<\s?abbr "([^"]*)" "([^"]*)"\s?>}}/,
+      fromBlock: match => ({ text: match[1], title: match[2] }),
+      toBlock: ({ text, title }) => `{{< abbr "${text}" "${title}" >}}`,
+      toPreview: ({ text, title }) => `<abbr title="${title}">${text}</abbr>`,
+    },
+  });
+  return { getEditorComponents: () => plugins };
+});
+
+const process = flow([markdownToSlate, slateToMarkdown]);
+
+const findNode = (node, type) =>
+  node.type === type ? node : (node.nodes || []).map(child => findNode(child, type)).find(Boolean);
+
+describe('remarkShortcodes', () => {
+  it('should parse inline shortcodes as inline nodes', () => {
+    const slate = markdownToSlate('Use {{< abbr "CMS" "Content Management System" >}} daily.');
+    const paragraph = findNode(slate, 'paragraph');
+
+    expect(paragraph.nodes.map(node => node.object)).toEqual(['text', 'inline', 'text']);
+    expect(paragraph.nodes[1]).toEqual(
+      expect.objectContaining({
+        type: 'inline-shortcode',
+        isVoid: true,
+        data: {
+          shortcode: 'abbr',
+          shortcodeData: { text: 'CMS', title: 'Content Management System' },
+        },
+      }),
+    );
+  });
+
+  it('should keep the text around inline shortcodes', () => {
+    expect(process('Use {{< abbr "CMS" "Content Management System" >}} daily.')).toEqual(
+      'Use {{< abbr "CMS" "Content Management System" >}} daily.',
+    );
+    expect(process('{{< abbr "A" "B" >}} and {{< abbr "C" "D" >}}')).toEqual(
+      '{{< abbr "A" "B" >}} and {{< abbr "C" "D" >}}',
+    );
+    expect(process('**bold {{< abbr "A" "B" >}}** text')).toEqual(
+      '**bold {{< abbr "A" "B" >}}** text',
+    );
+  });
+
+  it('should only parse block shortcodes as whole paragraphs', () => {
+    expect(findNode(markdownToSlate('{{< youtube abc >}}'), 'shortcode')).toBeTruthy();
+    expect(findNode(markdownToSlate('see {{< youtube abc >}}'), 'shortcode')).toBeFalsy();
+    expect(process('{{< youtube abc >}}\n\ntext')).toEqual('{{< youtube abc >}}\n\ntext');
+  });
+
+  it('should serialize inline shortcodes inserted in the editor', () => {
+    const slate = {
+      object: 'block',
+      type: 'root',
+      nodes: [
+        {
+          object: 'block',
+          type: 'paragraph',
+          nodes: [
+            { object: 'text', leaves: [{ text: 'a ' }] },
+            {
+              object: 'inline',
+              type: 'inline-shortcode',
+              isVoid: true,
+              data: {
+                shortcode: 'abbr',
+                shortcodeNew: true,
+                shortcodeData: { text: 'A', title: 'B' },
+              },
+              nodes: [{ object: 'text', leaves: [{ text: '' }] }],
+            },
+            { object: 'text', leaves: [{ text: ' b' }] },
+          ],
+        },
+      ],
+    };
+    expect(slateToMarkdown(slate)).toEqual('a {{< abbr "A" "B" >}} b');
+  });
+
+  it('should render inline shortcode previews in place', () => {
+    expect(markdownToHtml('Use {{< abbr "CMS" "Content Management System" >}}.')).toEqual(
+      '<p>Use <abbr title="Content Management System">CMS</abbr>.</p>',
+    );
+  });
+});
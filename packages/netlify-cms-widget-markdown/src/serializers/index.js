@@ -15,6 +15,7 @@ import remarkWrapHtml from './remarkWrapHtml';
 import remarkToSlate from './remarkSlate';
 import remarkSquashReferences from './remarkSquashReferences';
 import { remarkParseShortcodes, createRemarkShortcodeStringifier } from './remarkShortcodes';
+import remarkCodeBlocks from './remarkCodeBlocks';
 import remarkEscapeMarkdownEntities from './remarkEscapeMarkdownEntities';
 import remarkStripTrailingBreaks from './remarkStripTrailingBreaks';
 import remarkAllowHtmlEntities from './remarkAllowHtmlEntities';
@@ -192,6 +193,7 @@ export const markdownToSlate = markdown => {
   const mdast = markdownToRemark(markdown);
 
   const slateRaw = unified()
+    .use(remarkCodeBlocks, { plugins: getEditorComponents() })
     .use(remarkWrapHtml)
     .use(remarkToSlate)
     .runSync(mdast);
@@ -0,0 +1,29 @@
+import { map } from 'lodash';
+import u from 'unist-builder';
+
+/**
+ * When an editor component of the `code-block` type is registered, convert
+ * top level fenced code blocks to shortcodes of that component so they are
+ * edited with its widget. The whole info string of the fence is kept as the
+ * language. Code blocks nested in other blocks, such as lists, are left as
+ * they are, since shortcodes can only be top level blocks.
+ */
+export default function remarkCodeBlocks({ plugins }) {
+  const plugin = plugins.find(plugin => plugin.type === 'code-block');
+
+  return function transform(root) {
+    if (!plugin) {
+      return root;
+    }
+
+    const children = map(root.children, node => {
+      if (node.type !== 'code') {
+        return node;
+      }
+      const shortcodeData = { code: node.value, lang: node.lang || '' };
+      return u('shortcode', { data: { shortcode: plugin.id, shortcodeData } });
+    });
+
+    return { ...root, children };
+  };
+}
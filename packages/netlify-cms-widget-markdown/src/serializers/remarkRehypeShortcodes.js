@@ -16,34 +16,41 @@ export default function remarkToRehypeShortcodes({ plugins, getAsset }) {
     return { ...root, children: transformedChildren };
   }
 
+  /**
+   * Run the shortcode plugin's `toPreview` method, which will return either
+   * an HTML string or a React component. If a React component is returned,
+   * render it to an HTML string.
+   */
+  function renderShortcode({ shortcode, shortcodeData }) {
+    const plugin = plugins.get(shortcode);
+    const value = plugin.toPreview(shortcodeData, getAsset);
+    return typeof value === 'string' ? value : renderToString(value);
+  }
+
   /**
    * Mapping function to transform nodes that contain shortcodes.
    */
   function processShortcodes(node) {
     /**
-     * If the node doesn't contain shortcode data, return the original node.
+     * Inline shortcodes can be nested in any node containing text, and are
+     * replaced by their preview markup in place.
      */
-    if (!has(node, ['data', 'shortcode'])) return node;
+    if (node.type === 'inlineShortcode') {
+      return u('html', renderShortcode(node.data));
+    }
 
     /**
-     * Get shortcode data from the node, and retrieve the matching plugin by
-     * key.
+     * If the node doesn't contain shortcode data, look for inline shortcodes
+     * in its children, if any.
      */
-    const { shortcode, shortcodeData } = node.data;
-    const plugin = plugins.get(shortcode);
-
-    /**
-     * Run the shortcode plugin's `toPreview` method, which will return either
-     * an HTML string or a React component. If a React component is returned,
-     * render it to an HTML string.
-     */
-    const value = plugin.toPreview(shortcodeData, getAsset);
-    const valueHtml = typeof value === 'string' ? value : renderToString(value);
+    if (!has(node, ['data', 'shortcode'])) {
+      return node.children ? transform(node) : node;
+    }
 
     /**
      * Return a new 'html' type node containing the shortcode preview markup.
      */
-    const textNode = u('html', valueHtml);
+    const textNode = u('html', renderShortcode(node.data));
     const children = [textNode];
     return { ...node, children };
   }
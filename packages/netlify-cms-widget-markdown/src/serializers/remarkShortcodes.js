@@ -1,11 +1,25 @@
+/**
+ * Code block components have no pattern, they are created from fenced code
+ * blocks by `remarkCodeBlocks`.
+ */
+const isType = type => plugin => (plugin.type || 'block') === type;
+
 export function remarkParseShortcodes({ plugins }) {
   const Parser = this.Parser;
   const tokenizers = Parser.prototype.blockTokenizers;
   const methods = Parser.prototype.blockMethods;
+  const inlineTokenizers = Parser.prototype.inlineTokenizers;
+  const inlineMethods = Parser.prototype.inlineMethods;
 
-  tokenizers.shortcode = createShortcodeTokenizer({ plugins });
+  tokenizers.shortcode = createShortcodeTokenizer({
+    plugins: plugins.filter(isType('block')),
+  });
+  inlineTokenizers.inlineShortcode = createInlineShortcodeTokenizer({
+    plugins: plugins.filter(isType('inline')),
+  });
 
   methods.unshift('shortcode');
+  inlineMethods.unshift('inlineShortcode');
 }
 
 function createShortcodeTokenizer({ plugins }) {
@@ -32,12 +46,54 @@ function createShortcodeTokenizer({ plugins }) {
   };
 }
 
+/**
+ * Inline shortcodes are matched anywhere in the text of a paragraph. The
+ * locator tells the parser where the next match starts, so that the text
+ * before it is parsed as text.
+ */
+function createInlineShortcodeTokenizer({ plugins }) {
+  function tokenizeInlineShortcode(eat, value, silent) {
+    let match;
+    const plugin = plugins.find(plugin => {
+      match = value.match(plugin.pattern);
+      return !!match && match.index === 0 && match[0].length > 0;
+    });
+
+    if (plugin) {
+      if (silent) {
+        return true;
+      }
+
+      const shortcodeData = plugin.fromBlock(match);
+
+      return eat(match[0])({
+        type: 'inlineShortcode',
+        data: { shortcode: plugin.id, shortcodeData },
+      });
+    }
+  }
+
+  tokenizeInlineShortcode.locator = function locateInlineShortcode(value, fromIndex) {
+    const rest = value.slice(fromIndex);
+    return plugins.reduce((index, plugin) => {
+      const pluginIndex = rest.search(plugin.pattern);
+      if (pluginIndex < 0) {
+        return index;
+      }
+      return index < 0 ? fromIndex + pluginIndex : Math.min(index, fromIndex + pluginIndex);
+    }, -1);
+  };
+
+  return tokenizeInlineShortcode;
+}
+
 export function createRemarkShortcodeStringifier({ plugins }) {
   return function remarkStringifyShortcodes() {
     const Compiler = this.Compiler;
     const visitors = Compiler.prototype.visitors;
 
     visitors.shortcode = shortcode;
+    visitors.inlineShortcode = shortcode;
 
     function shortcode(node) {
       const { data } = node;
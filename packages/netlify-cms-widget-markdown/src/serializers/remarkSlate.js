@@ -43,6 +43,7 @@ const typeMap = {
   link: 'link',
   image: 'image',
   shortcode: 'shortcode',
+  inlineShortcode: 'inline-shortcode',
 };
 
 /**
@@ -137,7 +138,7 @@ function processMarkNode(node, parentMarks = []) {
        * added into the cumulative children array.
        */
       default:
-        return { ...childNode, data: { marks } };
+        return { ...childNode, data: { ...childNode.data, marks } };
     }
   });
 
@@ -198,6 +199,19 @@ function convertNode(node, nodes) {
       return createBlock(typeMap[node.type], nodes, { data, isVoid: true });
     }
 
+    /**
+     * Inline Shortcodes
+     *
+     * Inline shortcodes are "void" inline nodes in the Slate AST, so they can
+     * appear within the text of a block. Like Slate void blocks, they must
+     * contain a blank text node.
+     */
+    case 'inlineShortcode': {
+      const { data } = node;
+      const nodes = [createText('')];
+      return createInline(typeMap[node.type], { data, isVoid: true }, nodes);
+    }
+
     /**
      * Text
      *
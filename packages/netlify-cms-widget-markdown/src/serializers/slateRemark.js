@@ -26,6 +26,7 @@ const typeMap = {
   link: 'link',
   image: 'image',
   shortcode: 'shortcode',
+  'inline-shortcode': 'inlineShortcode',
 };
 
 /**
@@ -418,6 +419,18 @@ function convertNode(node, children) {
       return u(typeMap[node.type], { data });
     }
 
+    /**
+     * Inline Shortcodes
+     *
+     * Inline shortcode nodes carry the same data as shortcode blocks, along
+     * with the marks added to inline nodes for combining them with adjacent
+     * text, which are left out of the MDAST node.
+     */
+    case 'inline-shortcode': {
+      const { shortcode, shortcodeData } = get(node, 'data', {});
+      return u(typeMap[node.type], { data: { shortcode, shortcodeData } });
+    }
+
     /**
      * Headings
      *
@@ -3,7 +3,15 @@ import PropTypes from 'prop-types';
 import ImmutablePropTypes from 'react-immutable-proptypes';
 import { ClassNames } from '@emotion/core';
 import { Map, List } from 'immutable';
-import { ObjectWidgetTopBar, lengths } from 'netlify-cms-ui-default';
+import {
+  ObjectWidgetTopBar,
+  Dropdown,
+  DropdownItem,
+  StyledDropdownButton,
+  colors,
+  lengths,
+} from 'netlify-cms-ui-default';
+import { TYPES_KEY, resolveFieldKeyType } from './typedObjectHelpers';
 
 const styleStrings = {
   nestedObjectControl: `
@@ -15,6 +23,10 @@ const styleStrings = {
   objectWidgetTopBarContainer: `
     padding: ${lengths.objectWidgetTopBarContainerPadding}
   `,
+  typeError: `
+    color: ${colors.errorText};
+    margin: 12px 0 0;
+  `,
 };
 
 export default class ObjectControl extends React.Component {
@@ -23,16 +35,20 @@ export default class ObjectControl extends React.Component {
   static propTypes = {
     onChangeObject: PropTypes.func.isRequired,
     onValidateObject: PropTypes.func.isRequired,
+    onChange: PropTypes.func,
     value: PropTypes.oneOfType([PropTypes.node, PropTypes.object, PropTypes.bool]),
     field: PropTypes.object,
+    fieldPath: PropTypes.string,
     forID: PropTypes.string,
     classNameWrapper: PropTypes.string.isRequired,
     forList: PropTypes.bool,
     controlRef: PropTypes.func,
     editorControl: PropTypes.func.isRequired,
     resolveWidget: PropTypes.func.isRequired,
+    isFieldHidden: PropTypes.func.isRequired,
     clearFieldErrors: PropTypes.func.isRequired,
     fieldsErrors: ImmutablePropTypes.map.isRequired,
+    t: PropTypes.func.isRequired,
   };
 
   static defaultProps = {
@@ -56,12 +72,51 @@ export default class ObjectControl extends React.Component {
     return true;
   }
 
-  validate = () => {
+  isHidden = field => {
+    const { value, isFieldHidden } = this.props;
+    return field.get('widget') === 'hidden' || isFieldHidden(field, value);
+  };
+
+  /**
+   * An object with `types` takes the fields of the type named by the `typeKey`
+   * property of its value. Items of typed lists are given their type as field.
+   */
+  isTyped() {
+    const { field, forList } = this.props;
+    return !forList && !!field.get(TYPES_KEY);
+  }
+
+  getTypeKey() {
+    return resolveFieldKeyType(this.props.field);
+  }
+
+  getValueType() {
+    const { value } = this.props;
+    return Map.isMap(value) ? value.get(this.getTypeKey()) : undefined;
+  }
+
+  getActiveType() {
+    const typeName = this.getValueType();
+    return this.props.field.get(TYPES_KEY).find(type => type.get('name') === typeName);
+  }
+
+  getFieldsConfig() {
     const { field } = this.props;
-    let fields = field.get('field') || field.get('fields');
-    fields = List.isList(fields) ? fields : List([fields]);
+    if (this.isTyped()) {
+      const type = this.getActiveType();
+      return { multiFields: type && type.get('fields') };
+    }
+    return { multiFields: field.get('fields'), singleField: field.get('field') };
+  }
+
+  validate = () => {
+    const { multiFields, singleField } = this.getFieldsConfig();
+    if (!multiFields && !singleField) {
+      return;
+    }
+    const fields = multiFields || List([singleField]);
     fields.forEach(field => {
-      if (field.get('widget') === 'hidden') return;
+      if (this.isHidden(field)) return;
       this.componentValidate[field.get('name')]();
     });
   };
@@ -69,6 +124,7 @@ export default class ObjectControl extends React.Component {
   controlFor(field, key) {
     const {
       value,
+      fieldPath,
       onChangeObject,
       onValidateObject,
       clearFieldErrors,
@@ -78,7 +134,7 @@ export default class ObjectControl extends React.Component {
       controlRef,
     } = this.props;
 
-    if (field.get('widget') === 'hidden') {
+    if (this.isHidden(field)) {
       return null;
     }
     const fieldName = field.get('name');
@@ -88,6 +144,7 @@ export default class ObjectControl extends React.Component {
       <EditorControl
         key={key}
         field={field}
+        parentPath={fieldPath}
         value={fieldValue}
         onChange={onChangeObject}
         clearFieldErrors={clearFieldErrors}
@@ -104,6 +161,69 @@ export default class ObjectControl extends React.Component {
     this.setState({ collapsed: !this.state.collapsed });
   };
 
+  /**
+   * Switching types keeps the values of the fields the types have in common,
+   * and sets the defaults of the other fields.
+   */
+  handleTypeChange = typeName => {
+    const { field, value, onChange } = this.props;
+    const type = field.get(TYPES_KEY).find(type => type.get('name') === typeName);
+    const previousValue = Map.isMap(value) ? value : Map();
+    const newValue = type.get('fields', List()).reduce((acc, field) => {
+      const name = field.get('name');
+      if (previousValue.has(name)) {
+        return acc.set(name, previousValue.get(name));
+      }
+      return field.has('default') ? acc.set(name, field.get('default')) : acc;
+    }, Map({ [this.getTypeKey()]: typeName }));
+    onChange(newValue);
+  };
+
+  renderTypeDropdown() {
+    const { field, t } = this.props;
+    const activeType = this.getActiveType();
+    const label = activeType
+      ? activeType.get('label', activeType.get('name'))
+      : t('editor.editorWidgets.object.selectType', {
+          label: field.get('label', field.get('name')).toLowerCase(),
+        });
+
+    return (
+      <Dropdown renderButton={() => <StyledDropdownButton>{label}</StyledDropdownButton>}>
+        {field.get(TYPES_KEY).map(type => (
+          <DropdownItem
+            key={type.get('name')}
+            label={type.get('label', type.get('name'))}
+            onClick={() => this.handleTypeChange(type.get('name'))}
+            icon={type === activeType ? 'check' : undefined}
+          />
+        ))}
+      </Dropdown>
+    );
+  }
+
+  renderTypeError() {
+    const { t } = this.props;
+    const typeKey = this.getTypeKey();
+    const valueType = this.getValueType();
+    if (!valueType || this.getActiveType()) {
+      return null;
+    }
+    return (
+      <ClassNames>
+        {({ css }) => (
+          <p
+            className={css`
+              ${styleStrings.typeError}
+            `}
+          >
+            {t('editor.editorWidgets.object.illegalType', { typeKey, type: valueType })}
+          </p>
+        )}
+      </ClassNames>
+    );
+  }
+
   renderFields = (multiFields, singleField) => {
     if (multiFields) {
       return multiFields.map((f, idx) => this.controlFor(f, idx));
@@ -112,12 +232,12 @@ export default class ObjectControl extends React.Component {
   };
 
   render() {
-    const { field, forID, classNameWrapper, forList } = this.props;
+    const { forID, classNameWrapper, forList } = this.props;
     const { collapsed } = this.state;
-    const multiFields = field.get('fields');
-    const singleField = field.get('field');
+    const isTyped = this.isTyped();
+    const { multiFields, singleField } = this.getFieldsConfig();
 
-    if (multiFields || singleField) {
+    if (multiFields || singleField || isTyped) {
       return (
         <ClassNames>
           {({ css, cx }) => (
@@ -139,9 +259,13 @@ export default class ObjectControl extends React.Component {
                 <ObjectWidgetTopBar
                   collapsed={collapsed}
                   onCollapseToggle={this.handleCollapseToggle}
+                  heading={isTyped ? this.renderTypeDropdown() : null}
                 />
               )}
-              {collapsed ? null : this.renderFields(multiFields, singleField)}
+              {isTyped && this.renderTypeError()}
+              {collapsed || (!multiFields && !singleField)
+                ? null
+                : this.renderFields(multiFields, singleField)}
             </div>
           )}
         </ClassNames>
@@ -0,0 +1,143 @@
+import React from 'react';
+import { fromJS, Map } from 'immutable';
+import { render, fireEvent } from 'react-testing-library';
+import 'react-testing-library/cleanup-after-each';
+import 'jest-dom/extend-expect';
+import { NetlifyCmsWidgetObject } from '../';
+
+const ObjectControl = NetlifyCmsWidgetObject.controlComponent;
+
+const field = fromJS({
+  name: 'block',
+  label: 'Block',
+  widget: 'object',
+  types: [
+    {
+      name: 'text',
+      label: 'Text',
+      fields: [
+        { name: 'title', widget: 'string' },
+        { name: 'body', widget: 'markdown', default: 'Lorem' },
+      ],
+    },
+    {
+      name: 'image',
+      label: 'Image',
+      fields: [{ name: 'title', widget: 'string' }, { name: 'src', widget: 'image' }],
+    },
+  ],
+});
+
+const validators = {};
+
+// registers a validation for every rendered field, as the editor controls do
+class MockEditorControl extends React.Component {
+  componentDidMount() {
+    this.register();
+  }
+
+  componentDidUpdate() {
+    this.register();
+  }
+
+  register() {
+    const { field, processControlRef } = this.props;
+    validators[field.get('name')] = validators[field.get('name')] || jest.fn();
+    processControlRef(field, { validate: validators[field.get('name')] });
+  }
+
+  render() {
+    return <div>{`control for ${this.props.field.get('name')}`}</div>;
+  }
+}
+
+function controlRef(field, wrappedControl) {
+  this.componentValidate[field.get('name')] = wrappedControl.validate;
+}
+
+const t = jest.fn((key, options) => `${key} ${JSON.stringify(options)}`);
+
+const setup = props => {
+  const onChange = jest.fn();
+  let control;
+  const renderControl = otherProps => (
+    <ObjectControl
+      ref={ref => (control = ref)}
+      field={field}
+      onChange={onChange}
+      onChangeObject={jest.fn()}
+      onValidateObject={jest.fn()}
+      classNameWrapper=""
+      editorControl={MockEditorControl}
+      resolveWidget={jest.fn()}
+      isFieldHidden={() => false}
+      clearFieldErrors={jest.fn()}
+      fieldsErrors={Map()}
+      controlRef={controlRef}
+      t={t}
+      {...props}
+      {...otherProps}
+    />
+  );
+  const utils = render(renderControl());
+  const rerender = otherProps => utils.rerender(renderControl(otherProps));
+  return { ...utils, rerender, onChange, control };
+};
+
+describe('Object widget', () => {
+  beforeEach(() => {
+    Object.keys(validators).forEach(name => delete validators[name]);
+    jest.clearAllMocks();
+  });
+
+  it('should ask for the type of objects without one', () => {
+    const { getByText, queryByText } = setup();
+    expect(
+      getByText('editor.editorWidgets.object.selectType {"label":"block"}'),
+    ).toBeInTheDocument();
+    expect(queryByText('control for title')).toBeNull();
+  });
+
+  it('should render the fields of the active type', () => {
+    const { getByText, queryByText } = setup({ value: fromJS({ type: 'image', title: 'A' }) });
+    expect(getByText('Image')).toBeInTheDocument();
+    expect(getByText('control for title')).toBeInTheDocument();
+    expect(getByText('control for src')).toBeInTheDocument();
+    expect(queryByText('control for body')).toBeNull();
+  });
+
+  it('should report values of unknown types', () => {
+    const { getByText } = setup({ value: fromJS({ type: 'video' }) });
+    expect(
+      getByText('editor.editorWidgets.object.illegalType {"typeKey":"type","type":"video"}'),
+    ).toBeInTheDocument();
+  });
+
+  it('should keep common values and set defaults when changing the type', () => {
+    const { getByText, onChange } = setup({
+      value: fromJS({ type: 'image', title: 'A', src: 'a.png' }),
+    });
+    fireEvent.click(getByText('Image'));
+    fireEvent.click(getByText('Text'));
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0]).toEqual(fromJS({ type: 'text', title: 'A', body: 'Lorem' }));
+  });
+
+  it('should use the configured type key', () => {
+    const { control, onChange } = setup({
+      field: field.set('typeKey', 'kind'),
+      value: fromJS({ kind: 'text', title: 'A' }),
+    });
+    control.handleTypeChange('image');
+    expect(onChange).toHaveBeenCalledWith(fromJS({ kind: 'image', title: 'A' }));
+  });
+
+  it('should only validate the fields of the active type', () => {
+    const { control, rerender } = setup({ value: fromJS({ type: 'text', title: 'A' }) });
+    rerender({ value: fromJS({ type: 'image', title: 'A' }) });
+    control.validate();
+    expect(validators.title).toHaveBeenCalledTimes(1);
+    expect(validators.src).toHaveBeenCalledTimes(1);
+    expect(validators.body).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,8 @@
 import controlComponent from './ObjectControl';
 import previewComponent from './ObjectPreview';
 
+export { TYPES_KEY, TYPE_KEY, DEFAULT_TYPE_KEY, resolveFieldKeyType } from './typedObjectHelpers';
+
 const Widget = (opts = {}) => ({
   name: 'object',
   controlComponent,
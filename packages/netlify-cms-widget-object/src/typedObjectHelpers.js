@@ -0,0 +1,7 @@
+export const TYPES_KEY = 'types';
+export const TYPE_KEY = 'typeKey';
+export const DEFAULT_TYPE_KEY = 'type';
+
+export function resolveFieldKeyType(field) {
+  return field.get(TYPE_KEY, DEFAULT_TYPE_KEY);
+}
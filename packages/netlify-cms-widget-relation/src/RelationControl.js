@@ -1,10 +1,12 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import ImmutablePropTypes from 'react-immutable-proptypes';
-import { Async as AsyncSelect } from 'react-select';
-import { find, isEmpty, last, debounce } from 'lodash';
+import { Async as AsyncSelect, components } from 'react-select';
+import { SortableContainer, SortableElement } from 'react-sortable-hoc';
+import { find, isEmpty, last, debounce, flatten } from 'lodash';
 import { List, Map, fromJS } from 'immutable';
 import { reactSelectStyles } from 'netlify-cms-ui-default';
+import { getFieldValue, getLabel, hasWildcard, expandPath, fillWildcards } from './fieldPaths';
 
 function optionToString(option) {
   return option && option.value ? option.value : '';
@@ -34,6 +36,53 @@ function getSelectedValue({ value, options, isMultiple }) {
   }
 }
 
+/**
+ * Selected values of a `multiple` relation are reordered by dragging them.
+ */
+const SortableSelect = SortableContainer(AsyncSelect);
+
+const SortableMultiValue = SortableElement(props => {
+  // Keep the menu closed when a value is picked up.
+  const onMouseDown = event => {
+    event.preventDefault();
+    event.stopPropagation();
+  };
+  return <components.MultiValue {...props} innerProps={{ onMouseDown }} />;
+});
+
+const MultiValue = props => {
+  const index = props.selectProps.value.findIndex(option => option.value === props.data.value);
+  return <SortableMultiValue index={index} {...props} />;
+};
+
+/**
+ * Check the number of selected values of a `multiple` relation against its
+ * `min` and `max` options. An empty value is left to the `required` option.
+ */
+export function validateCount(value, field, t) {
+  const min = field.get('min', false);
+  const max = field.get('max', false);
+  const count = value ? value.size || value.length || 0 : 0;
+  const fieldLabel = field.get('label', field.get('name'));
+  const error = message => ({ error: { type: 'RANGE', message } });
+
+  if (!field.get('multiple', false) || count === 0) {
+    return true;
+  }
+  if (min !== false && max !== false && (count < min || count > max)) {
+    return error(
+      t('editor.editorControlPane.widget.rangeCount', { fieldLabel, minCount: min, maxCount: max }),
+    );
+  }
+  if (min !== false && count < min) {
+    return error(t('editor.editorControlPane.widget.rangeMin', { fieldLabel, minCount: min }));
+  }
+  if (max !== false && count > max) {
+    return error(t('editor.editorControlPane.widget.rangeMax', { fieldLabel, maxCount: max }));
+  }
+  return true;
+}
+
 export default class RelationControl extends React.Component {
   didInitialSearch = false;
 
@@ -48,6 +97,7 @@ export default class RelationControl extends React.Component {
     classNameWrapper: PropTypes.string.isRequired,
     setActiveStyle: PropTypes.func.isRequired,
     setInactiveStyle: PropTypes.func.isRequired,
+    t: PropTypes.func,
   };
 
   shouldComponentUpdate(nextProps) {
@@ -67,16 +117,15 @@ export default class RelationControl extends React.Component {
 
     if (queryHits !== prevProps.queryHits && queryHits.get(forID)) {
       this.didInitialSearch = true;
-      const valueField = field.get('valueField');
-      const hits = queryHits.get(forID);
+      const options = this.parseHitOptions(queryHits.get(forID));
       if (value) {
         const listValue = List.isList(value) ? value : List([value]);
         listValue.forEach(val => {
-          const hit = hits.find(i => this.parseNestedFields(i.data, valueField) === val);
-          if (hit) {
+          const option = options.find(option => option.value === val);
+          if (option) {
             onChange(value, {
               [field.get('name')]: {
-                [field.get('collection')]: { [val]: hit.data },
+                [field.get('collection')]: { [val]: option.data },
               },
             });
           }
@@ -85,6 +134,23 @@ export default class RelationControl extends React.Component {
     }
   }
 
+  isValid = () => {
+    const { field, value, t } = this.props;
+    return validateCount(value, field, t);
+  };
+
+  isOptionDisabled = () => {
+    const { field, value } = this.props;
+    const max = field.get('max', false);
+    return field.get('multiple', false) && max !== false && !!value && value.size >= max;
+  };
+
+  handleSortEnd = ({ oldIndex, newIndex }) => {
+    const { value, onChange } = this.props;
+    const item = value.get(oldIndex);
+    onChange(value.delete(oldIndex).insert(newIndex, item));
+  };
+
   handleChange = selectedOption => {
     const { onChange, field } = this.props;
     let value;
@@ -113,51 +179,60 @@ export default class RelationControl extends React.Component {
     }
   };
 
-  parseNestedFields = (targetObject, field) => {
-    let nestedField = field.split('.');
-    let f = targetObject;
-    for (let i = 0; i < nestedField.length; i++) {
-      f = f[nestedField[i]];
-      if (!f) break;
-    }
-    if (typeof f === 'object' && f !== null) {
-      return JSON.stringify(f);
-    }
-    return f;
-  };
-
+  /**
+   * Each hit gives one option, or one option for each list item when the value
+   * field has a wildcard. Display and search fields with wildcards then refer
+   * to the same list item.
+   */
   parseHitOptions = hits => {
     const { field } = this.props;
     const valueField = field.get('valueField');
-    const displayField = field.get('displayFields') || field.get('valueField');
-
-    return hits.map(hit => {
-      let labelReturn;
-      if (List.isList(displayField)) {
-        labelReturn = displayField
-          .toJS()
-          .map(key => this.parseNestedFields(hit.data, key))
-          .join(' ');
-      } else {
-        labelReturn = this.parseNestedFields(hit.data, displayField);
-      }
-      return {
-        data: hit.data,
-        value: this.parseNestedFields(hit.data, valueField),
-        label: labelReturn,
-      };
-    });
+    const displayFields = field.get('displayFields') || List([valueField]);
+    const displayFieldsArray = List.isList(displayFields) ? displayFields.toJS() : [displayFields];
+
+    return flatten(
+      hits.map(hit =>
+        expandPath(hit.data, valueField).map(valuePath => ({
+          data: hit.data,
+          value: getFieldValue(hit, valuePath),
+          label: getLabel(hit, displayFieldsArray, valueField, valuePath),
+          searchValues: this.getSearchFields().map(path =>
+            getFieldValue(hit, fillWildcards(path, valueField, valuePath)),
+          ),
+        })),
+      ),
+    );
+  };
+
+  getSearchFields = () => {
+    const searchFields = this.props.field.get('searchFields');
+    return List.isList(searchFields) ? searchFields.toJS() : [searchFields];
+  };
+
+  /**
+   * The search matches whole entries, so the items of a list are filtered
+   * here by their own search fields.
+   */
+  filterOptions = (options, term) => {
+    if (!term || !hasWildcard(this.props.field.get('valueField'))) {
+      return options;
+    }
+    const lowerCaseTerm = term.toLowerCase();
+    return options.filter(option =>
+      option.searchValues.some(
+        value => value !== undefined && `${value}`.toLowerCase().includes(lowerCaseTerm),
+      ),
+    );
   };
 
   loadOptions = debounce((term, callback) => {
     const { field, query, forID } = this.props;
     const collection = field.get('collection');
-    const searchFields = field.get('searchFields');
+    const file = field.get('file');
     const optionsLength = field.get('optionsLength') || 20;
-    const searchFieldsArray = List.isList(searchFields) ? searchFields.toJS() : [searchFields];
 
-    query(forID, collection, searchFieldsArray, term).then(({ payload }) => {
-      let options = this.parseHitOptions(payload.response.hits);
+    query(forID, collection, this.getSearchFields(), term, file).then(({ payload }) => {
+      let options = this.filterOptions(this.parseHitOptions(payload.response.hits), term);
 
       if (!this.allOptions && !term) {
         this.allOptions = options;
@@ -192,21 +267,35 @@ export default class RelationControl extends React.Component {
       isMultiple,
     });
 
-    return (
-      <AsyncSelect
-        value={selectedValue}
-        inputId={forID}
-        defaultOptions
-        loadOptions={this.loadOptions}
-        onChange={this.handleChange}
-        className={classNameWrapper}
-        onFocus={setActiveStyle}
-        onBlur={setInactiveStyle}
-        styles={reactSelectStyles}
-        isMulti={isMultiple}
-        isClearable={isClearable}
-        placeholder=""
-      />
-    );
+    const selectProps = {
+      value: selectedValue,
+      inputId: forID,
+      defaultOptions: true,
+      loadOptions: this.loadOptions,
+      onChange: this.handleChange,
+      className: classNameWrapper,
+      onFocus: setActiveStyle,
+      onBlur: setInactiveStyle,
+      styles: reactSelectStyles,
+      isMulti: isMultiple,
+      isClearable,
+      isOptionDisabled: this.isOptionDisabled,
+      placeholder: '',
+    };
+
+    if (isMultiple) {
+      return (
+        <SortableSelect
+          {...selectProps}
+          axis="xy"
+          distance={4}
+          onSortEnd={this.handleSortEnd}
+          getHelperDimensions={({ node }) => node.getBoundingClientRect()}
+          components={{ MultiValue }}
+        />
+      );
+    }
+
+    return <AsyncSelect {...selectProps} />;
   }
 }
@@ -1,11 +1,42 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import ImmutablePropTypes from 'react-immutable-proptypes';
+import { List } from 'immutable';
 import { WidgetPreviewContainer } from 'netlify-cms-ui-default';
+import { SLUG_FIELD, getFieldValue, getLabel, expandPath } from './fieldPaths';
 
-const RelationPreview = ({ value }) => <WidgetPreviewContainer>{value}</WidgetPreviewContainer>;
+/**
+ * Show the display fields of the related entries when their data is known,
+ * and the stored values otherwise.
+ */
+function getPreviewLabel(field, value, fieldsMetaData) {
+  const relatedData = fieldsMetaData && fieldsMetaData.getIn([field.get('collection'), value]);
+  if (!relatedData || !relatedData.toJS) {
+    return value;
+  }
+
+  const valueField = field.get('valueField');
+  const displayFields = field.get('displayFields') || List([valueField]);
+  const displayFieldsArray = List.isList(displayFields) ? displayFields.toJS() : [displayFields];
+  const hit = { data: relatedData.toJS(), slug: valueField === SLUG_FIELD ? value : undefined };
+  const valuePath =
+    expandPath(hit.data, valueField).find(path => getFieldValue(hit, path) === value) || valueField;
+  return getLabel(hit, displayFieldsArray, valueField, valuePath);
+}
+
+const RelationPreview = ({ value, field, fieldsMetaData }) => {
+  const values = List.isList(value) ? value.toArray() : [value];
+  return (
+    <WidgetPreviewContainer>
+      {values.map(value => getPreviewLabel(field, value, fieldsMetaData)).join(', ')}
+    </WidgetPreviewContainer>
+  );
+};
 
 RelationPreview.propTypes = {
   value: PropTypes.node,
+  field: ImmutablePropTypes.map.isRequired,
+  fieldsMetaData: ImmutablePropTypes.map,
 };
 
 export default RelationPreview;
@@ -1,12 +1,13 @@
 import React from 'react';
 import { fromJS, Map } from 'immutable';
-import { last } from 'lodash';
 import { render, fireEvent, wait } from 'react-testing-library';
 import 'react-testing-library/cleanup-after-each';
 import 'jest-dom/extend-expect';
 import { NetlifyCmsWidgetRelation } from '../';
+import { validateCount } from '../RelationControl';
 
 const RelationControl = NetlifyCmsWidgetRelation.controlComponent;
+const RelationPreview = NetlifyCmsWidgetRelation.previewComponent;
 
 const fieldConfig = {
   name: 'post',
@@ -45,7 +46,7 @@ const generateHits = length => {
   const hits = Array.from({ length }, (val, idx) => {
     const title = `Post # ${idx + 1}`;
     const slug = `post-number-${idx + 1}`;
-    return { collection: 'posts', data: { title, slug } };
+    return { collection: 'posts', slug, data: { title, slug } };
   });
 
   return [
@@ -79,6 +80,16 @@ const generateHits = length => {
       collection: 'posts',
       data: { title: 'YAML post', slug: 'post-yaml', body: 'Body yaml' },
     },
+    {
+      collection: 'posts',
+      slug: 'authors',
+      data: {
+        authors: [
+          { name: 'Ada Lovelace', bio: 'Analyst' },
+          { name: 'Grace Hopper', bio: 'Admiral' },
+        ],
+      },
+    },
   ];
 };
 
@@ -99,16 +110,19 @@ class RelationController extends React.Component {
 
   query = jest.fn((...args) => {
     const queryHits = generateHits(25);
-    if (last(args) === 'YAML') {
-      return Promise.resolve({ payload: { response: { hits: [last(queryHits)] } } });
-    } else if (last(args) === 'Nested') {
+    const term = args[3];
+    if (term === 'YAML') {
       return Promise.resolve({
         payload: { response: { hits: [queryHits[queryHits.length - 2]] } },
       });
-    } else if (last(args) === 'Deeply nested') {
+    } else if (term === 'Nested') {
       return Promise.resolve({
         payload: { response: { hits: [queryHits[queryHits.length - 3]] } },
       });
+    } else if (term === 'Deeply nested') {
+      return Promise.resolve({
+        payload: { response: { hits: [queryHits[queryHits.length - 4]] } },
+      });
     }
     return Promise.resolve({ payload: { response: { hits: queryHits } } });
   });
@@ -132,7 +146,12 @@ function setup({ field, value }) {
   const helpers = render(
     <RelationController value={value}>
       {({ handleOnChange, value, query, queryHits, setQueryHits }) => {
-        renderArgs = { value, onChangeSpy: handleOnChange, setQueryHitsSpy: setQueryHits };
+        renderArgs = {
+          value,
+          onChangeSpy: handleOnChange,
+          setQueryHitsSpy: setQueryHits,
+          querySpy: query,
+        };
         return (
           <RelationControl
             field={field}
@@ -249,6 +268,72 @@ describe('Relation widget', () => {
     });
   });
 
+  it('should store the slug of entries with the {{slug}} value field', async () => {
+    const field = fromJS({ ...fieldConfig, valueField: '{{slug}}' });
+    const { getByText, input, onChangeSpy } = setup({ field });
+    const metadata = {
+      post: { posts: { 'post-number-1': { title: 'Post # 1', slug: 'post-number-1' } } },
+    };
+
+    await wait(() => {
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.click(getByText('Post # 1 post-number-1'));
+      expect(onChangeSpy).toHaveBeenCalledWith('post-number-1', metadata);
+    });
+  });
+
+  describe('with list items', () => {
+    const authorsFieldConfig = {
+      name: 'author',
+      collection: 'posts',
+      file: 'authors',
+      displayFields: ['authors.*.name', 'authors.*.bio'],
+      searchFields: ['authors.*.name'],
+      valueField: 'authors.*.name',
+    };
+
+    it('should list an option for each item of the file', async () => {
+      const field = fromJS(authorsFieldConfig);
+      const { getByText, input, querySpy } = setup({ field });
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+
+      await wait(() => {
+        expect(getByText('Ada Lovelace Analyst')).toBeInTheDocument();
+        expect(getByText('Grace Hopper Admiral')).toBeInTheDocument();
+        expect(querySpy).toHaveBeenCalledWith(
+          'relation-field',
+          'posts',
+          ['authors.*.name'],
+          '',
+          'authors',
+        );
+      });
+    });
+
+    it('should filter items by search term', async () => {
+      const field = fromJS(authorsFieldConfig);
+      const { getAllByText, queryByText, input } = setup({ field });
+      fireEvent.change(input, { target: { value: 'grace' } });
+
+      await wait(() => {
+        expect(getAllByText('Grace Hopper Admiral')).toHaveLength(1);
+        expect(queryByText('Ada Lovelace Analyst')).toBeNull();
+      });
+    });
+
+    it('should call onChange with the value of the item', async () => {
+      const field = fromJS(authorsFieldConfig);
+      const { getByText, input, onChangeSpy } = setup({ field });
+
+      await wait(() => {
+        fireEvent.keyDown(input, { key: 'ArrowDown' });
+        fireEvent.click(getByText('Grace Hopper Admiral'));
+        expect(onChangeSpy).toHaveBeenCalledTimes(1);
+        expect(onChangeSpy.mock.calls[0][0]).toBe('Grace Hopper');
+      });
+    });
+  });
+
   describe('with multiple', () => {
     it('should call onChange with correct selectedItem value and metadata', async () => {
       const field = fromJS({ ...fieldConfig, multiple: true });
@@ -294,5 +379,95 @@ describe('Relation widget', () => {
         expect(onChangeSpy).toHaveBeenCalledWith(value, metadata2);
       });
     });
+
+    it('should not add values beyond max', async () => {
+      const field = fromJS({ ...fieldConfig, multiple: true, max: 1 });
+      const value = fromJS(['Post # 1']);
+      const { getByText, input, onChangeSpy } = setup({ field, value });
+
+      await wait(() => {
+        fireEvent.keyDown(input, { key: 'ArrowDown' });
+        fireEvent.click(getByText('Post # 2 post-number-2'));
+        expect(onChangeSpy).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('validateCount', () => {
+    const t = jest.fn((key, options) => `${key} ${JSON.stringify(options)}`);
+    const field = fromJS({ name: 'posts', label: 'Posts', multiple: true, min: 2, max: 3 });
+
+    it('should accept counts within min and max', () => {
+      expect(validateCount(fromJS(['a', 'b']), field, t)).toBe(true);
+      expect(validateCount(fromJS([]), field, t)).toBe(true);
+      expect(validateCount(fromJS(['a']), field.set('multiple', false), t)).toBe(true);
+    });
+
+    it('should return range errors', () => {
+      expect(validateCount(fromJS(['a']), field, t)).toEqual({
+        error: {
+          type: 'RANGE',
+          message:
+            'editor.editorControlPane.widget.rangeCount {"fieldLabel":"Posts","minCount":2,"maxCount":3}',
+        },
+      });
+      expect(validateCount(fromJS(['a']), field.delete('max'), t).error.message).toBe(
+        'editor.editorControlPane.widget.rangeMin {"fieldLabel":"Posts","minCount":2}',
+      );
+      expect(
+        validateCount(fromJS(['a', 'b', 'c', 'd']), field.delete('min'), t).error.message,
+      ).toBe('editor.editorControlPane.widget.rangeMax {"fieldLabel":"Posts","maxCount":3}');
+    });
+  });
+
+  describe('RelationPreview', () => {
+    it('should show the value without related data', () => {
+      const { container } = render(
+        <RelationPreview value="Post # 1" field={fromJS(fieldConfig)} fieldsMetaData={Map()} />,
+      );
+      expect(container).toHaveTextContent('Post # 1');
+    });
+
+    it('should show the display fields of related entries', () => {
+      const field = fromJS({ ...fieldConfig, multiple: true });
+      const fieldsMetaData = fromJS({
+        posts: {
+          'Post # 1': { title: 'Post # 1', slug: 'post-number-1' },
+          'Post # 2': { title: 'Post # 2', slug: 'post-number-2' },
+        },
+      });
+      const { container } = render(
+        <RelationPreview
+          value={fromJS(['Post # 1', 'Post # 2'])}
+          field={field}
+          fieldsMetaData={fieldsMetaData}
+        />,
+      );
+      expect(container).toHaveTextContent('Post # 1 post-number-1, Post # 2 post-number-2');
+    });
+
+    it('should show the display fields of related list items', () => {
+      const field = fromJS({
+        name: 'author',
+        collection: 'settings',
+        file: 'authors',
+        displayFields: ['authors.*.name', 'authors.*.bio'],
+        valueField: 'authors.*.name',
+      });
+      const fieldsMetaData = fromJS({
+        settings: {
+          'Grace Hopper': {
+            authors: [
+              { name: 'Ada Lovelace', bio: 'Analyst' },
+              { name: 'Grace Hopper', bio: 'Admiral' },
+            ],
+          },
+        },
+      });
+      const { container } = render(
+        <RelationPreview value="Grace Hopper" field={field} fieldsMetaData={fieldsMetaData} />,
+      );
+      expect(container).toHaveTextContent('Grace Hopper Admiral');
+    });
   });
 });
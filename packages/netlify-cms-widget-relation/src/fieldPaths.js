@@ -0,0 +1,76 @@
+/**
+ * Fields of the target collection are referenced by dot separated paths into
+ * the entry data, e.g. `author.name`. A `*` stands for all the items of a
+ * list, e.g. `authors.*.name`, and `{{slug}}` for the slug of the entry.
+ */
+export const SLUG_FIELD = '{{slug}}';
+
+const toKeys = path => path.split('.');
+
+/**
+ * Get the value at a path without wildcards. Objects are stringified so they
+ * can be displayed and stored.
+ */
+export function getFieldValue(hit, path) {
+  if (path === SLUG_FIELD) {
+    return hit.slug;
+  }
+  let value = hit.data;
+  for (const key of toKeys(path)) {
+    value = value[key];
+    if (!value) break;
+  }
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+export const hasWildcard = path => toKeys(path).includes('*');
+
+/**
+ * Expand the wildcards of a path to the paths of all the list items in the
+ * data, e.g. `authors.*.name` to `authors.0.name` and `authors.1.name`.
+ */
+export function expandPath(data, path) {
+  const keys = toKeys(path);
+  const wildcardIndex = keys.indexOf('*');
+  if (wildcardIndex === -1) {
+    return [path];
+  }
+
+  const listKeys = keys.slice(0, wildcardIndex);
+  const list = listKeys.reduce((value, key) => value && value[key], data);
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list.reduce((acc, item, index) => {
+    const itemPath = [...listKeys, index, ...keys.slice(wildcardIndex + 1)].join('.');
+    return [...acc, ...expandPath(data, itemPath)];
+  }, []);
+}
+
+/**
+ * Replace the wildcards of a path with the list indexes of an expanded path,
+ * so that other fields of a list item can be found from its value field.
+ */
+export function fillWildcards(path, wildcardPath, expandedPath) {
+  const expandedKeys = toKeys(expandedPath);
+  const indexes = toKeys(wildcardPath)
+    .map((key, index) => key === '*' && expandedKeys[index])
+    .filter(index => index !== false);
+  return toKeys(path)
+    .map(key => (key === '*' && indexes.length > 0 ? indexes.shift() : key))
+    .join('.');
+}
+
+/**
+ * Build the label of an option from its display fields, where wildcards refer
+ * to the list item found at `valuePath`.
+ */
+export function getLabel(hit, displayFields, valueField, valuePath) {
+  return displayFields
+    .map(path => getFieldValue(hit, fillWildcards(path, valueField, valuePath)))
+    .join(' ');
+}